@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./projectFiles');
+
+const AUTOSAVE_SNAPSHOT_LIMIT = 20;
+const AUTOSAVE_CONFIG_FILE = 'config.json';
+const AUTOSAVE_INDEX_FILE = 'index.json';
+const AUTOSAVE_SESSION_FILE = 'session.json';
+const DEFAULT_AUTOSAVE_CONFIG = {
+  enabled: true,
+  intervalSeconds: 60,
+  actionThreshold: 25,
+};
+
+const clampInteger = (value, min, max, fallback) => {
+  const parsed = Math.round(Number(value));
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+};
+
+const normalizeAutosaveConfig = (config = {}) => ({
+  enabled: typeof config.enabled === 'boolean' ? config.enabled : DEFAULT_AUTOSAVE_CONFIG.enabled,
+  intervalSeconds: clampInteger(config.intervalSeconds, 10, 3600, DEFAULT_AUTOSAVE_CONFIG.intervalSeconds),
+  actionThreshold: clampInteger(config.actionThreshold, 0, 1000, DEFAULT_AUTOSAVE_CONFIG.actionThreshold),
+});
+
+const readJsonSync = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const countProjectTracks = (project) => {
+  const compositions = Array.isArray(project?.compositions) ? project.compositions : [];
+  if (!compositions.length) return Array.isArray(project?.tracks) ? project.tracks.length : 0;
+  return compositions.reduce((sum, composition) => (
+    sum + (Array.isArray(composition?.tracks) ? composition.tracks.length : 0)
+  ), 0);
+};
+
+class AutosaveService {
+  constructor(options = {}) {
+    this.resolveDirectory = typeof options.resolveDirectory === 'function'
+      ? options.resolveDirectory
+      : () => null;
+    this.onRequestSnapshot = typeof options.onRequestSnapshot === 'function'
+      ? options.onRequestSnapshot
+      : () => {};
+    this.config = { ...DEFAULT_AUTOSAVE_CONFIG };
+    this.index = [];
+    this.timer = null;
+    this.recoveryAvailable = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  resolvePath(fileName) {
+    const directory = this.resolveDirectory();
+    return directory ? path.join(directory, fileName) : null;
+  }
+
+  start() {
+    const directory = this.resolveDirectory();
+    if (!directory) return;
+    fs.mkdirSync(directory, { recursive: true });
+    this.config = normalizeAutosaveConfig(readJsonSync(this.resolvePath(AUTOSAVE_CONFIG_FILE)) || {});
+    const index = readJsonSync(this.resolvePath(AUTOSAVE_INDEX_FILE));
+    this.index = (Array.isArray(index?.items) ? index.items : [])
+      .filter((item) => typeof item?.id === 'string' && typeof item.fileName === 'string')
+      .filter((item) => fs.existsSync(path.join(directory, item.fileName)));
+    const session = readJsonSync(this.resolvePath(AUTOSAVE_SESSION_FILE));
+    this.recoveryAvailable = Boolean(session && session.clean === false && this.index.length);
+    fs.writeFileSync(
+      this.resolvePath(AUTOSAVE_SESSION_FILE),
+      JSON.stringify({ clean: false, pid: process.pid, startedAt: Date.now() })
+    );
+    this.restartTimer();
+  }
+
+  restartTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (!this.config.enabled) return;
+    this.timer = setInterval(() => {
+      this.onRequestSnapshot('timer');
+    }, this.config.intervalSeconds * 1000);
+  }
+
+  getStatus() {
+    return {
+      config: { ...this.config },
+      recoveryAvailable: this.recoveryAvailable,
+      snapshots: this.listSnapshots(),
+    };
+  }
+
+  setConfig(patch = {}) {
+    this.config = normalizeAutosaveConfig({ ...this.config, ...patch });
+    const configPath = this.resolvePath(AUTOSAVE_CONFIG_FILE);
+    if (configPath) {
+      writeFileAtomic(configPath, JSON.stringify(this.config, null, 2)).catch(() => {});
+    }
+    this.restartTimer();
+    return { ...this.config };
+  }
+
+  listSnapshots() {
+    return this.index.map((item) => ({ ...item }));
+  }
+
+  persistIndex() {
+    const indexPath = this.resolvePath(AUTOSAVE_INDEX_FILE);
+    if (!indexPath) return Promise.resolve();
+    return writeFileAtomic(indexPath, JSON.stringify({ items: this.index }, null, 2));
+  }
+
+  writeSnapshot(payload = {}) {
+    const task = this.writeQueue.then(() => this.writeSnapshotNow(payload));
+    this.writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  async writeSnapshotNow(payload) {
+    const directory = this.resolveDirectory();
+    const project = payload?.project;
+    if (!directory) throw new Error('Autosave directory is unavailable');
+    if (!project || typeof project !== 'object') throw new Error('No project data provided');
+    const savedAt = Date.now();
+    const id = `${savedAt}-${Math.random().toString(16).slice(2, 6)}`;
+    const fileName = `snapshot-${id}.json`;
+    const meta = {
+      id,
+      fileName,
+      savedAt,
+      reason: typeof payload.reason === 'string' ? payload.reason : 'timer',
+      name: typeof project.name === 'string' ? project.name : '',
+      filePath: typeof payload.filePath === 'string' ? payload.filePath : '',
+      compositionCount: Array.isArray(project.compositions) ? project.compositions.length : 1,
+      trackCount: countProjectTracks(project),
+    };
+    await writeFileAtomic(path.join(directory, fileName), JSON.stringify({ ...meta, project }));
+    const expired = [meta, ...this.index].slice(AUTOSAVE_SNAPSHOT_LIMIT);
+    this.index = [meta, ...this.index].slice(0, AUTOSAVE_SNAPSHOT_LIMIT);
+    await this.persistIndex();
+    await Promise.all(expired.map((item) => (
+      fs.promises.unlink(path.join(directory, item.fileName)).catch(() => {})
+    )));
+    return { ...meta };
+  }
+
+  async readSnapshot(id) {
+    const directory = this.resolveDirectory();
+    const meta = this.index.find((item) => item.id === id);
+    if (!directory || !meta) throw new Error('Snapshot not found');
+    const parsed = JSON.parse(await fs.promises.readFile(path.join(directory, meta.fileName), 'utf8'));
+    if (!parsed?.project || typeof parsed.project !== 'object') {
+      throw new Error('Snapshot is damaged');
+    }
+    return { ...meta, project: parsed.project };
+  }
+
+  dismissRecovery() {
+    this.recoveryAvailable = false;
+  }
+
+  markCleanExit() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    const sessionPath = this.resolvePath(AUTOSAVE_SESSION_FILE);
+    if (!sessionPath) return;
+    try {
+      fs.writeFileSync(sessionPath, JSON.stringify({ clean: true, pid: process.pid, endedAt: Date.now() }));
+    } catch (error) {
+      // Ignore session marker write errors.
+    }
+  }
+}
+
+const createAutosaveService = (options) => new AutosaveService(options);
+
+module.exports = {
+  createAutosaveService,
+};
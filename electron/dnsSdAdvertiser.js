@@ -0,0 +1,409 @@
+const dgram = require('dgram');
+const os = require('os');
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const DNS_TYPE_A = 1;
+const DNS_TYPE_PTR = 12;
+const DNS_TYPE_TXT = 16;
+const DNS_TYPE_SRV = 33;
+const DNS_TYPE_ANY = 255;
+const DNS_CLASS_IN = 1;
+const DNS_CACHE_FLUSH = 0x8000;
+const HOST_RECORD_TTL = 120;
+const SERVICE_RECORD_TTL = 4500;
+const ANNOUNCE_DELAYS_MS = [0, 1000];
+const PROBE_COUNT = 3;
+const PROBE_INTERVAL_MS = 250;
+const PROBE_DEFER_MS = 1000;
+const SERVICE_ENUMERATION_NAME = '_services._dns-sd._udp.local';
+
+const encodeName = (name) => {
+  const bytes = [];
+  String(name).split('.').filter(Boolean).forEach((label) => {
+    const data = Buffer.from(label, 'utf8').subarray(0, 63);
+    bytes.push(data.length, ...data);
+  });
+  bytes.push(0);
+  return Buffer.from(bytes);
+};
+
+// Questions may use name compression, so pointers are followed with a hop limit.
+const readName = (buffer, start) => {
+  const labels = [];
+  let offset = start;
+  let end = null;
+  for (let hops = 0; hops < 32 && offset < buffer.length; hops += 1) {
+    const length = buffer[offset];
+    if (length === 0) {
+      return { name: labels.join('.'), next: end ?? offset + 1 };
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (offset + 1 >= buffer.length) break;
+      if (end === null) end = offset + 2;
+      offset = ((length & 0x3f) << 8) | buffer[offset + 1];
+      continue;
+    }
+    if (offset + 1 + length > buffer.length) break;
+    labels.push(buffer.toString('utf8', offset + 1, offset + 1 + length));
+    offset += 1 + length;
+  }
+  return null;
+};
+
+const parseMessage = (buffer) => {
+  if (buffer.length < 12) return null;
+  const counts = [4, 6, 8, 10].map((offset) => buffer.readUInt16BE(offset));
+  const questions = [];
+  let offset = 12;
+  for (let index = 0; index < counts[0]; index += 1) {
+    const parsed = readName(buffer, offset);
+    if (!parsed || parsed.next + 4 > buffer.length) return null;
+    questions.push({
+      name: parsed.name.toLowerCase(),
+      type: buffer.readUInt16BE(parsed.next),
+      raw: buffer.subarray(offset, parsed.next + 4),
+    });
+    offset = parsed.next + 4;
+  }
+  const readRecords = (count) => {
+    const records = [];
+    for (let index = 0; index < count; index += 1) {
+      const parsed = readName(buffer, offset);
+      if (!parsed || parsed.next + 10 > buffer.length) return null;
+      const length = buffer.readUInt16BE(parsed.next + 8);
+      const dataStart = parsed.next + 10;
+      if (dataStart + length > buffer.length) return null;
+      records.push({
+        name: parsed.name.toLowerCase(),
+        type: buffer.readUInt16BE(parsed.next),
+        ttl: buffer.readUInt32BE(parsed.next + 4),
+        data: buffer.subarray(dataStart, dataStart + length),
+      });
+      offset = dataStart + length;
+    }
+    return records;
+  };
+  const answers = readRecords(counts[1]);
+  const authorities = answers && readRecords(counts[2]);
+  const additionals = authorities && readRecords(counts[3]);
+  return {
+    id: buffer.readUInt16BE(0),
+    response: Boolean(buffer.readUInt16BE(2) & 0x8000),
+    questions,
+    answers: answers || [],
+    authorities: authorities || [],
+    additionals: additionals || [],
+  };
+};
+
+const encodeRecord = ({ name, type, unique, ttl, data }) => {
+  const header = Buffer.alloc(10);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(DNS_CLASS_IN | (unique ? DNS_CACHE_FLUSH : 0), 2);
+  header.writeUInt32BE(ttl, 4);
+  header.writeUInt16BE(data.length, 8);
+  return Buffer.concat([encodeName(name), header, data]);
+};
+
+const encodeResponse = (answers, additionals, { id = 0, questions = [] } = {}) => {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(0x8400, 2);
+  header.writeUInt16BE(questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+  header.writeUInt16BE(additionals.length, 10);
+  return Buffer.concat([
+    header,
+    ...questions,
+    ...answers.map(encodeRecord),
+    ...additionals.map(encodeRecord),
+  ]);
+};
+
+// Probes ask for every record on the name and carry the proposed records in the authority section
+// (RFC 6762 section 8.1). They are sent as QM questions because other responders on this host share
+// port 5353, and a unicast reply would reach only one of them.
+const encodeProbe = (name, records) => {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(records.length, 8);
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(DNS_TYPE_ANY, 0);
+  question.writeUInt16BE(DNS_CLASS_IN, 2);
+  return Buffer.concat([header, encodeName(name), question, ...records.map(encodeRecord)]);
+};
+
+// Simultaneous probe tie-break (RFC 6762 section 8.2): records are compared by type, then rdata bytes.
+const compareProbeRecords = (left, right) => {
+  const sort = (records) => [...records].sort((a, b) => a.type - b.type || Buffer.compare(a.data, b.data));
+  const ours = sort(left);
+  const theirs = sort(right);
+  for (let index = 0; index < Math.min(ours.length, theirs.length); index += 1) {
+    const diff = ours[index].type - theirs[index].type || Buffer.compare(ours[index].data, theirs[index].data);
+    if (diff) return diff;
+  }
+  return ours.length - theirs.length;
+};
+
+const getLocalIpv4Addresses = () => Object.values(os.networkInterfaces())
+  .flat()
+  .filter((entry) => entry && entry.family === 'IPv4' && !entry.internal)
+  .map((entry) => entry.address);
+
+const toHostLabel = (hostname) => (
+  String(hostname || '').split('.')[0].replace(/[^a-z0-9-]+/gi, '-').replace(/^-+|-+$/g, '') || 'osconductor'
+);
+
+// Minimal mDNS / DNS-SD responder for one service: probes for a unique instance name (renaming to
+// "Name (2)" and so on when another host holds it), answers PTR, SRV, TXT and A questions,
+// announces once the name is won and sends a goodbye (TTL 0) on stop.
+class DnsSdAdvertiser {
+  constructor(options = {}) {
+    this.serviceType = options.serviceType || '_oscjson._tcp';
+    this.baseName = String(options.name || 'OSConductor').replace(/\./g, ' ');
+    this.instanceName = this.baseName;
+    this.nameIndex = 1;
+    this.port = Number(options.port) || 0;
+    this.txt = options.txt && typeof options.txt === 'object' ? options.txt : {};
+    this.onWarning = typeof options.onWarning === 'function' ? options.onWarning : () => {};
+    this.hostName = `${toHostLabel(os.hostname())}.local`;
+    this.serviceName = `${this.serviceType}.local`;
+    this.fullName = `${this.instanceName}.${this.serviceName}`;
+    this.socket = null;
+    this.state = null;
+    this.timers = [];
+    this.onProbed = null;
+  }
+
+  start() {
+    if (this.socket) return Promise.resolve({ ok: true });
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      let settled = false;
+      socket.on('error', (error) => {
+        const message = error?.message || 'mDNS socket error';
+        if (!settled) {
+          settled = true;
+          socket.close();
+          resolve({ ok: false, error: message });
+          return;
+        }
+        this.onWarning(`Bonjour advertisement error: ${message}`);
+      });
+      socket.on('message', (message, rinfo) => this.handleMessage(message, rinfo));
+      socket.bind(MDNS_PORT, () => {
+        settled = true;
+        socket.setMulticastTTL(255);
+        socket.setMulticastLoopback(true);
+        this.getInterfaces().forEach((address) => {
+          try {
+            socket.addMembership(MDNS_ADDRESS, address);
+          } catch (error) {
+            // Another responder on this interface may already hold the membership.
+          }
+        });
+        this.socket = socket;
+        this.onProbed = () => resolve({ ok: true });
+        this.probe();
+      });
+    });
+  }
+
+  stop() {
+    this.clearTimers();
+    this.finishProbing();
+    const socket = this.socket;
+    const announced = this.state === 'announced';
+    this.socket = null;
+    this.state = null;
+    if (!socket) return Promise.resolve();
+    return new Promise((resolve) => {
+      const close = () => {
+        try {
+          socket.close();
+        } catch (error) {
+          // Ignore close errors.
+        }
+        resolve();
+      };
+      if (!announced) {
+        close();
+        return;
+      }
+      this.sendMulticast(socket, encodeResponse(this.getServiceRecords(0), []), close);
+    });
+  }
+
+  clearTimers() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  finishProbing() {
+    const onProbed = this.onProbed;
+    this.onProbed = null;
+    if (onProbed) onProbed();
+  }
+
+  probe(delay = Math.floor(Math.random() * PROBE_INTERVAL_MS)) {
+    this.clearTimers();
+    this.state = 'probing';
+    const [, srv, txt] = this.getServiceRecords();
+    const packet = encodeProbe(this.fullName, [srv, txt]);
+    for (let index = 0; index < PROBE_COUNT; index += 1) {
+      this.timers.push(setTimeout(() => {
+        if (this.socket) this.sendMulticast(this.socket, packet);
+      }, delay + index * PROBE_INTERVAL_MS));
+    }
+    this.timers.push(setTimeout(() => {
+      this.state = 'announced';
+      this.timers = ANNOUNCE_DELAYS_MS.map((announceDelay) => setTimeout(() => this.announce(), announceDelay));
+      this.finishProbing();
+    }, delay + PROBE_COUNT * PROBE_INTERVAL_MS));
+  }
+
+  rename() {
+    this.nameIndex += 1;
+    this.instanceName = `${this.baseName} (${this.nameIndex})`;
+    this.fullName = `${this.instanceName}.${this.serviceName}`;
+    this.onWarning(`Bonjour name conflict, advertising as "${this.instanceName}"`);
+  }
+
+  getInterfaces() {
+    const addresses = getLocalIpv4Addresses();
+    return addresses.length ? addresses : [undefined];
+  }
+
+  getServiceRecords(ttlOverride = null) {
+    const ttl = (value) => (ttlOverride === null ? value : ttlOverride);
+    const txtEntries = Object.entries(this.txt).map(([key, value]) => Buffer.from(`${key}=${value}`, 'utf8').subarray(0, 255));
+    const txtData = txtEntries.length
+      ? Buffer.concat(txtEntries.flatMap((entry) => [Buffer.from([entry.length]), entry]))
+      : Buffer.from([0]);
+    const srvData = Buffer.concat([Buffer.from([0, 0, 0, 0, (this.port >> 8) & 0xff, this.port & 0xff]), encodeName(this.hostName)]);
+    return [
+      { name: this.serviceName, type: DNS_TYPE_PTR, unique: false, ttl: ttl(SERVICE_RECORD_TTL), data: encodeName(this.fullName) },
+      { name: this.fullName, type: DNS_TYPE_SRV, unique: true, ttl: ttl(HOST_RECORD_TTL), data: srvData },
+      { name: this.fullName, type: DNS_TYPE_TXT, unique: true, ttl: ttl(SERVICE_RECORD_TTL), data: txtData },
+    ];
+  }
+
+  getAddressRecords() {
+    return getLocalIpv4Addresses().map((address) => ({
+      name: this.hostName,
+      type: DNS_TYPE_A,
+      unique: true,
+      ttl: HOST_RECORD_TTL,
+      data: Buffer.from(address.split('.').map((part) => Number(part) & 0xff)),
+    }));
+  }
+
+  announce() {
+    if (!this.socket) return;
+    this.sendMulticast(this.socket, encodeResponse([...this.getServiceRecords(), ...this.getAddressRecords()], []));
+  }
+
+  // Sends once per interface so every attached network sees the records.
+  sendMulticast(socket, packet, callback) {
+    const interfaces = this.getInterfaces();
+    let remaining = interfaces.length;
+    interfaces.forEach((address) => {
+      try {
+        if (address) socket.setMulticastInterface(address);
+        socket.send(packet, MDNS_PORT, MDNS_ADDRESS, () => {
+          remaining -= 1;
+          if (remaining === 0 && callback) callback();
+        });
+      } catch (error) {
+        remaining -= 1;
+        if (remaining === 0 && callback) callback();
+      }
+    });
+  }
+
+  handleMessage(message, rinfo) {
+    if (!this.socket) return;
+    const parsed = parseMessage(message);
+    if (!parsed) return;
+    if (parsed.response) {
+      this.handleResponse(parsed);
+      return;
+    }
+    if (this.state === 'probing') {
+      this.handleProbe(parsed);
+      return;
+    }
+    if (this.state === 'announced') this.handleQuery(parsed, rinfo);
+  }
+
+  // Another host answering for our instance name with different SRV or TXT data holds the name,
+  // whether we are still probing or already announced (RFC 6762 section 9).
+  isConflictingRecord(record) {
+    if (record.name !== this.fullName.toLowerCase() || !record.ttl) return false;
+    if (record.type !== DNS_TYPE_SRV && record.type !== DNS_TYPE_TXT) return false;
+    const [, srv, txt] = this.getServiceRecords();
+    return ![srv, txt].some((own) => own.type === record.type && own.data.equals(record.data));
+  }
+
+  handleResponse(response) {
+    if (!this.state) return;
+    if (![...response.answers, ...response.additionals].some((record) => this.isConflictingRecord(record))) return;
+    this.rename();
+    this.probe();
+  }
+
+  // A host probing for the same name at the same time: the lexicographically later records win,
+  // and the loser waits a second before probing again. Our own looped-back probes compare equal.
+  handleProbe(query) {
+    const fullName = this.fullName.toLowerCase();
+    if (!query.questions.some((question) => question.name === fullName)) return;
+    const theirs = query.authorities.filter((record) => record.name === fullName);
+    if (!theirs.length) return;
+    const [, srv, txt] = this.getServiceRecords();
+    if (compareProbeRecords([srv, txt], theirs) < 0) this.probe(PROBE_DEFER_MS);
+  }
+
+  handleQuery(query, rinfo) {
+    if (!query.questions.length) return;
+    const [ptr, srv, txt] = this.getServiceRecords();
+    const addresses = this.getAddressRecords();
+    const answers = [];
+    const additionals = [];
+    const matches = (question, type) => question.type === type || question.type === DNS_TYPE_ANY;
+    query.questions.forEach((question) => {
+      if (question.name === SERVICE_ENUMERATION_NAME && matches(question, DNS_TYPE_PTR)) {
+        answers.push({ name: SERVICE_ENUMERATION_NAME, type: DNS_TYPE_PTR, unique: false, ttl: SERVICE_RECORD_TTL, data: encodeName(this.serviceName) });
+      } else if (question.name === this.serviceName.toLowerCase() && matches(question, DNS_TYPE_PTR)) {
+        answers.push(ptr);
+        additionals.push(srv, txt, ...addresses);
+      } else if (question.name === this.fullName.toLowerCase()) {
+        if (matches(question, DNS_TYPE_SRV)) answers.push(srv);
+        if (matches(question, DNS_TYPE_TXT)) answers.push(txt);
+        additionals.push(...addresses);
+      } else if (question.name === this.hostName.toLowerCase() && matches(question, DNS_TYPE_A)) {
+        answers.push(...addresses);
+      }
+    });
+    if (!answers.length || !this.socket) return;
+    const uniqueAdditionals = additionals.filter((record, index) => (
+      !answers.includes(record) && additionals.indexOf(record) === index
+    ));
+    // Legacy one-shot resolvers query from another port and expect a unicast reply echoing the question.
+    if (rinfo.port !== MDNS_PORT) {
+      const packet = encodeResponse(answers, uniqueAdditionals, {
+        id: query.id,
+        questions: query.questions.map((question) => question.raw),
+      });
+      this.socket.send(packet, rinfo.port, rinfo.address);
+      return;
+    }
+    this.sendMulticast(this.socket, encodeResponse(answers, uniqueAdditionals));
+  }
+}
+
+const createDnsSdAdvertiser = (options) => new DnsSdAdvertiser(options);
+
+module.exports = {
+  createDnsSdAdvertiser,
+};
@@ -1,15 +1,41 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain, protocol } = require('electron');
 const path = require('path');
 const dgram = require('dgram');
 const { Worker } = require('worker_threads');
 const { execFile } = require('child_process');
 const fs = require('fs');
 const { createNativeAudioEngine } = require('./nativeAudioEngine');
+const {
+  BUNDLE_EXTENSION,
+  BUNDLE_FILE_FILTERS,
+  PROJECT_FILE_FILTERS,
+  PROJECT_OPEN_FILTERS,
+  createProjectFileStore,
+  toSafeFileName,
+} = require('./projectFiles');
+const { findMediaCandidates, resolveBundleRoot } = require('./projectBundles');
+const { MEDIA_PROTOCOL, createMediaAccess } = require('./mediaAccess');
+const { createAutosaveService } = require('./autosave');
+const {
+  buildArtNetDmxPacket,
+  buildOscMessage,
+  decodeOscPacket,
+  describeOscArgs,
+  findOscNumericArg,
+  oscCodecReady,
+  toOscPacketArgs,
+} = require('./oscCodec');
+const { createOscMonitorTap, formatOscMonitorLog } = require('./oscMonitor');
+const { createOscTcpServer } = require('./oscTcp');
+const { createOscQueryServer } = require('./oscQueryServer');
+const { fetchOscQueryNamespace } = require('./oscQueryClient');
+const { createMidiPortManager } = require('./midiPorts');
+const { applyPlaybackTrackChanges } = require('./playbackTracks');
 let midi = null;
 try {
   midi = require('@julusian/midi');
 } catch (error) {
-  // MIDI virtual port support is optional at runtime.
+  // MIDI port support is optional at runtime.
 }
 
 const isDev = !app.isPackaged;
@@ -23,16 +49,23 @@ const artNetSocket = dgram.createSocket('udp4');
 let oscListenPort = null;
 let oscControlSocket = null;
 let oscControlPort = null;
-const APP_MIDI_INPUT_PORT_NAME = 'OSConductor MIDI IN';
-const APP_MIDI_OUTPUT_PORT_NAME = 'OSConductor MIDI OUT';
-let appMidiInputPort = null;
-let appMidiOutputPort = null;
+let oscControlTcpServer = null;
+let oscControlTcpClients = 0;
+const oscOutputStatusById = new Map();
+let oscQueryServer = null;
+let oscQueryNamespace = [];
+const OSC_FEEDBACK_MODES = new Set(['off', 'reply', 'fixed']);
+const OSC_FEEDBACK_MAX_REPLY_TARGETS = 8;
+let oscFeedbackConfig = { mode: 'off', host: '127.0.0.1', port: 9001 };
+// Control surfaces that recently sent commands, oldest first; "reply" feedback goes back to each of them.
+const oscFeedbackReplyTargets = new Map();
 let oscRecorderWorker = null;
 let oscRecorderRpcId = 1;
 const oscRecorderPending = new Map();
+let playbackEngineWorker = null;
+let playbackEngineConfig = null;
+let playbackEngineOverrides = null;
 const ARTNET_DEFAULT_PORT = 6454;
-const ARTNET_CHANNEL_COUNT = 512;
-const ARTNET_PROTOCOL_VERSION = 14;
 const AUDIO_DEVICE_CACHE_TTL_MS = 8000;
 let audioOutputChannelsCache = {
   timestamp: 0,
@@ -42,82 +75,26 @@ let audioOutputChannelsCache = {
 };
 let audioOutputChannelsPending = null;
 const nativeAudioEngine = createNativeAudioEngine();
-
-const align4 = (size) => (size + 3) & ~0x03;
-
-const encodeOscString = (value) => {
-  const text = typeof value === 'string' ? value : '';
-  const raw = Buffer.from(text, 'utf8');
-  const size = align4(raw.length + 1);
-  const out = Buffer.alloc(size);
-  raw.copy(out, 0);
-  out[raw.length] = 0;
-  return out;
-};
-
-const encodeOscFloat = (value) => {
-  const out = Buffer.alloc(4);
-  out.writeFloatBE(Number(value) || 0, 0);
-  return out;
-};
-
-const encodeOscInt = (value) => {
-  const out = Buffer.alloc(4);
-  out.writeInt32BE(Math.round(Number(value) || 0), 0);
-  return out;
-};
-
-const normalizeOscValueType = (valueType) => (
-  valueType === 'int' ? 'int' : (valueType === 'float' ? 'float' : 'auto')
-);
-
-const buildOscPacket = (address, value, valueType = 'auto') => {
-  const safeAddress = typeof address === 'string' && address.startsWith('/') ? address : '/value';
-  const addressBuffer = encodeOscString(safeAddress);
-  const mode = normalizeOscValueType(valueType);
-  if (Array.isArray(value)) {
-    const values = value.map((item) => (Number.isFinite(Number(item)) ? Number(item) : 0));
-    const tags = values.map((item) => {
-      if (mode === 'int') return 'i';
-      if (mode === 'float') return 'f';
-      return Number.isInteger(item) ? 'i' : 'f';
+const projectFileStore = createProjectFileStore({
+  resolveRecentFilePath: () => path.join(app.getPath('userData'), 'recent-projects.json'),
+});
+const autosaveService = createAutosaveService({
+  resolveDirectory: () => path.join(app.getPath('userData'), 'autosave'),
+  onRequestSnapshot: (reason) => {
+    BrowserWindow.getAllWindows().forEach((win) => {
+      if (win.isDestroyed()) return;
+      win.webContents.send('autosave:request', { reason });
     });
-    const typeTagBuffer = encodeOscString(`,${tags.join('')}`);
-    const valueBuffers = values.map((item, index) => (
-      tags[index] === 'i' ? encodeOscInt(item) : encodeOscFloat(item)
-    ));
-    return Buffer.concat([addressBuffer, typeTagBuffer, ...valueBuffers]);
-  }
-  const scalar = Number.isFinite(Number(value)) ? Number(value) : 0;
-  const useInt = mode === 'int';
-  const typeTagBuffer = encodeOscString(useInt ? ',i' : ',f');
-  const valueBuffer = useInt ? encodeOscInt(scalar) : encodeOscFloat(scalar);
-  return Buffer.concat([addressBuffer, typeTagBuffer, valueBuffer]);
-};
+  },
+});
+const projectDocumentStateByWindow = new Map();
+let isAppQuitting = false;
+const mediaAccess = createMediaAccess();
 
-const buildArtNetDmxPacket = (payload = {}) => {
-  const universe = Math.max(0, Math.min(32767, Math.round(Number(payload?.universe) || 0)));
-  const sequence = Math.max(0, Math.min(255, Math.round(Number(payload?.sequence) || 0)));
-  const sourceData = Array.isArray(payload?.data) ? payload.data : [];
-  const dmxData = Buffer.alloc(ARTNET_CHANNEL_COUNT, 0);
-  const copyCount = Math.min(sourceData.length, ARTNET_CHANNEL_COUNT);
-  for (let i = 0; i < copyCount; i += 1) {
-    const value = Number(sourceData[i]);
-    if (!Number.isFinite(value)) continue;
-    dmxData[i] = Math.max(0, Math.min(255, Math.round(value)));
-  }
-
-  const packet = Buffer.alloc(18 + ARTNET_CHANNEL_COUNT, 0);
-  packet.write('Art-Net\0', 0, 'ascii');
-  packet.writeUInt16LE(0x5000, 8);
-  packet.writeUInt16BE(ARTNET_PROTOCOL_VERSION, 10);
-  packet[12] = sequence;
-  packet[13] = 0;
-  packet.writeUInt16LE(universe, 14);
-  packet.writeUInt16BE(ARTNET_CHANNEL_COUNT, 16);
-  dmxData.copy(packet, 18);
-  return packet;
-};
+protocol.registerSchemesAsPrivileged([{
+  scheme: MEDIA_PROTOCOL,
+  privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true, stream: true },
+}]);
 
 const sendToAllWindows = (channel, payload) => {
   BrowserWindow.getAllWindows().forEach((win) => {
@@ -126,17 +103,23 @@ const sendToAllWindows = (channel, payload) => {
   });
 };
 
-const emitVirtualMidiStatus = (extra = {}) => {
-  sendToAllWindows('midi:virtual-status', {
-    status: appMidiInputPort && appMidiOutputPort ? 'ready' : 'unavailable',
-    inputName: APP_MIDI_INPUT_PORT_NAME,
-    outputName: APP_MIDI_OUTPUT_PORT_NAME,
-    inputAvailable: Boolean(appMidiInputPort),
-    outputAvailable: Boolean(appMidiOutputPort),
-    timestamp: Date.now(),
-    ...extra,
-  });
-};
+// Monitor traffic from the recorder and playback workers is merged here with control, feedback
+// and direct sends before it reaches the renderer.
+const oscMonitorTap = createOscMonitorTap({
+  onFlush: (payload) => sendToAllWindows('osc:monitor-batch', payload),
+});
+
+const midiPortManager = createMidiPortManager({
+  midi,
+  onPortsChanged: (ports) => sendToAllWindows('midi:ports-changed', ports),
+  onMessage: (payload) => {
+    sendToAllWindows('midi:message', payload);
+    oscRecorderWorker?.postMessage({ type: 'push-midi', payload });
+  },
+  onWarning: (message) => {
+    if (enableDebugLog) console.warn(`[OSConductor] ${message}`);
+  },
+});
 
 const emitOscListenStatus = (status, extra = {}) => {
   sendToAllWindows('osc:listen-status', {
@@ -151,11 +134,26 @@ const emitOscControlStatus = (status, extra = {}) => {
   sendToAllWindows('osc:control-listen-status', {
     status,
     port: oscControlPort,
+    tcp: Boolean(oscControlTcpServer),
+    tcpClients: oscControlTcpClients,
     timestamp: Date.now(),
     ...extra,
   });
 };
 
+const getOscQueryStatus = (extra = {}) => ({
+  status: oscQueryServer ? 'listening' : 'stopped',
+  port: oscQueryServer?.port ?? null,
+  advertised: Boolean(oscQueryServer?.advertiser),
+  advertiseError: oscQueryServer?.advertiseError || null,
+  timestamp: Date.now(),
+  ...extra,
+});
+
+const emitOscQueryStatus = (extra = {}) => {
+  sendToAllWindows('oscquery:status', getOscQueryStatus(extra));
+};
+
 const parseAudioOutputChannelsFromSystemProfiler = (stdout) => {
   const parsed = JSON.parse(stdout || '{}');
   const sections = Array.isArray(parsed?.SPAudioDataType) ? parsed.SPAudioDataType : [];
@@ -251,84 +249,6 @@ const getAudioOutputChannels = async () => {
   return audioOutputChannelsPending;
 };
 
-const readOscString = (buffer, offset) => {
-  if (offset >= buffer.length) return null;
-  let end = offset;
-  while (end < buffer.length && buffer[end] !== 0) {
-    end += 1;
-  }
-  if (end >= buffer.length) return null;
-  const value = buffer.toString('utf8', offset, end);
-  let nextOffset = end + 1;
-  while (nextOffset % 4 !== 0) {
-    nextOffset += 1;
-  }
-  if (nextOffset > buffer.length) return null;
-  return { value, nextOffset };
-};
-
-const readOscArgument = (buffer, offset, typeTag) => {
-  if (typeTag === 'i') {
-    if (offset + 4 > buffer.length) return null;
-    return { value: buffer.readInt32BE(offset), nextOffset: offset + 4 };
-  }
-  if (typeTag === 'f') {
-    if (offset + 4 > buffer.length) return null;
-    return { value: buffer.readFloatBE(offset), nextOffset: offset + 4 };
-  }
-  if (typeTag === 'd') {
-    if (offset + 8 > buffer.length) return null;
-    return { value: buffer.readDoubleBE(offset), nextOffset: offset + 8 };
-  }
-  if (typeTag === 'h') {
-    if (offset + 8 > buffer.length) return null;
-    return { value: Number(buffer.readBigInt64BE(offset)), nextOffset: offset + 8 };
-  }
-  if (typeTag === 's') {
-    const parsed = readOscString(buffer, offset);
-    if (!parsed) return null;
-    return { value: parsed.value, nextOffset: parsed.nextOffset };
-  }
-  if (typeTag === 'T') return { value: true, nextOffset: offset };
-  if (typeTag === 'F') return { value: false, nextOffset: offset };
-  if (typeTag === 'N' || typeTag === 'I') return { value: null, nextOffset: offset };
-  return null;
-};
-
-const decodeOscPacket = (buffer) => {
-  const parsedAddress = readOscString(buffer, 0);
-  if (!parsedAddress) return [];
-  const address = parsedAddress.value;
-
-  if (address === '#bundle') {
-    let offset = parsedAddress.nextOffset + 8;
-    if (offset > buffer.length) return [];
-    const messages = [];
-    while (offset + 4 <= buffer.length) {
-      const elementSize = buffer.readInt32BE(offset);
-      offset += 4;
-      if (elementSize <= 0 || offset + elementSize > buffer.length) break;
-      const element = buffer.subarray(offset, offset + elementSize);
-      messages.push(...decodeOscPacket(element));
-      offset += elementSize;
-    }
-    return messages;
-  }
-
-  const parsedTypeTags = readOscString(buffer, parsedAddress.nextOffset);
-  if (!parsedTypeTags) return [{ address, args: [] }];
-  const tags = parsedTypeTags.value.startsWith(',') ? parsedTypeTags.value.slice(1) : '';
-  let offset = parsedTypeTags.nextOffset;
-  const args = [];
-  for (let i = 0; i < tags.length; i += 1) {
-    const parsedArg = readOscArgument(buffer, offset, tags[i]);
-    if (!parsedArg) break;
-    args.push(parsedArg.value);
-    offset = parsedArg.nextOffset;
-  }
-  return [{ address, args }];
-};
-
 const rejectOscRecorderPending = (reason) => {
   const error = new Error(reason || 'OSC recorder worker unavailable');
   oscRecorderPending.forEach(({ reject }) => {
@@ -342,9 +262,22 @@ const ensureOscRecorderWorker = () => {
   const workerPath = path.join(__dirname, 'oscRecorderWorker.js');
   const worker = new Worker(workerPath);
   oscRecorderWorker = worker;
+  if (oscMonitorTap.enabled) worker.postMessage({ type: 'monitor', payload: { enabled: true } });
 
   worker.on('message', (message) => {
     if (!message || typeof message !== 'object') return;
+    if (message.type === 'monitor') {
+      oscMonitorTap.pushBatch(message.payload);
+      return;
+    }
+    if (message.type === 'learn') {
+      sendToAllWindows('osc:learn-batch', message.payload);
+      return;
+    }
+    if (message.type === 'route') {
+      postToPlaybackEngine('route', message.payload);
+      return;
+    }
     if (message.type === 'rpc-result') {
       const pending = oscRecorderPending.get(message.id);
       if (!pending) return;
@@ -404,73 +337,81 @@ const callOscRecorder = (method, payload = {}) => {
   });
 };
 
-const closeVirtualMidiPorts = (emitStatus = true) => {
-  if (appMidiInputPort) {
-    try {
-      appMidiInputPort.closePort();
-    } catch (error) {
-      // Ignore close errors.
+const ensurePlaybackEngineWorker = () => {
+  if (playbackEngineWorker) return playbackEngineWorker;
+  const workerPath = path.join(__dirname, 'playbackEngineWorker.js');
+  const worker = new Worker(workerPath);
+  playbackEngineWorker = worker;
+  // A recreated worker starts empty, so hand it the last configuration the renderer sent.
+  if (playbackEngineConfig) worker.postMessage({ type: 'configure', payload: playbackEngineConfig });
+  if (playbackEngineOverrides) worker.postMessage({ type: 'overrides', payload: playbackEngineOverrides });
+  if (oscQueryServer) worker.postMessage({ type: 'value-feed', payload: { enabled: true } });
+  if (oscMonitorTap.enabled) worker.postMessage({ type: 'monitor', payload: { enabled: true } });
+
+  worker.on('message', (message) => {
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'monitor') {
+      oscMonitorTap.pushBatch(message.payload);
+      return;
     }
-    appMidiInputPort = null;
-  }
-  if (appMidiOutputPort) {
-    try {
-      appMidiOutputPort.closePort();
-    } catch (error) {
-      // Ignore close errors.
+    if (message.type === 'midi') {
+      midiPortManager.send(message.payload?.outputId, message.payload?.bytes);
+      return;
     }
-    appMidiOutputPort = null;
-  }
-  if (emitStatus) {
-    emitVirtualMidiStatus({ status: 'closed' });
-  }
-};
+    if (message.type === 'stats') {
+      sendToAllWindows('playback:stats', message.payload || {});
+      return;
+    }
+    if (message.type === 'osc-output-status') {
+      const payload = message.payload || {};
+      if (typeof payload.outputId !== 'string') return;
+      if (payload.status === 'idle') {
+        oscOutputStatusById.delete(payload.outputId);
+      } else {
+        oscOutputStatusById.set(payload.outputId, payload);
+      }
+      sendToAllWindows('osc:output-status', payload);
+      return;
+    }
+    if (message.type === 'osc-values') {
+      oscQueryServer?.updateValues(message.payload?.values);
+      return;
+    }
+    if (message.type === 'error' && enableDebugLog) {
+      console.error(`[OSConductor] Playback engine error: ${message.payload?.message || 'unknown'}`);
+    }
+  });
 
-const openVirtualMidiPorts = () => {
-  if (!midi) {
+  worker.on('error', (error) => {
     if (enableDebugLog) {
-      console.warn('[OSConductor] MIDI library unavailable. Virtual MIDI I/O not created.');
+      console.error(`[OSConductor] Playback engine worker error: ${error?.message || error}`);
     }
-    emitVirtualMidiStatus({ status: 'unsupported' });
-    return;
-  }
-  closeVirtualMidiPorts(false);
-  try {
-    const input = new midi.Input();
-    input.ignoreTypes(false, false, false);
-    input.on('message', (deltaTime, message) => {
-      if (!Array.isArray(message)) return;
-      const bytes = message
-        .map((value) => Number(value))
-        .filter((value) => Number.isFinite(value))
-        .map((value) => Math.max(0, Math.min(255, Math.round(value))));
-      if (!bytes.length) return;
-      sendToAllWindows('midi:virtual-message', {
-        bytes,
-        deltaTime: Number(deltaTime) || 0,
-        timestamp: Date.now(),
-      });
-    });
-    input.openVirtualPort(APP_MIDI_INPUT_PORT_NAME);
-    appMidiInputPort = input;
-  } catch (error) {
-    appMidiInputPort = null;
-    if (enableDebugLog) {
-      console.warn(`[OSConductor] Failed to open virtual MIDI input: ${error?.message || error}`);
+  });
+
+  worker.on('exit', () => {
+    if (playbackEngineWorker === worker) {
+      playbackEngineWorker = null;
     }
-  }
+  });
+
+  return worker;
+};
+
+const rememberPlaybackEngineConfig = (payload) => {
+  const previousTracks = playbackEngineConfig?.tracks || [];
+  const tracks = applyPlaybackTrackChanges(previousTracks, payload) || previousTracks;
+  playbackEngineConfig = { ...playbackEngineConfig, ...payload, tracks };
+  delete playbackEngineConfig.trackIds;
+  delete playbackEngineConfig.trackUpdates;
+};
 
+const postToPlaybackEngine = (type, payload) => {
   try {
-    const output = new midi.Output();
-    output.openVirtualPort(APP_MIDI_OUTPUT_PORT_NAME);
-    appMidiOutputPort = output;
+    ensurePlaybackEngineWorker().postMessage({ type, payload });
+    return { ok: true };
   } catch (error) {
-    appMidiOutputPort = null;
-    if (enableDebugLog) {
-      console.warn(`[OSConductor] Failed to open virtual MIDI output: ${error?.message || error}`);
-    }
+    return { ok: false, error: error?.message || 'Playback engine unavailable' };
   }
-  emitVirtualMidiStatus();
 };
 
 const closeOscListener = async (emitStatus = true) => {
@@ -510,7 +451,146 @@ const startOscListener = async (portValue) => {
   }
 };
 
-const closeOscControlListener = async (emitStatus = true) => new Promise((resolve) => {
+const rememberOscFeedbackTarget = (source) => {
+  // WebSocket clients follow state through OSCQuery LISTEN instead.
+  if (!source?.host || !Number.isFinite(source.sourcePort) || source.transport === 'ws') return;
+  const key = `${source.transport}|${source.host}|${source.sourcePort}`;
+  oscFeedbackReplyTargets.delete(key);
+  oscFeedbackReplyTargets.set(key, { host: source.host, port: source.sourcePort, transport: source.transport });
+  if (oscFeedbackReplyTargets.size > OSC_FEEDBACK_MAX_REPLY_TARGETS) {
+    oscFeedbackReplyTargets.delete(oscFeedbackReplyTargets.keys().next().value);
+  }
+};
+
+const configureOscFeedback = (payload = {}) => {
+  const parsedPort = Number(payload.port);
+  oscFeedbackConfig = {
+    mode: OSC_FEEDBACK_MODES.has(payload.mode) ? payload.mode : 'off',
+    host: typeof payload.host === 'string' && payload.host.trim() ? payload.host.trim() : '127.0.0.1',
+    port: Number.isFinite(parsedPort) ? Math.min(Math.max(Math.round(parsedPort), 1), 65535) : 9001,
+  };
+  return { ok: true };
+};
+
+const monitorOscSend = (source, address, args, host, port) => {
+  oscMonitorTap.push({
+    time: Date.now(),
+    direction: 'out',
+    source,
+    address,
+    args,
+    host,
+    port,
+  });
+};
+
+const sendOscFeedbackPacket = (target, packet) => {
+  if (target.transport === 'tcp') {
+    oscControlTcpServer?.sendTo(target.host, target.port, packet);
+    return;
+  }
+  // UDP replies leave from the control port so surfaces that filter by source port accept them.
+  const socket = oscControlSocket || oscSocket;
+  try {
+    socket.send(packet, target.port, target.host, () => {});
+  } catch (error) {
+    // Ignore unreachable feedback targets.
+  }
+};
+
+// A replyTo source (from /OSConductor/query) gets the messages directly; otherwise the configured mode decides.
+const sendOscFeedback = (payload = {}) => {
+  const messages = Array.isArray(payload.messages) ? payload.messages : [];
+  const replyTo = payload.replyTo && typeof payload.replyTo === 'object' ? payload.replyTo : null;
+  const targets = [];
+  if (replyTo?.host && Number.isFinite(Number(replyTo.sourcePort)) && replyTo.transport !== 'ws') {
+    targets.push({
+      host: replyTo.host,
+      port: Number(replyTo.sourcePort),
+      transport: replyTo.transport === 'tcp' ? 'tcp' : 'udp',
+    });
+  }
+  if (oscFeedbackConfig.mode === 'fixed') {
+    targets.push({ host: oscFeedbackConfig.host, port: oscFeedbackConfig.port, transport: 'udp' });
+  }
+  if (oscFeedbackConfig.mode === 'reply' && !replyTo) {
+    targets.push(...oscFeedbackReplyTargets.values());
+  }
+  if (!messages.length || !targets.length) return { ok: true, sent: 0 };
+  try {
+    const validMessages = messages.filter((item) => typeof item?.address === 'string' && item.address.startsWith('/'));
+    const packets = validMessages.map((item) => buildOscMessage(item.address, Array.isArray(item.args) ? item.args : []));
+    targets.forEach((target) => {
+      packets.forEach((packet, index) => {
+        sendOscFeedbackPacket(target, packet);
+        if (oscMonitorTap.enabled) {
+          const item = validMessages[index];
+          monitorOscSend('feedback', item.address, Array.isArray(item.args) ? item.args : [], target.host, target.port);
+        }
+      });
+    });
+    return { ok: true, sent: packets.length * targets.length };
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to send OSC feedback' };
+  }
+};
+
+const handleOscControlPacket = (msg, source, listenPort) => {
+  rememberOscFeedbackTarget(source);
+  decodeOscPacket(msg).forEach((packet) => {
+    oscMonitorTap.push({
+      time: Date.now(),
+      direction: 'in',
+      source: 'control',
+      label: source.transport,
+      address: packet.address,
+      args: describeOscArgs(packet.args, packet.typeTags),
+      host: source.host,
+      port: source.sourcePort,
+    });
+    // Commands such as cue names and timecodes carry only strings, so they are forwarded too.
+    const value = findOscNumericArg(packet.args, packet.typeTags);
+    sendToAllWindows('osc:control-message', {
+      address: packet.address,
+      value: Number.isFinite(value) ? value : null,
+      args: packet.args,
+      host: source.host,
+      sourcePort: source.sourcePort,
+      transport: source.transport,
+      listenPort,
+      timestamp: Date.now(),
+    });
+  });
+};
+
+const closeOscControlTcpServer = async () => {
+  const server = oscControlTcpServer;
+  oscControlTcpServer = null;
+  oscControlTcpClients = 0;
+  if (server) await server.close();
+};
+
+const startOscControlTcpServer = async (port) => {
+  await closeOscControlTcpServer();
+  const server = createOscTcpServer({
+    onPacket: (packet, source) => handleOscControlPacket(packet, { ...source, transport: 'tcp' }, port),
+    onClientsChange: (count) => {
+      if (oscControlTcpServer !== server) return;
+      oscControlTcpClients = count;
+      emitOscControlStatus('listening');
+    },
+  });
+  const result = await server.listen(port);
+  if (result.ok) oscControlTcpServer = server;
+  return result;
+};
+
+const closeOscControlListener = async (emitStatus = true) => {
+  await closeOscControlTcpServer();
+  return closeOscControlUdpSocket(emitStatus);
+};
+
+const closeOscControlUdpSocket = (emitStatus) => new Promise((resolve) => {
   if (!oscControlSocket) {
     oscControlPort = null;
     if (emitStatus) {
@@ -556,20 +636,7 @@ const startOscControlListener = async (portValue) => {
     let settled = false;
 
     socket.on('message', (msg, rinfo) => {
-      const packets = decodeOscPacket(msg);
-      packets.forEach((packet) => {
-        const value = packet.args.find((arg) => Number.isFinite(arg));
-        if (!Number.isFinite(value)) return;
-        sendToAllWindows('osc:control-message', {
-          address: packet.address,
-          value,
-          args: packet.args,
-          host: rinfo.address,
-          sourcePort: rinfo.port,
-          listenPort: safePort,
-          timestamp: Date.now(),
-        });
-      });
+      handleOscControlPacket(msg, { host: rinfo.address, sourcePort: rinfo.port, transport: 'udp' }, safePort);
     });
 
     socket.on('error', (error) => {
@@ -584,17 +651,62 @@ const startOscControlListener = async (portValue) => {
       }
     });
 
-    socket.bind(safePort, '0.0.0.0', () => {
+    socket.bind(safePort, '0.0.0.0', async () => {
       oscControlPort = safePort;
-      emitOscControlStatus('listening', { port: safePort });
+      // TCP clients (length-prefixed or SLIP) share the control port; UDP keeps working if TCP cannot bind.
+      const tcpResult = await startOscControlTcpServer(safePort);
+      const tcpError = tcpResult.ok ? '' : tcpResult.error;
+      emitOscControlStatus('listening', { port: safePort, tcpError });
       if (!settled) {
         settled = true;
-        resolve({ ok: true, port: safePort });
+        resolve({ ok: true, port: safePort, tcp: tcpResult.ok, tcpError });
       }
     });
   });
 };
 
+const closeOscQueryServer = async (emitStatus = true) => {
+  const server = oscQueryServer;
+  oscQueryServer = null;
+  if (server) {
+    postToPlaybackEngine('value-feed', { enabled: false });
+    await server.close();
+  }
+  if (emitStatus) emitOscQueryStatus();
+  return { ok: true, port: null };
+};
+
+const startOscQueryServer = async (portValue, advertise = true) => {
+  const parsedPort = Number(portValue);
+  const safePort = Number.isFinite(parsedPort) ? Math.min(Math.max(Math.round(parsedPort), 1), 65535) : 8997;
+  if (oscQueryServer && oscQueryServer.port === safePort) {
+    await oscQueryServer.setAdvertised(advertise);
+    emitOscQueryStatus();
+    return { ok: true, port: safePort };
+  }
+  await closeOscQueryServer(false);
+  const server = createOscQueryServer({
+    name: 'OSConductor',
+    getOscPort: () => oscControlPort,
+    // Binary frames from OSCQuery clients are OSC packets addressed to the control namespace.
+    onOscPacket: (packet, source) => handleOscControlPacket(packet, { ...source, transport: 'ws' }, safePort),
+    onWarning: (message) => {
+      if (enableDebugLog) console.warn(`[OSConductor] ${message}`);
+    },
+  });
+  server.setNamespace(oscQueryNamespace);
+  const result = await server.listen(safePort);
+  if (!result.ok) {
+    emitOscQueryStatus({ status: 'error', port: safePort, error: result.error });
+    return { ok: false, port: safePort, error: result.error };
+  }
+  oscQueryServer = server;
+  postToPlaybackEngine('value-feed', { enabled: true });
+  await server.setAdvertised(advertise);
+  emitOscQueryStatus();
+  return { ok: true, port: safePort };
+};
+
 const resolveAppIcon = () => {
   const iconName = process.platform === 'win32' ? 'icon.ico' : 'icon.png';
   return path.join(__dirname, '..', 'build', 'icons', iconName);
@@ -635,13 +747,56 @@ const createWindow = () => {
   }
 
   win.webContents.on('did-finish-load', () => {
-    emitVirtualMidiStatus();
+    win.webContents.send('midi:ports-changed', midiPortManager.getPorts());
+  });
+
+  const windowId = win.id;
+  projectDocumentStateByWindow.set(windowId, { dirty: false, filePath: null, name: '', closeConfirmed: false });
+
+  win.on('close', (event) => {
+    const documentState = projectDocumentStateByWindow.get(windowId);
+    if (!documentState?.dirty || documentState.closeConfirmed) return;
+    const displayName = documentState.filePath
+      ? path.basename(documentState.filePath)
+      : (documentState.name || 'Untitled');
+    const choice = dialog.showMessageBoxSync(win, {
+      type: 'warning',
+      buttons: ['Save', "Don't Save", 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      noLink: true,
+      message: `Do you want to save the changes made to "${displayName}"?`,
+      detail: "Your changes will be lost if you don't save them.",
+    });
+    // "Don't Save" lets this close event go through; closing again from inside it can be dropped.
+    if (choice === 1) {
+      documentState.closeConfirmed = true;
+      if (isAppQuitting) app.quit();
+      return;
+    }
+    event.preventDefault();
+    if (choice === 2) {
+      isAppQuitting = false;
+      return;
+    }
+    win.webContents.send('project:save-before-close');
+  });
+
+  win.on('closed', () => {
+    projectDocumentStateByWindow.delete(windowId);
   });
 };
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  await oscCodecReady;
+  protocol.handle(MEDIA_PROTOCOL, (request) => mediaAccess.handleRequest(request));
+  try {
+    autosaveService.start();
+  } catch (error) {
+    console.warn(`[OSConductor] Failed to start autosave: ${error?.message || error}`);
+  }
   ensureOscRecorderWorker();
-  openVirtualMidiPorts();
+  midiPortManager.start();
   createWindow();
 
   app.on('activate', () => {
@@ -657,6 +812,50 @@ app.on('window-all-closed', () => {
   }
 });
 
+const getProjectDisplayName = (project, fallback = 'osconductor') => (
+  toSafeFileName(typeof project?.name === 'string' ? project.name : '', fallback)
+);
+
+const writeProjectToPath = async (filePath, project) => {
+  const result = await projectFileStore.writeProject(filePath, project);
+  projectFileStore.addRecent(result.filePath, project?.name);
+  app.addRecentDocument(result.filePath);
+  return {
+    ok: true,
+    filePath: result.filePath,
+    bundle: Boolean(result.bundle),
+    missingMedia: Array.isArray(result.missingMedia) ? result.missingMedia : [],
+    recent: projectFileStore.getRecent(),
+  };
+};
+
+const saveProjectAs = async (event, payload) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const project = payload?.project;
+  if (!project || typeof project !== 'object') {
+    return { ok: false, error: 'No project data provided' };
+  }
+  const asBundle = Boolean(payload?.bundle);
+  const extension = asBundle ? BUNDLE_EXTENSION : 'json';
+  const currentPath = typeof payload?.filePath === 'string' && payload.filePath ? payload.filePath : '';
+  const defaultPath = currentPath
+    ? path.join(path.dirname(currentPath), `${path.parse(currentPath).name}.${extension}`)
+    : path.join(app.getPath('documents'), `${getProjectDisplayName(project)}.${extension}`);
+  const result = await dialog.showSaveDialog(win, {
+    title: asBundle ? 'Save Project Bundle' : 'Save Project As',
+    defaultPath,
+    filters: asBundle ? BUNDLE_FILE_FILTERS : PROJECT_FILE_FILTERS,
+    properties: ['createDirectory', 'showOverwriteConfirmation'],
+  });
+  if (result.canceled || !result.filePath) {
+    return { ok: false, canceled: true };
+  }
+  const targetPath = asBundle && path.extname(result.filePath).toLowerCase() !== `.${BUNDLE_EXTENSION}`
+    ? `${result.filePath.replace(/\.json$/i, '')}.${BUNDLE_EXTENSION}`
+    : result.filePath;
+  return writeProjectToPath(targetPath, project);
+};
+
 ipcMain.handle('app:get-version', () => app.getVersion());
 ipcMain.handle('audio:get-output-channels', async () => getAudioOutputChannels());
 ipcMain.handle('audio:native-status', () => nativeAudioEngine.getStatus());
@@ -721,7 +920,11 @@ ipcMain.handle('osc:send', async (_event, payload) => {
   const host = typeof payload?.host === 'string' && payload.host.trim() ? payload.host.trim() : '127.0.0.1';
   const port = Number(payload?.port);
   const safePort = Number.isFinite(port) ? Math.min(Math.max(Math.round(port), 1), 65535) : 9000;
-  const packet = buildOscPacket(payload?.address, payload?.value, payload?.valueType);
+  const args = Array.isArray(payload?.args)
+    ? payload.args
+    : toOscPacketArgs(payload?.value, payload?.valueType);
+  const packet = buildOscMessage(payload?.address, args);
+  if (oscMonitorTap.enabled) monitorOscSend('send', payload?.address, args, host, safePort);
   await new Promise((resolve, reject) => {
     oscSocket.send(packet, safePort, host, (error) => {
       if (error) {
@@ -733,6 +936,31 @@ ipcMain.handle('osc:send', async (_event, payload) => {
   }).catch(() => {});
   return true;
 });
+ipcMain.handle('osc:monitor-config', (_event, payload) => {
+  const enabled = Boolean(payload?.enabled);
+  oscMonitorTap.setEnabled(enabled);
+  if (oscRecorderWorker || enabled) ensureOscRecorderWorker().postMessage({ type: 'monitor', payload: { enabled } });
+  postToPlaybackEngine('monitor', { enabled });
+  return { ok: true, enabled };
+});
+ipcMain.handle('osc:monitor-export', async (event, payload) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const result = await dialog.showSaveDialog(win, {
+    title: 'Export OSC Monitor Log',
+    defaultPath: path.join(app.getPath('documents'), `osc-monitor-${stamp}.log`),
+    filters: [{ name: 'Log', extensions: ['log', 'txt'] }],
+    properties: ['createDirectory', 'showOverwriteConfirmation'],
+  });
+  if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+  try {
+    const header = 'time\tdirection\tsource\tpeer\taddress\targuments';
+    await fs.promises.writeFile(result.filePath, `${header}\n${formatOscMonitorLog(payload?.entries)}\n`, 'utf8');
+    return { ok: true, path: result.filePath };
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to export OSC monitor log' };
+  }
+});
 ipcMain.handle('dmx:send-artnet', async (_event, payload) => {
   const host = typeof payload?.host === 'string' && payload.host.trim() ? payload.host.trim() : '127.0.0.1';
   const parsedPort = Number(payload?.port);
@@ -751,10 +979,33 @@ ipcMain.handle('dmx:send-artnet', async (_event, payload) => {
     });
   });
 });
+ipcMain.handle('playback:configure', async (_event, payload) => {
+  rememberPlaybackEngineConfig(payload || {});
+  return postToPlaybackEngine('configure', payload || {});
+});
+ipcMain.handle('playback:transport', async (_event, payload) => postToPlaybackEngine('transport', payload || {}));
+ipcMain.handle('playback:overrides', async (_event, payload) => {
+  playbackEngineOverrides = payload || {};
+  return postToPlaybackEngine('overrides', payload || {});
+});
 ipcMain.handle('osc:listen-start', async (_event, payload) => startOscListener(payload?.port));
 ipcMain.handle('osc:listen-stop', async () => closeOscListener(true));
 ipcMain.handle('osc:control-listen-start', async (_event, payload) => startOscControlListener(payload?.port));
 ipcMain.handle('osc:control-listen-stop', async () => closeOscControlListener(true));
+ipcMain.handle('osc:output-status', async () => Array.from(oscOutputStatusById.values()));
+ipcMain.handle('osc:feedback-config', (_event, payload) => configureOscFeedback(payload || {}));
+ipcMain.handle('osc:feedback-send', (_event, payload) => sendOscFeedback(payload || {}));
+ipcMain.handle('oscquery:start', async (_event, payload) => (
+  startOscQueryServer(payload?.port, payload?.advertise !== false)
+));
+ipcMain.handle('oscquery:stop', async () => closeOscQueryServer(true));
+ipcMain.handle('oscquery:status', () => getOscQueryStatus());
+ipcMain.handle('oscquery:browse', async (_event, payload) => fetchOscQueryNamespace(payload));
+ipcMain.handle('oscquery:publish', (_event, payload) => {
+  oscQueryNamespace = Array.isArray(payload?.entries) ? payload.entries : [];
+  oscQueryServer?.setNamespace(oscQueryNamespace);
+  return { ok: true };
+});
 ipcMain.handle('osc:set-recording-config', async (_event, payload) => {
   try {
     return await callOscRecorder('set-recording-config', payload || {});
@@ -765,6 +1016,36 @@ ipcMain.handle('osc:set-recording-config', async (_event, payload) => {
     };
   }
 });
+ipcMain.handle('osc:set-record-filters', async (_event, payload) => {
+  try {
+    return await callOscRecorder('set-record-filters', payload || {});
+  } catch (error) {
+    return {
+      ok: false,
+      error: error?.message || 'Failed to update recording filters',
+    };
+  }
+});
+ipcMain.handle('osc:learn-config', async (_event, payload) => {
+  try {
+    return await callOscRecorder('set-learn', payload || {});
+  } catch (error) {
+    return {
+      ok: false,
+      error: error?.message || 'Failed to update OSC learn',
+    };
+  }
+});
+ipcMain.handle('osc:set-routes', async (_event, payload) => {
+  try {
+    return await callOscRecorder('set-routes', payload || {});
+  } catch (error) {
+    return {
+      ok: false,
+      error: error?.message || 'Failed to update OSC routes',
+    };
+  }
+});
 ipcMain.handle('osc:drain-buffer', async (_event, payload) => {
   try {
     return await callOscRecorder('drain-buffer', payload || {});
@@ -777,39 +1058,203 @@ ipcMain.handle('osc:drain-buffer', async (_event, payload) => {
     };
   }
 });
-ipcMain.handle('midi:virtual-send', (_event, payload) => {
-  if (!appMidiOutputPort) {
-    return { ok: false, error: 'Virtual MIDI output unavailable' };
+ipcMain.handle('midi:list-ports', () => midiPortManager.getPorts());
+ipcMain.handle('midi:send', (_event, payload) => midiPortManager.send(payload?.outputId, payload?.bytes));
+ipcMain.handle('midi:set-inputs', (_event, payload) => midiPortManager.setInputs(payload?.inputIds));
+ipcMain.handle('midi:export-file', async (event, payload) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const baseName = String(payload?.name || 'OSConductor').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'OSConductor';
+  const result = await dialog.showSaveDialog(win, {
+    title: 'Export MIDI File',
+    defaultPath: path.join(app.getPath('documents'), `${baseName}.mid`),
+    filters: [{ name: 'MIDI File', extensions: ['mid', 'midi'] }],
+    properties: ['createDirectory', 'showOverwriteConfirmation'],
+  });
+  if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+  try {
+    await fs.promises.writeFile(result.filePath, Buffer.from(payload?.bytes || []));
+    return { ok: true, path: result.filePath };
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to export MIDI file' };
+  }
+});
+ipcMain.handle('project:open', async (event, payload) => {
+  try {
+    let filePath = typeof payload?.filePath === 'string' && payload.filePath ? payload.filePath : '';
+    if (!filePath) {
+      const win = BrowserWindow.fromWebContents(event.sender);
+      // Windows and Linux dialogs cannot pick files and folders at once, so bundles have their own folder dialog.
+      const isBundle = Boolean(payload?.bundle);
+      const result = await dialog.showOpenDialog(win, isBundle
+        ? { title: 'Open Bundle', properties: ['openDirectory'] }
+        : {
+          title: 'Open Project',
+          filters: PROJECT_OPEN_FILTERS,
+          properties: process.platform === 'darwin' ? ['openFile', 'openDirectory'] : ['openFile'],
+        });
+      if (result.canceled || !result.filePaths?.length) {
+        return { ok: false, canceled: true };
+      }
+      filePath = result.filePaths[0];
+      if (isBundle && !resolveBundleRoot(filePath)) {
+        return {
+          ok: false,
+          error: `Choose a .${BUNDLE_EXTENSION} folder`,
+          recent: projectFileStore.getRecent(),
+        };
+      }
+    }
+    const loaded = await projectFileStore.readProject(filePath);
+    mediaAccess.allowProject(loaded.project);
+    projectFileStore.addRecent(loaded.filePath, loaded.project?.name);
+    app.addRecentDocument(loaded.filePath);
+    return {
+      ok: true,
+      filePath: loaded.filePath,
+      bundle: Boolean(loaded.bundle),
+      project: loaded.project,
+      recent: projectFileStore.getRecent(),
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error?.message || 'Failed to open project',
+      recent: projectFileStore.getRecent(),
+    };
+  }
+});
+ipcMain.handle('project:save', async (event, payload) => {
+  try {
+    const filePath = typeof payload?.filePath === 'string' && payload.filePath ? payload.filePath : '';
+    if (!filePath) return await saveProjectAs(event, payload);
+    if (!payload?.project || typeof payload.project !== 'object') {
+      return { ok: false, error: 'No project data provided' };
+    }
+    return await writeProjectToPath(filePath, payload.project);
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to save project' };
   }
-  const bytes = Array.isArray(payload?.bytes)
-    ? payload.bytes
-      .map((value) => Number(value))
-      .filter((value) => Number.isFinite(value))
-      .map((value) => Math.max(0, Math.min(255, Math.round(value))))
-    : [];
-  if (!bytes.length) {
-    return { ok: false, error: 'No MIDI bytes provided' };
+});
+ipcMain.handle('project:save-as', async (event, payload) => {
+  try {
+    return await saveProjectAs(event, payload);
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to save project' };
   }
+});
+ipcMain.handle('project:read-media', async (_event, payload) => {
   try {
-    appMidiOutputPort.sendMessage(bytes);
-    return { ok: true };
+    return await mediaAccess.open(payload?.filePath);
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to read media file' };
+  }
+});
+ipcMain.handle('project:find-media', async (event, payload) => {
+  try {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showOpenDialog(win, {
+      title: 'Search Folder for Missing Media',
+      properties: ['openDirectory'],
+    });
+    if (result.canceled || !result.filePaths?.length) {
+      return { ok: false, canceled: true };
+    }
+    const candidates = await findMediaCandidates(result.filePaths[0], payload?.names);
+    Object.values(candidates).flat().forEach((candidate) => mediaAccess.allowFile(candidate.filePath));
+    return { ok: true, directory: result.filePaths[0], candidates };
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to search for media' };
+  }
+});
+ipcMain.handle('project:choose-media', async (event, payload) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showOpenDialog(win, {
+    title: typeof payload?.name === 'string' && payload.name ? `Locate ${payload.name}` : 'Locate Media',
+    filters: [
+      { name: 'Audio', extensions: ['wav', 'aif', 'aiff', 'mp3', 'm4a', 'aac', 'flac', 'ogg'] },
+      { name: 'All Files', extensions: ['*'] },
+    ],
+    properties: ['openFile'],
+  });
+  if (result.canceled || !result.filePaths?.length) {
+    return { ok: false, canceled: true };
+  }
+  mediaAccess.allowFile(result.filePaths[0]);
+  return { ok: true, filePath: result.filePaths[0] };
+});
+ipcMain.handle('autosave:get-status', () => autosaveService.getStatus());
+ipcMain.handle('autosave:set-config', (_event, payload) => autosaveService.setConfig(payload));
+ipcMain.handle('autosave:write', async (_event, payload) => {
+  try {
+    const snapshot = await autosaveService.writeSnapshot(payload);
+    return { ok: true, snapshot };
+  } catch (error) {
+    return { ok: false, error: error?.message || 'Failed to write autosave snapshot' };
+  }
+});
+ipcMain.handle('autosave:read', async (_event, payload) => {
+  try {
+    const snapshot = await autosaveService.readSnapshot(payload?.id);
+    mediaAccess.allowProject(snapshot?.project);
+    return { ok: true, snapshot };
   } catch (error) {
-    return { ok: false, error: error?.message || 'Failed to send virtual MIDI message' };
+    return { ok: false, error: error?.message || 'Failed to read autosave snapshot' };
+  }
+});
+ipcMain.handle('autosave:dismiss-recovery', () => {
+  autosaveService.dismissRecovery();
+  return { ok: true };
+});
+ipcMain.handle('project:get-recent', () => projectFileStore.getRecent());
+ipcMain.handle('project:remove-recent', (_event, payload) => projectFileStore.removeRecent(payload?.filePath));
+ipcMain.handle('project:clear-recent', () => {
+  app.clearRecentDocuments();
+  return projectFileStore.clearRecent();
+});
+ipcMain.handle('project:set-document-state', (event, payload) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (!win) return { ok: false };
+  const documentState = projectDocumentStateByWindow.get(win.id) || { closeConfirmed: false };
+  documentState.dirty = Boolean(payload?.dirty);
+  documentState.filePath = typeof payload?.filePath === 'string' && payload.filePath ? payload.filePath : null;
+  documentState.name = typeof payload?.name === 'string' ? payload.name : '';
+  projectDocumentStateByWindow.set(win.id, documentState);
+  if (process.platform === 'darwin') {
+    win.setDocumentEdited(documentState.dirty);
+    win.setRepresentedFilename(documentState.filePath || '');
+  }
+  return { ok: true };
+});
+ipcMain.handle('project:confirm-close', (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (!win) return { ok: false };
+  const documentState = projectDocumentStateByWindow.get(win.id);
+  if (documentState) {
+    documentState.closeConfirmed = true;
+  }
+  if (isAppQuitting) {
+    app.quit();
+  } else {
+    win.close();
   }
+  return { ok: true };
+});
+ipcMain.handle('project:cancel-close', () => {
+  isAppQuitting = false;
+  return { ok: true };
 });
-ipcMain.handle('midi:virtual-status', () => ({
-  status: appMidiInputPort && appMidiOutputPort ? 'ready' : 'unavailable',
-  inputName: APP_MIDI_INPUT_PORT_NAME,
-  outputName: APP_MIDI_OUTPUT_PORT_NAME,
-  inputAvailable: Boolean(appMidiInputPort),
-  outputAvailable: Boolean(appMidiOutputPort),
-}));
 
 app.on('before-quit', () => {
+  isAppQuitting = true;
+});
+
+app.on('will-quit', () => {
+  autosaveService.markCleanExit();
   nativeAudioEngine.shutdown();
-  closeVirtualMidiPorts();
+  midiPortManager.stop();
   closeOscListener(false).catch(() => {});
   closeOscControlListener(false).catch(() => {});
+  closeOscQueryServer(false).catch(() => {});
   if (oscRecorderWorker) {
     try {
       oscRecorderWorker.terminate();
@@ -819,6 +1264,14 @@ app.on('before-quit', () => {
     oscRecorderWorker = null;
   }
   rejectOscRecorderPending('Application is shutting down');
+  if (playbackEngineWorker) {
+    try {
+      playbackEngineWorker.terminate();
+    } catch (error) {
+      // Ignore worker termination errors.
+    }
+    playbackEngineWorker = null;
+  }
   try {
     oscSocket.close();
   } catch (error) {
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const MEDIA_PROTOCOL = 'osconductor-media';
+const MEDIA_CONTENT_TYPES = {
+  '.wav': 'audio/wav',
+  '.aif': 'audio/aiff',
+  '.aiff': 'audio/aiff',
+  '.aifc': 'audio/aiff',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+};
+
+const collectProjectMediaPaths = (project) => {
+  const compositions = Array.isArray(project?.compositions) ? project.compositions : [];
+  const tracks = [
+    ...(Array.isArray(project?.tracks) ? project.tracks : []),
+    ...compositions.flatMap((composition) => (Array.isArray(composition?.tracks) ? composition.tracks : [])),
+  ];
+  return tracks
+    .filter((track) => track?.kind === 'audio' && track.audio)
+    .flatMap((track) => [track.audio.nativePath, track.audio.sourcePath])
+    .filter((filePath) => typeof filePath === 'string' && filePath);
+};
+
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  if (!match[1]) {
+    const suffix = Math.min(Number(match[2]), size);
+    return suffix > 0 ? { start: size - suffix, end: size - 1 } : null;
+  }
+  const start = Number(match[1]);
+  const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  return start <= end ? { start, end } : null;
+};
+
+// Serves audio to the renderer by URL instead of copying whole files over IPC. Only files
+// referenced by a project main itself loaded, or picked in a media dialog, get a URL.
+class MediaAccess {
+  constructor() {
+    this.allowedPaths = new Set();
+    this.pathByToken = new Map();
+    this.tokenByPath = new Map();
+  }
+
+  allowFile(filePath) {
+    if (typeof filePath !== 'string' || !filePath) return;
+    this.allowedPaths.add(path.resolve(filePath));
+  }
+
+  allowProject(project) {
+    collectProjectMediaPaths(project).forEach((filePath) => this.allowFile(filePath));
+  }
+
+  async open(filePath) {
+    const resolved = typeof filePath === 'string' && filePath ? path.resolve(filePath) : '';
+    if (!resolved) return { ok: false, error: 'No media path provided' };
+    if (!this.allowedPaths.has(resolved)) {
+      return { ok: false, error: 'Media file is not part of the loaded project' };
+    }
+    const stat = await fs.promises.stat(resolved);
+    if (!stat.isFile()) return { ok: false, error: 'Media path is not a file' };
+    if (!stat.size) return { ok: false, error: 'Media file is empty' };
+    let token = this.tokenByPath.get(resolved);
+    if (!token) {
+      token = crypto.randomUUID();
+      this.tokenByPath.set(resolved, token);
+      this.pathByToken.set(token, resolved);
+    }
+    return {
+      ok: true,
+      filePath: resolved,
+      name: path.basename(resolved),
+      size: stat.size,
+      url: `${MEDIA_PROTOCOL}://media/${token}`,
+    };
+  }
+
+  // Streams the file with Range support so audio elements can seek without loading it whole.
+  async handleRequest(request) {
+    const token = new URL(request.url).pathname.replace(/^\/+/, '');
+    const filePath = this.pathByToken.get(token);
+    if (!filePath) return new Response(null, { status: 404 });
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      return new Response(null, { status: 404 });
+    }
+    const headers = {
+      'Accept-Ranges': 'bytes',
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': MEDIA_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    };
+    const rangeHeader = request.headers.get('range');
+    const range = rangeHeader ? parseRange(rangeHeader, stat.size) : null;
+    if (rangeHeader && !range) {
+      return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${stat.size}` } });
+    }
+    const { start, end } = range || { start: 0, end: stat.size - 1 };
+    const body = Readable.toWeb(fs.createReadStream(filePath, { start, end }));
+    return new Response(body, {
+      status: range ? 206 : 200,
+      headers: {
+        ...headers,
+        'Content-Length': String(end - start + 1),
+        ...(range ? { 'Content-Range': `bytes ${start}-${end}/${stat.size}` } : {}),
+      },
+    });
+  }
+}
+
+const createMediaAccess = () => new MediaAccess();
+
+module.exports = {
+  MEDIA_PROTOCOL,
+  createMediaAccess,
+};
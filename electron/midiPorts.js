@@ -0,0 +1,251 @@
+const MIDI_PORT_POLL_INTERVAL_MS = 2000;
+const VIRTUAL_MIDI_INPUT_ID = 'virtual-midi-in';
+const VIRTUAL_MIDI_OUTPUT_ID = 'virtual-midi-out';
+const APP_MIDI_INPUT_PORT_NAME = 'OSConductor MIDI IN';
+const APP_MIDI_OUTPUT_PORT_NAME = 'OSConductor MIDI OUT';
+const MIDI_INPUT_ID_PREFIX = 'midi-in:';
+const MIDI_OUTPUT_ID_PREFIX = 'midi-out:';
+const APP_PORT_NAMES = new Set([APP_MIDI_INPUT_PORT_NAME, APP_MIDI_OUTPUT_PORT_NAME]);
+
+const toMidiBytes = (bytes) => (
+  (Array.isArray(bytes) ? bytes : [])
+    .map((value) => Number(value))
+    .filter((value) => Number.isFinite(value))
+    .map((value) => Math.max(0, Math.min(255, Math.round(value))))
+);
+
+// ALSA appends client:port numbers that can change between sessions, so they are left out of the name.
+const getStablePortName = (name) => String(name || '').replace(/\s+\d+:\d+$/, '').trim();
+
+const listPortNames = (probe) => {
+  if (!probe) return [];
+  try {
+    const count = probe.getPortCount();
+    return Array.from({ length: count }, (_, index) => probe.getPortName(index));
+  } catch (error) {
+    return [];
+  }
+};
+
+// Ids are built from port names so a saved id finds the same device after a replug or restart.
+// Devices sharing a name are told apart by their order: "midi-out:Name", "midi-out:Name#2", ...
+const buildPortList = (names, prefix) => {
+  const seen = new Map();
+  const ports = [];
+  names.forEach((rawName, index) => {
+    const name = getStablePortName(rawName) || `Port ${index + 1}`;
+    if (APP_PORT_NAMES.has(name)) return;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    ports.push({
+      id: `${prefix}${name}${count > 1 ? `#${count}` : ''}`,
+      name: count > 1 ? `${name} #${count}` : name,
+      index,
+    });
+  });
+  return ports;
+};
+
+const closeMidiPort = (port) => {
+  if (!port) return;
+  try {
+    port.closePort();
+  } catch (error) {
+    // Ignore close errors.
+  }
+};
+
+// Owns every MIDI port the app uses: the two virtual ports plus hardware inputs and outputs,
+// which are polled for hot-plug changes. Outputs open on first send; inputs open while wanted.
+class MidiPortManager {
+  constructor(options = {}) {
+    this.midi = options.midi || null;
+    this.onPortsChanged = typeof options.onPortsChanged === 'function' ? options.onPortsChanged : () => {};
+    this.onMessage = typeof options.onMessage === 'function' ? options.onMessage : () => {};
+    this.onWarning = typeof options.onWarning === 'function' ? options.onWarning : () => {};
+    this.pollIntervalMs = Number(options.pollIntervalMs) || MIDI_PORT_POLL_INTERVAL_MS;
+    this.inputs = [];
+    this.outputs = [];
+    this.listKey = '';
+    this.openInputs = new Map();
+    this.openOutputs = new Map();
+    this.wantedInputIds = new Set();
+    this.virtualInput = null;
+    this.virtualOutput = null;
+    this.inputProbe = null;
+    this.outputProbe = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.midi) {
+      this.onWarning('MIDI library unavailable. MIDI ports are disabled.');
+      this.onPortsChanged(this.getPorts());
+      return;
+    }
+    if (this.timer) return;
+    this.openVirtualPorts();
+    try {
+      this.inputProbe = new this.midi.Input();
+      this.outputProbe = new this.midi.Output();
+    } catch (error) {
+      this.onWarning(`Failed to list MIDI ports: ${error?.message || error}`);
+    }
+    if (!this.refresh()) this.onPortsChanged(this.getPorts());
+    this.timer = setInterval(() => this.refresh(), this.pollIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.closeHardwarePorts();
+    closeMidiPort(this.virtualInput);
+    closeMidiPort(this.virtualOutput);
+    this.virtualInput = null;
+    this.virtualOutput = null;
+    this.inputProbe = null;
+    this.outputProbe = null;
+  }
+
+  openVirtualPorts() {
+    try {
+      const input = new this.midi.Input();
+      input.ignoreTypes(false, false, false);
+      input.on('message', (deltaTime, message) => this.emitMessage(VIRTUAL_MIDI_INPUT_ID, deltaTime, message));
+      input.openVirtualPort(APP_MIDI_INPUT_PORT_NAME);
+      this.virtualInput = input;
+    } catch (error) {
+      this.virtualInput = null;
+      this.onWarning(`Failed to open virtual MIDI input: ${error?.message || error}`);
+    }
+    try {
+      const output = new this.midi.Output();
+      output.openVirtualPort(APP_MIDI_OUTPUT_PORT_NAME);
+      this.virtualOutput = output;
+    } catch (error) {
+      this.virtualOutput = null;
+      this.onWarning(`Failed to open virtual MIDI output: ${error?.message || error}`);
+    }
+  }
+
+  refresh() {
+    const inputs = buildPortList(listPortNames(this.inputProbe), MIDI_INPUT_ID_PREFIX);
+    const outputs = buildPortList(listPortNames(this.outputProbe), MIDI_OUTPUT_ID_PREFIX);
+    const key = JSON.stringify([inputs, outputs]);
+    if (key === this.listKey) return false;
+    this.listKey = key;
+    this.inputs = inputs;
+    this.outputs = outputs;
+    // Port indexes shift when devices come and go, so open ports are reopened from the new list.
+    this.closeHardwarePorts();
+    this.syncInputs();
+    this.onPortsChanged(this.getPorts());
+    return true;
+  }
+
+  getPorts() {
+    return {
+      available: Boolean(this.midi),
+      virtual: {
+        inputId: VIRTUAL_MIDI_INPUT_ID,
+        outputId: VIRTUAL_MIDI_OUTPUT_ID,
+        inputName: APP_MIDI_INPUT_PORT_NAME,
+        outputName: APP_MIDI_OUTPUT_PORT_NAME,
+        inputAvailable: Boolean(this.virtualInput),
+        outputAvailable: Boolean(this.virtualOutput),
+      },
+      inputs: this.inputs.map(({ id, name }) => ({ id, name })),
+      outputs: this.outputs.map(({ id, name }) => ({ id, name })),
+    };
+  }
+
+  closeHardwarePorts() {
+    this.openInputs.forEach(closeMidiPort);
+    this.openOutputs.forEach(closeMidiPort);
+    this.openInputs.clear();
+    this.openOutputs.clear();
+  }
+
+  // A failed open is remembered as null until the port list changes, so playback does not retry every frame.
+  getOutput(outputId) {
+    if (outputId === VIRTUAL_MIDI_OUTPUT_ID) return this.virtualOutput;
+    if (this.openOutputs.has(outputId)) return this.openOutputs.get(outputId);
+    const entry = this.outputs.find((port) => port.id === outputId);
+    if (!entry) return null;
+    let output = null;
+    try {
+      output = new this.midi.Output();
+      output.openPort(entry.index);
+    } catch (error) {
+      output = null;
+      this.onWarning(`Failed to open MIDI output "${entry.name}": ${error?.message || error}`);
+    }
+    this.openOutputs.set(outputId, output);
+    return output;
+  }
+
+  send(outputId, rawBytes) {
+    const bytes = toMidiBytes(rawBytes);
+    if (!bytes.length) return { ok: false, error: 'No MIDI bytes provided' };
+    const output = this.getOutput(outputId || VIRTUAL_MIDI_OUTPUT_ID);
+    if (!output) return { ok: false, error: 'MIDI output unavailable' };
+    try {
+      output.sendMessage(bytes);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: error?.message || 'Failed to send MIDI message' };
+    }
+  }
+
+  // The virtual input is always open; hardware inputs only while something listens to them.
+  setInputs(inputIds) {
+    this.wantedInputIds = new Set(
+      (Array.isArray(inputIds) ? inputIds : [])
+        .filter((id) => typeof id === 'string' && id && id !== VIRTUAL_MIDI_INPUT_ID)
+    );
+    this.syncInputs();
+    return { ok: true };
+  }
+
+  syncInputs() {
+    this.openInputs.forEach((input, id) => {
+      if (this.wantedInputIds.has(id) && this.inputs.some((port) => port.id === id)) return;
+      closeMidiPort(input);
+      this.openInputs.delete(id);
+    });
+    if (!this.midi) return;
+    this.inputs.forEach((entry) => {
+      if (!this.wantedInputIds.has(entry.id) || this.openInputs.has(entry.id)) return;
+      try {
+        const input = new this.midi.Input();
+        input.ignoreTypes(false, false, false);
+        input.on('message', (deltaTime, message) => this.emitMessage(entry.id, deltaTime, message));
+        input.openPort(entry.index);
+        this.openInputs.set(entry.id, input);
+      } catch (error) {
+        this.onWarning(`Failed to open MIDI input "${entry.name}": ${error?.message || error}`);
+      }
+    });
+  }
+
+  emitMessage(inputId, deltaTime, message) {
+    const bytes = toMidiBytes(message);
+    if (!bytes.length) return;
+    this.onMessage({
+      inputId,
+      bytes,
+      deltaTime: Number(deltaTime) || 0,
+      timestamp: Date.now(),
+    });
+  }
+}
+
+const createMidiPortManager = (options) => new MidiPortManager(options);
+
+module.exports = {
+  VIRTUAL_MIDI_INPUT_ID,
+  VIRTUAL_MIDI_OUTPUT_ID,
+  createMidiPortManager,
+};
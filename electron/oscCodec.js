@@ -0,0 +1,328 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ARTNET_CHANNEL_COUNT = 512;
+const ARTNET_PROTOCOL_VERSION = 14;
+const NTP_EPOCH_OFFSET_SECONDS = 2208988800;
+const OSC_BUNDLE_HEADER_SIZE = 16;
+const OSC_BUNDLE_MIN_MTU = 128;
+const OSC_BUNDLE_MAX_MTU = 65507;
+
+const align4 = (size) => (size + 3) & ~0x03;
+
+// Int64 and bool values follow the renderer's argument rules; callers await this before encoding.
+let oscArguments = null;
+const oscCodecReady = import(pathToFileURL(path.join(__dirname, '..', 'shared', 'oscArguments.mjs')).href)
+  .then((module) => {
+    oscArguments = module;
+    return module;
+  })
+  .catch(() => null);
+
+const normalizeArgumentValue = (type, value) => {
+  if (!oscArguments) throw new Error('Failed to load OSC argument module');
+  return oscArguments.normalizeOscArgumentValue(type, value);
+};
+
+const encodeOscString = (value) => {
+  const text = typeof value === 'string' ? value : '';
+  const raw = Buffer.from(text, 'utf8');
+  const size = align4(raw.length + 1);
+  const out = Buffer.alloc(size);
+  raw.copy(out, 0);
+  out[raw.length] = 0;
+  return out;
+};
+
+const encodeOscFloat = (value) => {
+  const out = Buffer.alloc(4);
+  out.writeFloatBE(Number(value) || 0, 0);
+  return out;
+};
+
+const encodeOscInt = (value) => {
+  const out = Buffer.alloc(4);
+  out.writeInt32BE(Math.round(Number(value) || 0), 0);
+  return out;
+};
+
+const encodeOscDouble = (value) => {
+  const out = Buffer.alloc(8);
+  out.writeDoubleBE(Number(value) || 0, 0);
+  return out;
+};
+
+const encodeOscInt64 = (value) => {
+  const out = Buffer.alloc(8);
+  const text = normalizeArgumentValue('int64', typeof value === 'bigint' ? value.toString() : value);
+  out.writeBigInt64BE(BigInt(text), 0);
+  return out;
+};
+
+const toOscBlobBuffer = (value) => {
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Uint8Array || Array.isArray(value)) return Buffer.from(value);
+  const hex = typeof value === 'string' ? value.replace(/[^0-9a-f]/gi, '') : '';
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+};
+
+const encodeOscBlob = (value) => {
+  const raw = toOscBlobBuffer(value);
+  const out = Buffer.alloc(4 + align4(raw.length));
+  out.writeInt32BE(raw.length, 0);
+  raw.copy(out, 4);
+  return out;
+};
+
+const encodeOscChar = (value) => {
+  const code = typeof value === 'string' ? (value.codePointAt(0) || 0) : Math.round(Number(value) || 0);
+  return encodeOscInt(code);
+};
+
+// Typed arguments use the same type names as the renderer's argument editor.
+const OSC_ARGUMENT_ENCODERS = {
+  int: (value) => ({ tag: 'i', data: encodeOscInt(value) }),
+  float: (value) => ({ tag: 'f', data: encodeOscFloat(value) }),
+  double: (value) => ({ tag: 'd', data: encodeOscDouble(value) }),
+  int64: (value) => ({ tag: 'h', data: encodeOscInt64(value) }),
+  string: (value) => ({ tag: 's', data: encodeOscString(value === undefined || value === null ? '' : String(value)) }),
+  bool: (value) => ({ tag: normalizeArgumentValue('bool', value) ? 'T' : 'F', data: null }),
+  nil: () => ({ tag: 'N', data: null }),
+  blob: (value) => ({ tag: 'b', data: encodeOscBlob(value) }),
+  char: (value) => ({ tag: 'c', data: encodeOscChar(value) }),
+};
+
+const buildOscMessage = (address, args) => {
+  const safeAddress = typeof address === 'string' && address.startsWith('/') ? address : '/value';
+  const encoded = (Array.isArray(args) ? args : []).map((arg) => {
+    const encoder = OSC_ARGUMENT_ENCODERS[arg?.type] || OSC_ARGUMENT_ENCODERS.float;
+    return encoder(arg?.value);
+  });
+  return Buffer.concat([
+    encodeOscString(safeAddress),
+    encodeOscString(`,${encoded.map((item) => item.tag).join('')}`),
+    ...encoded.filter((item) => item.data).map((item) => item.data),
+  ]);
+};
+
+const normalizeOscValueType = (valueType) => (
+  valueType === 'int' ? 'int' : (valueType === 'float' ? 'float' : 'auto')
+);
+
+const toOscPacketArgs = (value, valueType = 'auto') => {
+  const mode = normalizeOscValueType(valueType);
+  const values = Array.isArray(value) ? value : [value];
+  return values.map((item) => {
+    const numeric = Number.isFinite(Number(item)) ? Number(item) : 0;
+    if (mode === 'int') return { type: 'int', value: numeric };
+    if (mode === 'float' || !Array.isArray(value)) return { type: 'float', value: numeric };
+    return { type: Number.isInteger(numeric) ? 'int' : 'float', value: numeric };
+  });
+};
+
+const buildOscPacket = (address, value, valueType = 'auto') => (
+  buildOscMessage(address, toOscPacketArgs(value, valueType))
+);
+
+const readOscString = (buffer, offset) => {
+  if (offset >= buffer.length) return null;
+  let end = offset;
+  while (end < buffer.length && buffer[end] !== 0) {
+    end += 1;
+  }
+  if (end >= buffer.length) return null;
+  const value = buffer.toString('utf8', offset, end);
+  let nextOffset = end + 1;
+  while (nextOffset % 4 !== 0) {
+    nextOffset += 1;
+  }
+  if (nextOffset > buffer.length) return null;
+  return { value, nextOffset };
+};
+
+const OSC_TAG_TYPES = {
+  i: 'int',
+  f: 'float',
+  d: 'double',
+  h: 'int64',
+  s: 'string',
+  S: 'string',
+  b: 'blob',
+  c: 'char',
+  T: 'bool',
+  F: 'bool',
+  N: 'nil',
+  I: 'nil',
+};
+
+// Pairs decoded values with their type names; blobs become their byte length so they stay cloneable.
+const describeOscArgs = (args, typeTags = '') => (
+  (Array.isArray(args) ? args : []).map((value, index) => {
+    const type = OSC_TAG_TYPES[typeTags[index]] || 'float';
+    if (type === 'blob') return { type, value: Buffer.isBuffer(value) ? value.length : 0 };
+    return { type, value };
+  })
+);
+
+// Decoded int64 arguments are text, so they are converted here to drive numeric tracks.
+const findOscNumericArg = (args, typeTags = '') => (
+  (Array.isArray(args) ? args : [])
+    .map((value, index) => (typeTags[index] === 'h' ? Number(value) : value))
+    .find((value) => Number.isFinite(value))
+);
+
+const readOscArgument = (buffer, offset, typeTag) => {
+  if (typeTag === 'i') {
+    if (offset + 4 > buffer.length) return null;
+    return { value: buffer.readInt32BE(offset), nextOffset: offset + 4 };
+  }
+  if (typeTag === 'f') {
+    if (offset + 4 > buffer.length) return null;
+    return { value: buffer.readFloatBE(offset), nextOffset: offset + 4 };
+  }
+  if (typeTag === 'd') {
+    if (offset + 8 > buffer.length) return null;
+    return { value: buffer.readDoubleBE(offset), nextOffset: offset + 8 };
+  }
+  if (typeTag === 'h') {
+    if (offset + 8 > buffer.length) return null;
+    // Kept as text so values beyond Number.MAX_SAFE_INTEGER are not rounded.
+    return { value: buffer.readBigInt64BE(offset).toString(), nextOffset: offset + 8 };
+  }
+  if (typeTag === 's' || typeTag === 'S') {
+    const parsed = readOscString(buffer, offset);
+    if (!parsed) return null;
+    return { value: parsed.value, nextOffset: parsed.nextOffset };
+  }
+  if (typeTag === 'b') {
+    if (offset + 4 > buffer.length) return null;
+    const size = buffer.readInt32BE(offset);
+    const end = offset + 4 + Math.max(size, 0);
+    if (size < 0 || end > buffer.length) return null;
+    return { value: Buffer.from(buffer.subarray(offset + 4, end)), nextOffset: offset + 4 + align4(size) };
+  }
+  if (typeTag === 'c') {
+    if (offset + 4 > buffer.length) return null;
+    return { value: String.fromCodePoint(buffer.readUInt32BE(offset) & 0x10ffff), nextOffset: offset + 4 };
+  }
+  if (typeTag === 'T') return { value: true, nextOffset: offset };
+  if (typeTag === 'F') return { value: false, nextOffset: offset };
+  if (typeTag === 'N' || typeTag === 'I') return { value: null, nextOffset: offset };
+  return null;
+};
+
+const decodeOscPacket = (buffer) => {
+  const parsedAddress = readOscString(buffer, 0);
+  if (!parsedAddress) return [];
+  const address = parsedAddress.value;
+
+  if (address === '#bundle') {
+    let offset = parsedAddress.nextOffset + 8;
+    if (offset > buffer.length) return [];
+    const messages = [];
+    while (offset + 4 <= buffer.length) {
+      const elementSize = buffer.readInt32BE(offset);
+      offset += 4;
+      if (elementSize <= 0 || offset + elementSize > buffer.length) break;
+      const element = buffer.subarray(offset, offset + elementSize);
+      messages.push(...decodeOscPacket(element));
+      offset += elementSize;
+    }
+    return messages;
+  }
+
+  const parsedTypeTags = readOscString(buffer, parsedAddress.nextOffset);
+  if (!parsedTypeTags) return [{ address, args: [], typeTags: '' }];
+  const tags = parsedTypeTags.value.startsWith(',') ? parsedTypeTags.value.slice(1) : '';
+  let offset = parsedTypeTags.nextOffset;
+  const args = [];
+  for (let i = 0; i < tags.length; i += 1) {
+    const parsedArg = readOscArgument(buffer, offset, tags[i]);
+    if (!parsedArg) break;
+    args.push(parsedArg.value);
+    offset = parsedArg.nextOffset;
+  }
+  return [{ address, args, typeTags: tags.slice(0, args.length) }];
+};
+
+const encodeOscTimetag = (epochMs) => {
+  const out = Buffer.alloc(8);
+  const value = Number(epochMs);
+  if (!Number.isFinite(value) || value <= 0) {
+    // 0x00000000 00000001 means "apply immediately".
+    out.writeUInt32BE(0, 0);
+    out.writeUInt32BE(1, 4);
+    return out;
+  }
+  const seconds = Math.floor(value / 1000);
+  const fraction = Math.floor(((value - seconds * 1000) / 1000) * 0x100000000);
+  out.writeUInt32BE((seconds + NTP_EPOCH_OFFSET_SECONDS) >>> 0, 0);
+  out.writeUInt32BE(Math.min(fraction, 0xffffffff) >>> 0, 4);
+  return out;
+};
+
+const buildOscBundles = (packets, options = {}) => {
+  const list = Array.isArray(packets) ? packets.filter((packet) => Buffer.isBuffer(packet) && packet.length) : [];
+  if (!list.length) return [];
+  const parsedMtu = Math.round(Number(options.mtu));
+  const mtu = Number.isFinite(parsedMtu)
+    ? Math.min(Math.max(parsedMtu, OSC_BUNDLE_MIN_MTU), OSC_BUNDLE_MAX_MTU)
+    : 1400;
+  const header = Buffer.concat([encodeOscString('#bundle'), encodeOscTimetag(options.timetagMs)]);
+  const bundles = [];
+  let elements = [];
+  let size = OSC_BUNDLE_HEADER_SIZE;
+  const flush = () => {
+    if (!elements.length) return;
+    bundles.push(Buffer.concat([header, ...elements]));
+    elements = [];
+    size = OSC_BUNDLE_HEADER_SIZE;
+  };
+  list.forEach((packet) => {
+    const elementSize = 4 + packet.length;
+    // A message larger than the MTU still goes out, alone in its own bundle.
+    if (elements.length && size + elementSize > mtu) flush();
+    const sizeBuffer = Buffer.alloc(4);
+    sizeBuffer.writeInt32BE(packet.length, 0);
+    elements.push(sizeBuffer, packet);
+    size += elementSize;
+  });
+  flush();
+  return bundles;
+};
+
+const buildArtNetDmxPacket = (payload = {}) => {
+  const universe = Math.max(0, Math.min(32767, Math.round(Number(payload?.universe) || 0)));
+  const sequence = Math.max(0, Math.min(255, Math.round(Number(payload?.sequence) || 0)));
+  const sourceData = Array.isArray(payload?.data) ? payload.data : [];
+  const dmxData = Buffer.alloc(ARTNET_CHANNEL_COUNT, 0);
+  const copyCount = Math.min(sourceData.length, ARTNET_CHANNEL_COUNT);
+  for (let i = 0; i < copyCount; i += 1) {
+    const value = Number(sourceData[i]);
+    if (!Number.isFinite(value)) continue;
+    dmxData[i] = Math.max(0, Math.min(255, Math.round(value)));
+  }
+
+  const packet = Buffer.alloc(18 + ARTNET_CHANNEL_COUNT, 0);
+  packet.write('Art-Net\0', 0, 'ascii');
+  packet.writeUInt16LE(0x5000, 8);
+  packet.writeUInt16BE(ARTNET_PROTOCOL_VERSION, 10);
+  packet[12] = sequence;
+  packet[13] = 0;
+  packet.writeUInt16LE(universe, 14);
+  packet.writeUInt16BE(ARTNET_CHANNEL_COUNT, 16);
+  dmxData.copy(packet, 18);
+  return packet;
+};
+
+module.exports = {
+  buildArtNetDmxPacket,
+  buildOscBundles,
+  buildOscMessage,
+  buildOscPacket,
+  decodeOscPacket,
+  describeOscArgs,
+  findOscNumericArg,
+  oscCodecReady,
+  toOscPacketArgs,
+};
@@ -0,0 +1,87 @@
+const OSC_MONITOR_FLUSH_INTERVAL_MS = 100;
+const OSC_MONITOR_MAX_BATCH_ENTRIES = 2000;
+
+// Collects monitor entries while enabled and hands them over in batches; anything beyond the
+// batch limit is only counted so a flood of traffic cannot stall the sender.
+class OscMonitorTap {
+  constructor(options = {}) {
+    this.onFlush = typeof options.onFlush === 'function' ? options.onFlush : () => {};
+    this.intervalMs = Number(options.intervalMs) || OSC_MONITOR_FLUSH_INTERVAL_MS;
+    this.maxEntries = Number(options.maxEntries) || OSC_MONITOR_MAX_BATCH_ENTRIES;
+    this.enabled = false;
+    this.entries = [];
+    this.dropped = 0;
+    this.timer = null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    if (this.enabled) return;
+    this.entries = [];
+    this.dropped = 0;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  push(entry) {
+    if (!this.enabled) return;
+    if (this.entries.length < this.maxEntries) {
+      this.entries.push(entry);
+    } else {
+      this.dropped += 1;
+    }
+    this.schedule();
+  }
+
+  pushBatch(batch) {
+    if (!this.enabled) return;
+    const entries = Array.isArray(batch?.entries) ? batch.entries : [];
+    const room = Math.max(this.maxEntries - this.entries.length, 0);
+    this.entries.push(...entries.slice(0, room));
+    this.dropped += Math.max(entries.length - room, 0) + (Number(batch?.dropped) || 0);
+    if (this.entries.length || this.dropped) this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), this.intervalMs);
+  }
+
+  flush() {
+    this.timer = null;
+    if (!this.entries.length && !this.dropped) return;
+    const payload = { entries: this.entries, dropped: this.dropped };
+    this.entries = [];
+    this.dropped = 0;
+    this.onFlush(payload);
+  }
+}
+
+const createOscMonitorTap = (options) => new OscMonitorTap(options);
+
+const formatOscMonitorArg = (arg) => {
+  if (arg?.type === 'string' || arg?.type === 'char') return `${arg.type}:${JSON.stringify(String(arg.value ?? ''))}`;
+  if (arg?.type === 'blob') return `blob:${Number(arg.value) || 0}B`;
+  if (arg?.type === 'nil') return 'nil';
+  return `${arg?.type || 'float'}:${arg?.value}`;
+};
+
+const formatOscMonitorLog = (entries) => (
+  (Array.isArray(entries) ? entries : [])
+    .map((entry) => [
+      new Date(Number(entry?.time) || 0).toISOString(),
+      entry?.direction === 'out' ? 'OUT' : 'IN',
+      [entry?.source, entry?.label].filter(Boolean).join(':'),
+      entry?.host ? `${entry.host}:${entry.port ?? ''}` : '',
+      entry?.address || '',
+      (Array.isArray(entry?.args) ? entry.args : []).map(formatOscMonitorArg).join(' '),
+    ].join('\t'))
+    .join('\n')
+);
+
+module.exports = {
+  createOscMonitorTap,
+  formatOscMonitorLog,
+};
@@ -0,0 +1,68 @@
+const http = require('http');
+
+const OSC_QUERY_FETCH_TIMEOUT_MS = 4000;
+const OSC_QUERY_MAX_RESPONSE_BYTES = 8 * 1024 * 1024;
+
+const fetchOscQueryJson = (host, port, requestPath) => new Promise((resolve) => {
+  let settled = false;
+  const finish = (result) => {
+    if (settled) return;
+    settled = true;
+    resolve(result);
+  };
+  const request = http.get({
+    host,
+    port,
+    path: requestPath,
+    headers: { Accept: 'application/json' },
+    timeout: OSC_QUERY_FETCH_TIMEOUT_MS,
+  }, (response) => {
+    if (response.statusCode !== 200) {
+      response.resume();
+      finish({ ok: false, error: `HTTP ${response.statusCode}` });
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > OSC_QUERY_MAX_RESPONSE_BYTES) {
+        request.destroy(new Error('OSCQuery response is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => {
+      try {
+        finish({ ok: true, data: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+      } catch (error) {
+        finish({ ok: false, error: 'Response is not OSCQuery JSON' });
+      }
+    });
+  });
+  request.on('timeout', () => request.destroy(new Error('Connection timed out')));
+  request.on('error', (error) => finish({ ok: false, error: error?.message || 'OSCQuery request failed' }));
+});
+
+const fetchOscQueryNamespace = async (payload = {}) => {
+  const host = typeof payload.host === 'string' ? payload.host.trim() : '';
+  const port = Math.round(Number(payload.port));
+  if (!host) return { ok: false, error: 'Host is required' };
+  if (!Number.isFinite(port) || port < 1 || port > 65535) return { ok: false, error: 'Invalid port' };
+  const tree = await fetchOscQueryJson(host, port, '/');
+  if (!tree.ok) return tree;
+  if (!tree.data || typeof tree.data !== 'object') return { ok: false, error: 'Response is not OSCQuery JSON' };
+  // HOST_INFO is optional in the spec; older servers answer 4xx.
+  const hostInfo = await fetchOscQueryJson(host, port, '/?HOST_INFO');
+  return {
+    ok: true,
+    host,
+    port,
+    tree: tree.data,
+    hostInfo: hostInfo.ok && hostInfo.data && typeof hostInfo.data === 'object' ? hostInfo.data : null,
+  };
+};
+
+module.exports = {
+  fetchOscQueryNamespace,
+};
@@ -0,0 +1,486 @@
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const { buildOscMessage } = require('./oscCodec');
+const { createDnsSdAdvertiser } = require('./dnsSdAdvertiser');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WEBSOCKET_MAX_PAYLOAD_BYTES = 1024 * 1024;
+const WEBSOCKET_MAX_BUFFERED_BYTES = 1024 * 1024;
+const OSC_QUERY_VALUE_CACHE_LIMIT = 4096;
+const OSC_QUERY_ATTRIBUTES = new Set([
+  'FULL_PATH',
+  'CONTENTS',
+  'TYPE',
+  'ACCESS',
+  'VALUE',
+  'RANGE',
+  'DESCRIPTION',
+]);
+
+const OSC_QUERY_TYPE_TAGS = {
+  float: 'f',
+  int: 'i',
+  double: 'd',
+  int64: 'h',
+  string: 's',
+  bool: 'T',
+  nil: 'N',
+  blob: 'b',
+  char: 'c',
+};
+
+const normalizeOscQueryPath = (value) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  const segments = raw.split('/').filter(Boolean);
+  return `/${segments.join('/')}`;
+};
+
+const createOscQueryNode = (fullPath) => ({
+  fullPath,
+  description: '',
+  types: null,
+  access: 0,
+  range: null,
+  children: new Map(),
+});
+
+const encodeWebSocketFrame = (opcode, payload) => {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload ?? ''), 'utf8');
+  let header;
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = data.length;
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, data]);
+};
+
+// Minimal RFC 6455 server-side connection: unfragmented sends, masked client frames, ping/pong and close.
+class OscQueryWebSocket {
+  constructor(socket, options = {}) {
+    this.socket = socket;
+    this.onText = typeof options.onText === 'function' ? options.onText : () => {};
+    this.onBinary = typeof options.onBinary === 'function' ? options.onBinary : () => {};
+    this.onClose = typeof options.onClose === 'function' ? options.onClose : () => {};
+    this.pending = null;
+    this.fragments = [];
+    this.fragmentOpcode = 0;
+    this.listening = new Set();
+    this.closed = false;
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.closed = true;
+      this.onClose();
+    });
+  }
+
+  receive(chunk) {
+    let buffer = this.pending ? Buffer.concat([this.pending, chunk]) : chunk;
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) break;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) break;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(WEBSOCKET_MAX_PAYLOAD_BYTES) ? Infinity : Number(longLength);
+        offset = 10;
+      }
+      if (!masked || length > WEBSOCKET_MAX_PAYLOAD_BYTES) {
+        this.close(1002);
+        return;
+      }
+      if (buffer.length < offset + 4 + length) break;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.alloc(length);
+      for (let i = 0; i < length; i += 1) {
+        payload[i] = buffer[offset + 4 + i] ^ mask[i & 3];
+      }
+      buffer = buffer.subarray(offset + 4 + length);
+      this.handleFrame(fin, opcode, payload);
+      if (this.closed) return;
+    }
+    this.pending = buffer.length ? Buffer.from(buffer) : null;
+  }
+
+  handleFrame(fin, opcode, payload) {
+    if (opcode === 0x8) {
+      this.close(1000);
+      return;
+    }
+    if (opcode === 0x9) {
+      this.write(0xa, payload);
+      return;
+    }
+    if (opcode === 0xa) return;
+    if (opcode === 0x1 || opcode === 0x2) {
+      this.fragments = [payload];
+      this.fragmentOpcode = opcode;
+    } else if (opcode === 0x0 && this.fragmentOpcode) {
+      this.fragments.push(payload);
+    } else {
+      return;
+    }
+    if (!fin) return;
+    const message = Buffer.concat(this.fragments);
+    const messageOpcode = this.fragmentOpcode;
+    this.fragments = [];
+    this.fragmentOpcode = 0;
+    if (messageOpcode === 0x1) {
+      this.onText(message.toString('utf8'));
+    } else {
+      this.onBinary(message);
+    }
+  }
+
+  write(opcode, payload) {
+    if (this.closed || this.socket.destroyed) return false;
+    // Value streams are lossy: a slow client skips updates instead of growing the write buffer.
+    if (opcode === 0x2 && this.socket.writableLength > WEBSOCKET_MAX_BUFFERED_BYTES) return false;
+    this.socket.write(encodeWebSocketFrame(opcode, payload));
+    return true;
+  }
+
+  sendText(text) {
+    return this.write(0x1, Buffer.from(text, 'utf8'));
+  }
+
+  sendBinary(packet) {
+    return this.write(0x2, packet);
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.write(0x8, payload);
+    this.closed = true;
+    this.socket.end();
+    this.socket.destroySoon?.();
+  }
+}
+
+class OscQueryServer {
+  constructor(options = {}) {
+    this.name = typeof options.name === 'string' && options.name ? options.name : 'OSConductor';
+    this.getOscPort = typeof options.getOscPort === 'function' ? options.getOscPort : () => null;
+    this.onOscPacket = typeof options.onOscPacket === 'function' ? options.onOscPacket : () => {};
+    this.onWarning = typeof options.onWarning === 'function' ? options.onWarning : () => {};
+    this.server = null;
+    this.port = null;
+    this.advertiser = null;
+    this.advertiseError = null;
+    this.root = createOscQueryNode('/');
+    this.nodesByPath = new Map([['/', this.root]]);
+    this.namespaceSignature = '';
+    this.valuesByPath = new Map();
+    this.clients = new Set();
+  }
+
+  listen(port) {
+    return new Promise((resolve) => {
+      const server = http.createServer((request, response) => this.handleRequest(request, response));
+      server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+      let settled = false;
+      server.on('error', (error) => {
+        if (settled) return;
+        settled = true;
+        server.close();
+        resolve({ ok: false, error: error?.message || 'OSCQuery listen error' });
+      });
+      server.listen(port, '0.0.0.0', () => {
+        settled = true;
+        this.server = server;
+        this.port = port;
+        resolve({ ok: true });
+      });
+    });
+  }
+
+  async close() {
+    await this.setAdvertised(false);
+    this.clients.forEach((client) => client.close(1001));
+    this.clients.clear();
+    const server = this.server;
+    this.server = null;
+    this.port = null;
+    if (!server) return;
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+  }
+
+  // Advertises _oscjson._tcp over Bonjour so clients such as TouchOSC and Chataigne can find the server.
+  async setAdvertised(enabled) {
+    if (!enabled || !this.server) {
+      const advertiser = this.advertiser;
+      this.advertiser = null;
+      this.advertiseError = null;
+      if (advertiser) await advertiser.stop();
+      return { ok: true };
+    }
+    if (this.advertiser) return { ok: true };
+    const advertiser = createDnsSdAdvertiser({
+      serviceType: '_oscjson._tcp',
+      name: `${this.name} (${os.hostname().split('.')[0] || 'localhost'})`,
+      port: this.port,
+      txt: { txtvers: 1 },
+      onWarning: this.onWarning,
+    });
+    const result = await advertiser.start();
+    if (!result.ok) {
+      this.advertiseError = result.error;
+      return result;
+    }
+    // The server may have closed, or another call advertised, while the socket was binding.
+    if (!this.server || this.advertiser) {
+      await advertiser.stop();
+      return { ok: true };
+    }
+    this.advertiser = advertiser;
+    this.advertiseError = null;
+    return result;
+  }
+
+  ensureNode(fullPath) {
+    const existing = this.nodesByPath.get(fullPath);
+    if (existing) return existing;
+    const parentPath = fullPath.slice(0, fullPath.lastIndexOf('/')) || '/';
+    const parent = this.ensureNode(parentPath);
+    const node = createOscQueryNode(fullPath);
+    parent.children.set(fullPath.slice(parentPath.length === 1 ? 1 : parentPath.length + 1), node);
+    this.nodesByPath.set(fullPath, node);
+    return node;
+  }
+
+  setNamespace(entries) {
+    this.root = createOscQueryNode('/');
+    this.nodesByPath = new Map([['/', this.root]]);
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      const fullPath = normalizeOscQueryPath(entry?.path);
+      const node = this.ensureNode(fullPath);
+      if (typeof entry.description === 'string' && entry.description && !node.description) {
+        node.description = entry.description;
+      }
+      const types = Array.isArray(entry.types) ? entry.types.filter((type) => OSC_QUERY_TYPE_TAGS[type]) : [];
+      // Several tracks may share an address; the first published method wins.
+      if (!types.length || node.types) return;
+      node.types = types;
+      node.access = [1, 2, 3].includes(entry.access) ? entry.access : 1;
+      node.range = Array.isArray(entry.range)
+        ? types.map((_, index) => {
+          const item = entry.range[index];
+          const min = Number(item?.min);
+          const max = Number(item?.max);
+          return Number.isFinite(min) && Number.isFinite(max) ? { MIN: min, MAX: max } : {};
+        })
+        : null;
+    });
+    const signature = JSON.stringify(this.serializeNode(this.root, false));
+    if (signature === this.namespaceSignature) return;
+    const hadNamespace = Boolean(this.namespaceSignature);
+    this.namespaceSignature = signature;
+    if (hadNamespace) this.broadcastText(JSON.stringify({ COMMAND: 'PATH_CHANGED', DATA: '/' }));
+  }
+
+  updateValues(list) {
+    (Array.isArray(list) ? list : []).forEach((item) => {
+      const fullPath = normalizeOscQueryPath(item?.address);
+      if (!Array.isArray(item?.values)) return;
+      this.valuesByPath.delete(fullPath);
+      this.valuesByPath.set(fullPath, item.values);
+      if (this.valuesByPath.size > OSC_QUERY_VALUE_CACHE_LIMIT) {
+        this.valuesByPath.delete(this.valuesByPath.keys().next().value);
+      }
+      const node = this.nodesByPath.get(fullPath);
+      if (!node?.types) return;
+      let packet = null;
+      this.clients.forEach((client) => {
+        if (!client.listening.has(fullPath)) return;
+        if (!packet) {
+          packet = buildOscMessage(fullPath, node.types.map((type, index) => ({ type, value: item.values[index] })));
+        }
+        client.sendBinary(packet);
+      });
+    });
+  }
+
+  serializeNode(node, includeValues = true) {
+    const out = { FULL_PATH: node.fullPath };
+    if (node.description) out.DESCRIPTION = node.description;
+    if (node.children.size) {
+      out.CONTENTS = {};
+      node.children.forEach((child, name) => {
+        out.CONTENTS[name] = this.serializeNode(child, includeValues);
+      });
+    }
+    out.ACCESS = node.access;
+    if (!node.types) return out;
+    out.TYPE = node.types.map((type) => OSC_QUERY_TYPE_TAGS[type]).join('');
+    if (node.range) out.RANGE = node.range;
+    const values = includeValues && node.access !== 2 ? this.valuesByPath.get(node.fullPath) : null;
+    if (values) {
+      out.VALUE = node.types.map((type, index) => {
+        const value = values[index];
+        if (type === 'nil') return null;
+        return value === undefined ? null : value;
+      });
+    }
+    return out;
+  }
+
+  getHostInfo() {
+    const oscPort = Number(this.getOscPort());
+    return {
+      NAME: this.name,
+      OSC_PORT: Number.isFinite(oscPort) && oscPort > 0 ? oscPort : undefined,
+      OSC_TRANSPORT: 'UDP',
+      EXTENSIONS: {
+        ACCESS: true,
+        VALUE: true,
+        RANGE: true,
+        DESCRIPTION: true,
+        TAGS: false,
+        CLIPMODE: false,
+        UNIT: false,
+        CRITICAL: false,
+        LISTEN: true,
+        PATH_CHANGED: true,
+      },
+    };
+  }
+
+  handleRequest(request, response) {
+    const sendJson = (status, body) => {
+      response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      });
+      response.end(JSON.stringify(body));
+    };
+    if (request.method !== 'GET') {
+      response.writeHead(405, { Allow: 'GET' });
+      response.end();
+      return;
+    }
+    let url;
+    try {
+      url = new URL(request.url, 'http://localhost');
+    } catch (error) {
+      response.writeHead(400);
+      response.end();
+      return;
+    }
+    const attribute = url.search.replace(/^\?/, '').split('&')[0].split('=')[0].toUpperCase();
+    if (attribute === 'HOST_INFO') {
+      sendJson(200, this.getHostInfo());
+      return;
+    }
+    let fullPath;
+    try {
+      fullPath = normalizeOscQueryPath(decodeURIComponent(url.pathname));
+    } catch (error) {
+      fullPath = normalizeOscQueryPath(url.pathname);
+    }
+    const node = this.nodesByPath.get(fullPath);
+    if (!node) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    const serialized = this.serializeNode(node);
+    if (!attribute) {
+      sendJson(200, serialized);
+      return;
+    }
+    if (!OSC_QUERY_ATTRIBUTES.has(attribute)) {
+      response.writeHead(400);
+      response.end();
+      return;
+    }
+    // Per the OSCQuery spec an attribute the node does not have answers 204, not an empty object.
+    if (!(attribute in serialized)) {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+    sendJson(200, { [attribute]: serialized[attribute] });
+  }
+
+  handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (String(request.headers.upgrade || '').toLowerCase() !== 'websocket' || typeof key !== 'string') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(`${key}${WEBSOCKET_GUID}`).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n'));
+    const host = socket.remoteAddress;
+    const sourcePort = socket.remotePort;
+    const client = new OscQueryWebSocket(socket, {
+      onText: (text) => this.handleCommand(client, text),
+      onBinary: (packet) => this.onOscPacket(packet, { host, sourcePort }),
+      onClose: () => this.clients.delete(client),
+    });
+    this.clients.add(client);
+  }
+
+  handleCommand(client, text) {
+    let message = null;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    const command = typeof message?.COMMAND === 'string' ? message.COMMAND.toUpperCase() : '';
+    if (typeof message?.DATA !== 'string') return;
+    const fullPath = normalizeOscQueryPath(message.DATA);
+    if (command === 'LISTEN') {
+      client.listening.add(fullPath);
+      const node = this.nodesByPath.get(fullPath);
+      const values = this.valuesByPath.get(fullPath);
+      if (node?.types && values) {
+        client.sendBinary(buildOscMessage(fullPath, node.types.map((type, index) => ({ type, value: values[index] }))));
+      }
+      return;
+    }
+    if (command === 'IGNORE') {
+      client.listening.delete(fullPath);
+    }
+  }
+
+  broadcastText(text) {
+    this.clients.forEach((client) => client.sendText(text));
+  }
+}
+
+const createOscQueryServer = (options) => new OscQueryServer(options);
+
+module.exports = {
+  createOscQueryServer,
+};
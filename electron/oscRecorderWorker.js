@@ -1,5 +1,14 @@
 const { parentPort } = require('worker_threads');
 const dgram = require('dgram');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  decodeOscPacket,
+  describeOscArgs,
+  findOscNumericArg,
+  oscCodecReady,
+} = require('./oscCodec');
+const { createOscMonitorTap } = require('./oscMonitor');
 
 if (!parentPort) {
   process.exit(0);
@@ -8,12 +17,16 @@ if (!parentPort) {
 const OSC_RECORD_QUEUE_MAX_ITEMS = 50000000;
 const OSC_PREVIEW_QUEUE_MAX_ITEMS = 65536;
 const OSC_DRAIN_CHUNK_SIZE = 8192;
+const RECORD_MODES = new Set(['overwrite', 'touch', 'latch']);
 
 let recordQueue = [];
 let recordReadIndex = 0;
 let droppedRecordCount = 0;
 const previewQueueByAddress = new Map();
 const latestByAddress = new Map();
+// Notes are written once they end, so held notes wait here with the frame they started on.
+const heldMidiNotes = new Map();
+const lastMidiCcTimes = new Map();
 
 const recordState = {
   armed: false,
@@ -23,11 +36,43 @@ const recordState = {
   startPlayhead: 0,
   projectLength: 120,
   lastFrameIndex: -1,
+  mode: 'overwrite',
+  touchTimeoutMs: 500,
+  punchEnabled: false,
+  punchIn: 0,
+  punchOut: 0,
+  loopEnabled: false,
+  loopStart: 0,
+  loopEnd: 0,
+  midiInputId: 'virtual-midi-in',
 };
 
 let recordTimer = null;
 let listenSocket = null;
 let listenPort = null;
+let addressFilter = null;
+// The socket stays open while recording, OSC learn or input routes need it; only recording queues values.
+let isRecordListening = false;
+let isLearning = false;
+let oscRouter = null;
+const monitorTap = createOscMonitorTap({
+  onFlush: (payload) => parentPort.postMessage({ type: 'monitor', payload }),
+});
+const learnTap = createOscMonitorTap({
+  onFlush: (payload) => parentPort.postMessage({ type: 'learn', payload }),
+});
+
+const patternsReady = import(pathToFileURL(path.join(__dirname, '..', 'shared', 'oscPatterns.mjs')).href)
+  .catch(() => null);
+// Routes re-encode arguments, so they also wait for the codec's shared argument rules.
+const routesReady = Promise.all([
+  import(pathToFileURL(path.join(__dirname, '..', 'shared', 'oscRoutes.mjs')).href),
+  oscCodecReady,
+])
+  .then(([routes, codec]) => (codec ? routes : null))
+  .catch(() => null);
+
+const needsListener = () => isRecordListening || isLearning || Boolean(oscRouter);
 
 const emitListenStatus = (status, extra = {}) => {
   parentPort.postMessage({
@@ -71,10 +116,24 @@ const enqueuePreview = (payload) => {
   }
 };
 
-const getRuntime = (nowMs) => {
-  const fps = Math.max(Number(recordState.fps) || 30, 1);
+const hasRecordLoop = () => (
+  recordState.loopEnabled
+  && recordState.loopEnd - recordState.loopStart > 0.0001
+  && (Number(recordState.startPlayhead) || 0) < recordState.loopEnd
+);
+
+// Wraps like the internal clock: once past the loop end, time runs around the loop.
+const getRecordTime = (nowMs) => {
   const elapsedSeconds = Math.max((nowMs - (Number(recordState.startWallMs) || nowMs)) / 1000, 0);
   const rawTime = (Number(recordState.startPlayhead) || 0) + elapsedSeconds;
+  if (!hasRecordLoop() || rawTime < recordState.loopEnd) return rawTime;
+  const { loopStart, loopEnd } = recordState;
+  return loopStart + ((rawTime - loopEnd) % (loopEnd - loopStart));
+};
+
+const getRuntime = (nowMs) => {
+  const fps = Math.max(Number(recordState.fps) || 30, 1);
+  const rawTime = getRecordTime(nowMs);
   const projectLength = Math.max(Number(recordState.projectLength) || 0, 0);
   const clamped = Math.max(0, Math.min(rawTime, projectLength));
   const frameStep = 1 / fps;
@@ -95,28 +154,46 @@ const stopRecordTimer = () => {
 
 const emitRecordFrames = () => {
   if (!recordState.armed || !recordState.playing) return;
-  if (!latestByAddress.size) return;
 
   const nowMs = Date.now();
   const { frameStep, frameIndex, projectLength } = getRuntime(nowMs);
+  checkLoopWrap(frameIndex);
+  if (!latestByAddress.size) {
+    recordState.lastFrameIndex = frameIndex;
+    return;
+  }
   let nextFrameIndex = Number.isInteger(recordState.lastFrameIndex)
     ? recordState.lastFrameIndex + 1
     : frameIndex;
 
   if (nextFrameIndex > frameIndex) return;
 
+  const { mode, punchEnabled, punchIn, punchOut, touchTimeoutMs } = recordState;
+  const punchTolerance = frameStep * 0.5;
   for (let index = nextFrameIndex; index <= frameIndex; index += 1) {
     const time = Math.max(0, Math.min(index * frameStep, projectLength));
+    if (punchEnabled && (time < punchIn - punchTolerance || time > punchOut + punchTolerance)) continue;
     latestByAddress.forEach((latest, address) => {
       const value = Number(latest?.value);
       const firstFrameIndex = Number.isInteger(latest?.firstFrameIndex) ? latest.firstFrameIndex : 0;
       if (!Number.isFinite(value)) return;
       if (typeof address !== 'string' || !address) return;
-      if (index < firstFrameIndex) return;
+      // Overwrite writes every known address from the start of the pass; touch and latch
+      // only start once the address receives a message during the pass.
+      const writeFromIndex = mode === 'overwrite' ? firstFrameIndex : latest.touchedFrameIndex;
+      if (!Number.isInteger(writeFromIndex) || index < writeFromIndex) return;
+      if (mode === 'touch' && nowMs - latest.lastMessageMs > touchTimeoutMs) return;
+      // Consecutive frames form one written span; the renderer clears the old curve inside it.
+      const replaceFrom = latest.lastWrittenIndex === index - 1
+        ? Math.max(0, Math.min((index - 1) * frameStep, projectLength))
+        : time;
+      latest.lastWrittenIndex = index;
       enqueueRecord({
         address,
         value,
+        ...(latest.args ? { args: latest.args } : {}),
         time,
+        replaceFrom,
         record: true,
         timestamp: nowMs,
       });
@@ -126,7 +203,7 @@ const emitRecordFrames = () => {
   recordState.lastFrameIndex = frameIndex;
 };
 
-const restartRecordTimer = () => {
+const restartRecordTimer = (isNewPass = true) => {
   stopRecordTimer();
   if (!recordState.armed || !recordState.playing) {
     recordState.lastFrameIndex = -1;
@@ -139,7 +216,11 @@ const restartRecordTimer = () => {
     if (!Number.isFinite(value)) return;
     latestByAddress.set(address, {
       value,
+      args: latest.args || null,
       firstFrameIndex: frameIndex,
+      touchedFrameIndex: isNewPass ? null : latest.touchedFrameIndex,
+      lastWrittenIndex: isNewPass ? null : latest.lastWrittenIndex,
+      lastMessageMs: latest.lastMessageMs,
     });
   });
   recordState.lastFrameIndex = frameIndex - 1;
@@ -148,110 +229,31 @@ const restartRecordTimer = () => {
   recordTimer = setInterval(emitRecordFrames, tickMs);
 };
 
-const readOscString = (buffer, offset) => {
-  if (offset >= buffer.length) return null;
-  let end = offset;
-  while (end < buffer.length && buffer[end] !== 0) {
-    end += 1;
-  }
-  if (end >= buffer.length) return null;
-  const value = buffer.toString('utf8', offset, end);
-  let nextOffset = end + 1;
-  while (nextOffset % 4 !== 0) {
-    nextOffset += 1;
-  }
-  if (nextOffset > buffer.length) return null;
-  return { value, nextOffset };
-};
-
-const readOscArgument = (buffer, offset, typeTag) => {
-  if (typeTag === 'i') {
-    if (offset + 4 > buffer.length) return null;
-    return { value: buffer.readInt32BE(offset), nextOffset: offset + 4 };
-  }
-  if (typeTag === 'f') {
-    if (offset + 4 > buffer.length) return null;
-    return { value: buffer.readFloatBE(offset), nextOffset: offset + 4 };
-  }
-  if (typeTag === 'd') {
-    if (offset + 8 > buffer.length) return null;
-    return { value: buffer.readDoubleBE(offset), nextOffset: offset + 8 };
-  }
-  if (typeTag === 'h') {
-    if (offset + 8 > buffer.length) return null;
-    return { value: Number(buffer.readBigInt64BE(offset)), nextOffset: offset + 8 };
-  }
-  if (typeTag === 's') {
-    const parsed = readOscString(buffer, offset);
-    if (!parsed) return null;
-    return { value: parsed.value, nextOffset: parsed.nextOffset };
-  }
-  if (typeTag === 'T') return { value: true, nextOffset: offset };
-  if (typeTag === 'F') return { value: false, nextOffset: offset };
-  if (typeTag === 'N' || typeTag === 'I') return { value: null, nextOffset: offset };
-  return null;
-};
-
-const decodeOscPacket = (buffer) => {
-  const parsedAddress = readOscString(buffer, 0);
-  if (!parsedAddress) return [];
-  const address = parsedAddress.value;
-
-  if (address === '#bundle') {
-    let offset = parsedAddress.nextOffset + 8;
-    if (offset > buffer.length) return [];
-    const messages = [];
-    while (offset + 4 <= buffer.length) {
-      const elementSize = buffer.readInt32BE(offset);
-      offset += 4;
-      if (elementSize <= 0 || offset + elementSize > buffer.length) break;
-      const element = buffer.subarray(offset, offset + elementSize);
-      messages.push(...decodeOscPacket(element));
-      offset += elementSize;
-    }
-    return messages;
-  }
-
-  const parsedTypeTags = readOscString(buffer, parsedAddress.nextOffset);
-  if (!parsedTypeTags) return [{ address, args: [] }];
-  const tags = parsedTypeTags.value.startsWith(',') ? parsedTypeTags.value.slice(1) : '';
-  let offset = parsedTypeTags.nextOffset;
-  const args = [];
-
-  for (let i = 0; i < tags.length; i += 1) {
-    const parsedArg = readOscArgument(buffer, offset, tags[i]);
-    if (!parsedArg) break;
-    args.push(parsedArg.value);
-    offset = parsedArg.nextOffset;
-  }
-
-  return [{ address, args }];
-};
-
 const pushOsc = (payload) => {
   const address = typeof payload?.address === 'string' ? payload.address : '';
   const value = Number(payload?.value);
   if (!address || !Number.isFinite(value)) return;
+  if (addressFilter && !addressFilter(address)) return;
 
   const nowMs = Date.now();
   const runtime = getRuntime(nowMs);
   const firstFrameIndex = Number.isInteger(runtime.frameIndex) ? runtime.frameIndex : 0;
+  // Multi-argument messages keep their whole vector so array, 3D and color tracks can record it.
+  const args = Array.isArray(payload?.args) && payload.args.length > 1 ? payload.args : null;
   const previous = latestByAddress.get(address);
-  if (previous && typeof previous === 'object') {
-    latestByAddress.set(address, {
-      value,
-      firstFrameIndex: Number.isInteger(previous.firstFrameIndex)
-        ? previous.firstFrameIndex
-        : firstFrameIndex,
-    });
-  } else {
-    latestByAddress.set(address, {
-      value,
-      firstFrameIndex,
-    });
-  }
+  const isWriting = recordState.armed && recordState.playing;
+  latestByAddress.set(address, {
+    value,
+    args,
+    firstFrameIndex: Number.isInteger(previous?.firstFrameIndex) ? previous.firstFrameIndex : firstFrameIndex,
+    touchedFrameIndex: Number.isInteger(previous?.touchedFrameIndex)
+      ? previous.touchedFrameIndex
+      : (isWriting ? firstFrameIndex : null),
+    lastWrittenIndex: previous?.lastWrittenIndex ?? null,
+    lastMessageMs: nowMs,
+  });
 
-  if (recordState.armed && recordState.playing) return;
+  if (isWriting) return;
 
   enqueuePreview({
     address,
@@ -265,6 +267,115 @@ const pushOsc = (payload) => {
   });
 };
 
+const isInsidePunch = (time, frameStep) => (
+  !recordState.punchEnabled
+  || (time >= recordState.punchIn - frameStep * 0.5 && time <= recordState.punchOut + frameStep * 0.5)
+);
+
+const enqueueMidiRecord = (midi, time, extra = {}) => {
+  enqueueRecord({
+    midi,
+    time,
+    ...extra,
+    record: true,
+    timestamp: Date.now(),
+  });
+};
+
+// A note never runs past the loop end (when it started inside the loop) or the project end.
+const releaseMidiNote = (key, endFrameIndex) => {
+  const held = heldMidiNotes.get(key);
+  if (!held) return;
+  heldMidiNotes.delete(key);
+  const { frameStep, projectLength } = getRuntime(Date.now());
+  const time = Math.min(held.frameIndex * frameStep, projectLength);
+  if (!isInsidePunch(time, frameStep)) return;
+  const loopEndFrameIndex = Math.floor(recordState.loopEnd / frameStep + 1e-9);
+  const limitFrameIndex = hasRecordLoop() && held.frameIndex < loopEndFrameIndex
+    ? loopEndFrameIndex
+    : Math.floor(projectLength / frameStep + 1e-9);
+  const remainingFrames = Math.max(limitFrameIndex - held.frameIndex, 1);
+  const frames = endFrameIndex > held.frameIndex ? Math.min(endFrameIndex - held.frameIndex, remainingFrames) : remainingFrames;
+  enqueueMidiRecord({
+    type: 'note',
+    channel: held.channel,
+    note: held.note,
+    velocity: held.velocity,
+    duration: frames * frameStep,
+  }, time);
+};
+
+const releaseHeldMidiNotes = (endFrameIndex = getRuntime(Date.now()).frameIndex) => {
+  Array.from(heldMidiNotes.keys()).forEach((key) => releaseMidiNote(key, endFrameIndex));
+};
+
+// When the clock runs around the loop, held notes end at the loop end and writing starts
+// over from the loop start; touched addresses stay touched.
+const checkLoopWrap = (frameIndex) => {
+  if (!Number.isInteger(recordState.lastFrameIndex) || frameIndex >= recordState.lastFrameIndex) return;
+  if (!hasRecordLoop()) return;
+  const frameStep = 1 / Math.max(Number(recordState.fps) || 30, 1);
+  const loopStartFrameIndex = Math.floor(recordState.loopStart / frameStep + 1e-9);
+  releaseHeldMidiNotes(Math.floor(recordState.loopEnd / frameStep + 1e-9));
+  lastMidiCcTimes.clear();
+  latestByAddress.forEach((latest) => {
+    latest.firstFrameIndex = loopStartFrameIndex;
+    latest.touchedFrameIndex = Number.isInteger(latest.touchedFrameIndex) ? loopStartFrameIndex : null;
+    latest.lastWrittenIndex = null;
+  });
+  recordState.lastFrameIndex = loopStartFrameIndex - 1;
+};
+
+// MIDI from the record input is written on the same frame grid as OSC, but only where messages arrive.
+const pushMidi = (payload) => {
+  if (!recordState.armed || !recordState.playing) return;
+  if (payload?.inputId !== recordState.midiInputId) return;
+  const bytes = Array.isArray(payload?.bytes) ? payload.bytes : [];
+  const statusByte = Number(bytes[0]);
+  if (!(statusByte >= 0x80 && statusByte < 0xf0)) return;
+  const status = statusByte & 0xf0;
+  const channel = (statusByte & 0x0f) + 1;
+  const data1 = Number(bytes[1]) || 0;
+  const data2 = Number(bytes[2]) || 0;
+  const { frameStep, frameIndex, projectLength } = getRuntime(Date.now());
+  checkLoopWrap(frameIndex);
+  const time = Math.min(frameIndex * frameStep, projectLength);
+
+  if (status === 0x90 || status === 0x80) {
+    const key = `${channel}:${data1}`;
+    releaseMidiNote(key, frameIndex);
+    if (status === 0x90 && data2 > 0) {
+      heldMidiNotes.set(key, { channel, note: data1, velocity: data2, frameIndex });
+    }
+    return;
+  }
+  if (!isInsidePunch(time, frameStep)) return;
+  if (status === 0xb0) {
+    const key = `${channel}:${data1}`;
+    const previousTime = lastMidiCcTimes.get(key);
+    lastMidiCcTimes.set(key, time);
+    // Like OSC frames, the old curve between two messages of the same pass is replaced.
+    enqueueMidiRecord(
+      { type: 'cc', channel, controller: data1, value: data2 },
+      time,
+      Number.isFinite(previousTime) ? { replaceFrom: previousTime } : {}
+    );
+    return;
+  }
+  if (status === 0xc0) {
+    enqueueMidiRecord({ type: 'pc', channel, program: data1 }, time);
+  }
+};
+
+// Routed blobs keep their bytes; everything else goes out with the type it arrived with.
+const routeOsc = (packet) => {
+  const args = describeOscArgs(packet.args, packet.typeTags).map((arg, index) => (
+    arg.type === 'blob' ? { type: 'blob', value: packet.args[index] } : arg
+  ));
+  const sends = oscRouter(packet.address, args);
+  if (sends.length) parentPort.postMessage({ type: 'route', payload: sends });
+};
+
 const stopListener = () => new Promise((resolve) => {
   if (!listenSocket) {
     latestByAddress.clear();
@@ -312,12 +423,31 @@ const startListener = (portValue) => new Promise((resolve) => {
     socket.on('message', (msg, rinfo) => {
       const packets = decodeOscPacket(msg);
       packets.forEach((packet) => {
-        const value = packet.args.find((arg) => Number.isFinite(arg));
+        if (monitorTap.enabled || learnTap.enabled) {
+          // Monitor and learn see every message, including ones the record filter or a missing number skips.
+          const entry = {
+            time: Date.now(),
+            direction: 'in',
+            source: 'listener',
+            address: packet.address,
+            args: describeOscArgs(packet.args, packet.typeTags),
+            host: rinfo.address,
+            port: rinfo.port,
+          };
+          monitorTap.push(entry);
+          learnTap.push(entry);
+        }
+        if (oscRouter) routeOsc(packet);
+        if (!isRecordListening) return;
+        const value = findOscNumericArg(packet.args, packet.typeTags);
         if (!Number.isFinite(value)) return;
         pushOsc({
           address: packet.address,
           value,
-          args: packet.args,
+          // Typed pairs let recording keep int and int64 slots; blobs are kept as hex text.
+          args: describeOscArgs(packet.args, packet.typeTags).map((arg, index) => (
+            arg.type === 'blob' ? { type: 'blob', value: packet.args[index].toString('hex') } : arg
+          )),
           host: rinfo.address,
           sourcePort: rinfo.port,
           listenPort: safePort,
@@ -356,7 +486,31 @@ const setRecordingConfig = (payload) => {
   const nextStartWall = Number(payload?.startWallMs);
   const nextStartPlayhead = Number(payload?.startPlayhead);
   const nextLength = Math.max(Number(payload?.projectLength) || recordState.projectLength || 0, 0);
+  const nextTouchTimeout = Number(payload?.touchTimeout);
+  const isNewPass = nextArmed !== recordState.armed || nextPlaying !== recordState.playing;
+
+  if (isNewPass) {
+    if (recordState.armed && recordState.playing) releaseHeldMidiNotes();
+    heldMidiNotes.clear();
+    lastMidiCcTimes.clear();
+  }
+  const isContinuingPass = !isNewPass && recordState.armed && recordState.playing;
+  const previousFrameIndex = isContinuingPass ? getRuntime(Date.now()).frameIndex : null;
+  if (isContinuingPass) checkLoopWrap(previousFrameIndex);
+  if (typeof payload?.midiInputId === 'string' && payload.midiInputId) {
+    recordState.midiInputId = payload.midiInputId;
+  }
 
+  if (RECORD_MODES.has(payload?.mode)) recordState.mode = payload.mode;
+  if (Number.isFinite(nextTouchTimeout) && nextTouchTimeout > 0) {
+    recordState.touchTimeoutMs = nextTouchTimeout * 1000;
+  }
+  recordState.punchEnabled = Boolean(payload?.punchEnabled);
+  recordState.punchIn = Math.max(Number(payload?.punchIn) || 0, 0);
+  recordState.punchOut = Math.max(Number(payload?.punchOut) || 0, recordState.punchIn);
+  recordState.loopEnabled = Boolean(payload?.loopEnabled);
+  recordState.loopStart = Math.max(Number(payload?.loopStart) || 0, 0);
+  recordState.loopEnd = Math.max(Number(payload?.loopEnd) || 0, recordState.loopStart);
   recordState.armed = nextArmed;
   recordState.playing = nextPlaying;
   recordState.fps = nextFps;
@@ -367,8 +521,12 @@ const setRecordingConfig = (payload) => {
   if (Number.isFinite(nextStartPlayhead)) {
     recordState.startPlayhead = Math.max(nextStartPlayhead, 0);
   }
+  // A locate back in time ends held notes where the playhead left.
+  if (isContinuingPass && getRuntime(Date.now()).frameIndex < previousFrameIndex) {
+    releaseHeldMidiNotes(previousFrameIndex);
+  }
 
-  restartRecordTimer();
+  restartRecordTimer(isNewPass);
   return { ok: true };
 };
 
@@ -424,16 +582,62 @@ const clearQueues = () => {
   return { ok: true };
 };
 
+const setRecordFilters = async (payload = {}) => {
+  const patterns = await patternsReady;
+  if (!patterns) return { ok: false, error: 'Failed to load OSC pattern module' };
+  const include = patterns.parseOscPatternList(payload.include);
+  const exclude = patterns.parseOscPatternList(payload.exclude);
+  addressFilter = patterns.createOscAddressFilter({ include, exclude });
+  return {
+    ok: true,
+    invalid: patterns.findInvalidOscPatterns([...include, ...exclude]),
+  };
+};
+
+const setLearn = async (payload = {}) => {
+  isLearning = Boolean(payload.enabled);
+  learnTap.setEnabled(isLearning);
+  if (isLearning) {
+    return listenSocket ? { ok: true, port: listenPort } : startListener(payload.port);
+  }
+  if (!needsListener()) await stopListener();
+  return { ok: true };
+};
+
+const setRoutes = async (payload = {}) => {
+  const routes = await routesReady;
+  if (!routes) return { ok: false, error: 'Failed to load OSC route module' };
+  oscRouter = routes.createOscRouter(payload.routes);
+  if (oscRouter) return startListener(payload.port);
+  if (!needsListener()) await stopListener();
+  return { ok: true };
+};
+
+const stopRecordListening = async () => {
+  isRecordListening = false;
+  if (!needsListener()) return stopListener();
+  latestByAddress.clear();
+  recordState.lastFrameIndex = -1;
+  return { ok: true, port: listenPort };
+};
+
 const handleRpc = async (id, method, payload) => {
   let result = null;
   if (method === 'set-recording-config') {
     result = setRecordingConfig(payload);
+  } else if (method === 'set-record-filters') {
+    result = await setRecordFilters(payload);
   } else if (method === 'drain-buffer') {
     result = drainBuffer(payload);
   } else if (method === 'start-listener') {
+    isRecordListening = true;
     result = await startListener(payload?.port);
   } else if (method === 'stop-listener') {
-    result = await stopListener();
+    result = await stopRecordListening();
+  } else if (method === 'set-learn') {
+    result = await setLearn(payload);
+  } else if (method === 'set-routes') {
+    result = await setRoutes(payload);
   } else if (method === 'clear-queues') {
     result = clearQueues();
   } else {
@@ -452,6 +656,14 @@ parentPort.on('message', (message) => {
     pushOsc(message.payload);
     return;
   }
+  if (message.type === 'push-midi') {
+    pushMidi(message.payload);
+    return;
+  }
+  if (message.type === 'monitor') {
+    monitorTap.setEnabled(message.payload?.enabled);
+    return;
+  }
   if (message.type === 'rpc') {
     handleRpc(message.id, message.method, message.payload).catch((error) => {
       parentPort.postMessage({
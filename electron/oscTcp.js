@@ -0,0 +1,300 @@
+const net = require('net');
+
+const SLIP_END = 0xc0;
+const SLIP_ESC = 0xdb;
+const SLIP_ESC_END = 0xdc;
+const SLIP_ESC_ESC = 0xdd;
+const OSC_TCP_MAX_PACKET_BYTES = 4 * 1024 * 1024;
+const OSC_TCP_MAX_BUFFERED_BYTES = 1024 * 1024;
+const OSC_TCP_RECONNECT_MIN_MS = 500;
+const OSC_TCP_RECONNECT_MAX_MS = 5000;
+const OSC_TCP_CONNECT_TIMEOUT_MS = 4000;
+
+const OSC_OUTPUT_TRANSPORT_FRAMING = {
+  'tcp-length': 'length',
+  'tcp-slip': 'slip',
+};
+
+const getOscTransportFraming = (transport) => OSC_OUTPUT_TRANSPORT_FRAMING[transport] || null;
+
+const encodeSlipFrame = (packet) => {
+  let escapes = 0;
+  for (let i = 0; i < packet.length; i += 1) {
+    if (packet[i] === SLIP_END || packet[i] === SLIP_ESC) escapes += 1;
+  }
+  // OSC 1.1 uses double-ended SLIP: END before and after every packet.
+  const out = Buffer.alloc(packet.length + escapes + 2);
+  let offset = 0;
+  out[offset++] = SLIP_END;
+  for (let i = 0; i < packet.length; i += 1) {
+    const byte = packet[i];
+    if (byte === SLIP_END) {
+      out[offset++] = SLIP_ESC;
+      out[offset++] = SLIP_ESC_END;
+    } else if (byte === SLIP_ESC) {
+      out[offset++] = SLIP_ESC;
+      out[offset++] = SLIP_ESC_ESC;
+    } else {
+      out[offset++] = byte;
+    }
+  }
+  out[offset] = SLIP_END;
+  return out;
+};
+
+const encodeLengthFrame = (packet) => {
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(packet.length, 0);
+  return Buffer.concat([header, packet]);
+};
+
+const encodeOscStreamFrame = (packet, framing) => (
+  framing === 'slip' ? encodeSlipFrame(packet) : encodeLengthFrame(packet)
+);
+
+class OscStreamDecoder {
+  constructor(framing, onPacket) {
+    // A null framing is detected from the first byte: length prefixes start with 0x00.
+    this.framing = framing === 'slip' || framing === 'length' ? framing : null;
+    this.onPacket = onPacket;
+    this.pending = null;
+    this.slipChunks = [];
+    this.slipSize = 0;
+    this.slipEscape = false;
+  }
+
+  push(chunk) {
+    if (!chunk?.length) return true;
+    if (!this.framing) {
+      this.framing = chunk[0] === 0 ? 'length' : 'slip';
+    }
+    return this.framing === 'slip' ? this.pushSlip(chunk) : this.pushLength(chunk);
+  }
+
+  pushLength(chunk) {
+    let buffer = this.pending ? Buffer.concat([this.pending, chunk]) : chunk;
+    while (buffer.length >= 4) {
+      const size = buffer.readUInt32BE(0);
+      if (size > OSC_TCP_MAX_PACKET_BYTES) {
+        this.pending = null;
+        return false;
+      }
+      if (buffer.length < 4 + size) break;
+      if (size > 0) this.onPacket(Buffer.from(buffer.subarray(4, 4 + size)));
+      buffer = buffer.subarray(4 + size);
+    }
+    this.pending = buffer.length ? Buffer.from(buffer) : null;
+    return true;
+  }
+
+  pushSlip(chunk) {
+    let start = 0;
+    const appendRange = (end) => {
+      if (end > start) {
+        this.slipChunks.push(chunk.subarray(start, end));
+        this.slipSize += end - start;
+      }
+    };
+    for (let i = 0; i < chunk.length; i += 1) {
+      const byte = chunk[i];
+      if (this.slipEscape) {
+        this.slipEscape = false;
+        const decoded = byte === SLIP_ESC_END ? SLIP_END : (byte === SLIP_ESC_ESC ? SLIP_ESC : byte);
+        this.slipChunks.push(Buffer.from([decoded]));
+        this.slipSize += 1;
+        start = i + 1;
+        continue;
+      }
+      if (byte !== SLIP_END && byte !== SLIP_ESC) continue;
+      appendRange(i);
+      start = i + 1;
+      if (byte === SLIP_ESC) {
+        this.slipEscape = true;
+        continue;
+      }
+      if (this.slipSize > 0) {
+        this.onPacket(Buffer.concat(this.slipChunks, this.slipSize));
+      }
+      this.slipChunks = [];
+      this.slipSize = 0;
+    }
+    appendRange(chunk.length);
+    if (this.slipSize > OSC_TCP_MAX_PACKET_BYTES) {
+      this.slipChunks = [];
+      this.slipSize = 0;
+      return false;
+    }
+    // Chunks alias the socket buffer, so keep a private copy of any partial packet.
+    if (this.slipChunks.length) {
+      this.slipChunks = [Buffer.concat(this.slipChunks, this.slipSize)];
+    }
+    return true;
+  }
+}
+
+class OscTcpClient {
+  constructor(options = {}) {
+    this.host = options.host;
+    this.port = options.port;
+    this.framing = options.framing === 'slip' ? 'slip' : 'length';
+    this.onStatus = typeof options.onStatus === 'function' ? options.onStatus : () => {};
+    this.socket = null;
+    this.status = 'idle';
+    this.lastError = '';
+    this.reconnectDelayMs = OSC_TCP_RECONNECT_MIN_MS;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  matches(host, port, framing) {
+    return this.host === host && this.port === port && this.framing === framing;
+  }
+
+  setStatus(status, error = '') {
+    if (this.status === status && this.lastError === error) return;
+    this.status = status;
+    this.lastError = error;
+    this.onStatus({ status, error });
+  }
+
+  connect() {
+    if (this.closed || this.socket) return;
+    // Retries stay "disconnected" so the indicator does not flicker between attempts.
+    if (this.status !== 'disconnected') this.setStatus('connecting');
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket = socket;
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true, 5000);
+    socket.setTimeout(OSC_TCP_CONNECT_TIMEOUT_MS, () => {
+      if (this.status !== 'connected') socket.destroy(new Error('Connection timed out'));
+    });
+    socket.once('connect', () => {
+      socket.setTimeout(0);
+      this.reconnectDelayMs = OSC_TCP_RECONNECT_MIN_MS;
+      this.setStatus('connected');
+    });
+    // Replies from the receiver are not used yet; reading keeps the socket flowing.
+    socket.on('data', () => {});
+    socket.on('error', (error) => {
+      this.lastError = error?.message || 'TCP connection error';
+    });
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (this.closed) return;
+      this.setStatus('disconnected', this.lastError);
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) return;
+    const delay = this.reconnectDelayMs;
+    this.reconnectDelayMs = Math.min(this.reconnectDelayMs * 2, OSC_TCP_RECONNECT_MAX_MS);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  send(packet) {
+    const socket = this.socket;
+    // Stale frames are dropped rather than queued while the link is down or backed up.
+    if (!socket || this.status !== 'connected' || socket.writableLength > OSC_TCP_MAX_BUFFERED_BYTES) {
+      return false;
+    }
+    socket.write(encodeOscStreamFrame(packet, this.framing));
+    return true;
+  }
+
+  close() {
+    this.closed = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.destroy();
+    }
+  }
+}
+
+class OscTcpServer {
+  constructor(options = {}) {
+    this.onPacket = typeof options.onPacket === 'function' ? options.onPacket : () => {};
+    this.onClientsChange = typeof options.onClientsChange === 'function' ? options.onClientsChange : () => {};
+    this.server = null;
+    this.clients = new Set();
+    this.clientsByAddress = new Map();
+  }
+
+  listen(port) {
+    return new Promise((resolve) => {
+      const server = net.createServer((socket) => this.handleClient(socket));
+      let settled = false;
+      server.on('error', (error) => {
+        if (settled) return;
+        settled = true;
+        server.close();
+        resolve({ ok: false, error: error?.message || 'TCP listen error' });
+      });
+      server.listen(port, '0.0.0.0', () => {
+        settled = true;
+        this.server = server;
+        resolve({ ok: true });
+      });
+    });
+  }
+
+  handleClient(socket) {
+    const host = socket.remoteAddress;
+    const sourcePort = socket.remotePort;
+    const decoder = new OscStreamDecoder(null, (packet) => this.onPacket(packet, { host, sourcePort }));
+    const addressKey = `${host}|${sourcePort}`;
+    this.clients.add(socket);
+    this.clientsByAddress.set(addressKey, { socket, decoder });
+    this.onClientsChange(this.clients.size);
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => {
+      if (!decoder.push(chunk)) socket.destroy();
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      if (this.clientsByAddress.get(addressKey)?.socket === socket) this.clientsByAddress.delete(addressKey);
+      this.onClientsChange(this.clients.size);
+    });
+  }
+
+  // Replies use the framing the client was detected to speak.
+  sendTo(host, sourcePort, packet) {
+    const client = this.clientsByAddress.get(`${host}|${sourcePort}`);
+    if (!client || client.socket.destroyed || client.socket.writableLength > OSC_TCP_MAX_BUFFERED_BYTES) return false;
+    client.socket.write(encodeOscStreamFrame(packet, client.decoder.framing));
+    return true;
+  }
+
+  close() {
+    this.clients.forEach((socket) => socket.destroy());
+    this.clients.clear();
+    this.clientsByAddress.clear();
+    const server = this.server;
+    this.server = null;
+    if (!server) return Promise.resolve();
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+    });
+  }
+}
+
+const createOscTcpClient = (options) => new OscTcpClient(options);
+const createOscTcpServer = (options) => new OscTcpServer(options);
+
+module.exports = {
+  createOscTcpClient,
+  createOscTcpServer,
+  encodeOscStreamFrame,
+  getOscTransportFraming,
+};
@@ -0,0 +1,998 @@
+const { parentPort } = require('worker_threads');
+const dgram = require('dgram');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  buildArtNetDmxPacket,
+  buildOscBundles,
+  buildOscMessage,
+  oscCodecReady,
+  toOscPacketArgs,
+} = require('./oscCodec');
+const { createOscTcpClient, getOscTransportFraming } = require('./oscTcp');
+const { createOscMonitorTap } = require('./oscMonitor');
+const { applyPlaybackTrackChanges } = require('./playbackTracks');
+
+if (!parentPort) {
+  process.exit(0);
+}
+
+const ARTNET_DEFAULT_PORT = 6454;
+const MIN_TICK_MS = 4;
+const STATS_INTERVAL_MS = 1000;
+const TICK_RESYNC_FRAMES = 4;
+const TRANSPORT_LOCATE_THRESHOLD_SECONDS = 0.5;
+// TCP streams have no datagram limit, so a frame's bundle only splits at the OSC maximum.
+const TCP_BUNDLE_MTU = 65507;
+
+const oscSocket = dgram.createSocket('udp4');
+const artNetSocket = dgram.createSocket('udp4');
+
+let sampling = null;
+let outputMapping = null;
+let sendPolicy = null;
+const samplingReady = Promise.all([
+  import(pathToFileURL(path.join(__dirname, '..', 'shared', 'trackSampling.mjs')).href),
+  import(pathToFileURL(path.join(__dirname, '..', 'shared', 'outputMapping.mjs')).href),
+  import(pathToFileURL(path.join(__dirname, '..', 'shared', 'oscSendPolicy.mjs')).href),
+  oscCodecReady,
+])
+  .then(([samplingModule, outputMappingModule, sendPolicyModule]) => {
+    sampling = samplingModule;
+    outputMapping = outputMappingModule;
+    sendPolicy = sendPolicyModule;
+    rebuildEngineTracks();
+  })
+  .catch((error) => {
+    parentPort.postMessage({
+      type: 'error',
+      payload: { message: error?.message || 'Failed to load track sampling module' },
+    });
+  });
+
+const engineState = {
+  sourceTracks: [],
+  tracks: [],
+  hasSolo: false,
+  oscOutputs: [],
+  midiOutputId: '',
+  fps: 30,
+  view: {
+    length: 0,
+    loopEnabled: false,
+    loopStart: 0,
+    loopEnd: 0,
+  },
+};
+
+const transport = {
+  playing: false,
+  playhead: 0,
+  timestamp: 0,
+};
+
+const ccRuntime = new Map();
+// Last slewed output per `${trackId}:${slot}`, with the wall-clock time it was sent.
+const outputSlewRuntime = new Map();
+// Last values sent per OSC track for on-change and fixed-rate send policies.
+const oscSendRuntime = new Map();
+const pcRuntime = new Map();
+// Sounding notes per `${trackId}:${nodeId}`; noteVoices counts how many of them hold each output/channel/pitch.
+const noteRuntime = new Map();
+const noteVoices = new Map();
+const artNetSequenceByKey = new Map();
+const pendingBundlesByOutput = new Map();
+const tcpClientsByOutputId = new Map();
+// Remote-control overrides by track id; the values replace the track's curve until released.
+const trackOverrides = new Map();
+const triggerHistory = {
+  flagLastTime: null,
+  pcLastTime: null,
+};
+
+// Last value per sent address for the OSCQuery server; only changes are posted to the main process.
+const oscValueFeed = {
+  enabled: false,
+  dryRun: false,
+  sentByAddress: new Map(),
+  changed: new Map(),
+};
+let tickTimer = null;
+let nextTickAt = 0;
+let lastTickAt = 0;
+let statsTimer = null;
+
+const getNowMs = () => performance.timeOrigin + performance.now();
+
+const createStatsWindow = () => ({
+  startedAt: getNowMs(),
+  ticks: 0,
+  intervalSum: 0,
+  jitterSum: 0,
+  jitterMax: 0,
+  messages: 0,
+  packets: 0,
+  outputs: new Map(),
+  driftSamples: 0,
+  driftSum: 0,
+  driftMax: 0,
+  lastDrift: 0,
+  locates: 0,
+});
+
+let statsWindow = createStatsWindow();
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const getFps = () => Math.max(Number(engineState.fps) || 30, 1);
+
+const getTickMs = () => Math.max(1000 / getFps(), MIN_TICK_MS);
+
+const getProjectLength = () => Math.max(Number(engineState.view.length) || 0, 0);
+
+const getLoopRange = () => {
+  const projectLength = getProjectLength();
+  return {
+    enabled: Boolean(engineState.view.loopEnabled),
+    start: clamp(Number(engineState.view.loopStart) || 0, 0, projectLength),
+    end: clamp(Number(engineState.view.loopEnd) || projectLength, 0, projectLength),
+  };
+};
+
+const getPlayheadAt = (nowMs) => {
+  const projectLength = getProjectLength();
+  const anchor = Number(transport.playhead) || 0;
+  if (!transport.playing) return clamp(anchor, 0, projectLength);
+  let time = anchor + Math.max(nowMs - transport.timestamp, 0) / 1000;
+  const loop = getLoopRange();
+  const loopSpan = loop.end - loop.start;
+  if (loop.enabled && loopSpan > 0.0001 && anchor < loop.end && time >= loop.end) {
+    time = loop.start + ((time - loop.end) % loopSpan);
+  }
+  return clamp(time, 0, projectLength);
+};
+
+const sendUdp = (socket, packet, port, host) => {
+  statsWindow.packets += 1;
+  socket.send(packet, port, host, () => {});
+};
+
+const getOutputEndpoint = (output) => ({
+  host: output?.host || '127.0.0.1',
+  port: Number(output?.port) || 9000,
+});
+
+const postOutputStatus = (outputId, transportName, status, error = '') => {
+  parentPort.postMessage({
+    type: 'osc-output-status',
+    payload: { outputId, transport: transportName, status, error, timestamp: Date.now() },
+  });
+};
+
+const syncTcpClients = () => {
+  const activeIds = new Set();
+  engineState.oscOutputs.forEach((output) => {
+    const framing = getOscTransportFraming(output.transport);
+    if (!framing || typeof output.id !== 'string') return;
+    activeIds.add(output.id);
+    const { host, port } = getOutputEndpoint(output);
+    const existing = tcpClientsByOutputId.get(output.id);
+    if (existing?.matches(host, port, framing)) return;
+    if (existing) existing.close();
+    const client = createOscTcpClient({
+      host,
+      port,
+      framing,
+      onStatus: ({ status, error }) => {
+        if (tcpClientsByOutputId.get(output.id) !== client) return;
+        postOutputStatus(output.id, output.transport, status, error);
+      },
+    });
+    tcpClientsByOutputId.set(output.id, client);
+    client.connect();
+  });
+  tcpClientsByOutputId.forEach((client, outputId) => {
+    if (activeIds.has(outputId)) return;
+    client.close();
+    tcpClientsByOutputId.delete(outputId);
+    postOutputStatus(outputId, 'udp', 'idle');
+  });
+};
+
+const sendOscToOutput = (output, packet) => {
+  statsWindow.packets += 1;
+  const client = getOscTransportFraming(output?.transport) ? tcpClientsByOutputId.get(output.id) : null;
+  if (client) {
+    client.send(packet);
+    return;
+  }
+  const { host, port } = getOutputEndpoint(output);
+  oscSocket.send(packet, port, host, () => {});
+};
+
+const countOutputMessage = (output, key = 'sent') => {
+  const outputId = output?.id || `${output?.host}:${output?.port}`;
+  let counts = statsWindow.outputs.get(outputId);
+  if (!counts) {
+    counts = { sent: 0, skipped: 0 };
+    statsWindow.outputs.set(outputId, counts);
+  }
+  counts[key] += 1;
+};
+
+const queueOscPacket = (output, packet) => {
+  statsWindow.messages += 1;
+  countOutputMessage(output);
+  if (output?.bundle) {
+    const key = output.id || `${output.host}:${output.port}`;
+    let pending = pendingBundlesByOutput.get(key);
+    if (!pending) {
+      pending = { output, packets: [] };
+      pendingBundlesByOutput.set(key, pending);
+    }
+    pending.packets.push(packet);
+    return;
+  }
+  sendOscToOutput(output, packet);
+};
+
+const recordOscValue = (address, values) => {
+  if (!oscValueFeed.enabled) return;
+  const text = JSON.stringify(values);
+  if (oscValueFeed.sentByAddress.get(address) === text) return;
+  oscValueFeed.sentByAddress.set(address, text);
+  oscValueFeed.changed.set(address, values);
+};
+
+const flushOscValueFeed = () => {
+  if (!oscValueFeed.changed.size) return;
+  parentPort.postMessage({
+    type: 'osc-values',
+    payload: {
+      values: Array.from(oscValueFeed.changed, ([address, values]) => ({ address, values })),
+    },
+  });
+  oscValueFeed.changed.clear();
+};
+
+const monitorTap = createOscMonitorTap({
+  onFlush: (payload) => parentPort.postMessage({ type: 'monitor', payload }),
+});
+
+const monitorOscSend = (output, address, args) => {
+  if (!monitorTap.enabled) return;
+  const { host, port } = getOutputEndpoint(output);
+  monitorTap.push({
+    time: Date.now(),
+    direction: 'out',
+    source: 'output',
+    outputId: output?.id || '',
+    label: output?.name || output?.id || '',
+    address,
+    args,
+    host,
+    port,
+  });
+};
+
+const sendOsc = (output, address, value, valueType) => {
+  recordOscValue(address, Array.isArray(value) ? value : [value]);
+  if (oscValueFeed.dryRun) return;
+  const args = toOscPacketArgs(value, valueType);
+  monitorOscSend(output, address, args);
+  queueOscPacket(output, buildOscMessage(address, args));
+};
+
+const sendOscArgs = (output, address, args) => {
+  recordOscValue(address, args.map((arg) => arg.value));
+  if (oscValueFeed.dryRun) return;
+  monitorOscSend(output, address, args);
+  queueOscPacket(output, buildOscMessage(address, args));
+};
+
+// Routed input skips bundling so passthrough never waits for the next playback frame.
+const sendRoutedOsc = (sends) => {
+  (Array.isArray(sends) ? sends : []).forEach((send) => {
+    const output = engineState.oscOutputs.find((item) => item.id === send?.outputId);
+    if (!output) return;
+    const args = Array.isArray(send.args) ? send.args : [];
+    statsWindow.messages += 1;
+    countOutputMessage(output);
+    monitorOscSend(output, send.address, args);
+    sendOscToOutput(output, buildOscMessage(send.address, args));
+  });
+};
+
+const flushOscBundles = (frameAtMs) => {
+  pendingBundlesByOutput.forEach(({ output, packets }) => {
+    const latencyMs = Math.max(Number(output.bundleLatencyMs) || 0, 0);
+    const bundles = buildOscBundles(packets, {
+      mtu: getOscTransportFraming(output.transport) ? TCP_BUNDLE_MTU : output.bundleMtu,
+      timetagMs: output.bundleTimetag === 'future' ? frameAtMs + latencyMs : 0,
+    });
+    bundles.forEach((bundle) => {
+      sendOscToOutput(output, bundle);
+    });
+  });
+  pendingBundlesByOutput.clear();
+};
+
+const sendMidi = (outputId, bytes) => {
+  statsWindow.messages += 1;
+  parentPort.postMessage({
+    type: 'midi',
+    payload: {
+      outputId: outputId || engineState.midiOutputId,
+      bytes,
+    },
+  });
+};
+
+const sendNoteOff = (state) => {
+  const channel = clamp(Math.round(Number(state?.channel) || 0), 0, 15);
+  const noteNumber = clamp(Math.round(Number(state?.note) || 0), 0, 127);
+  sendMidi(state?.outputId, [0x80 | channel, noteNumber, 0]);
+};
+
+const getNoteVoiceKey = (state) => `${state.outputId}:${state.channel}:${state.note}`;
+
+// A pitch that is already sounding is retriggered, and only released when its last note ends.
+const startNote = (key, state, velocity) => {
+  const voiceKey = getNoteVoiceKey(state);
+  const held = noteVoices.get(voiceKey) || 0;
+  if (held > 0) sendNoteOff(state);
+  sendMidi(state.outputId, [0x90 | state.channel, state.note, velocity]);
+  noteVoices.set(voiceKey, held + 1);
+  noteRuntime.set(key, state);
+};
+
+const stopNote = (key) => {
+  const state = noteRuntime.get(key);
+  if (!state) return;
+  noteRuntime.delete(key);
+  const voiceKey = getNoteVoiceKey(state);
+  const held = (noteVoices.get(voiceKey) || 1) - 1;
+  if (held > 0) {
+    noteVoices.set(voiceKey, held);
+    return;
+  }
+  noteVoices.delete(voiceKey);
+  sendNoteOff(state);
+};
+
+const releaseAllNotes = () => {
+  noteRuntime.forEach((_state, key) => stopNote(key));
+  noteRuntime.clear();
+  noteVoices.clear();
+};
+
+const resolveOscOutput = (track) => {
+  const outputs = engineState.oscOutputs;
+  const defaultOutput = outputs[0] || { host: '127.0.0.1', port: 9000 };
+  const outputId = typeof track?.oscOutputId === 'string' && track.oscOutputId ? track.oscOutputId : '';
+  return outputs.find((output) => output.id === outputId) || defaultOutput;
+};
+
+const getMidiTrackOutputId = (track) => {
+  if (typeof track?.midi?.outputId === 'string' && track.midi.outputId) return track.midi.outputId;
+  return engineState.midiOutputId;
+};
+
+const buildTriggerRanges = (prevTimeRaw, currentTime) => {
+  const projectLength = getProjectLength();
+  const epsilon = 0.5 / getFps();
+  const maxContinuousStep = Math.max((getTickMs() / 1000) * TICK_RESYNC_FRAMES, 0.12);
+  const loop = getLoopRange();
+  const ranges = [];
+  const pushRange = (start, end, includeStart) => {
+    if (!Number.isFinite(start) || !Number.isFinite(end)) return;
+    ranges.push({
+      start: clamp(Math.min(start, end), 0, projectLength),
+      end: clamp(Math.max(start, end), 0, projectLength),
+      includeStart: Boolean(includeStart),
+    });
+  };
+  const hasPrevTime = Number.isFinite(prevTimeRaw);
+  const prevTime = hasPrevTime ? clamp(prevTimeRaw, 0, projectLength) : currentTime;
+  let continuous = false;
+  if (!hasPrevTime) {
+    pushRange(currentTime, currentTime, true);
+  } else if (currentTime >= prevTime) {
+    if (currentTime - prevTime > maxContinuousStep) {
+      pushRange(currentTime, currentTime, true);
+    } else {
+      pushRange(prevTime, currentTime, false);
+      continuous = true;
+    }
+  } else if (loop.enabled && loop.end - loop.start > epsilon) {
+    pushRange(prevTime, loop.end, false);
+    pushRange(loop.start, currentTime, true);
+  } else {
+    pushRange(currentTime, currentTime, true);
+  }
+  const isTriggered = (nodeTime) => ranges.some((range) => {
+    if (range.includeStart) {
+      return nodeTime >= range.start - epsilon && nodeTime <= range.end + epsilon;
+    }
+    return nodeTime > range.start + epsilon && nodeTime <= range.end + epsilon;
+  });
+  return { isTriggered, continuous };
+};
+
+// Slew only runs during playback; parked and dry-run sends go straight to the mapped value.
+const mapTrackOutput = (track, value, slot = 0, bounds = null) => {
+  if (!outputMapping.isOutputMapActive(track)) return value;
+  const map = track.outputMap;
+  const range = bounds || outputMapping.getOutputMapInputRange(track);
+  let next = outputMapping.mapOutputValue(map, value, range.min, range.max, { keepRange: Boolean(bounds) });
+  if (map.slew && transport.playing && !oscValueFeed.dryRun && outputMapping.OUTPUT_MAP_SLEW_TRACK_KINDS.has(track.kind)) {
+    const key = `${track.id}:${slot}`;
+    const now = getNowMs();
+    const previous = outputSlewRuntime.get(key);
+    if (previous && now - previous.at <= outputMapping.OUTPUT_MAP_SLEW_RESET_MS) {
+      next = outputMapping.limitOutputSlew(map, previous.value, next, now - previous.at);
+    }
+    outputSlewRuntime.set(key, { value: next, at: now });
+  }
+  return outputMapping.quantizeOutputValue(map, next);
+};
+
+// Only float, int and double arguments are mapped; int64 stays as entered text.
+const mapOscFlagArgs = (track, args) => {
+  if (!outputMapping.isOutputMapActive(track)) return args;
+  return args.map((arg) => {
+    if (arg.type !== 'float' && arg.type !== 'int' && arg.type !== 'double') return arg;
+    const value = outputMapping.mapTrackEventValue(track, arg.value);
+    return { ...arg, value: arg.type === 'int' ? Math.round(value) : value };
+  });
+};
+
+// Send policies only gate playback; parked, override and dry-run sends always go out.
+const passesSendPolicy = (track, output, values) => {
+  if (!transport.playing || oscValueFeed.dryRun) return true;
+  const policy = sendPolicy.resolveOscSendPolicy(track, output);
+  if (!policy || policy.mode === 'frame') return true;
+  const now = getNowMs();
+  const last = oscSendRuntime.get(track.id);
+  if (!sendPolicy.shouldSendOscUpdate(policy, last, values, now, getTickMs() / 2)) {
+    countOutputMessage(output, 'skipped');
+    return false;
+  }
+  oscSendRuntime.set(track.id, { values, at: now });
+  return true;
+};
+
+const getOsc3dAxisBounds = (track) => {
+  const bounds = sampling.normalizeOsc3dBounds(track);
+  return [
+    { min: bounds.xMin, max: bounds.xMax },
+    { min: bounds.yMin, max: bounds.yMax },
+    { min: bounds.zMin, max: bounds.zMax },
+  ];
+};
+
+const sendOscFrame = (currentTime, hasSolo, tracks = engineState.tracks) => {
+  const fps = getFps();
+  tracks.forEach((track) => {
+    if (track.mute) return;
+    const address = typeof track.oscAddress === 'string' ? track.oscAddress.trim() : '';
+    if (!address) return;
+    if (track.kind !== 'osc' && track.kind !== 'osc-array' && track.kind !== 'osc-3d') return;
+    if (!sampling.isTrackEnabled(track, track.kind, hasSolo)) return;
+    const valueType = sampling.getOscSendValueType(track);
+    const output = resolveOscOutput(track);
+    if (track.kind === 'osc') {
+      const value = sampling.formatOscOutputScalar(
+        mapTrackOutput(track, sampling.sampleTrackValue(track, currentTime, fps)),
+        valueType
+      );
+      if (passesSendPolicy(track, output, [value])) sendOsc(output, address, value, valueType);
+      return;
+    }
+    if (track.kind === 'osc-array') {
+      const args = sampling.sampleOscArrayTrackArgs(
+        track,
+        currentTime,
+        fps,
+        (value, slot) => mapTrackOutput(track, value, slot)
+      );
+      if (passesSendPolicy(track, output, args)) sendOscArgs(output, address, args);
+      return;
+    }
+    const axes = getOsc3dAxisBounds(track);
+    const values = sampling.formatOscOutputArray(
+      sampling.sampleOsc3dTrackValues(track, currentTime, fps)
+        .map((value, axis) => mapTrackOutput(track, value, axis, axes[axis])),
+      valueType
+    );
+    if (passesSendPolicy(track, output, values)) sendOsc(output, address, values, valueType);
+  });
+};
+
+const sendOscColorFrame = (currentTime, hasSolo, tracks = engineState.tracks) => {
+  tracks.forEach((track) => {
+    if (track.kind !== 'osc-color') return;
+    if (!sampling.isTrackEnabled(track, 'osc-color', hasSolo)) return;
+    const output = resolveOscOutput(track);
+    const isUnitRange = track.oscColor?.outputRange === 'unit';
+    sampling.resolveOscColorWrites(track, currentTime).forEach((write) => {
+      if (!write?.address) return;
+      const rawValues = Array.isArray(write.values)
+        ? write.values
+        : (Array.isArray(write.value) ? write.value : [Number(write.value) || 0]);
+      const payloadValue = outputMapping.isOutputMapActive(track)
+        ? rawValues.map((value, channel) => {
+          const mapped = mapTrackOutput(track, value, channel);
+          return isUnitRange ? Math.round(clamp(mapped, 0, 1) * 100) / 100 : clamp(Math.round(mapped), 0, 255);
+        })
+        : rawValues;
+      sendOsc(output, write.address, payloadValue);
+    });
+  });
+};
+
+const sendOscFlagEvents = (currentTime, hasSolo) => {
+  const epsilon = 0.5 / getFps();
+  const { isTriggered } = buildTriggerRanges(triggerHistory.flagLastTime, currentTime);
+  engineState.tracks.forEach((track) => {
+    if (track.kind !== 'osc-flag') return;
+    if (!sampling.isTrackEnabled(track, 'osc-flag', hasSolo)) return;
+    const valueType = sampling.getOscSendValueType(track);
+    const output = resolveOscOutput(track);
+    const fallbackAddress = sampling.normalizeOscAddressPath(track.oscAddress, '/osc/flag');
+    const nodes = Array.isArray(track.nodes) ? track.nodes : [];
+    nodes.forEach((node) => {
+      const triggerStart = Number(node?.t);
+      if (!Number.isFinite(triggerStart)) return;
+      const triggerDuration = Math.max(Number(node?.d) || 1, 0);
+      const triggerValueRaw = Number.isFinite(Number(node?.v)) ? Number(node.v) : 1;
+      const triggerValue = sampling.formatOscOutputScalar(
+        outputMapping.mapTrackEventValue(track, triggerValueRaw),
+        valueType
+      );
+      const inActiveWindow = triggerDuration > epsilon
+        && currentTime >= triggerStart - epsilon
+        && currentTime <= triggerStart + triggerDuration + epsilon;
+      if (!isTriggered(triggerStart) && !inActiveWindow) return;
+      const args = sampling.getOscFlagNodeArgs(node);
+      if (args) {
+        sendOscArgs(output, sampling.normalizeOscAddressPath(node?.a, fallbackAddress), mapOscFlagArgs(track, args));
+        return;
+      }
+      const baseAddress = sampling.normalizeOscAddressPath(node?.a, fallbackAddress).replace(/\/+$/, '');
+      sendOsc(output, `${baseAddress}/${String(triggerValue)}`, triggerValue, valueType);
+    });
+  });
+  triggerHistory.flagLastTime = currentTime;
+};
+
+const sendDmxFrame = (currentTime, hasSolo) => {
+  const fps = getFps();
+  const groups = new Map();
+  engineState.tracks.forEach((track) => {
+    if (track.kind !== 'dmx' && track.kind !== 'dmx-color') return;
+    if (!sampling.isTrackEnabled(track, track.kind, hasSolo)) return;
+    const config = (track.kind === 'dmx-color' ? track.dmxColor : track.dmx) || {};
+    const host = typeof config.host === 'string' && config.host.trim() ? config.host.trim() : '127.0.0.1';
+    const universe = clamp(Math.round(Number(config.universe) || 0), 0, 32767);
+    const writes = track.kind === 'dmx-color'
+      ? sampling.resolveDmxColorWrites(track, currentTime)
+        .map(([channel, value], index) => [channel, mapTrackOutput(track, value, index)])
+      : [[
+        clamp(Math.round(Number(track.dmx?.channel) || 1), 1, 512),
+        clamp(Math.round(mapTrackOutput(track, sampling.sampleTrackValue(track, currentTime, fps))), 0, 255),
+      ]];
+    const key = `${host}|${universe}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = { host, universe, data: new Uint8Array(512) };
+      groups.set(key, group);
+    }
+    writes.forEach(([channel, value]) => {
+      if (!Number.isFinite(channel) || channel < 1 || channel > 512) return;
+      group.data[channel - 1] = clamp(Math.round(Number(value) || 0), 0, 255);
+    });
+  });
+
+  artNetSequenceByKey.forEach((_value, key) => {
+    if (!groups.has(key)) artNetSequenceByKey.delete(key);
+  });
+  groups.forEach((group, key) => {
+    const sequence = ((artNetSequenceByKey.get(key) || 0) + 1) & 0xff;
+    artNetSequenceByKey.set(key, sequence);
+    const packet = buildArtNetDmxPacket({
+      universe: group.universe,
+      sequence,
+      data: Array.from(group.data),
+    });
+    statsWindow.messages += 1;
+    sendUdp(artNetSocket, packet, ARTNET_DEFAULT_PORT, group.host);
+  });
+};
+
+const getMidiChannel = (track) => clamp(Math.round(Number(track.midi?.channel) || 1), 1, 16) - 1;
+
+const sendMidiCcFrame = (currentTime, hasSolo, tracks = engineState.tracks) => {
+  const fps = getFps();
+  tracks.forEach((track) => {
+    if (track.kind !== 'midi' || track.mute) return;
+    if (!sampling.isTrackEnabled(track, 'midi', hasSolo)) return;
+    const controlNumber = clamp(Math.round(Number(track.midi?.controlNumber) || 1), 0, 127);
+    const ccValue = clamp(Math.round(mapTrackOutput(track, sampling.sampleTrackValue(track, currentTime, fps))), 0, 127);
+    if (ccRuntime.get(track.id) === ccValue) return;
+    sendMidi(getMidiTrackOutputId(track), [0xb0 | getMidiChannel(track), controlNumber, ccValue]);
+    ccRuntime.set(track.id, ccValue);
+  });
+};
+
+const sendMidiFrame = (currentTime, hasSolo) => {
+  const fps = getFps();
+  const epsilon = 0.5 / fps;
+  const minNoteDuration = 1 / fps;
+
+  sendMidiCcFrame(currentTime, hasSolo);
+  const activeCcTrackIds = new Set(
+    engineState.tracks.filter((track) => track.kind === 'midi' && !track.mute).map((track) => track.id)
+  );
+  ccRuntime.forEach((_value, trackId) => {
+    if (!activeCcTrackIds.has(trackId)) ccRuntime.delete(trackId);
+  });
+
+  const { isTriggered, continuous } = buildTriggerRanges(triggerHistory.pcLastTime, currentTime);
+  if (!continuous) pcRuntime.clear();
+  const activePcNodeKeys = new Set();
+  engineState.tracks.forEach((track) => {
+    if (track.kind !== 'midi-pc') return;
+    if (!sampling.isTrackEnabled(track, 'midi-pc', hasSolo)) return;
+    const outputId = getMidiTrackOutputId(track);
+    const channel = getMidiChannel(track);
+    const fallbackProgram = sampling.toMidiCcValue(track.midi?.program, track.default ?? 0);
+    const nodes = Array.isArray(track.nodes) ? track.nodes : [];
+    nodes.forEach((node) => {
+      const triggerTime = Number(node?.t);
+      if (!Number.isFinite(triggerTime) || !isTriggered(triggerTime)) return;
+      const nodeKey = `${track.id}:${node.id}`;
+      activePcNodeKeys.add(nodeKey);
+      const program = clamp(
+        Math.round(outputMapping.mapTrackEventValue(track, sampling.toMidiCcValue(node?.v, fallbackProgram))),
+        0,
+        127
+      );
+      const state = pcRuntime.get(nodeKey);
+      if (state
+        && Math.abs(state.triggerTime - triggerTime) <= epsilon
+        && state.program === program
+        && state.channel === channel
+        && state.outputId === outputId) {
+        return;
+      }
+      sendMidi(outputId, [0xc0 | channel, program]);
+      pcRuntime.set(nodeKey, {
+        triggerTime,
+        outputId,
+        channel,
+        program,
+      });
+    });
+  });
+  pcRuntime.forEach((_state, nodeKey) => {
+    if (!activePcNodeKeys.has(nodeKey)) pcRuntime.delete(nodeKey);
+  });
+  triggerHistory.pcLastTime = currentTime;
+
+  // After a loop wrap or a locate the notes sounding at the new position start over.
+  if (!continuous) releaseAllNotes();
+  const activeNoteKeys = new Set();
+  engineState.tracks.forEach((track) => {
+    if (track.kind !== 'midi-note') return;
+    if (!sampling.isTrackEnabled(track, 'midi-note', hasSolo)) return;
+    const outputId = getMidiTrackOutputId(track);
+    const channel = getMidiChannel(track);
+    const velocity = clamp(Math.round(Number(track.midi?.velocity) || 100), 0, 127);
+    const nodes = Array.isArray(track.nodes) ? track.nodes : [];
+    nodes.forEach((node) => {
+      const start = Number(node?.t);
+      if (!Number.isFinite(start)) return;
+      const end = start + Math.max(Number(node?.d) || 0.5, minNoteDuration);
+      if (currentTime < start || currentTime >= end) return;
+      const key = `${track.id}:${node.id}`;
+      const noteNumber = clamp(Math.round(Number(node?.v) || 60), 0, 127);
+      activeNoteKeys.add(key);
+      const state = noteRuntime.get(key);
+      if (state && state.note === noteNumber && state.channel === channel && state.outputId === outputId) return;
+      if (state) stopNote(key);
+      const noteVelocity = clamp(
+        Math.round(outputMapping.mapTrackEventValue(track, Number.isFinite(node?.vel) ? node.vel : velocity)),
+        0,
+        127
+      );
+      startNote(key, { outputId, channel, note: noteNumber }, noteVelocity);
+    });
+  });
+  noteRuntime.forEach((_state, key) => {
+    if (!activeNoteKeys.has(key)) stopNote(key);
+  });
+};
+
+const runFrame = (currentTime, frameAtMs) => {
+  if (!sampling) return;
+  const { hasSolo } = engineState;
+  sendOscFrame(currentTime, hasSolo);
+  sendOscColorFrame(currentTime, hasSolo);
+  sendOscFlagEvents(currentTime, hasSolo);
+  flushOscBundles(frameAtMs);
+  sendDmxFrame(currentTime, hasSolo);
+  sendMidiFrame(currentTime, hasSolo);
+  flushOscValueFeed();
+};
+
+// While stopped nothing is sent, so the published values are sampled at the parked playhead instead.
+const publishOscValuesAt = (time) => {
+  if (!oscValueFeed.enabled || !sampling) return;
+  oscValueFeed.dryRun = true;
+  try {
+    sendOscFrame(time, engineState.hasSolo);
+    sendOscColorFrame(time, engineState.hasSolo);
+  } finally {
+    oscValueFeed.dryRun = false;
+  }
+  flushOscValueFeed();
+};
+
+// While stopped nothing is sent, so an override or its release goes out once at the parked playhead.
+const sendParkedTrackValues = (trackIds) => {
+  if (!sampling) return;
+  const time = clamp(transport.playhead, 0, getProjectLength());
+  const { hasSolo } = engineState;
+  const tracks = engineState.tracks.filter((track) => trackIds.has(track.id));
+  if (!tracks.length) return;
+  sendOscFrame(time, hasSolo, tracks);
+  sendOscColorFrame(time, hasSolo, tracks);
+  flushOscBundles(getNowMs());
+  // Art-Net frames carry the whole universe, so DMX overrides resend every DMX track.
+  if (tracks.some((track) => track.kind === 'dmx' || track.kind === 'dmx-color')) sendDmxFrame(time, hasSolo);
+  sendMidiCcFrame(time, hasSolo, tracks);
+  flushOscValueFeed();
+};
+
+const scheduleTick = () => {
+  const delay = Math.max(nextTickAt - getNowMs(), 0);
+  tickTimer = setTimeout(runTick, delay);
+};
+
+const runTick = () => {
+  tickTimer = null;
+  if (!transport.playing) return;
+  const now = getNowMs();
+  const tickMs = getTickMs();
+  const jitter = Math.abs(now - nextTickAt);
+  statsWindow.ticks += 1;
+  statsWindow.jitterSum += jitter;
+  statsWindow.jitterMax = Math.max(statsWindow.jitterMax, jitter);
+  if (lastTickAt > 0) statsWindow.intervalSum += now - lastTickAt;
+  lastTickAt = now;
+
+  runFrame(getPlayheadAt(now), now);
+
+  nextTickAt += tickMs;
+  if (now - nextTickAt > tickMs * TICK_RESYNC_FRAMES) {
+    // The thread stalled; skip missed frames instead of bursting them out.
+    nextTickAt = now + tickMs;
+  }
+  scheduleTick();
+};
+
+const emitStats = () => {
+  const now = getNowMs();
+  const elapsedSeconds = Math.max((now - statsWindow.startedAt) / 1000, 0.001);
+  const { ticks, driftSamples } = statsWindow;
+  parentPort.postMessage({
+    type: 'stats',
+    payload: {
+      playing: transport.playing,
+      fps: getFps(),
+      targetIntervalMs: getTickMs(),
+      tickRate: ticks / elapsedSeconds,
+      intervalAvgMs: ticks > 1 ? statsWindow.intervalSum / (ticks - 1) : 0,
+      jitterAvgMs: ticks ? statsWindow.jitterSum / ticks : 0,
+      jitterMaxMs: statsWindow.jitterMax,
+      messagesPerSecond: statsWindow.messages / elapsedSeconds,
+      packetsPerSecond: statsWindow.packets / elapsedSeconds,
+      driftMs: statsWindow.lastDrift * 1000,
+      driftAvgMs: driftSamples ? (statsWindow.driftSum / driftSamples) * 1000 : 0,
+      driftMaxMs: statsWindow.driftMax * 1000,
+      locates: statsWindow.locates,
+      outputs: Object.fromEntries(Array.from(statsWindow.outputs, ([outputId, counts]) => [outputId, {
+        messagesPerSecond: counts.sent / elapsedSeconds,
+        skippedPerSecond: counts.skipped / elapsedSeconds,
+      }])),
+      timestamp: Date.now(),
+    },
+  });
+  statsWindow = createStatsWindow();
+};
+
+const startClock = () => {
+  if (tickTimer) clearTimeout(tickTimer);
+  nextTickAt = getNowMs();
+  lastTickAt = 0;
+  statsWindow = createStatsWindow();
+  if (!statsTimer) statsTimer = setInterval(emitStats, STATS_INTERVAL_MS);
+  samplingReady.then(() => {
+    if (transport.playing && !tickTimer) runTick();
+  });
+};
+
+const stopClock = () => {
+  if (tickTimer) {
+    clearTimeout(tickTimer);
+    tickTimer = null;
+  }
+  if (statsTimer) {
+    clearInterval(statsTimer);
+    statsTimer = null;
+    emitStats();
+  }
+};
+
+const resetTriggerHistory = (time) => {
+  triggerHistory.flagLastTime = time;
+  triggerHistory.pcLastTime = time;
+};
+
+const pruneRuntimeForTracks = () => {
+  const tracksById = new Map(engineState.tracks.map((track) => [track.id, track]));
+  noteRuntime.forEach((_state, key) => {
+    const [trackId] = String(key).split(':');
+    if (tracksById.get(trackId)?.kind === 'midi-note') return;
+    stopNote(key);
+  });
+  ccRuntime.forEach((_value, trackId) => {
+    if (tracksById.get(trackId)?.kind !== 'midi') ccRuntime.delete(trackId);
+  });
+  outputSlewRuntime.forEach((_state, key) => {
+    const [trackId] = key.split(':');
+    if (!tracksById.get(trackId)?.outputMap?.slew) outputSlewRuntime.delete(key);
+  });
+  oscSendRuntime.forEach((_state, trackId) => {
+    if (!tracksById.has(trackId)) oscSendRuntime.delete(trackId);
+  });
+  const pcNodeKeys = new Set();
+  engineState.tracks.forEach((track) => {
+    if (track.kind !== 'midi-pc') return;
+    (Array.isArray(track.nodes) ? track.nodes : []).forEach((node) => {
+      pcNodeKeys.add(`${track.id}:${node.id}`);
+    });
+  });
+  pcRuntime.forEach((_state, nodeKey) => {
+    if (!pcNodeKeys.has(nodeKey)) pcRuntime.delete(nodeKey);
+  });
+};
+
+const rebuildEngineTracks = () => {
+  engineState.tracks = sampling && trackOverrides.size
+    ? engineState.sourceTracks.map((track) => (
+      trackOverrides.has(track.id) ? sampling.applyTrackOverride(track, trackOverrides.get(track.id)) : track
+    ))
+    : engineState.sourceTracks;
+};
+
+const configure = (payload = {}) => {
+  const sourceTracks = applyPlaybackTrackChanges(engineState.sourceTracks, payload);
+  if (sourceTracks) {
+    engineState.sourceTracks = sourceTracks;
+    rebuildEngineTracks();
+  }
+  if (typeof payload.hasSolo === 'boolean') engineState.hasSolo = payload.hasSolo;
+  if (Array.isArray(payload.oscOutputs)) {
+    engineState.oscOutputs = payload.oscOutputs.filter(Boolean);
+    syncTcpClients();
+  }
+  if (typeof payload.midiOutputId === 'string') engineState.midiOutputId = payload.midiOutputId;
+  if (Number.isFinite(Number(payload.fps))) engineState.fps = Number(payload.fps);
+  if (payload.view && typeof payload.view === 'object') {
+    engineState.view = { ...engineState.view, ...payload.view };
+  }
+  pruneRuntimeForTracks();
+  if (!transport.playing) {
+    ccRuntime.clear();
+    pcRuntime.clear();
+    publishOscValuesAt(clamp(transport.playhead, 0, getProjectLength()));
+  }
+};
+
+const updateTransport = (payload = {}) => {
+  const now = getNowMs();
+  const playing = Boolean(payload.playing);
+  const timestamp = Number.isFinite(Number(payload.timestamp)) ? Math.min(Number(payload.timestamp), now) : now;
+  const reportedPlayhead = Math.max(Number(payload.playhead) || 0, 0);
+  const wasPlaying = transport.playing;
+
+  if (wasPlaying && playing) {
+    const reportedNow = reportedPlayhead + (now - timestamp) / 1000;
+    const drift = getPlayheadAt(now) - reportedNow;
+    if (Math.abs(drift) > TRANSPORT_LOCATE_THRESHOLD_SECONDS) {
+      statsWindow.locates += 1;
+    } else {
+      statsWindow.driftSamples += 1;
+      statsWindow.driftSum += Math.abs(drift);
+      statsWindow.driftMax = Math.max(statsWindow.driftMax, Math.abs(drift));
+      statsWindow.lastDrift = drift;
+    }
+  }
+
+  transport.playing = playing;
+  transport.playhead = reportedPlayhead;
+  transport.timestamp = timestamp;
+
+  if (playing && !wasPlaying) {
+    startClock();
+    return;
+  }
+  if (!playing) {
+    if (wasPlaying) {
+      stopClock();
+      releaseAllNotes();
+    }
+    ccRuntime.clear();
+    pcRuntime.clear();
+    outputSlewRuntime.clear();
+    oscSendRuntime.clear();
+    resetTriggerHistory(clamp(reportedPlayhead, 0, getProjectLength()));
+    publishOscValuesAt(clamp(reportedPlayhead, 0, getProjectLength()));
+  }
+};
+
+const setValueFeed = (payload = {}) => {
+  oscValueFeed.enabled = Boolean(payload.enabled);
+  oscValueFeed.sentByAddress.clear();
+  oscValueFeed.changed.clear();
+  if (!oscValueFeed.enabled) return;
+  samplingReady.then(() => {
+    if (!transport.playing) publishOscValuesAt(clamp(transport.playhead, 0, getProjectLength()));
+  });
+};
+
+const setTrackOverrides = (payload = {}) => {
+  const raw = payload.overrides && typeof payload.overrides === 'object' ? payload.overrides : {};
+  const next = new Map(Object.entries(raw).filter(([, values]) => Array.isArray(values) && values.length));
+  const changedIds = new Set();
+  next.forEach((values, trackId) => {
+    if (JSON.stringify(trackOverrides.get(trackId)) !== JSON.stringify(values)) changedIds.add(trackId);
+  });
+  trackOverrides.forEach((_values, trackId) => {
+    if (!next.has(trackId)) changedIds.add(trackId);
+  });
+  if (!changedIds.size) return;
+  trackOverrides.clear();
+  next.forEach((values, trackId) => trackOverrides.set(trackId, values));
+  rebuildEngineTracks();
+  if (!transport.playing) sendParkedTrackValues(changedIds);
+};
+
+parentPort.on('message', (message) => {
+  if (!message || typeof message !== 'object') return;
+  if (message.type === 'configure') {
+    configure(message.payload);
+    return;
+  }
+  if (message.type === 'transport') {
+    updateTransport(message.payload);
+    return;
+  }
+  if (message.type === 'value-feed') {
+    setValueFeed(message.payload);
+    return;
+  }
+  if (message.type === 'overrides') {
+    setTrackOverrides(message.payload);
+    return;
+  }
+  if (message.type === 'monitor') {
+    monitorTap.setEnabled(message.payload?.enabled);
+    return;
+  }
+  if (message.type === 'route') {
+    sendRoutedOsc(message.payload);
+  }
+});
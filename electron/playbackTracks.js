@@ -0,0 +1,19 @@
+// A playback configure payload carries either the full `tracks` list or `trackIds` (the new order)
+// plus `trackUpdates` holding only the tracks that changed. Returns null when nothing changed.
+const applyPlaybackTrackChanges = (tracks, payload = {}) => {
+  if (Array.isArray(payload.tracks)) return payload.tracks.filter(Boolean);
+  if (!Array.isArray(payload.trackIds)) return null;
+  const updates = Array.isArray(payload.trackUpdates)
+    ? payload.trackUpdates.filter((track) => track && typeof track.id === 'string')
+    : [];
+  const sameOrder = payload.trackIds.length === tracks.length
+    && payload.trackIds.every((id, index) => tracks[index]?.id === id);
+  if (!updates.length && sameOrder) return null;
+  const byId = new Map(tracks.map((track) => [track.id, track]));
+  updates.forEach((track) => byId.set(track.id, track));
+  return payload.trackIds.map((id) => byId.get(id)).filter(Boolean);
+};
+
+module.exports = {
+  applyPlaybackTrackChanges,
+};
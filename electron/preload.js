@@ -14,14 +14,49 @@ contextBridge.exposeInMainWorld('oscDaw', {
   cacheNativeAudioFile: (payload) => ipcRenderer.invoke('audio:native-cache-file', payload),
   sendOscMessage: (payload) => ipcRenderer.invoke('osc:send', payload),
   sendArtNetFrame: (payload) => ipcRenderer.invoke('dmx:send-artnet', payload),
+  configurePlaybackEngine: (payload) => ipcRenderer.invoke('playback:configure', payload),
+  updatePlaybackTransport: (payload) => ipcRenderer.invoke('playback:transport', payload),
+  setPlaybackOverrides: (payload) => ipcRenderer.invoke('playback:overrides', payload),
   startOscListening: (payload) => ipcRenderer.invoke('osc:listen-start', payload),
   stopOscListening: () => ipcRenderer.invoke('osc:listen-stop'),
   startOscControlListening: (payload) => ipcRenderer.invoke('osc:control-listen-start', payload),
   stopOscControlListening: () => ipcRenderer.invoke('osc:control-listen-stop'),
+  configureOscFeedback: (payload) => ipcRenderer.invoke('osc:feedback-config', payload),
+  sendOscFeedback: (payload) => ipcRenderer.invoke('osc:feedback-send', payload),
+  getOscOutputStatus: () => ipcRenderer.invoke('osc:output-status'),
+  startOscQueryServer: (payload) => ipcRenderer.invoke('oscquery:start', payload),
+  stopOscQueryServer: () => ipcRenderer.invoke('oscquery:stop'),
+  getOscQueryStatus: () => ipcRenderer.invoke('oscquery:status'),
+  publishOscQueryNamespace: (payload) => ipcRenderer.invoke('oscquery:publish', payload),
+  browseOscQueryDevice: (payload) => ipcRenderer.invoke('oscquery:browse', payload),
   setOscRecordingConfig: (payload) => ipcRenderer.invoke('osc:set-recording-config', payload),
+  setOscRecordFilters: (payload) => ipcRenderer.invoke('osc:set-record-filters', payload),
   drainOscBuffer: (payload) => ipcRenderer.invoke('osc:drain-buffer', payload),
-  sendVirtualMidiMessage: (payload) => ipcRenderer.invoke('midi:virtual-send', payload),
-  getVirtualMidiStatus: () => ipcRenderer.invoke('midi:virtual-status'),
+  setOscRoutes: (payload) => ipcRenderer.invoke('osc:set-routes', payload),
+  setOscLearnConfig: (payload) => ipcRenderer.invoke('osc:learn-config', payload),
+  setOscMonitorConfig: (payload) => ipcRenderer.invoke('osc:monitor-config', payload),
+  exportOscMonitorLog: (payload) => ipcRenderer.invoke('osc:monitor-export', payload),
+  listMidiPorts: () => ipcRenderer.invoke('midi:list-ports'),
+  sendMidiMessage: (payload) => ipcRenderer.invoke('midi:send', payload),
+  setMidiInputs: (payload) => ipcRenderer.invoke('midi:set-inputs', payload),
+  exportMidiFile: (payload) => ipcRenderer.invoke('midi:export-file', payload),
+  openProject: (payload) => ipcRenderer.invoke('project:open', payload),
+  saveProject: (payload) => ipcRenderer.invoke('project:save', payload),
+  saveProjectAs: (payload) => ipcRenderer.invoke('project:save-as', payload),
+  readProjectMedia: (payload) => ipcRenderer.invoke('project:read-media', payload),
+  findProjectMedia: (payload) => ipcRenderer.invoke('project:find-media', payload),
+  chooseProjectMedia: (payload) => ipcRenderer.invoke('project:choose-media', payload),
+  getAutosaveStatus: () => ipcRenderer.invoke('autosave:get-status'),
+  setAutosaveConfig: (payload) => ipcRenderer.invoke('autosave:set-config', payload),
+  writeAutosaveSnapshot: (payload) => ipcRenderer.invoke('autosave:write', payload),
+  readAutosaveSnapshot: (payload) => ipcRenderer.invoke('autosave:read', payload),
+  dismissAutosaveRecovery: () => ipcRenderer.invoke('autosave:dismiss-recovery'),
+  getRecentProjects: () => ipcRenderer.invoke('project:get-recent'),
+  removeRecentProject: (payload) => ipcRenderer.invoke('project:remove-recent', payload),
+  clearRecentProjects: () => ipcRenderer.invoke('project:clear-recent'),
+  setProjectDocumentState: (payload) => ipcRenderer.invoke('project:set-document-state', payload),
+  confirmWindowClose: () => ipcRenderer.invoke('project:confirm-close'),
+  cancelWindowClose: () => ipcRenderer.invoke('project:cancel-close'),
   onOscMessage: (callback) => {
     if (typeof callback !== 'function') return () => {};
     const listener = (_event, payload) => callback(payload);
@@ -34,6 +69,24 @@ contextBridge.exposeInMainWorld('oscDaw', {
     ipcRenderer.on('osc:message-batch', listener);
     return () => ipcRenderer.removeListener('osc:message-batch', listener);
   },
+  onPlaybackStats: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('playback:stats', listener);
+    return () => ipcRenderer.removeListener('playback:stats', listener);
+  },
+  onOscOutputStatus: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('osc:output-status', listener);
+    return () => ipcRenderer.removeListener('osc:output-status', listener);
+  },
+  onOscQueryStatus: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('oscquery:status', listener);
+    return () => ipcRenderer.removeListener('oscquery:status', listener);
+  },
   onOscListenStatus: (callback) => {
     if (typeof callback !== 'function') return () => {};
     const listener = (_event, payload) => callback(payload);
@@ -46,16 +99,40 @@ contextBridge.exposeInMainWorld('oscDaw', {
     ipcRenderer.on('osc:control-message', listener);
     return () => ipcRenderer.removeListener('osc:control-message', listener);
   },
-  onVirtualMidiMessage: (callback) => {
+  onOscLearnBatch: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('osc:learn-batch', listener);
+    return () => ipcRenderer.removeListener('osc:learn-batch', listener);
+  },
+  onOscMonitorBatch: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('osc:monitor-batch', listener);
+    return () => ipcRenderer.removeListener('osc:monitor-batch', listener);
+  },
+  onMidiMessage: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('midi:message', listener);
+    return () => ipcRenderer.removeListener('midi:message', listener);
+  },
+  onProjectSaveBeforeClose: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const listener = () => callback();
+    ipcRenderer.on('project:save-before-close', listener);
+    return () => ipcRenderer.removeListener('project:save-before-close', listener);
+  },
+  onAutosaveRequest: (callback) => {
     if (typeof callback !== 'function') return () => {};
     const listener = (_event, payload) => callback(payload);
-    ipcRenderer.on('midi:virtual-message', listener);
-    return () => ipcRenderer.removeListener('midi:virtual-message', listener);
+    ipcRenderer.on('autosave:request', listener);
+    return () => ipcRenderer.removeListener('autosave:request', listener);
   },
-  onVirtualMidiStatus: (callback) => {
+  onMidiPortsChanged: (callback) => {
     if (typeof callback !== 'function') return () => {};
     const listener = (_event, payload) => callback(payload);
-    ipcRenderer.on('midi:virtual-status', listener);
-    return () => ipcRenderer.removeListener('midi:virtual-status', listener);
+    ipcRenderer.on('midi:ports-changed', listener);
+    return () => ipcRenderer.removeListener('midi:ports-changed', listener);
   },
 });
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLE_EXTENSION = 'oscbundle';
+const BUNDLE_PROJECT_FILE = 'project.json';
+const BUNDLE_MEDIA_DIR = 'media';
+const BUNDLE_PEAKS_DIR = 'peaks';
+const MEDIA_SEARCH_MAX_DEPTH = 8;
+const MEDIA_SEARCH_MAX_ENTRIES = 50000;
+const WAV_HEADER_READ_BYTES = 256 * 1024;
+
+const isBundlePath = (filePath) => (
+  typeof filePath === 'string'
+  && path.extname(filePath).toLowerCase() === `.${BUNDLE_EXTENSION}`
+);
+
+const ensureBundleExtension = (filePath) => (
+  isBundlePath(filePath) ? filePath : `${filePath.replace(/\.json$/i, '')}.${BUNDLE_EXTENSION}`
+);
+
+const resolveBundleRoot = (filePath) => {
+  if (typeof filePath !== 'string' || !filePath) return null;
+  const resolved = path.resolve(filePath);
+  if (isBundlePath(resolved)) return resolved;
+  if (path.basename(resolved) === BUNDLE_PROJECT_FILE && isBundlePath(path.dirname(resolved))) {
+    return path.dirname(resolved);
+  }
+  return null;
+};
+
+const resolveInsideBundle = (bundleRoot, relativePath) => {
+  if (typeof relativePath !== 'string' || !relativePath) return null;
+  const resolved = path.resolve(bundleRoot, relativePath);
+  const relative = path.relative(bundleRoot, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return resolved;
+};
+
+const toSafeMediaName = (value) => (
+  String(value || 'audio').replace(/[^\w.\-]+/g, '_').slice(-120) || 'audio'
+);
+
+const fileExists = async (filePath) => {
+  if (typeof filePath !== 'string' || !filePath) return false;
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+const resolveTrackMediaSource = async (audio) => {
+  const candidates = [audio?.nativePath, audio?.sourcePath];
+  for (const candidate of candidates) {
+    if (await fileExists(candidate)) return path.resolve(candidate);
+  }
+  return null;
+};
+
+const copyMediaIfChanged = async (sourcePath, targetPath) => {
+  if (path.resolve(sourcePath) === path.resolve(targetPath)) return;
+  try {
+    const [sourceStat, targetStat] = await Promise.all([
+      fs.promises.stat(sourcePath),
+      fs.promises.stat(targetPath),
+    ]);
+    if (sourceStat.size === targetStat.size && targetStat.mtimeMs >= sourceStat.mtimeMs) return;
+  } catch (error) {
+    // Target does not exist yet.
+  }
+  await fs.promises.copyFile(sourcePath, targetPath);
+};
+
+const removeUnreferencedFiles = async (directory, keepNames) => {
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    return;
+  }
+  await Promise.all(entries
+    .filter((entry) => entry.isFile() && !keepNames.has(entry.name))
+    .map((entry) => fs.promises.unlink(path.join(directory, entry.name)).catch(() => {})));
+};
+
+// AIFF stores the sample rate as an 80-bit IEEE extended float.
+const readExtendedFloat = (buffer, offset) => {
+  const exponent = buffer.readUInt16BE(offset) & 0x7fff;
+  const mantissa = buffer.readUInt32BE(offset + 2) * 2 ** 32 + buffer.readUInt32BE(offset + 6);
+  if (!exponent && !mantissa) return 0;
+  return mantissa * 2 ** (exponent - 16383 - 63);
+};
+
+const readAiffDuration = (buffer, bytesRead) => {
+  let offset = 12;
+  while (offset + 8 <= bytesRead) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32BE(offset + 4);
+    if (chunkId === 'COMM') {
+      if (offset + 26 > bytesRead) return null;
+      const frames = buffer.readUInt32BE(offset + 10);
+      const sampleRate = readExtendedFloat(buffer, offset + 16);
+      return sampleRate > 0 ? frames / sampleRate : null;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+};
+
+// STREAMINFO is always the first metadata block: 20-bit sample rate and 36-bit total samples.
+const readFlacDuration = (buffer, bytesRead) => {
+  if (bytesRead < 26 || (buffer[4] & 0x7f) !== 0) return null;
+  const info = 8;
+  const sampleRate = (buffer[info + 10] << 12) | (buffer[info + 11] << 4) | (buffer[info + 12] >> 4);
+  const totalSamples = (buffer[info + 13] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(info + 14);
+  return sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null;
+};
+
+// WAV, AIFF and FLAC durations come from their headers; other formats return null.
+const readMediaDuration = async (filePath) => {
+  let handle = null;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const buffer = Buffer.alloc(WAV_HEADER_READ_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    if (bytesRead < 12) return null;
+    const riff = buffer.toString('ascii', 0, 4);
+    if (riff === 'fLaC') return readFlacDuration(buffer, bytesRead);
+    if (riff === 'FORM') {
+      const formType = buffer.toString('ascii', 8, 12);
+      return formType === 'AIFF' || formType === 'AIFC' ? readAiffDuration(buffer, bytesRead) : null;
+    }
+    if ((riff !== 'RIFF' && riff !== 'RF64') || buffer.toString('ascii', 8, 12) !== 'WAVE') return null;
+    let offset = 12;
+    let byteRate = 0;
+    while (offset + 8 <= bytesRead) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      if (chunkId === 'fmt ' && offset + 20 <= bytesRead) {
+        byteRate = buffer.readUInt32LE(offset + 16);
+      }
+      if (chunkId === 'data') {
+        if (!byteRate) return null;
+        const stat = await handle.stat();
+        const available = Math.max(stat.size - (offset + 8), 0);
+        const dataSize = chunkSize > 0 && chunkSize !== 0xffffffff ? Math.min(chunkSize, available) : available;
+        return dataSize / byteRate;
+      }
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    return null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (handle) await handle.close().catch(() => {});
+  }
+};
+
+const writeBundle = async (bundlePath, project, writeFileAtomic) => {
+  const bundleRoot = path.resolve(ensureBundleExtension(bundlePath));
+  const mediaDir = path.join(bundleRoot, BUNDLE_MEDIA_DIR);
+  const peaksDir = path.join(bundleRoot, BUNDLE_PEAKS_DIR);
+  await fs.promises.mkdir(mediaDir, { recursive: true });
+  await fs.promises.mkdir(peaksDir, { recursive: true });
+
+  const keepMedia = new Set();
+  const keepPeaks = new Set();
+  const missingMedia = [];
+  const tracks = Array.isArray(project?.tracks) ? project.tracks : [];
+  const bundledTracks = [];
+  for (const track of tracks) {
+    if (track?.kind !== 'audio' || !track.audio) {
+      bundledTracks.push(track);
+      continue;
+    }
+    const { waveformPeaks, ...audio } = track.audio;
+    const sourcePath = await resolveTrackMediaSource(audio);
+    let bundleMedia = '';
+    if (sourcePath) {
+      const mediaName = path.dirname(sourcePath) === mediaDir
+        ? path.basename(sourcePath)
+        : `${toSafeMediaName(track.id)}-${toSafeMediaName(audio.name || path.basename(sourcePath))}`;
+      await copyMediaIfChanged(sourcePath, path.join(mediaDir, mediaName));
+      keepMedia.add(mediaName);
+      bundleMedia = `${BUNDLE_MEDIA_DIR}/${mediaName}`;
+    } else if (audio.name || audio.src) {
+      missingMedia.push(audio.name || track.name || track.id);
+    }
+    let bundlePeaks = '';
+    if (Array.isArray(waveformPeaks) && waveformPeaks.length >= 2) {
+      const peaksName = `${toSafeMediaName(track.id)}.json`;
+      await writeFileAtomic(
+        path.join(peaksDir, peaksName),
+        JSON.stringify({ duration: Number(audio.waveformDuration) || 0, peaks: waveformPeaks })
+      );
+      keepPeaks.add(peaksName);
+      bundlePeaks = `${BUNDLE_PEAKS_DIR}/${peaksName}`;
+    }
+    bundledTracks.push({
+      ...track,
+      audio: {
+        ...audio,
+        src: '',
+        nativePath: '',
+        bundleMedia,
+        bundlePeaks,
+      },
+    });
+  }
+
+  const payload = JSON.stringify({ ...(project || {}), tracks: bundledTracks }, null, 2);
+  await writeFileAtomic(path.join(bundleRoot, BUNDLE_PROJECT_FILE), payload);
+  await removeUnreferencedFiles(mediaDir, keepMedia);
+  await removeUnreferencedFiles(peaksDir, keepPeaks);
+  return { filePath: bundleRoot, missingMedia };
+};
+
+const readBundle = async (bundleRoot) => {
+  const text = await fs.promises.readFile(path.join(bundleRoot, BUNDLE_PROJECT_FILE), 'utf8');
+  const project = JSON.parse(text);
+  if (!project || typeof project !== 'object' || Array.isArray(project)) {
+    throw new Error('Bundle does not contain an OSConductor project');
+  }
+  const tracks = Array.isArray(project.tracks) ? project.tracks : [];
+  project.tracks = await Promise.all(tracks.map(async (track) => {
+    if (track?.kind !== 'audio' || !track.audio) return track;
+    const { bundleMedia, bundlePeaks, ...audio } = track.audio;
+    const mediaPath = resolveInsideBundle(bundleRoot, bundleMedia);
+    if (mediaPath && await fileExists(mediaPath)) {
+      audio.nativePath = mediaPath;
+    }
+    const peaksPath = resolveInsideBundle(bundleRoot, bundlePeaks);
+    if (peaksPath) {
+      try {
+        const parsed = JSON.parse(await fs.promises.readFile(peaksPath, 'utf8'));
+        if (Array.isArray(parsed?.peaks) && parsed.peaks.length >= 2) {
+          audio.waveformPeaks = parsed.peaks;
+          if (Number(parsed.duration) > 0) {
+            audio.waveformDuration = Number(parsed.duration);
+          }
+        }
+      } catch (error) {
+        // Peaks are recomputed from media when the cache is unreadable.
+      }
+    }
+    return { ...track, audio };
+  }));
+  return { filePath: bundleRoot, project };
+};
+
+const findMediaCandidates = async (rootDirectory, names) => {
+  const wanted = new Map();
+  (Array.isArray(names) ? names : []).forEach((name) => {
+    if (typeof name !== 'string' || !name.trim()) return;
+    wanted.set(name.trim().toLowerCase(), []);
+  });
+  if (!wanted.size) return {};
+  const queue = [{ directory: path.resolve(rootDirectory), depth: 0 }];
+  let visited = 0;
+  while (queue.length && visited < MEDIA_SEARCH_MAX_ENTRIES) {
+    const { directory, depth } = queue.shift();
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+    for (const entry of entries) {
+      visited += 1;
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < MEDIA_SEARCH_MAX_DEPTH) queue.push({ directory: entryPath, depth: depth + 1 });
+        continue;
+      }
+      const matches = wanted.get(entry.name.toLowerCase());
+      if (matches) matches.push(entryPath);
+    }
+  }
+  const result = {};
+  for (const [name, filePaths] of wanted.entries()) {
+    result[name] = await Promise.all(filePaths.map(async (filePath) => ({
+      filePath,
+      duration: await readMediaDuration(filePath),
+    })));
+  }
+  return result;
+};
+
+module.exports = {
+  BUNDLE_EXTENSION,
+  findMediaCandidates,
+  isBundlePath,
+  readBundle,
+  resolveBundleRoot,
+  writeBundle,
+};
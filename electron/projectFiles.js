@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  BUNDLE_EXTENSION,
+  isBundlePath,
+  readBundle,
+  resolveBundleRoot,
+  writeBundle,
+} = require('./projectBundles');
+
+const RECENT_PROJECTS_LIMIT = 12;
+const PROJECT_FILE_EXTENSION = 'json';
+const PROJECT_FILE_FILTERS = [
+  { name: 'OSConductor Project', extensions: [PROJECT_FILE_EXTENSION] },
+  { name: 'OSConductor Bundle', extensions: [BUNDLE_EXTENSION] },
+  { name: 'All Files', extensions: ['*'] },
+];
+const PROJECT_OPEN_FILTERS = [
+  { name: 'OSConductor Project', extensions: [PROJECT_FILE_EXTENSION, BUNDLE_EXTENSION] },
+  { name: 'All Files', extensions: ['*'] },
+];
+const BUNDLE_FILE_FILTERS = [
+  { name: 'OSConductor Bundle', extensions: [BUNDLE_EXTENSION] },
+];
+
+const writeFileAtomic = async (filePath, data) => {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(
+    directory,
+    `.${path.basename(filePath)}.${process.pid}-${Date.now()}-${Math.random().toString(16).slice(2, 8)}.tmp`
+  );
+  await fs.promises.mkdir(directory, { recursive: true });
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+};
+
+const ensureProjectExtension = (filePath) => {
+  if (typeof filePath !== 'string' || !filePath) return filePath;
+  if (path.extname(filePath)) return filePath;
+  return `${filePath}.${PROJECT_FILE_EXTENSION}`;
+};
+
+const toSafeFileName = (value, fallback = 'osconductor') => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  const safe = raw.replace(/[\\/:*?"<>|]+/g, '_').slice(0, 120);
+  return safe || fallback;
+};
+
+class ProjectFileStore {
+  constructor(options = {}) {
+    this.resolveRecentFilePath = typeof options.resolveRecentFilePath === 'function'
+      ? options.resolveRecentFilePath
+      : () => null;
+    this.recent = null;
+  }
+
+  loadRecent() {
+    if (Array.isArray(this.recent)) return this.recent;
+    this.recent = [];
+    const recentFilePath = this.resolveRecentFilePath();
+    if (!recentFilePath) return this.recent;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(recentFilePath, 'utf8'));
+      const items = Array.isArray(parsed?.items) ? parsed.items : [];
+      this.recent = items
+        .filter((item) => typeof item?.filePath === 'string' && item.filePath)
+        .map((item) => ({
+          filePath: item.filePath,
+          name: typeof item.name === 'string' && item.name ? item.name : path.basename(item.filePath),
+          openedAt: Number(item.openedAt) || 0,
+        }))
+        .slice(0, RECENT_PROJECTS_LIMIT);
+    } catch (error) {
+      this.recent = [];
+    }
+    return this.recent;
+  }
+
+  persistRecent() {
+    const recentFilePath = this.resolveRecentFilePath();
+    if (!recentFilePath) return;
+    const payload = JSON.stringify({ items: this.loadRecent() }, null, 2);
+    writeFileAtomic(recentFilePath, payload).catch(() => {});
+  }
+
+  getRecent() {
+    return this.loadRecent().map((item) => ({
+      ...item,
+      exists: fs.existsSync(item.filePath),
+    }));
+  }
+
+  addRecent(filePath, name) {
+    if (typeof filePath !== 'string' || !filePath) return this.getRecent();
+    const resolved = path.resolve(filePath);
+    const items = this.loadRecent().filter((item) => item.filePath !== resolved);
+    items.unshift({
+      filePath: resolved,
+      name: typeof name === 'string' && name.trim() ? name.trim() : path.basename(resolved),
+      openedAt: Date.now(),
+    });
+    this.recent = items.slice(0, RECENT_PROJECTS_LIMIT);
+    this.persistRecent();
+    return this.getRecent();
+  }
+
+  removeRecent(filePath) {
+    const resolved = typeof filePath === 'string' && filePath ? path.resolve(filePath) : '';
+    this.recent = this.loadRecent().filter((item) => item.filePath !== resolved);
+    this.persistRecent();
+    return this.getRecent();
+  }
+
+  clearRecent() {
+    this.recent = [];
+    this.persistRecent();
+    return [];
+  }
+
+  async readProject(filePath) {
+    const bundleRoot = resolveBundleRoot(filePath);
+    if (bundleRoot) {
+      const loaded = await readBundle(bundleRoot);
+      return { ...loaded, bundle: true };
+    }
+    const resolved = path.resolve(filePath);
+    const text = await fs.promises.readFile(resolved, 'utf8');
+    const project = JSON.parse(text);
+    if (!project || typeof project !== 'object' || Array.isArray(project)) {
+      throw new Error('File is not an OSConductor project');
+    }
+    return { filePath: resolved, project, bundle: false };
+  }
+
+  async writeProject(filePath, project) {
+    if (isBundlePath(filePath)) {
+      const written = await writeBundle(filePath, project, writeFileAtomic);
+      return { ...written, bundle: true };
+    }
+    const resolved = path.resolve(ensureProjectExtension(filePath));
+    const payload = JSON.stringify(project ?? {}, null, 2);
+    await writeFileAtomic(resolved, payload);
+    return { filePath: resolved, bundle: false, missingMedia: [] };
+  }
+}
+
+const createProjectFileStore = (options) => new ProjectFileStore(options);
+
+module.exports = {
+  BUNDLE_EXTENSION,
+  BUNDLE_FILE_FILTERS,
+  PROJECT_FILE_FILTERS,
+  PROJECT_OPEN_FILTERS,
+  createProjectFileStore,
+  toSafeFileName,
+  writeFileAtomic,
+};
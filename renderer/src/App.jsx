@@ -5,15 +5,82 @@ import TrackLane from './components/TrackLane.jsx';
 import InspectorPanel from './components/InspectorPanel.jsx';
 import InlineColorPicker from './components/InlineColorPicker.jsx';
 import NumberInput from './components/NumberInput.jsx';
+import OscArgumentsEditor, { OscArgumentValueInput } from './components/OscArgumentsEditor.jsx';
+import OscMonitorPanel from './components/OscMonitorPanel.jsx';
+import OscQueryBrowserDialog from './components/OscQueryBrowserDialog.jsx';
+import OscSendPolicyFields from './components/OscSendPolicyFields.jsx';
+import SimplifyCurvesDialog from './components/SimplifyCurvesDialog.jsx';
+import MidiImportDialog from './components/MidiImportDialog.jsx';
 import nlInteractiveLogo from './assets/nl-interactive-logo.png';
-import { createInitialState, projectReducer } from './state/projectStore.js';
+import {
+  createInitialState,
+  isProjectDirty,
+  prepareProjectForLoad,
+  projectReducer,
+} from './state/projectStore.js';
+import { PROJECT_SCHEMA_VERSION, hasLoadReportChanges } from './state/projectMigrations.js';
+import {
+  OSC_FEEDBACK_TIMECODE_ADDRESS,
+  OSC_FEEDBACK_TIMECODE_INTERVAL_MS,
+  buildOscFeedbackMessages,
+  findCueContext,
+} from './utils/oscFeedback.js';
+import { buildOscControlAddresses, buildOscQueryNamespace } from './utils/oscQueryNamespace.js';
+import { SIMPLIFIABLE_TRACK_KINDS } from './utils/curveSimplify.js';
+import {
+  OSC_LEARN_KIND_LABELS,
+  OSC_LEARN_TRACK_KINDS,
+  OSC_LEARN_WINDOW_MS,
+  addOscLearnEntries,
+  buildOscLearnTrackName,
+  buildOscLearnTrackPatch,
+  formatOscLearnSummary,
+  inferOscLearnTrackKind,
+} from './utils/oscLearn.js';
 import { Decoder as LtcDecoder } from 'linear-timecode';
 import {
   clamp,
   TIMELINE_PADDING,
   TIMELINE_WIDTH,
 } from './utils/timelineMetrics.js';
-import { getCurveValueRatioByFps, normalizeCurveMode } from './utils/easingCurves.js';
+import { CURVE_MENU_ITEMS, normalizeCurveMode } from '../../shared/easingCurves.mjs';
+import {
+  MIDI_FILE_TRACK_KINDS,
+  buildMidiFile,
+  buildMidiFileImport,
+  parseMidiFile,
+} from '../../shared/midiFile.mjs';
+import { getOscArgumentTypeTag, isNumericOscArgumentType } from '../../shared/oscArguments.mjs';
+import {
+  compileOscAddressPattern,
+  findInvalidOscPatterns,
+  isOscAddressPattern,
+} from '../../shared/oscPatterns.mjs';
+import { OSC_ROUTE_LIMIT, createOscRoute, isOscRouteActive } from '../../shared/oscRoutes.mjs';
+import { normalizeOscSendPolicy } from '../../shared/oscSendPolicy.mjs';
+import {
+  HEX_COLOR_RE,
+  OVERRIDABLE_TRACK_KINDS,
+  colorTrackValueToHex,
+  formatOscOutputScalar,
+  getColorTrackConfig,
+  getOscArraySlotTypes,
+  getOscArrayValueCount,
+  getOscSendValueType,
+  hasSoloTracks,
+  isTrackEnabled as isTrackEnabledWithSolo,
+  normalizeOsc3dBounds,
+  normalizeOsc3dNodeValues,
+  normalizeOscAddressPath,
+  normalizeOscArrayNodeArgs,
+  normalizeOscArrayNodeValues,
+  parseHexColor,
+  sampleOsc3dTrackValues,
+  sampleOscArrayTrackArgs,
+  sampleOscArrayTrackValues,
+  sampleTrackValue as sampleTrackValueAtFps,
+  toMidiCcValue,
+} from '../../shared/trackSampling.mjs';
 
 const AUDIO_BUFFER_SIZES = [128, 256, 512, 1024, 2048, 4096, 8192, 16384];
 const SYNC_FPS_OPTIONS = [
@@ -32,12 +99,30 @@ const APP_MIDI_INPUT_PORT_NAME = 'OSConductor MIDI IN';
 const APP_MIDI_OUTPUT_PORT_NAME = 'OSConductor MIDI OUT';
 const VIRTUAL_MIDI_INPUT_NAME = APP_MIDI_INPUT_PORT_NAME;
 const VIRTUAL_MIDI_OUTPUT_NAME = APP_MIDI_OUTPUT_PORT_NAME;
+const MIDI_PORT_ID_PREFIX_RE = /^midi-(?:in|out):/;
 const DEV_SERVER_PORT = 5170;
-const ARTNET_PORT = 6454;
 const MAX_AUDIO_CHANNELS = 64;
 const MAX_WEB_AUDIO_OUTPUT_CHANNELS = 32;
 const DEFAULT_OSC_OUTPUT_ID = 'osc-out-main';
 const AUDIO_IMPORT_PROJECT_PADDING_SECONDS = 30;
+const MIDI_IMPORT_PROJECT_PADDING_SECONDS = 30;
+// Media above this size still plays from its URL but is not loaded whole for waveforms or duration checks.
+const MEDIA_BUFFER_MAX_BYTES = 512 * 1024 * 1024;
+const MEDIA_URL_SCHEME = 'osconductor-media';
+const PLAYBACK_ENGINE_TRACK_KINDS = new Set([
+  'osc',
+  'osc-array',
+  'osc-3d',
+  'osc-color',
+  'osc-flag',
+  'dmx',
+  'dmx-color',
+  'midi',
+  'midi-pc',
+  'midi-note',
+]);
+const PLAYBACK_TRANSPORT_RESYNC_MS = 250;
+const PLAYBACK_TRANSPORT_JUMP_SECONDS = 0.1;
 const COPYRIGHT_YEAR = new Date().getFullYear();
 const EMPTY_LIST = Object.freeze([]);
 
@@ -98,6 +183,20 @@ const hmsfPartsToSeconds = (hours, minutes, seconds, frames, fps) => {
   return safeHours * 3600 + safeMinutes * 60 + safeSeconds + safeFrames / frameBase;
 };
 
+// Remote locate accepts seconds or "[HH:]MM:SS:FF" (":", ";" or "." before the frames).
+const parseTimecodeToSeconds = (value, fps) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.max(value, 0) : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (/^\d+(?:\.\d+)?$/.test(text)) return Number(text);
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[:;.](\d{1,3})$/.exec(text);
+  if (!match) return null;
+  return hmsfPartsToSeconds(match[1] || 0, match[2], match[3], match[4], fps);
+};
+
+// Control addresses are lower-cased and carry no spaces, so track and cue names compare as slugs.
+const toControlName = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, '_');
+
 const formatHmsfTimecode = (seconds, fps) => {
   const { hours, minutes, seconds: secs, frames } = secondsToHmsfParts(seconds, fps);
   const pad = (value) => String(value).padStart(2, '0');
@@ -117,6 +216,30 @@ const parseHmsfTimecode = (value, fps) => {
   return hmsfPartsToSeconds(hours, minutes, seconds, frames, fps);
 };
 
+const getPathBaseName = (value) => (
+  typeof value === 'string' ? value.split(/[\\/]/).pop() || '' : ''
+);
+
+const isMediaDurationMatch = (duration, expected) => (
+  Number.isFinite(duration) && Math.abs(duration - expected) <= Math.max(0.05, expected * 0.005)
+);
+
+const pickMediaCandidate = (candidates, expectedDuration) => {
+  const list = Array.isArray(candidates) ? candidates.filter((item) => item?.filePath) : [];
+  if (!list.length) return null;
+  const expected = Number(expectedDuration) || 0;
+  if (expected <= 0) return list[0];
+  let best = null;
+  list.forEach((item) => {
+    if (!Number.isFinite(item.duration)) return;
+    if (!best || Math.abs(item.duration - expected) < Math.abs(best.duration - expected)) {
+      best = item;
+    }
+  });
+  if (best && isMediaDurationMatch(best.duration, expected)) return best;
+  return list.find((item) => !Number.isFinite(item.duration)) || best || list[0];
+};
+
 const MIDI_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
 const formatMidiNoteLabel = (value) => {
@@ -126,10 +249,15 @@ const formatMidiNoteLabel = (value) => {
   return `${name}${octave}`;
 };
 
-const toMidiCcValue = (value, fallback = 0) => {
-  const numeric = Number(value);
-  const safe = Number.isFinite(numeric) ? numeric : fallback;
-  return clamp(Math.round(safe), 0, 127);
+const withOfflineMidiPorts = (ports, savedIds) => {
+  const known = new Set(ports.map((port) => port.id));
+  const offline = [];
+  savedIds.forEach((id) => {
+    if (typeof id !== 'string' || !id || known.has(id)) return;
+    known.add(id);
+    offline.push({ id, name: `${id.replace(MIDI_PORT_ID_PREFIX_RE, '')} (offline)`, offline: true });
+  });
+  return offline.length ? [...ports, ...offline] : ports;
 };
 
 const toDmxValue = (value, fallback = 0) => {
@@ -229,41 +357,6 @@ const computeAudioFadeGain = (track, localTime, clipDuration) => {
   return clamp(gain, 0, 1);
 };
 
-const normalizeOscAddressPath = (value, fallback = '/osc/value') => {
-  const raw = typeof value === 'string' ? value.trim() : '';
-  if (!raw) return fallback;
-  if (raw.startsWith('/')) return raw;
-  return `/${raw}`;
-};
-
-const HEX_COLOR_RE = /^#([0-9a-f]{6})$/i;
-
-const clampByte = (value) => clamp(Math.round(Number(value) || 0), 0, 255);
-
-const parseHexColor = (value, fallback = '#000000') => {
-  const input = typeof value === 'string' && HEX_COLOR_RE.test(value) ? value : fallback;
-  const match = HEX_COLOR_RE.exec(input);
-  const hex = match ? match[1] : '000000';
-  return {
-    r: Number.parseInt(hex.slice(0, 2), 16),
-    g: Number.parseInt(hex.slice(2, 4), 16),
-    b: Number.parseInt(hex.slice(4, 6), 16),
-  };
-};
-
-const rgbToHex = (rgb) => (
-  `#${[rgb.r, rgb.g, rgb.b].map((value) => clampByte(value).toString(16).padStart(2, '0')).join('')}`
-);
-
-const lerpColor = (from, to, t) => {
-  const ratio = clamp(Number(t) || 0, 0, 1);
-  return {
-    r: clampByte(from.r + (to.r - from.r) * ratio),
-    g: clampByte(from.g + (to.g - from.g) * ratio),
-    b: clampByte(from.b + (to.b - from.b) * ratio),
-  };
-};
-
 const safeDisconnectAudioNode = (node) => {
   if (!node || typeof node.disconnect !== 'function') return;
   try {
@@ -286,111 +379,6 @@ const normalizeAudioDeviceName = (value) => (
     : ''
 );
 
-const rgbToRgbw = (rgb) => {
-  const white = Math.min(rgb.r, rgb.g, rgb.b);
-  return {
-    r: clampByte(rgb.r - white),
-    g: clampByte(rgb.g - white),
-    b: clampByte(rgb.b - white),
-    w: clampByte(white),
-  };
-};
-
-const getColorTrackConfig = (track) => {
-  if (!track) return null;
-  if (track.kind === 'dmx-color') return track.dmxColor || {};
-  if (track.kind === 'osc-color') return track.oscColor || {};
-  return null;
-};
-
-const colorTrackNodeHex = (track, node) => {
-  if (!track || (track.kind !== 'dmx-color' && track.kind !== 'osc-color')) return '#000000';
-  if (node && typeof node.c === 'string' && HEX_COLOR_RE.test(node.c)) return node.c.toLowerCase();
-  return colorTrackValueToHex(track, node?.v ?? track.default);
-};
-
-const sampleColorTrackHexAtTime = (track, time) => {
-  if (!track || (track.kind !== 'dmx-color' && track.kind !== 'osc-color')) return '#000000';
-  const nodes = Array.isArray(track.nodes) ? track.nodes : [];
-  if (!nodes.length) return colorTrackValueToHex(track, track.default);
-  const sorted = [...nodes].sort((a, b) => a.t - b.t);
-  if (time <= sorted[0].t) return colorTrackNodeHex(track, sorted[0]);
-  if (time >= sorted[sorted.length - 1].t) return colorTrackNodeHex(track, sorted[sorted.length - 1]);
-  for (let i = 0; i < sorted.length - 1; i += 1) {
-    const a = sorted[i];
-    const b = sorted[i + 1];
-    if (time < a.t || time > b.t) continue;
-    if (Math.abs(b.t - a.t) < 1e-9) return colorTrackNodeHex(track, b);
-    const ratio = clamp((time - a.t) / (b.t - a.t), 0, 1);
-    const aRgb = parseHexColor(colorTrackNodeHex(track, a), '#000000');
-    const bRgb = parseHexColor(colorTrackNodeHex(track, b), '#000000');
-    return rgbToHex(lerpColor(aRgb, bRgb, ratio));
-  }
-  return colorTrackNodeHex(track, sorted[sorted.length - 1]);
-};
-
-const resolveDmxColorWrites = (track, time) => {
-  if (track.kind !== 'dmx-color') return [];
-  const cfg = track.dmxColor || {};
-  const fixtureType = cfg.fixtureType === 'rgbw' || cfg.fixtureType === 'mapping' ? cfg.fixtureType : 'rgb';
-  const mappingChannels = Number(cfg.mappingChannels) === 3 ? 3 : 4;
-  const start = clamp(Math.round(Number(cfg.channelStart) || 1), 1, 512);
-  const hexColor = sampleColorTrackHexAtTime(track, time);
-  const rgb = parseHexColor(hexColor, '#000000');
-  const rgbw = rgbToRgbw(rgb);
-  const writes = [];
-  if (fixtureType === 'rgb') {
-    writes.push([start, rgb.r], [start + 1, rgb.g], [start + 2, rgb.b]);
-    return writes;
-  }
-  if (fixtureType === 'rgbw') {
-    writes.push([start, rgbw.r], [start + 1, rgbw.g], [start + 2, rgbw.b], [start + 3, rgbw.w]);
-    return writes;
-  }
-  const mapping = cfg.mapping || {};
-  writes.push(
-    [start + (clamp(Math.round(Number(mapping.r) || 1), 1, 512) - 1), mappingChannels === 3 ? rgb.r : rgbw.r],
-    [start + (clamp(Math.round(Number(mapping.g) || 2), 1, 512) - 1), mappingChannels === 3 ? rgb.g : rgbw.g],
-    [start + (clamp(Math.round(Number(mapping.b) || 3), 1, 512) - 1), mappingChannels === 3 ? rgb.b : rgbw.b],
-  );
-  if (mappingChannels === 4) {
-    writes.push([start + (clamp(Math.round(Number(mapping.w) || 4), 1, 512) - 1), rgbw.w]);
-  }
-  return writes;
-};
-
-const resolveOscColorWrites = (track, time) => {
-  if (!track || track.kind !== 'osc-color') return [];
-  const cfg = track.oscColor || {};
-  const fixtureType = cfg.fixtureType === 'rgbw' ? 'rgbw' : 'rgb';
-  const outputRange = cfg.outputRange === 'unit' ? 'unit' : 'byte';
-  const baseAddressRaw = typeof track.oscAddress === 'string' && track.oscAddress.trim()
-    ? track.oscAddress.trim()
-    : '/osc/color';
-  const baseAddress = baseAddressRaw.replace(/\/+$/, '') || '/osc/color';
-  const hexColor = sampleColorTrackHexAtTime(track, time);
-  const rgb = parseHexColor(hexColor, '#000000');
-  const rgbw = rgbToRgbw(rgb);
-  const rawValues = fixtureType === 'rgbw'
-    ? [rgbw.r, rgbw.g, rgbw.b, rgbw.w]
-    : [rgb.r, rgb.g, rgb.b];
-  const values = outputRange === 'unit'
-    ? rawValues.map((value) => Math.round((clamp(Number(value) || 0, 0, 255) / 255) * 100) / 100)
-    : rawValues.map((value) => clamp(Math.round(Number(value) || 0), 0, 255));
-  return [{ address: baseAddress, values }];
-};
-
-const colorTrackValueToHex = (track, value) => {
-  const cfg = getColorTrackConfig(track);
-  if (!cfg) return '#000000';
-  const min = Number.isFinite(track.min) ? track.min : 0;
-  const max = Number.isFinite(track.max) ? track.max : 255;
-  const ratio = clamp((Number(value) - min) / Math.max(max - min, 0.000001), 0, 1);
-  const from = parseHexColor(cfg.gradientFrom, '#000000');
-  const to = parseHexColor(cfg.gradientTo, '#000000');
-  return rgbToHex(lerpColor(from, to, ratio));
-};
-
 const colorTrackHexToValue = (track, hexColor) => {
   const cfg = getColorTrackConfig(track);
   if (!cfg) return Number(track?.default) || 0;
@@ -413,35 +401,6 @@ const colorTrackHexToValue = (track, hexColor) => {
   return clamp(min + (max - min) * ratio, min, max);
 };
 
-const getOscArrayValueCount = (track) => (
-  clamp(Math.round(Number(track?.oscArray?.valueCount) || 5), 1, 20)
-);
-
-const normalizeOscArrayNodeValues = (track, node) => {
-  const count = getOscArrayValueCount(track);
-  const min = Number.isFinite(track?.min) ? Number(track.min) : 0;
-  const max = Number.isFinite(track?.max) ? Number(track.max) : 1;
-  const fallback = clamp(Number(node?.v ?? track?.default ?? 0) || 0, min, max);
-  const raw = Array.isArray(node?.arr) ? node.arr : [];
-  return Array.from({ length: count }, (_, index) => (
-    clamp(Number(raw[index] ?? fallback) || 0, min, max)
-  ));
-};
-
-const getOscSendValueType = (track) => (track?.oscValueType === 'int' ? 'int' : 'float');
-
-const formatOscOutputScalar = (value, valueType) => {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric)) return 0;
-  if (valueType === 'int') return Math.round(numeric);
-  return Math.round(numeric * 100) / 100;
-};
-
-const formatOscOutputArray = (values, valueType) => {
-  const raw = Array.isArray(values) ? values : [];
-  return raw.map((value) => formatOscOutputScalar(value, valueType));
-};
-
 const normalizeOscOutputName = (value, index = 0) => {
   if (typeof value === 'string' && value.trim()) return value.trim();
   return `OSC Output ${String(index + 1).padStart(2, '0')}`;
@@ -457,6 +416,42 @@ const normalizeOscOutputPort = (value, fallback = 9000) => (
   clamp(Math.round(Number(value) || fallback), 1, 65535)
 );
 
+const normalizeOscOutputBundleSettings = (output) => ({
+  bundle: Boolean(output?.bundle),
+  bundleMtu: clamp(Math.round(Number(output?.bundleMtu) || 1400), 128, 65507),
+  bundleTimetag: output?.bundleTimetag === 'future' ? 'future' : 'immediate',
+  bundleLatencyMs: clamp(Math.round(Number(output?.bundleLatencyMs ?? 20) || 0), 0, 5000),
+});
+
+const OSC_OUTPUT_TRANSPORT_OPTIONS = [
+  { value: 'udp', label: 'UDP' },
+  { value: 'tcp-length', label: 'TCP (length prefix)' },
+  { value: 'tcp-slip', label: 'TCP (SLIP, OSC 1.1)' },
+];
+
+const TIMELINE_RANGE_KEYS = {
+  loop: ['loopStart', 'loopEnd'],
+  punch: ['punchIn', 'punchOut'],
+};
+
+const OSC_OUTPUT_STATUS_LABELS = {
+  connecting: 'Connecting...',
+  connected: 'Connected',
+  disconnected: 'Disconnected, retrying',
+};
+const OSC_QUERY_STATUS_LABELS = {
+  listening: 'Serving',
+  error: 'Unavailable',
+};
+const OSC_QUERY_STATUS_CLASSES = {
+  listening: 'connected',
+  error: 'disconnected',
+};
+
+const normalizeOscOutputTransport = (value) => (
+  OSC_OUTPUT_TRANSPORT_OPTIONS.some((option) => option.value === value) ? value : 'udp'
+);
+
 const normalizeOscOutputsForUi = (oscSettings) => {
   const raw = Array.isArray(oscSettings?.outputs) ? oscSettings.outputs : [];
   const fallbackHost = normalizeOscOutputHost(oscSettings?.host);
@@ -476,6 +471,9 @@ const normalizeOscOutputsForUi = (oscSettings) => {
       name: normalizeOscOutputName(source.name, index),
       host: normalizeOscOutputHost(source.host || fallbackHost),
       port: normalizeOscOutputPort(source.port, fallbackPort),
+      transport: normalizeOscOutputTransport(source.transport),
+      ...normalizeOscOutputBundleSettings(source),
+      sendPolicy: normalizeOscSendPolicy(source.sendPolicy),
     });
   });
   if (normalized.length) return normalized;
@@ -484,112 +482,12 @@ const normalizeOscOutputsForUi = (oscSettings) => {
     name: 'Main',
     host: fallbackHost,
     port: fallbackPort,
+    transport: 'udp',
+    ...normalizeOscOutputBundleSettings({}),
+    sendPolicy: normalizeOscSendPolicy(),
   }];
 };
 
-const sampleOscArrayTrackValues = (track, time, curveFps = 30) => {
-  const count = getOscArrayValueCount(track);
-  const min = Number.isFinite(track?.min) ? Number(track.min) : 0;
-  const max = Number.isFinite(track?.max) ? Number(track.max) : 1;
-  const defaultValue = clamp(Number(track?.default ?? 0) || 0, min, max);
-  const fallback = Array.from({ length: count }, () => defaultValue);
-  if (!track || track.kind !== 'osc-array') return fallback;
-  const nodes = Array.isArray(track.nodes) ? track.nodes : [];
-  if (!nodes.length) return fallback;
-  const sorted = [...nodes].sort((a, b) => a.t - b.t);
-  if (time <= sorted[0].t) return normalizeOscArrayNodeValues(track, sorted[0]);
-  if (time >= sorted[sorted.length - 1].t) return normalizeOscArrayNodeValues(track, sorted[sorted.length - 1]);
-  for (let i = 0; i < sorted.length - 1; i += 1) {
-    const a = sorted[i];
-    const b = sorted[i + 1];
-    if (time < a.t || time > b.t) continue;
-    const aValues = normalizeOscArrayNodeValues(track, a);
-    const bValues = normalizeOscArrayNodeValues(track, b);
-    if (Math.abs(b.t - a.t) < 1e-9) return bValues;
-    const ratio = getCurveValueRatioByFps((time - a.t) / (b.t - a.t), a.curve, curveFps);
-    return aValues.map((value, index) => clamp(value + (bValues[index] - value) * ratio, min, max));
-  }
-  return normalizeOscArrayNodeValues(track, sorted[sorted.length - 1]);
-};
-
-const DEFAULT_OSC_3D_BOUNDS = Object.freeze({
-  xMin: -1,
-  xMax: 1,
-  yMin: -1,
-  yMax: 1,
-  zMin: -1,
-  zMax: 1,
-});
-
-const normalizeOsc3dBounds = (trackOrSettings) => {
-  const raw =
-    trackOrSettings?.osc3d?.bounds
-    || trackOrSettings?.bounds
-    || trackOrSettings
-    || {};
-  const normalizeAxis = (minValue, maxValue, fallbackMin, fallbackMax) => {
-    const min = Number.isFinite(Number(minValue)) ? Number(minValue) : fallbackMin;
-    const max = Number.isFinite(Number(maxValue)) ? Number(maxValue) : fallbackMax;
-    if (min <= max) return { min, max };
-    return { min: max, max: min };
-  };
-  const x = normalizeAxis(raw.xMin, raw.xMax, DEFAULT_OSC_3D_BOUNDS.xMin, DEFAULT_OSC_3D_BOUNDS.xMax);
-  const y = normalizeAxis(raw.yMin, raw.yMax, DEFAULT_OSC_3D_BOUNDS.yMin, DEFAULT_OSC_3D_BOUNDS.yMax);
-  const z = normalizeAxis(raw.zMin, raw.zMax, DEFAULT_OSC_3D_BOUNDS.zMin, DEFAULT_OSC_3D_BOUNDS.zMax);
-  return {
-    xMin: x.min,
-    xMax: x.max,
-    yMin: y.min,
-    yMax: y.max,
-    zMin: z.min,
-    zMax: z.max,
-  };
-};
-
-const getOsc3dDefaultValues = (bounds) => ([
-  (bounds.xMin + bounds.xMax) * 0.5,
-  (bounds.yMin + bounds.yMax) * 0.5,
-  (bounds.zMin + bounds.zMax) * 0.5,
-]);
-
-const normalizeOsc3dNodeValues = (track, node) => {
-  const bounds = normalizeOsc3dBounds(track);
-  const fallback = getOsc3dDefaultValues(bounds);
-  const raw = Array.isArray(node?.arr) ? node.arr : [];
-  const yFromValue = Number.isFinite(Number(node?.v)) ? Number(node.v) : fallback[1];
-  return [
-    clamp(Number.isFinite(Number(raw[0])) ? Number(raw[0]) : fallback[0], bounds.xMin, bounds.xMax),
-    clamp(Number.isFinite(Number(raw[1])) ? Number(raw[1]) : yFromValue, bounds.yMin, bounds.yMax),
-    clamp(Number.isFinite(Number(raw[2])) ? Number(raw[2]) : fallback[2], bounds.zMin, bounds.zMax),
-  ];
-};
-
-const sampleOsc3dTrackValues = (track, time, curveFps = 30) => {
-  const bounds = normalizeOsc3dBounds(track);
-  const fallback = getOsc3dDefaultValues(bounds);
-  if (!track || track.kind !== 'osc-3d') return fallback;
-  const nodes = Array.isArray(track.nodes) ? track.nodes : [];
-  if (!nodes.length) return fallback;
-  const sorted = [...nodes].sort((a, b) => a.t - b.t);
-  if (time <= sorted[0].t) return normalizeOsc3dNodeValues(track, sorted[0]);
-  if (time >= sorted[sorted.length - 1].t) return normalizeOsc3dNodeValues(track, sorted[sorted.length - 1]);
-  for (let i = 0; i < sorted.length - 1; i += 1) {
-    const a = sorted[i];
-    const b = sorted[i + 1];
-    if (time < a.t || time > b.t) continue;
-    const aValues = normalizeOsc3dNodeValues(track, a);
-    const bValues = normalizeOsc3dNodeValues(track, b);
-    if (Math.abs(b.t - a.t) < 1e-9) return bValues;
-    const ratio = getCurveValueRatioByFps((time - a.t) / (b.t - a.t), a.curve, curveFps);
-    return [
-      clamp(aValues[0] + (bValues[0] - aValues[0]) * ratio, bounds.xMin, bounds.xMax),
-      clamp(aValues[1] + (bValues[1] - aValues[1]) * ratio, bounds.yMin, bounds.yMax),
-      clamp(aValues[2] + (bValues[2] - aValues[2]) * ratio, bounds.zMin, bounds.zMax),
-    ];
-  }
-  return normalizeOsc3dNodeValues(track, sorted[sorted.length - 1]);
-};
-
 const OSC3D_CAMERA_DEFAULT = Object.freeze({
   yaw: 34,
   pitch: 18,
@@ -797,6 +695,9 @@ const OSC3D_MONITOR_HTML = `<!doctype html>
 export default function App() {
   const [state, dispatch] = useReducer(projectReducer, undefined, createInitialState);
   const { project, selectedTrackId, historyPast, historyFuture } = state;
+  const isDirty = isProjectDirty(state);
+  const [projectFilePath, setProjectFilePath] = useState(null);
+  const [recentProjects, setRecentProjects] = useState([]);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [playhead, setPlayhead] = useState(project.view.start);
@@ -805,6 +706,8 @@ export default function App() {
   const [settingsTab, setSettingsTab] = useState('project');
   const [isCompositionsVisible, setIsCompositionsVisible] = useState(true);
   const [isInspectorVisible, setIsInspectorVisible] = useState(true);
+  const [isOscMonitorVisible, setIsOscMonitorVisible] = useState(false);
+  const [oscLearn, setOscLearn] = useState(null);
   const [editingCompositionId, setEditingCompositionId] = useState(null);
   const [editingCompositionName, setEditingCompositionName] = useState('');
   const [dragCompositionId, setDragCompositionId] = useState(null);
@@ -812,6 +715,10 @@ export default function App() {
   const [isAddTrackMenuOpen, setIsAddTrackMenuOpen] = useState(false);
   const [addTrackMenuMode, setAddTrackMenuMode] = useState('single');
   const [multiAddDialog, setMultiAddDialog] = useState(null);
+  const [oscQueryBrowser, setOscQueryBrowser] = useState(null);
+  const [simplifyTargets, setSimplifyTargets] = useState(null);
+  const [midiImportDialog, setMidiImportDialog] = useState(null);
+  const oscQueryBrowseEndpointRef = useRef({ host: '127.0.0.1', port: 5678 });
   const [dragTrackId, setDragTrackId] = useState(null);
   const [dragTrackIds, setDragTrackIds] = useState([]);
   const [dropTarget, setDropTarget] = useState(null);
@@ -831,6 +738,13 @@ export default function App() {
   const [editingAudioClip, setEditingAudioClip] = useState(null);
   const [editingAudioFade, setEditingAudioFade] = useState(null);
   const [audioChannelMapTrackId, setAudioChannelMapTrackId] = useState(null);
+  const [missingMediaItems, setMissingMediaItems] = useState([]);
+  const [isSearchingMissingMedia, setIsSearchingMissingMedia] = useState(false);
+  const [autosaveConfig, setAutosaveConfig] = useState(null);
+  const [autosaveSnapshots, setAutosaveSnapshots] = useState([]);
+  const [snapshotBrowserMode, setSnapshotBrowserMode] = useState(null);
+  const [loadReport, setLoadReport] = useState(null);
+  const [appVersion, setAppVersion] = useState('');
   const [audioChannelMapDraft, setAudioChannelMapDraft] = useState(null);
   const [audioOutputs, setAudioOutputs] = useState([]);
   const [audioInputs, setAudioInputs] = useState([]);
@@ -844,12 +758,7 @@ export default function App() {
     error: null,
   });
   const [nativeAudioDevices, setNativeAudioDevices] = useState([]);
-  const [midiStatus, setMidiStatus] = useState({
-    inputName: VIRTUAL_MIDI_INPUT_NAME,
-    outputName: VIRTUAL_MIDI_OUTPUT_NAME,
-    error: null,
-  });
-  const [midiDevices, setMidiDevices] = useState({ inputs: [], outputs: [] });
+  const [midiDevices, setMidiDevices] = useState({ available: true, inputs: [], outputs: [] });
   const [timelineWidth, setTimelineWidth] = useState(TIMELINE_WIDTH);
   const [selectedTrackIds, setSelectedTrackIds] = useState(
     selectedTrackId ? [selectedTrackId] : []
@@ -863,6 +772,19 @@ export default function App() {
     lastAddress: null,
     lastAt: null,
   });
+  const [playbackStats, setPlaybackStats] = useState(null);
+  const [oscOutputStatusById, setOscOutputStatusById] = useState({});
+  const [oscQueryState, setOscQueryState] = useState({
+    status: 'stopped',
+    port: null,
+    error: null,
+    advertised: false,
+    advertiseError: null,
+  });
+  const [trackOverrides, setTrackOverrides] = useState({});
+  const [oscControlNotice, setOscControlNotice] = useState('');
+  const oscFeedbackRef = useRef({ messages: null, sent: new Map(), timecodeAt: 0, timer: null });
+  const oscQueryNamespaceTextRef = useRef('');
   const lastTickRef = useRef(null);
   const playheadRef = useRef(0);
   const isPlayingRef = useRef(false);
@@ -879,6 +801,8 @@ export default function App() {
   const oscPendingPreviewRef = useRef(new Map());
   const oscLatestByAddressRef = useRef(new Map());
   const oscRecordQueueRef = useRef([]);
+  const midiRecordQueueRef = useRef([]);
+  const recordedSpansRef = useRef(new Map());
   const oscDroppedRef = useRef(0);
   const oscMetaRef = useRef({ lastAddress: null, lastAt: null, dirty: false, lastUiSyncAt: 0 });
   const internalClockRef = useRef({ running: false, startPerf: 0, startPlayhead: 0, startWallMs: 0 });
@@ -892,6 +816,7 @@ export default function App() {
   const ltcProcessorRef = useRef(null);
   const ltcDecoderRef = useRef(null);
   const fileInputRef = useRef(null);
+  const midiFileInputRef = useRef(null);
   const clipboardRef = useRef(null);
   const audioElementsRef = useRef(new Map());
   const audioUrlRef = useRef(new Map());
@@ -903,15 +828,8 @@ export default function App() {
   const trackLanesPanelRef = useRef(null);
   const resizeHoldUntilRef = useRef(0);
   const resizeIdleTimerRef = useRef(null);
-  const midiAccessRef = useRef(null);
-  const midiInputRef = useRef(null);
-  const midiOutputRef = useRef(null);
-  const midiTrackRuntimeRef = useRef(new Map());
-  const midiPcRuntimeRef = useRef(new Map());
-  const midiNoteRuntimeRef = useRef(new Map());
-  const artNetSequenceRef = useRef(new Map());
-  const oscFlagPlaybackRef = useRef({ lastTime: null });
-  const midiPcPlaybackRef = useRef({ lastTime: null });
+  const playbackTransportRef = useRef({ playing: false, playhead: null, sentAt: 0 });
+  const playbackEngineTracksRef = useRef(new Map());
   const lastAudioLoopWatchPlayheadRef = useRef(null);
   const nativeAudioConfigKeyRef = useRef('');
   const nativeAudioMixKeyRef = useRef('');
@@ -1352,13 +1270,33 @@ export default function App() {
     monitors.clear();
   }, []);
 
+  // Ports are saved by name; ones that are not connected right now stay selectable as "(offline)".
+  const midiInputOptions = useMemo(
+    () => withOfflineMidiPorts(
+      [{ id: VIRTUAL_MIDI_INPUT_ID, name: VIRTUAL_MIDI_INPUT_NAME }, ...midiDevices.inputs],
+      [project.midi?.inputId, project.midi?.recordInputId]
+    ),
+    [midiDevices.inputs, project.midi?.inputId, project.midi?.recordInputId]
+  );
   const midiOutputOptions = useMemo(
-    () => [
-      { id: VIRTUAL_MIDI_OUTPUT_ID, name: VIRTUAL_MIDI_OUTPUT_NAME },
-      ...midiDevices.outputs,
-    ],
-    [midiDevices.outputs]
+    () => withOfflineMidiPorts(
+      [{ id: VIRTUAL_MIDI_OUTPUT_ID, name: VIRTUAL_MIDI_OUTPUT_NAME }, ...midiDevices.outputs],
+      [project.midi?.outputId, ...project.tracks.map((track) => track.midi?.outputId)]
+    ),
+    [midiDevices.outputs, project.midi?.outputId, project.tracks]
   );
+  const midiPortError = useMemo(() => {
+    if (!midiDevices.available) return 'MIDI ports unavailable';
+    const inputId = project.midi?.inputId || VIRTUAL_MIDI_INPUT_ID;
+    const outputId = project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID;
+    if (midiInputOptions.some((port) => port.id === inputId && port.offline)) {
+      return 'Selected MIDI input is unavailable';
+    }
+    if (midiOutputOptions.some((port) => port.id === outputId && port.offline)) {
+      return 'Selected MIDI output is unavailable';
+    }
+    return null;
+  }, [midiDevices.available, midiInputOptions, midiOutputOptions, project.midi?.inputId, project.midi?.outputId]);
   const midiOutputNameMap = useMemo(() => {
     const map = new Map();
     midiOutputOptions.forEach((output) => {
@@ -1581,10 +1519,82 @@ export default function App() {
       startPlayhead: useInternalClock
         ? internalClockRef.current.startPlayhead
         : Math.max(Number(playheadRef.current) || 0, 0),
+      mode: project.recording?.mode,
+      touchTimeout: project.recording?.touchTimeout,
+      punchEnabled: Boolean(project.view.punchEnabled),
+      punchIn: project.view.punchIn,
+      punchOut: project.view.punchOut,
+      // Only the internal clock wraps by itself; external sync re-anchors through new configs.
+      loopEnabled: useInternalClock && Boolean(project.view.loopEnabled),
+      loopStart: project.view.loopStart,
+      loopEnd: project.view.loopEnd,
+      midiInputId: project.midi?.recordInputId || VIRTUAL_MIDI_INPUT_ID,
       ...override,
     };
     bridge.setOscRecordingConfig(payload).catch(() => {});
-  }, [isRecording, isPlaying, project.timebase?.fps, project.view.length]);
+  }, [
+    isRecording,
+    isPlaying,
+    project.timebase?.fps,
+    project.view.length,
+    project.recording?.mode,
+    project.recording?.touchTimeout,
+    project.view.punchEnabled,
+    project.view.punchIn,
+    project.view.punchOut,
+    project.view.loopEnabled,
+    project.view.loopStart,
+    project.view.loopEnd,
+    project.midi?.recordInputId,
+  ]);
+
+  useEffect(() => {
+    if (isRecording) {
+      recordedSpansRef.current = new Map();
+      return undefined;
+    }
+    const spans = recordedSpansRef.current;
+    if (!project.recording?.autoSimplify) return undefined;
+    const { simplifyTolerance, simplifyTimeTolerance } = project.recording;
+    let timerId = null;
+    let attempts = 0;
+    // The last frames are still draining from the recorder when recording stops.
+    const simplifyWhenIngested = () => {
+      attempts += 1;
+      if (oscRecordQueueRef.current.length && attempts < 50) {
+        timerId = window.setTimeout(simplifyWhenIngested, 100);
+        return;
+      }
+      if (!spans.size) return;
+      dispatch({
+        type: 'simplify-nodes',
+        targets: Array.from(spans, ([address, span]) => ({ address, from: span.from, to: span.to })),
+        tolerance: simplifyTolerance,
+        timeTolerance: simplifyTimeTolerance,
+      });
+    };
+    timerId = window.setTimeout(simplifyWhenIngested, 300);
+    return () => window.clearTimeout(timerId);
+  }, [isRecording]);
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.setOscRecordFilters) return;
+    bridge.setOscRecordFilters({
+      include: project.osc?.recordInclude || '',
+      exclude: project.osc?.recordExclude || '',
+    }).catch(() => {});
+  }, [project.osc?.recordInclude, project.osc?.recordExclude]);
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.setOscRoutes) return;
+    const routes = Array.isArray(project.osc?.routes) ? project.osc.routes : [];
+    bridge.setOscRoutes({
+      routes: routes.filter((route) => isOscRouteActive(route, activeCompositionId)),
+      port: project.osc?.listenPort,
+    }).catch(() => {});
+  }, [project.osc?.routes, project.osc?.listenPort, activeCompositionId]);
 
   const startInternalClock = (anchorPlayhead = playheadRef.current) => {
     internalClockRef.current = {
@@ -1885,292 +1895,35 @@ export default function App() {
   }, []);
 
   useEffect(() => {
-    let mounted = true;
-    if (!navigator.requestMIDIAccess) {
-      setMidiStatus({
-        inputName: VIRTUAL_MIDI_INPUT_NAME,
-        outputName: VIRTUAL_MIDI_OUTPUT_NAME,
-        error: 'Web MIDI not supported',
+    const bridge = window.oscDaw;
+    if (!bridge?.listMidiPorts) return undefined;
+    const applyPorts = (payload) => {
+      setMidiDevices({
+        available: payload?.available !== false,
+        inputs: Array.isArray(payload?.inputs) ? payload.inputs : [],
+        outputs: Array.isArray(payload?.outputs) ? payload.outputs : [],
       });
-      return undefined;
-    }
-
-    const refreshDevices = () => {
-      if (!mounted) return;
-      const access = midiAccessRef.current;
-      if (!access) return;
-      const inputs = Array.from(access.inputs.values()).map((port) => ({
-        id: port.id,
-        name: port.name || `Input ${port.id.slice(0, 6)}`,
-      }));
-      const outputs = Array.from(access.outputs.values()).map((port) => ({
-        id: port.id,
-        name: port.name || `Output ${port.id.slice(0, 6)}`,
-      }));
-      setMidiDevices({ inputs, outputs });
-    };
-
-    const initMidi = async () => {
-      try {
-        const access = await navigator.requestMIDIAccess({ sysex: true });
-        if (!mounted) return;
-        midiAccessRef.current = access;
-        refreshDevices();
-        access.onstatechange = () => {
-          refreshDevices();
-        };
-        return;
-      } catch (error) {
-        // Fallback without sysex permission.
-      }
-
-      try {
-        const access = await navigator.requestMIDIAccess({ sysex: false });
-        if (!mounted) return;
-        midiAccessRef.current = access;
-        refreshDevices();
-        access.onstatechange = () => {
-          refreshDevices();
-        };
-      } catch (error) {
-        if (!mounted) return;
-        setMidiStatus((prev) => ({
-          ...prev,
-          error: error?.message || 'MIDI access failed',
-        }));
-      }
-    };
-
-    initMidi();
-
-    return () => {
-      mounted = false;
-      const access = midiAccessRef.current;
-      if (access) access.onstatechange = null;
-      if (midiInputRef.current) {
-        try {
-          midiInputRef.current.onmidimessage = null;
-          if (typeof midiInputRef.current.close === 'function') midiInputRef.current.close();
-        } catch (error) {
-          // Ignore close errors.
-        }
-        midiInputRef.current = null;
-      }
-      if (midiOutputRef.current) {
-        try {
-          if (typeof midiOutputRef.current.close === 'function') midiOutputRef.current.close();
-        } catch (error) {
-          // Ignore close errors.
-        }
-        midiOutputRef.current = null;
-      }
-      midiAccessRef.current = null;
     };
+    bridge.listMidiPorts().then(applyPorts).catch(() => {});
+    return bridge.onMidiPortsChanged?.(applyPorts);
   }, []);
 
   useEffect(() => {
-    const access = midiAccessRef.current;
-    const selectedInputId = project.midi?.inputId || VIRTUAL_MIDI_INPUT_ID;
-    const selectedOutputId = project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID;
+    const bridge = window.oscDaw;
+    if (!bridge?.setMidiInputs) return;
     const syncMode = project.timebase?.sync || 'Internal';
-
-    if (!access) {
-      setMidiStatus((prev) => ({
-        ...prev,
-        inputName: selectedInputId === VIRTUAL_MIDI_INPUT_ID ? VIRTUAL_MIDI_INPUT_NAME : prev.inputName,
-        outputName: selectedOutputId === VIRTUAL_MIDI_OUTPUT_ID ? VIRTUAL_MIDI_OUTPUT_NAME : prev.outputName,
-      }));
-      return;
-    }
-
-    let errorText = null;
-
-    if (midiInputRef.current) {
-      try {
-        midiInputRef.current.onmidimessage = null;
-        if (typeof midiInputRef.current.close === 'function') midiInputRef.current.close();
-      } catch (error) {
-        // Ignore close errors.
-      }
-      midiInputRef.current = null;
-    }
-
-    if (midiOutputRef.current) {
-      try {
-        if (typeof midiOutputRef.current.close === 'function') midiOutputRef.current.close();
-      } catch (error) {
-        // Ignore close errors.
-      }
-      midiOutputRef.current = null;
-    }
-
-    let inputName = VIRTUAL_MIDI_INPUT_NAME;
-    let outputName = VIRTUAL_MIDI_OUTPUT_NAME;
-    const fallbackInputId = selectedInputId;
-    const fallbackOutputId = selectedOutputId;
-
-    if (fallbackInputId !== VIRTUAL_MIDI_INPUT_ID) {
-      const input = access.inputs.get(fallbackInputId) || null;
-      if (input) {
-        inputName = input.name || `Input ${fallbackInputId.slice(0, 6)}`;
-        if (typeof input.open === 'function') {
-          input.open().catch(() => {});
-        }
-        const applyMtcTime = (rawTime, mtcFps) => {
-          const safeFps = Math.max(Number(mtcFps) || Number(syncFpsPreset.fps) || 30, 1);
-          const mtcTime = clamp(Number(rawTime) || 0, 0, project.view.length);
-          const now = performance.now();
-          const pll = mtcPllRef.current;
-          const predicted = predictMtcPllTime(pll, now);
-          const error = Number.isFinite(predicted) ? mtcTime - predicted : 0;
-
-          if (!pll.locked || !Number.isFinite(predicted) || Math.abs(error) >= MTC_PLL_REJECT_THRESHOLD_SECONDS) {
-            pll.locked = true;
-            pll.phase = mtcTime;
-            pll.frequency = 1;
-            pll.lastUpdateAt = now;
-          } else {
-            const gainScale = Math.abs(error) > MTC_PLL_ACQUIRE_THRESHOLD_SECONDS ? 2 : 1;
-            const nextPhase = predicted + error * MTC_PLL_KP * gainScale;
-            const nextFrequency = clamp(
-              pll.frequency + error * MTC_PLL_KI * gainScale,
-              MTC_PLL_FREQUENCY_MIN,
-              MTC_PLL_FREQUENCY_MAX
-            );
-            pll.phase = clamp(nextPhase, 0, project.view.length);
-            pll.frequency = nextFrequency;
-            pll.lastUpdateAt = now;
-          }
-
-          const smoothedNow = predictMtcPllTime(pll, now);
-          if (Number.isFinite(smoothedNow)) {
-            setPlayhead(clamp(smoothedNow, 0, project.view.length));
-          } else {
-            setPlayhead(mtcTime);
-          }
-          setIsPlaying(true);
-          if (mtcFollowTimeoutRef.current) {
-            window.clearTimeout(mtcFollowTimeoutRef.current);
-          }
-          mtcFollowTimeoutRef.current = window.setTimeout(() => {
-            mtcStateRef.current = createMtcState();
-            mtcPllRef.current = createMtcPllState();
-            setIsPlaying(false);
-          }, Math.max(450, Math.round(2000 / safeFps)));
-        };
-
-        const consumeQuarterFrame = (data1) => {
-          const type = (data1 >> 4) & 0x07;
-          const value = data1 & 0x0f;
-          const mtc = mtcStateRef.current;
-          const expectedType = mtc.lastType < 0 ? 0 : ((mtc.lastType + 1) & 0x07);
-
-          if (type !== expectedType) {
-            mtc.sequenceValid = type === 0;
-            mtc.mask = 0;
-          } else if (type === 0 && mtc.lastType === 7) {
-            mtc.sequenceValid = true;
-            mtc.mask = 0;
-          }
-
-          mtc.parts[type] = value;
-          mtc.mask |= (1 << type);
-          mtc.lastType = type;
-
-          if (!(mtc.sequenceValid && type === 7 && mtc.mask === 0xff)) return;
-          mtc.mask = 0;
-
-          const rateType = (mtc.parts[7] >> 1) & 0x03;
-          const mtcFps = [24, 25, 29.97, 30][rateType] || Number(syncFpsPreset.fps) || 30;
-          const frames = (mtc.parts[1] << 4) | mtc.parts[0];
-          const seconds = (mtc.parts[3] << 4) | mtc.parts[2];
-          const minutes = (mtc.parts[5] << 4) | mtc.parts[4];
-          const hours = ((mtc.parts[7] & 0x1) << 4) | mtc.parts[6];
-          const decodedSeconds =
-            hours * 3600
-            + minutes * 60
-            + seconds
-            + (frames + MTC_QUARTER_FRAME_COMPENSATION_FRAMES) / Math.max(mtcFps, 1);
-          const now = performance.now();
-          if (Number.isFinite(mtc.lastDecodedSeconds)) {
-            const deltaSeconds = decodedSeconds - mtc.lastDecodedSeconds;
-            const deltaMs = now - (mtc.lastDecodedAt || now);
-            if (deltaMs < 150 && Math.abs(deltaSeconds) > 1.5) {
-              return;
-            }
-          }
-          mtc.lastDecodedSeconds = decodedSeconds;
-          mtc.lastDecodedAt = now;
-          applyMtcTime(decodedSeconds, mtcFps);
-        };
-
-        const consumeFullFrame = (bytes) => {
-          if (bytes.length < 10) return;
-          if (bytes[0] !== 0xf0 || bytes[1] !== 0x7f || bytes[3] !== 0x01 || bytes[4] !== 0x01) return;
-          if (bytes[bytes.length - 1] !== 0xf7) return;
-          const hourByte = bytes[5] ?? 0;
-          const rateType = (hourByte >> 5) & 0x03;
-          const mtcFps = [24, 25, 29.97, 30][rateType] || Number(syncFpsPreset.fps) || 30;
-          const hours = hourByte & 0x1f;
-          const minutes = (bytes[6] ?? 0) & 0x3f;
-          const seconds = (bytes[7] ?? 0) & 0x3f;
-          const frames = (bytes[8] ?? 0) & 0x1f;
-          applyMtcTime(hours * 3600 + minutes * 60 + seconds + frames / Math.max(mtcFps, 1), mtcFps);
-        };
-
-        input.onmidimessage = (event) => {
-          const bytes = Array.from(event.data || []);
-          if (!bytes.length) return;
-          if (syncMode !== 'MTC') return;
-          if (bytes[0] >= 0xf8) return;
-          if (bytes[0] === 0xf1 && Number.isFinite(bytes[1])) {
-            consumeQuarterFrame(bytes[1]);
-            return;
-          }
-          if (bytes[0] === 0xf0) {
-            consumeFullFrame(bytes);
-          }
-        };
-        midiInputRef.current = input;
-      } else {
-        errorText = 'Selected MIDI input is unavailable';
-      }
-    }
-
-    if (fallbackOutputId !== VIRTUAL_MIDI_OUTPUT_ID) {
-      const output = access.outputs.get(fallbackOutputId) || null;
-      if (output) {
-        outputName = output.name || `Output ${fallbackOutputId.slice(0, 6)}`;
-        if (typeof output.open === 'function') {
-          output.open().catch(() => {});
-        }
-        midiOutputRef.current = output;
-      } else {
-        errorText = errorText || 'Selected MIDI output is unavailable';
-      }
-    }
-
-    setMidiStatus({
-      inputName,
-      outputName,
-      error: errorText,
-    });
-  }, [
-    project.midi?.inputId,
-    project.midi?.outputId,
-    project.timebase?.sync,
-    project.view.length,
-    midiDevices.inputs,
-    midiDevices.outputs,
-    syncFpsPreset.fps,
-  ]);
+    const inputIds = [];
+    if (syncMode === 'MTC') inputIds.push(project.midi?.inputId || VIRTUAL_MIDI_INPUT_ID);
+    if (isRecording) inputIds.push(project.midi?.recordInputId || VIRTUAL_MIDI_INPUT_ID);
+    bridge.setMidiInputs({ inputIds }).catch(() => {});
+  }, [project.midi?.inputId, project.midi?.recordInputId, project.timebase?.sync, isRecording]);
 
   useEffect(() => {
     const bridge = window.oscDaw;
     const syncMode = project.timebase?.sync || 'Internal';
     const selectedInputId = project.midi?.inputId || VIRTUAL_MIDI_INPUT_ID;
-    if (!bridge?.onVirtualMidiMessage) return undefined;
-    if (syncMode !== 'MTC' || selectedInputId !== VIRTUAL_MIDI_INPUT_ID) return undefined;
+    if (!bridge?.onMidiMessage) return undefined;
+    if (syncMode !== 'MTC') return undefined;
 
     const applyMtcTime = (rawTime, mtcFps) => {
       const safeFps = Math.max(Number(mtcFps) || Number(syncFpsPreset.fps) || 30, 1);
@@ -2274,7 +2027,8 @@ export default function App() {
       applyMtcTime(hours * 3600 + minutes * 60 + seconds + frames / Math.max(mtcFps, 1), mtcFps);
     };
 
-    const unsubscribe = bridge.onVirtualMidiMessage((payload) => {
+    const unsubscribe = bridge.onMidiMessage((payload) => {
+      if (payload?.inputId !== selectedInputId) return;
       const rawBytes = Array.isArray(payload?.bytes) ? payload.bytes : [];
       const bytes = rawBytes
         .map((value) => Number(value))
@@ -2306,6 +2060,14 @@ export default function App() {
     if (!bridge) return undefined;
 
     const enqueueOscPayload = (payload) => {
+      if (payload?.midi) {
+        midiRecordQueueRef.current.push({
+          ...payload.midi,
+          time: Number(payload.time) || 0,
+          ...(Number.isFinite(Number(payload.replaceFrom)) ? { replaceFrom: Number(payload.replaceFrom) } : {}),
+        });
+        return;
+      }
       const address = typeof payload?.address === 'string' ? payload.address : '';
       const value = Number(payload?.value);
       if (!address || !Number.isFinite(value)) return;
@@ -2326,13 +2088,21 @@ export default function App() {
         }
       }
       const boundedTime = clamp(sampleTime, 0, Math.max(projectLengthRef.current, 0));
+      const argsField = Array.isArray(payload?.args) && payload.args.length > 1 ? { args: payload.args } : null;
 
       if (isRecordSample) {
+        const span = recordedSpansRef.current.get(address);
+        recordedSpansRef.current.set(address, {
+          from: span ? Math.min(span.from, boundedTime) : boundedTime,
+          to: span ? Math.max(span.to, boundedTime) : boundedTime,
+        });
         const queue = oscRecordQueueRef.current;
         queue.push({
           address,
           value,
+          ...argsField,
           time: boundedTime,
+          ...(Number.isFinite(Number(payload?.replaceFrom)) ? { replaceFrom: Number(payload.replaceFrom) } : {}),
           record: true,
         });
       } else {
@@ -2344,6 +2114,7 @@ export default function App() {
         oscPendingPreviewRef.current.set(address, {
           address,
           value,
+          ...argsField,
           time: boundedTime,
           record: false,
         });
@@ -2422,6 +2193,12 @@ export default function App() {
           samples: combined,
         });
       }
+      if (midiRecordQueueRef.current.length) {
+        dispatch({
+          type: 'ingest-midi-batch',
+          samples: midiRecordQueueRef.current.splice(0),
+        });
+      }
       const meta = oscMetaRef.current;
       if (meta?.dirty) {
         const now = Date.now();
@@ -2523,23 +2300,104 @@ export default function App() {
     };
   }, [project.osc?.listenPort, isRecording]);
 
+  const isOscLearnListening = oscLearn?.status === 'listening';
+  const oscLearnTarget = oscLearn?.target || null;
+  const oscLearnTrackId = oscLearn?.trackId || null;
+  const oscLearnTrackKind = oscLearn?.trackKind || null;
+
   useEffect(() => {
     const bridge = window.oscDaw;
-    if (!bridge?.startOscControlListening || !bridge?.onOscControlMessage) return undefined;
-    const controlPort = Number(project.osc?.controlPort) || 8998;
-    let cancelled = false;
-
-    const unsubscribe = bridge.onOscControlMessage((payload) => {
-      if (cancelled) return;
-      const address = typeof payload?.address === 'string' ? payload.address.trim().toLowerCase() : '';
-      const canonicalAddress = address.startsWith('/osconductor') ? address : '';
-      const value = Number(payload?.value);
-      const args = Array.isArray(payload?.args) ? payload.args : [];
-      if (!canonicalAddress) return;
-      const isOn = Number.isFinite(value) ? value >= 0.5 : false;
+    if (!isOscLearnListening || !bridge?.setOscLearnConfig || !bridge?.onOscLearnBatch) return undefined;
+    const listenPort = Number(project.osc?.listenPort) || 8999;
+    const isTrackLearn = oscLearnTarget === 'track';
+    let summaries = [];
+    let finishTimer = null;
+
+    // Track learn binds the first address heard, then keeps sampling it for the learn window.
+    const finishTrackLearn = () => {
+      const summary = summaries[0];
+      if (summary) {
+        dispatch({
+          type: 'update-track',
+          id: oscLearnTrackId,
+          patch: buildOscLearnTrackPatch(oscLearnTrackKind, summary),
+        });
+      }
+      setOscLearn((prev) => (prev?.status === 'listening' ? { ...prev, status: 'done', summaries } : prev));
+    };
 
-      const resolveCueNumber = (path, numericValue, argumentList = []) => {
-        const argNumber = argumentList
+    const unsubscribe = bridge.onOscLearnBatch((batch) => {
+      if (isTrackLearn) {
+        summaries = addOscLearnEntries(summaries, batch?.entries, { singleAddress: true });
+        if (summaries.length && !finishTimer) finishTimer = window.setTimeout(finishTrackLearn, OSC_LEARN_WINDOW_MS);
+      }
+      setOscLearn((prev) => {
+        if (prev?.status !== 'listening') return prev;
+        const nextSummaries = isTrackLearn ? summaries : addOscLearnEntries(prev.summaries, batch?.entries);
+        return nextSummaries === prev.summaries ? prev : { ...prev, summaries: nextSummaries };
+      });
+    });
+    bridge.setOscLearnConfig({ enabled: true, port: listenPort })
+      .then((result) => {
+        if (result?.ok !== false) return;
+        setOscLearn((prev) => (
+          prev?.status === 'listening'
+            ? { ...prev, status: 'done', error: result.error || 'Failed to open OSC listening port' }
+            : prev
+        ));
+      })
+      .catch(() => {});
+
+    return () => {
+      window.clearTimeout(finishTimer);
+      unsubscribe();
+      bridge.setOscLearnConfig({ enabled: false }).catch(() => {});
+    };
+  }, [
+    isOscLearnListening,
+    oscLearnTarget,
+    oscLearnTrackId,
+    oscLearnTrackKind,
+    project.osc?.listenPort,
+  ]);
+
+  useEffect(() => {
+    setOscLearn((prev) => (
+      prev?.target === 'track' && prev.status === 'done' && prev.trackId !== selectedTrack?.id ? null : prev
+    ));
+  }, [selectedTrack?.id]);
+
+  useEffect(() => {
+    if (multiAddDialog) return;
+    setOscLearn((prev) => (prev?.target === 'multi-add' ? null : prev));
+  }, [multiAddDialog]);
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.setOscMonitorConfig || !isOscMonitorVisible) return undefined;
+    bridge.setOscMonitorConfig({ enabled: true });
+    return () => {
+      bridge.setOscMonitorConfig({ enabled: false });
+    };
+  }, [isOscMonitorVisible]);
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.startOscControlListening || !bridge?.onOscControlMessage) return undefined;
+    const controlPort = Number(project.osc?.controlPort) || 8998;
+    let cancelled = false;
+
+    const unsubscribe = bridge.onOscControlMessage((payload) => {
+      if (cancelled) return;
+      const address = typeof payload?.address === 'string' ? payload.address.trim().toLowerCase() : '';
+      const requestedAddress = address.startsWith('/osconductor') ? address : '';
+      const value = Number(payload?.value ?? NaN);
+      const args = Array.isArray(payload?.args) ? payload.args : [];
+      if (!requestedAddress) return;
+      const isOn = Number.isFinite(value) ? value >= 0.5 : false;
+
+      const resolveCueNumber = (path, numericValue, argumentList = []) => {
+        const argNumber = argumentList
           .map((item) => Number(item))
           .find((item) => Number.isFinite(item));
         if (Number.isFinite(argNumber)) return Math.round(argNumber);
@@ -2559,25 +2417,21 @@ export default function App() {
         return null;
       };
 
-      const jumpToCueNumber = (cueNumber, cueList, view) => {
-        if (!Number.isFinite(cueNumber) || cueNumber < 1) return;
-        const cues = (Array.isArray(cueList) ? cueList : []).slice().sort((a, b) => a.t - b.t);
-        const targetCue = cues[cueNumber - 1];
-        if (!targetCue) return;
+      const locateTo = (time, view) => {
         const safeView = view || { start: 0, end: 8, length: 600 };
-        const cueTime = clamp(Number(targetCue.t) || 0, 0, Math.max(Number(safeView.length) || 0, 0));
+        const targetTime = clamp(Number(time) || 0, 0, Math.max(Number(safeView.length) || 0, 0));
         if (isPlayingRef.current && (syncModeRef.current || 'Internal') === 'Internal') {
-          startInternalClock(cueTime);
+          startInternalClock(targetTime);
         }
         lastTickRef.current = null;
-        setPlayhead(cueTime);
+        setPlayhead(targetTime);
 
         const viewStart = Number(safeView.start) || 0;
         const viewEnd = Number(safeView.end) || 0;
         const span = Math.max(viewEnd - viewStart, 1);
-        if (cueTime < viewStart || cueTime > viewEnd) {
+        if (targetTime < viewStart || targetTime > viewEnd) {
           const nextStart = clamp(
-            cueTime - span * 0.25,
+            targetTime - span * 0.25,
             0,
             Math.max((Number(safeView.length) || 0) - span, 0)
           );
@@ -2585,6 +2439,119 @@ export default function App() {
         }
       };
 
+      const jumpToCueNumber = (cueNumber, cueList, view) => {
+        if (!Number.isFinite(cueNumber) || cueNumber < 1) return;
+        const cues = (Array.isArray(cueList) ? cueList : []).slice().sort((a, b) => a.t - b.t);
+        const targetCue = cues[cueNumber - 1];
+        if (!targetCue) return;
+        locateTo(targetCue.t, view);
+      };
+
+      const findTrackByReference = (reference, tracks) => {
+        if (/^\d+$/.test(reference)) return tracks[Number(reference) - 1] || null;
+        const name = toControlName(reference);
+        return tracks.find((track) => toControlName(track.name) === name) || null;
+      };
+
+      const releaseTrackOverride = (trackId) => {
+        setTrackOverrides((prev) => {
+          if (!prev[trackId]) return prev;
+          const next = { ...prev };
+          delete next[trackId];
+          return next;
+        });
+      };
+
+      // Commands shared by the root and per-composition namespaces. Returns false for commands
+      // (including plain numbered cues) that the original handlers below take care of.
+      const runExtendedCommand = (command, segments, scope) => {
+        const tracks = Array.isArray(scope.tracks) ? scope.tracks : [];
+        const textArg = args.find((item) => typeof item === 'string' && item.trim());
+        if (command === 'locate' && !segments.length) {
+          const time = parseTimecodeToSeconds(args[0] ?? null, syncFpsRef.current);
+          if (time !== null) locateTo(time, scope.view);
+          return true;
+        }
+        if (command === 'looprange' && !segments.length) {
+          const length = Math.max(Number(scope.view?.length) || 0, 0);
+          const start = parseTimecodeToSeconds(args[0] ?? null, syncFpsRef.current);
+          const end = parseTimecodeToSeconds(args[1] ?? null, syncFpsRef.current);
+          if (start === null || end === null) return true;
+          const loopStart = clamp(Math.min(start, end), 0, length);
+          const loopEnd = clamp(Math.max(start, end), 0, length);
+          if (loopEnd - loopStart < 1 / Math.max(syncFpsRef.current, 1)) return true;
+          dispatch({ type: 'update-project', patch: { view: { loopStart, loopEnd } } });
+          return true;
+        }
+        const isCueName = command === 'cue' && (
+          (segments.length === 1 && segments[0] === 'name')
+          || (!segments.length && textArg && !Number.isFinite(Number(textArg)))
+        );
+        if (isCueName) {
+          const name = toControlName(textArg);
+          const cue = name
+            ? (Array.isArray(scope.cues) ? scope.cues : []).find((item) => toControlName(item.name) === name)
+            : null;
+          if (cue) locateTo(cue.t, scope.view);
+          return true;
+        }
+        if (command === 'query' && !segments.length) {
+          const messages = oscFeedbackRef.current.messages;
+          if (messages && bridge.sendOscFeedback) {
+            bridge.sendOscFeedback({
+              messages,
+              replyTo: { host: payload?.host, sourcePort: payload?.sourcePort, transport: payload?.transport },
+            }).catch(() => {});
+          }
+          return true;
+        }
+        if (command === 'release' && !segments.length) {
+          setTrackOverrides((prev) => (Object.keys(prev).length ? {} : prev));
+          return true;
+        }
+        if (command === 'track' && segments.length === 2) {
+          const [reference, action] = segments;
+          const track = findTrackByReference(reference, tracks.filter((item) => item.kind !== 'group'));
+          if (!track) return true;
+          if (action === 'mute' || action === 'solo') {
+            const requested = resolveOnOffValue(null, value, args);
+            const next = requested === null ? !track[action] : requested;
+            if (next !== Boolean(track[action])) {
+              dispatch({ type: 'update-track', id: track.id, patch: { [action]: next } });
+            }
+            return true;
+          }
+          if (action === 'override') {
+            if (!OVERRIDABLE_TRACK_KINDS.has(track.kind) || !args.length) return true;
+            setTrackOverrides((prev) => ({ ...prev, [track.id]: args }));
+            return true;
+          }
+          if (action === 'release') {
+            releaseTrackOverride(track.id);
+          }
+          return true;
+        }
+        if (command === 'group' && segments.length === 2 && segments[1] === 'enable') {
+          const group = findTrackByReference(segments[0], tracks.filter((item) => item.kind === 'group'));
+          if (!group) return true;
+          const members = tracks.filter((item) => item.kind !== 'group' && item.groupId === group.id);
+          if (!members.length) return true;
+          const requested = resolveOnOffValue(null, value, args);
+          const enabled = requested === null ? members.some((item) => item.mute) : requested;
+          if (members.every((item) => Boolean(item.mute) === !enabled)) return true;
+          dispatch({
+            type: 'update-project',
+            patch: {
+              tracks: tracks.map((item) => (
+                item.kind !== 'group' && item.groupId === group.id ? { ...item, mute: !enabled } : item
+              )),
+            },
+          });
+          return true;
+        }
+        return false;
+      };
+
       const switchCompositionByNumber = (compositionNumber) => {
         const list = compositionsRef.current || [];
         if (!Number.isFinite(compositionNumber) || compositionNumber < 1) return null;
@@ -2604,28 +2571,81 @@ export default function App() {
         return target;
       };
 
-      const compositionMatch = /^\/osconductor\/composition\/(\d+)\/([a-z0-9_-]+)(?:\/(\d+))?$/.exec(canonicalAddress);
-      if (compositionMatch) {
-        const compositionNumber = Number(compositionMatch[1]);
-        const command = compositionMatch[2];
-        const commandPathValue = compositionMatch[3] ? Number(compositionMatch[3]) : null;
-        const targetComposition = switchCompositionByNumber(compositionNumber);
-        if (!targetComposition) return;
+      const routeControlAddress = (canonicalAddress) => {
+        const compositionMatch = /^\/osconductor\/composition\/(\d+)\/([a-z0-9_-]+)((?:\/[^/]+)*)$/.exec(canonicalAddress);
+        if (compositionMatch) {
+          const compositionNumber = Number(compositionMatch[1]);
+          const command = compositionMatch[2];
+          const segments = compositionMatch[3].split('/').filter(Boolean);
+          const targetComposition = switchCompositionByNumber(compositionNumber);
+          if (!targetComposition) return;
+          if (runExtendedCommand(command, segments, targetComposition)) return;
+          if (segments.length > 1 || (segments.length && !/^\d+$/.test(segments[0]))) return;
+          const commandPathValue = segments.length ? Number(segments[0]) : null;
+
+          if (command === 'select') {
+            return;
+          }
+          if (command === 'rec') {
+            if (!Number.isFinite(value)) return;
+            setIsRecording((prev) => (prev === isOn ? prev : isOn));
+            return;
+          }
+          if (command === 'play') {
+            if (!Number.isFinite(value)) return;
+            setIsPlaying((prev) => (prev === isOn ? prev : isOn));
+            return;
+          }
+          if (command === 'stop') {
+            if (!Number.isFinite(value) || !isOn) return;
+            setIsPlaying(false);
+            stopInternalClock();
+            lastTickRef.current = null;
+            dispatch({ type: 'scroll-time', start: 0 });
+            setPlayhead(0);
+            syncAudioToPlayhead(0);
+            return;
+          }
+          if (command === 'cue') {
+            const cueNumber = resolveCueNumber(
+              canonicalAddress,
+              Number.isFinite(commandPathValue) ? commandPathValue : value,
+              args
+            );
+            jumpToCueNumber(cueNumber, targetComposition.cues, targetComposition.view);
+            return;
+          }
+          if (command === 'loop') {
+            const nextLoopEnabled = resolveOnOffValue(commandPathValue, value, args);
+            if (nextLoopEnabled === null) return;
+            dispatch({
+              type: 'update-project',
+              patch: { view: { loopEnabled: nextLoopEnabled } },
+            });
+          }
+          return;
+        }
 
-        if (command === 'select') {
+        const rootMatch = /^\/osconductor\/([a-z0-9_-]+)((?:\/[^/]+)*)$/.exec(canonicalAddress);
+        if (rootMatch && runExtendedCommand(
+          rootMatch[1],
+          rootMatch[2].split('/').filter(Boolean),
+          { tracks: projectTracksRef.current, cues: cuesRef.current, view: viewRef.current }
+        )) {
           return;
         }
-        if (command === 'rec') {
+
+        if (canonicalAddress === '/osconductor/rec') {
           if (!Number.isFinite(value)) return;
           setIsRecording((prev) => (prev === isOn ? prev : isOn));
           return;
         }
-        if (command === 'play') {
+        if (canonicalAddress === '/osconductor/play') {
           if (!Number.isFinite(value)) return;
           setIsPlaying((prev) => (prev === isOn ? prev : isOn));
           return;
         }
-        if (command === 'stop') {
+        if (canonicalAddress === '/osconductor/stop') {
           if (!Number.isFinite(value) || !isOn) return;
           setIsPlaying(false);
           stopInternalClock();
@@ -2635,59 +2655,123 @@ export default function App() {
           syncAudioToPlayhead(0);
           return;
         }
-        if (command === 'cue') {
-          const cueNumber = resolveCueNumber(
-            canonicalAddress,
-            Number.isFinite(commandPathValue) ? commandPathValue : value,
-            args
-          );
-          jumpToCueNumber(cueNumber, targetComposition.cues, targetComposition.view);
+        if (canonicalAddress === '/osconductor/cue' || canonicalAddress.startsWith('/osconductor/cue/')) {
+          const cueNumber = resolveCueNumber(canonicalAddress, value, args);
+          jumpToCueNumber(cueNumber, cuesRef.current, viewRef.current);
           return;
         }
-        if (command === 'loop') {
-          const nextLoopEnabled = resolveOnOffValue(commandPathValue, value, args);
+        if (canonicalAddress === '/osconductor/loop' || canonicalAddress.startsWith('/osconductor/loop/')) {
+          const nextLoopEnabled = resolveOnOffValue(null, value, args);
           if (nextLoopEnabled === null) return;
           dispatch({
             type: 'update-project',
             patch: { view: { loopEnabled: nextLoopEnabled } },
           });
         }
-        return;
-      }
+      };
 
-      if (canonicalAddress === '/osconductor/rec') {
-        if (!Number.isFinite(value)) return;
-        setIsRecording((prev) => (prev === isOn ? prev : isOn));
-        return;
-      }
-      if (canonicalAddress === '/osconductor/play') {
-        if (!Number.isFinite(value)) return;
-        setIsPlaying((prev) => (prev === isOn ? prev : isOn));
-        return;
-      }
-      if (canonicalAddress === '/osconductor/stop') {
-        if (!Number.isFinite(value) || !isOn) return;
-        setIsPlaying(false);
-        stopInternalClock();
-        lastTickRef.current = null;
-        dispatch({ type: 'scroll-time', start: 0 });
-        setPlayhead(0);
-        syncAudioToPlayhead(0);
-        return;
-      }
-      if (canonicalAddress === '/osconductor/cue' || canonicalAddress.startsWith('/osconductor/cue/')) {
-        const cueNumber = resolveCueNumber(canonicalAddress, value, args);
-        jumpToCueNumber(cueNumber, cuesRef.current, viewRef.current);
-        return;
-      }
-      if (canonicalAddress === '/osconductor/loop' || canonicalAddress.startsWith('/osconductor/loop/')) {
-        const nextLoopEnabled = resolveOnOffValue(null, value, args);
-        if (nextLoopEnabled === null) return;
-        dispatch({
-          type: 'update-project',
-          patch: { view: { loopEnabled: nextLoopEnabled } },
+      // Updates a composition that is not playing: transport commands only move its remembered
+      // playhead, loop changes its view. Returns false for commands that need the composition active.
+      const runInactiveCompositionCommand = (composition, command, segments) => {
+        const view = composition.view || {};
+        const length = Math.max(Number(view.length) || 0, 0);
+        const commandPathValue = segments.length === 1 && /^\d+$/.test(segments[0]) ? Number(segments[0]) : null;
+        const rememberPlayhead = (time) => {
+          compositionPlayheadsRef.current.set(composition.id, clamp(Number(time) || 0, 0, length));
+        };
+        if (command === 'stop' && !segments.length) {
+          if (Number.isFinite(value) && isOn) rememberPlayhead(0);
+          return true;
+        }
+        if (command === 'locate' && !segments.length) {
+          const time = parseTimecodeToSeconds(args[0] ?? null, syncFpsRef.current);
+          if (time !== null) rememberPlayhead(time);
+          return true;
+        }
+        if (command === 'loop' && (!segments.length || commandPathValue !== null)) {
+          const nextLoopEnabled = resolveOnOffValue(commandPathValue, value, args);
+          if (nextLoopEnabled === null || nextLoopEnabled === Boolean(view.loopEnabled)) return true;
+          dispatch({
+            type: 'update-composition',
+            id: composition.id,
+            patch: { view: { loopEnabled: nextLoopEnabled } },
+          });
+          return true;
+        }
+        if (command === 'cue') {
+          const cues = Array.isArray(composition.cues) ? composition.cues : [];
+          const textArg = args.find((item) => typeof item === 'string' && item.trim());
+          const isCueName = (segments.length === 1 && segments[0] === 'name')
+            || (!segments.length && textArg && !Number.isFinite(Number(textArg)));
+          if (isCueName) {
+            const name = toControlName(textArg);
+            const cue = name ? cues.find((item) => toControlName(item.name) === name) : null;
+            if (cue) rememberPlayhead(cue.t);
+            return true;
+          }
+          if (segments.length && commandPathValue === null) return true;
+          const cueNumber = resolveCueNumber('', commandPathValue ?? value, args);
+          const cue = Number.isFinite(cueNumber) ? cues[cueNumber - 1] : null;
+          if (cue) rememberPlayhead(cue.t);
+          return true;
+        }
+        return false;
+      };
+
+      // Patterns expand against the published command addresses. A command matching several
+      // compositions runs on every one of them; select, play and rec need the composition to be
+      // active, so they run on one and the skipped matches are reported in the control status.
+      const routeControlPattern = (pattern) => {
+        const regex = compileOscAddressPattern(pattern);
+        if (!regex) return;
+        const list = compositionsRef.current || [];
+        const activeNumber = list.findIndex((item) => item.id === activeCompositionIdRef.current) + 1;
+        const compositionTargets = new Map();
+        const skipped = [];
+        buildOscControlAddresses({
+          compositions: list,
+          tracks: projectTracksRef.current,
+          cues: cuesRef.current,
+          activeCompositionId: activeCompositionIdRef.current,
+        })
+          .map((item) => item.toLowerCase())
+          .filter((item) => regex.test(item))
+          .forEach((item) => {
+            const match = /^\/osconductor\/composition\/(\d+)(\/.+)$/.exec(item);
+            if (!match) {
+              routeControlAddress(item);
+              return;
+            }
+            const numbers = compositionTargets.get(match[2]) || [];
+            numbers.push(Number(match[1]));
+            compositionTargets.set(match[2], numbers);
+          });
+        compositionTargets.forEach((numbers, command) => {
+          if (numbers.length === 1) {
+            routeControlAddress(`/osconductor/composition/${numbers[0]}${command}`);
+            return;
+          }
+          const [name, ...segments] = command.split('/').filter(Boolean);
+          const inactive = numbers.filter((number) => number !== activeNumber);
+          const handled = inactive.filter((number) => (
+            list[number - 1] && runInactiveCompositionCommand(list[number - 1], name, segments)
+          ));
+          if (handled.length === inactive.length) {
+            if (numbers.includes(activeNumber)) routeControlAddress(`/osconductor/composition/${activeNumber}${command}`);
+            return;
+          }
+          const targetNumber = numbers.includes(activeNumber) ? activeNumber : numbers[0];
+          routeControlAddress(`/osconductor/composition/${targetNumber}${command}`);
+          skipped.push(`${command} ran on Composition ${targetNumber} only, skipped ${numbers.filter((number) => number !== targetNumber).join(', ')}`);
         });
+        setOscControlNotice(skipped.length ? `${payload.address}: ${skipped.join('; ')}` : '');
+      };
+
+      if (isOscAddressPattern(requestedAddress)) {
+        routeControlPattern(requestedAddress);
+        return;
       }
+      routeControlAddress(requestedAddress);
     });
 
     bridge.startOscControlListening({ port: controlPort }).catch(() => {});
@@ -2709,37 +2793,9 @@ export default function App() {
     bridge.stopOscControlListening().catch(() => {});
   }, []);
 
-  const sampleTrackValue = (track, time) => {
-    const nodes = track.nodes || [];
-    if (nodes.length === 0) return clamp(track.default, track.min, track.max);
-    if (time <= nodes[0].t) return clamp(nodes[0].v, track.min, track.max);
-    if (time >= nodes[nodes.length - 1].t) return clamp(nodes[nodes.length - 1].v, track.min, track.max);
-    for (let i = 0; i < nodes.length - 1; i += 1) {
-      const a = nodes[i];
-      const b = nodes[i + 1];
-      if (time >= a.t && time <= b.t) {
-        if (a.t === b.t) return clamp(b.v, track.min, track.max);
-        const ratio = getCurveValueRatioByFps(
-          (time - a.t) / (b.t - a.t),
-          a.curve,
-          project.timebase?.fps
-        );
-        const value = a.v + ratio * (b.v - a.v);
-        return clamp(value, track.min, track.max);
-      }
-    }
-    return clamp(nodes[nodes.length - 1].v, track.min, track.max);
-  };
+  const sampleTrackValue = (track, time) => sampleTrackValueAtFps(track, time, project.timebase?.fps);
 
-  const isTrackEnabled = (track, kind) => {
-    if (!track || track.kind !== kind) return false;
-    // Mute must always win.
-    if (track.mute) return false;
-    // Solo works globally across all tracks.
-    const hasSolo = project.tracks.some((item) => Boolean(item?.solo) && !Boolean(item?.mute));
-    if (!hasSolo) return true;
-    return Boolean(track.solo);
-  };
+  const isTrackEnabled = (track, kind) => isTrackEnabledWithSolo(track, kind, hasSoloTracks(project.tracks));
 
   const getAudioClipStart = (track) => (
     Math.max(Number(track?.audio?.clipStart) || 0, 0)
@@ -3356,12 +3412,16 @@ export default function App() {
     }
   };
 
+  // Project media is served from another origin; CORS keeps it audible through Web Audio routing.
+  const getAudioCrossOrigin = (src) => (src.startsWith(`${MEDIA_URL_SCHEME}:`) ? 'anonymous' : null);
+
   const getAudioElement = (track) => {
     if (track.kind !== 'audio' || !track.audio?.src) return null;
     const existing = audioElementsRef.current.get(track.id);
     if (existing) {
       if (existing.src !== track.audio.src) {
         existing.pause();
+        existing.crossOrigin = getAudioCrossOrigin(track.audio.src);
         existing.src = track.audio.src;
         existing.load();
         const pending = pendingSeekRef.current.get(track.id);
@@ -3369,7 +3429,9 @@ export default function App() {
       }
       return existing;
     }
-    const audio = new Audio(track.audio.src);
+    const audio = new Audio();
+    audio.crossOrigin = getAudioCrossOrigin(track.audio.src);
+    audio.src = track.audio.src;
     audio.preload = 'auto';
     audio.addEventListener('loadedmetadata', () => {
       const pending = pendingSeekRef.current.get(track.id);
@@ -3672,7 +3734,8 @@ export default function App() {
     }
     const previousUrl = audioUrlRef.current.get(trackId);
     const blobSrc = URL.createObjectURL(file);
-    let nativePath = typeof file.path === 'string' ? file.path : '';
+    const sourcePath = typeof file.path === 'string' ? file.path : '';
+    let nativePath = sourcePath;
     const mediaSrc = blobSrc;
     if (!mediaSrc) return;
     audioUrlRef.current.set(trackId, blobSrc);
@@ -3700,6 +3763,7 @@ export default function App() {
         audio: {
           src: mediaSrc,
           nativePath,
+          sourcePath,
           name: file.name,
           duration: initialDuration,
           trimIn: 0,
@@ -3825,6 +3889,7 @@ export default function App() {
         audio: {
           src: mediaSrc,
           nativePath,
+          sourcePath,
           name: file.name,
           duration,
           trimIn: 0,
@@ -4023,625 +4088,243 @@ export default function App() {
   }, [isPlaying, playhead, project.tracks, project.audio?.outputDeviceId, useNativeAudioEngine]);
 
   useEffect(() => {
-    if (!isPlaying) return undefined;
-    const fps = Math.max(Number(project.timebase.fps) || 30, 1);
-    const tickMs = Math.max(1000 / fps, 4);
-    const outputs = normalizeOscOutputsForUi(project.osc);
-    const defaultOutput = outputs[0] || {
-      id: DEFAULT_OSC_OUTPUT_ID,
-      name: 'Main',
-      host: '127.0.0.1',
-      port: 9000,
-    };
-    const outputMap = new Map(outputs.map((output) => [output.id, output]));
-    const resolveOutput = (track) => {
-      if (!track) return defaultOutput;
-      const outputId = typeof track.oscOutputId === 'string' && track.oscOutputId
-        ? track.oscOutputId
-        : defaultOutput.id;
-      return outputMap.get(outputId) || defaultOutput;
-    };
-    const sendOscFrame = () => {
-      const bridge = window.oscDaw;
-      if (!bridge || typeof bridge.sendOscMessage !== 'function') return;
-      project.tracks.forEach((track) => {
-        if (track.mute) return;
-        const address = typeof track.oscAddress === 'string' ? track.oscAddress.trim() : '';
-        if (!address) return;
-        const output = resolveOutput(track);
-        const host = output.host || '127.0.0.1';
-        const port = Number(output.port) || 9000;
-        if (track.kind === 'osc') {
-          if (!isTrackEnabled(track, 'osc')) return;
-          const valueType = getOscSendValueType(track);
-          const value = formatOscOutputScalar(sampleTrackValue(track, playheadRef.current), valueType);
-          bridge.sendOscMessage({ host, port, address, value, valueType });
-          return;
-        }
-        if (track.kind === 'osc-array') {
-          if (!isTrackEnabled(track, 'osc-array')) return;
-          const valueType = getOscSendValueType(track);
-          const values = formatOscOutputArray(
-            sampleOscArrayTrackValues(track, playheadRef.current, project.timebase?.fps),
-            valueType
-          );
-          bridge.sendOscMessage({ host, port, address, value: values, valueType });
-          return;
-        }
-        if (track.kind === 'osc-3d') {
-          if (!isTrackEnabled(track, 'osc-3d')) return;
-          const valueType = getOscSendValueType(track);
-          const values = formatOscOutputArray(
-            sampleOsc3dTrackValues(track, playheadRef.current, project.timebase?.fps),
-            valueType
-          );
-          bridge.sendOscMessage({ host, port, address, value: values, valueType });
-        }
-      });
-    };
-    sendOscFrame();
-    const intervalId = window.setInterval(sendOscFrame, tickMs);
-    return () => {
-      window.clearInterval(intervalId);
+    const bridge = window.oscDaw;
+    if (!bridge?.configurePlaybackEngine) return;
+    const tracks = project.tracks.filter((track) => PLAYBACK_ENGINE_TRACK_KINDS.has(track?.kind));
+    const sentTracks = playbackEngineTracksRef.current;
+    // Only tracks whose object changed since the last post are sent; the engine keeps the rest.
+    const trackUpdates = tracks.filter((track) => sentTracks.get(track.id) !== track);
+    playbackEngineTracksRef.current = new Map(tracks.map((track) => [track.id, track]));
+    const resendTracks = () => {
+      playbackEngineTracksRef.current = new Map();
     };
-  }, [isPlaying, project.timebase.fps, project.tracks, project.osc]);
+    bridge.configurePlaybackEngine({
+      trackIds: tracks.map((track) => track.id),
+      trackUpdates,
+      hasSolo: hasSoloTracks(project.tracks),
+      oscOutputs: normalizeOscOutputsForUi(project.osc),
+      midiOutputId: project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID,
+      fps: Math.max(Number(project.timebase.fps) || 30, 1),
+      view: {
+        length: project.view.length,
+        loopEnabled: Boolean(project.view.loopEnabled),
+        loopStart: project.view.loopStart,
+        loopEnd: project.view.loopEnd,
+      },
+    }).then((result) => {
+      if (!result?.ok) resendTracks();
+    }).catch(resendTracks);
+  }, [
+    project.tracks,
+    project.osc,
+    project.midi?.outputId,
+    project.timebase.fps,
+    project.view.length,
+    project.view.loopEnabled,
+    project.view.loopStart,
+    project.view.loopEnd,
+  ]);
 
   useEffect(() => {
-    if (!isPlaying) return undefined;
-    const fps = Math.max(Number(project.timebase.fps) || 30, 1);
-    const tickMs = Math.max(1000 / fps, 4);
-    const outputs = normalizeOscOutputsForUi(project.osc);
-    const defaultOutput = outputs[0] || {
-      id: DEFAULT_OSC_OUTPUT_ID,
-      name: 'Main',
-      host: '127.0.0.1',
-      port: 9000,
-    };
-    const outputMap = new Map(outputs.map((output) => [output.id, output]));
-    const resolveOutput = (track) => {
-      if (!track) return defaultOutput;
-      const outputId = typeof track.oscOutputId === 'string' && track.oscOutputId
-        ? track.oscOutputId
-        : defaultOutput.id;
-      return outputMap.get(outputId) || defaultOutput;
-    };
-    const sendOscColorFrame = () => {
-      const bridge = window.oscDaw;
-      if (!bridge || typeof bridge.sendOscMessage !== 'function') return;
-      const currentTime = playheadRef.current;
-      project.tracks.forEach((track) => {
-        if (track.kind !== 'osc-color') return;
-        if (track.mute) return;
-        if (!isTrackEnabled(track, 'osc-color')) return;
-        const output = resolveOutput(track);
-        const host = output.host || '127.0.0.1';
-        const port = Number(output.port) || 9000;
-        const writes = resolveOscColorWrites(track, currentTime);
-        writes.forEach((write) => {
-          if (!write?.address) return;
-          const payloadValue = Array.isArray(write.values)
-            ? write.values
-            : (Array.isArray(write.value) ? write.value : [Number(write.value) || 0]);
-          bridge.sendOscMessage({
-            host,
-            port,
-            address: write.address,
-            value: payloadValue,
-          });
-        });
-      });
-    };
-    sendOscColorFrame();
-    const intervalId = window.setInterval(sendOscColorFrame, tickMs);
-    return () => {
-      window.clearInterval(intervalId);
-    };
-  }, [isPlaying, project.timebase.fps, project.tracks, project.osc]);
+    const bridge = window.oscDaw;
+    if (!bridge?.updatePlaybackTransport) return;
+    const now = performance.now();
+    const last = playbackTransportRef.current;
+    const expected = last.playing
+      ? (Number(last.playhead) || 0) + (now - last.sentAt) / 1000
+      : last.playhead;
+    const jumped = !Number.isFinite(expected) || Math.abs(expected - playhead) > PLAYBACK_TRANSPORT_JUMP_SECONDS;
+    if (last.playing === isPlaying && !jumped) {
+      if (!isPlaying && last.playhead === playhead) return;
+      if (isPlaying && now - last.sentAt < PLAYBACK_TRANSPORT_RESYNC_MS) return;
+    }
+    playbackTransportRef.current = { playing: isPlaying, playhead, sentAt: now };
+    bridge.updatePlaybackTransport({
+      playing: isPlaying,
+      playhead,
+      timestamp: performance.timeOrigin + now,
+    }).catch(() => {});
+  }, [isPlaying, playhead]);
 
   useEffect(() => {
-    if (!isPlaying) return undefined;
-    const fps = Math.max(Number(project.timebase.fps) || 30, 1);
-    const tickMs = Math.max(1000 / fps, 4);
-    const epsilon = 0.5 / fps;
-    const outputs = normalizeOscOutputsForUi(project.osc);
-    const defaultOutput = outputs[0] || {
-      id: DEFAULT_OSC_OUTPUT_ID,
-      name: 'Main',
-      host: '127.0.0.1',
-      port: 9000,
-    };
-    const outputMap = new Map(outputs.map((output) => [output.id, output]));
-    const resolveOutput = (track) => {
-      if (!track) return defaultOutput;
-      const outputId = typeof track.oscOutputId === 'string' && track.oscOutputId
-        ? track.oscOutputId
-        : defaultOutput.id;
-      return outputMap.get(outputId) || defaultOutput;
-    };
-
-    const sendOscFlagEvents = () => {
-      const bridge = window.oscDaw;
-      if (!bridge || typeof bridge.sendOscMessage !== 'function') return;
-      const projectLength = Math.max(Number(project.view.length) || 0, 0);
-      const currentTime = clamp(Number(playheadRef.current) || 0, 0, projectLength);
-      const rawPrevTime = Number(oscFlagPlaybackRef.current.lastTime);
-      const hasPrevTime = Number.isFinite(rawPrevTime);
-      const prevTime = hasPrevTime ? clamp(rawPrevTime, 0, projectLength) : currentTime;
-      const maxContinuousStep = Math.max((tickMs / 1000) * 4, 0.12);
-
-      const loopEnabled = Boolean(project.view.loopEnabled);
-      const loopStart = clamp(Number(project.view.loopStart) || 0, 0, projectLength);
-      const loopEnd = clamp(Number(project.view.loopEnd) || projectLength, 0, projectLength);
-
-      const ranges = [];
-      const pushRange = (start, end, includeStart) => {
-        if (!Number.isFinite(start) || !Number.isFinite(end)) return;
-        const safeStart = clamp(Math.min(start, end), 0, projectLength);
-        const safeEnd = clamp(Math.max(start, end), 0, projectLength);
-        ranges.push({ start: safeStart, end: safeEnd, includeStart: Boolean(includeStart) });
-      };
+    const bridge = window.oscDaw;
+    if (!bridge?.setPlaybackOverrides) return;
+    bridge.setPlaybackOverrides({ overrides: trackOverrides }).catch(() => {});
+  }, [trackOverrides]);
 
-      if (!hasPrevTime) {
-        pushRange(currentTime, currentTime, true);
-      } else if (currentTime >= prevTime) {
-        if (currentTime - prevTime > maxContinuousStep) {
-          pushRange(currentTime, currentTime, true);
-        } else {
-          pushRange(prevTime, currentTime, false);
+  const flushOscFeedback = useCallback(() => {
+    const feedback = oscFeedbackRef.current;
+    const bridge = window.oscDaw;
+    if (!feedback.messages || !bridge?.sendOscFeedback) return;
+    const now = performance.now();
+    const changed = [];
+    feedback.messages.forEach((message) => {
+      const text = JSON.stringify(message.args);
+      if (feedback.sent.get(message.address) === text) return;
+      if (message.address === OSC_FEEDBACK_TIMECODE_ADDRESS) {
+        const wait = feedback.timecodeAt + OSC_FEEDBACK_TIMECODE_INTERVAL_MS - now;
+        if (wait > 0) {
+          // Trailing send so the parked position still goes out after a burst of playhead updates.
+          if (!feedback.timer) {
+            feedback.timer = window.setTimeout(() => {
+              feedback.timer = null;
+              flushOscFeedback();
+            }, wait);
+          }
+          return;
         }
-      } else if (loopEnabled && loopEnd - loopStart > epsilon) {
-        pushRange(prevTime, loopEnd, false);
-        pushRange(loopStart, currentTime, true);
-      } else {
-        pushRange(currentTime, currentTime, true);
+        feedback.timecodeAt = now;
       }
+      feedback.sent.set(message.address, text);
+      changed.push(message);
+    });
+    if (changed.length) bridge.sendOscFeedback({ messages: changed }).catch(() => {});
+  }, []);
 
-      const isTriggered = (nodeTime) => ranges.some((range) => {
-        if (range.includeStart) {
-          return nodeTime >= range.start - epsilon && nodeTime <= range.end + epsilon;
-        }
-        return nodeTime > range.start + epsilon && nodeTime <= range.end + epsilon;
-      });
-
-      const isTimeWithinRange = (time, start, end, includeStart = true) => {
-        if (includeStart) return time >= start - epsilon && time <= end + epsilon;
-        return time > start + epsilon && time <= end + epsilon;
-      };
-
-      project.tracks.forEach((track) => {
-        if (track.kind !== 'osc-flag') return;
-        if (track.mute) return;
-        if (!isTrackEnabled(track, 'osc-flag')) return;
-        const valueType = getOscSendValueType(track);
-        const output = resolveOutput(track);
-        const host = output.host || '127.0.0.1';
-        const port = Number(output.port) || 9000;
-        const fallbackAddress = normalizeOscAddressPath(track.oscAddress, '/osc/flag');
-        const nodes = Array.isArray(track.nodes) ? track.nodes : [];
-        nodes.forEach((node) => {
-          const triggerStart = Number(node?.t);
-          if (!Number.isFinite(triggerStart)) return;
-          const triggerDuration = Math.max(Number(node?.d) || 1, 0);
-          const triggerValueRaw = Number.isFinite(Number(node?.v)) ? Number(node.v) : 1;
-          const triggerValue = formatOscOutputScalar(triggerValueRaw, valueType);
-
-          const isStartTriggered = isTriggered(triggerStart);
-          const inActiveWindow = triggerDuration > epsilon
-            && isTimeWithinRange(currentTime, triggerStart, triggerStart + triggerDuration, true);
-          if (!isStartTriggered && !inActiveWindow) return;
-
-          const baseAddress = normalizeOscAddressPath(node?.a, fallbackAddress).replace(/\/+$/, '');
-          const valueText = String(triggerValue);
-          const address = `${baseAddress}/${valueText}`;
-          bridge.sendOscMessage({ host, port, address, value: triggerValue, valueType });
-        });
-      });
-
-      oscFlagPlaybackRef.current.lastTime = currentTime;
-    };
-
-    sendOscFlagEvents();
-    const intervalId = window.setInterval(sendOscFlagEvents, tickMs);
-    return () => {
-      window.clearInterval(intervalId);
-    };
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    oscFeedbackRef.current.sent.clear();
+    if (!bridge?.configureOscFeedback) return;
+    bridge.configureOscFeedback({
+      mode: project.osc?.feedbackMode || 'off',
+      host: project.osc?.feedbackHost,
+      port: project.osc?.feedbackPort,
+    }).catch(() => {});
+  }, [project.osc?.feedbackMode, project.osc?.feedbackHost, project.osc?.feedbackPort]);
+
+  const activeCompositionIndex = compositions.findIndex((composition) => composition.id === activeCompositionId);
+  const feedbackCueContext = findCueContext(project.cues, playhead);
+  useEffect(() => {
+    const feedback = oscFeedbackRef.current;
+    const activeComposition = compositions[activeCompositionIndex];
+    feedback.messages = buildOscFeedbackMessages({
+      playing: isPlaying,
+      recording: isRecording,
+      loopEnabled: Boolean(project.view.loopEnabled),
+      loopStart: project.view.loopStart,
+      loopEnd: project.view.loopEnd,
+      compositionNumber: activeCompositionIndex + 1,
+      compositionName: activeComposition?.name || '',
+      cue: feedbackCueContext.current,
+      nextCue: feedbackCueContext.next,
+      timecode: secondsToHmsfParts(playhead, syncFpsPreset.fps),
+    });
+    if ((project.osc?.feedbackMode || 'off') === 'off') return;
+    flushOscFeedback();
   }, [
+    flushOscFeedback,
     isPlaying,
-    project.timebase.fps,
-    project.tracks,
-    project.view.length,
+    isRecording,
     project.view.loopEnabled,
     project.view.loopStart,
     project.view.loopEnd,
-    project.osc,
+    compositions,
+    activeCompositionIndex,
+    feedbackCueContext.current.number,
+    feedbackCueContext.current.name,
+    feedbackCueContext.next.number,
+    feedbackCueContext.next.name,
+    playhead,
+    syncFpsPreset.fps,
+    project.osc?.feedbackMode,
+    project.osc?.feedbackHost,
+    project.osc?.feedbackPort,
   ]);
 
+  useEffect(() => () => {
+    const feedback = oscFeedbackRef.current;
+    if (feedback.timer) window.clearTimeout(feedback.timer);
+  }, []);
+
   useEffect(() => {
-    if (!isPlaying) return undefined;
     const bridge = window.oscDaw;
-    if (!bridge || typeof bridge.sendArtNetFrame !== 'function') return undefined;
-    const fps = Math.max(Number(project.timebase.fps) || 30, 1);
-    const tickMs = Math.max(1000 / fps, 4);
-
-    const sendDmxFrame = () => {
-      const groups = new Map();
-      const currentTime = playheadRef.current;
+    if (!bridge?.onPlaybackStats) return undefined;
+    return bridge.onPlaybackStats((payload) => {
+      setPlaybackStats(payload || null);
+    });
+  }, []);
 
-      project.tracks.forEach((track) => {
-        if (track.mute) return;
-        if (track.kind !== 'dmx' && track.kind !== 'dmx-color') return;
-        if (!isTrackEnabled(track, track.kind)) return;
-
-        const host = track.kind === 'dmx-color'
-          ? (
-            typeof track.dmxColor?.host === 'string' && track.dmxColor.host.trim()
-              ? track.dmxColor.host.trim()
-              : '127.0.0.1'
-          )
-          : (
-            typeof track.dmx?.host === 'string' && track.dmx.host.trim()
-              ? track.dmx.host.trim()
-              : '127.0.0.1'
-          );
-        const universe = track.kind === 'dmx-color'
-          ? clamp(Math.round(Number(track.dmxColor?.universe) || 0), 0, 32767)
-          : clamp(Math.round(Number(track.dmx?.universe) || 0), 0, 32767);
-        const sampled = sampleTrackValue(track, currentTime);
-        const writes = track.kind === 'dmx-color'
-          ? resolveDmxColorWrites(track, currentTime)
-          : [[clamp(Math.round(Number(track.dmx?.channel) || 1), 1, 512), clamp(Math.round(sampled), 0, 255)]];
-        const key = `${host}|${universe}`;
-        let group = groups.get(key);
-        if (!group) {
-          group = { host, universe, data: new Uint8Array(512) };
-          groups.set(key, group);
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.onOscOutputStatus) return undefined;
+    const applyStatus = (payload) => {
+      if (typeof payload?.outputId !== 'string') return;
+      setOscOutputStatusById((prev) => {
+        const next = { ...prev };
+        if (payload.status === 'idle') {
+          delete next[payload.outputId];
+        } else {
+          next[payload.outputId] = payload;
         }
-        writes.forEach(([channel, value]) => {
-          if (!Number.isFinite(channel) || channel < 1 || channel > 512) return;
-          group.data[channel - 1] = clamp(Math.round(Number(value) || 0), 0, 255);
-        });
-      });
-
-      const sequenceMap = artNetSequenceRef.current;
-      const activeKeys = new Set(groups.keys());
-      sequenceMap.forEach((_value, key) => {
-        if (!activeKeys.has(key)) sequenceMap.delete(key);
+        return next;
       });
+    };
+    bridge.getOscOutputStatus?.().then((items) => {
+      (Array.isArray(items) ? items : []).forEach(applyStatus);
+    }).catch(() => {});
+    return bridge.onOscOutputStatus(applyStatus);
+  }, []);
 
-      groups.forEach((group, key) => {
-        const nextSequence = ((sequenceMap.get(key) || 0) + 1) & 0xff;
-        sequenceMap.set(key, nextSequence);
-        bridge.sendArtNetFrame({
-          host: group.host,
-          port: ARTNET_PORT,
-          universe: group.universe,
-          sequence: nextSequence,
-          data: Array.from(group.data),
-        }).catch(() => {});
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.onOscQueryStatus) return undefined;
+    const applyStatus = (payload) => {
+      setOscQueryState({
+        status: payload?.status || 'stopped',
+        port: payload?.port ?? null,
+        error: payload?.error || null,
+        advertised: Boolean(payload?.advertised),
+        advertiseError: payload?.advertiseError || null,
       });
     };
+    bridge.getOscQueryStatus?.().then(applyStatus).catch(() => {});
+    return bridge.onOscQueryStatus(applyStatus);
+  }, []);
 
-    sendDmxFrame();
-    const intervalId = window.setInterval(sendDmxFrame, tickMs);
-    return () => {
-      window.clearInterval(intervalId);
-    };
-  }, [isPlaying, project.timebase.fps, project.tracks]);
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.startOscQueryServer || !bridge?.stopOscQueryServer) return;
+    if (project.osc?.queryEnabled) {
+      bridge.startOscQueryServer({
+        port: Number(project.osc?.queryPort) || 8997,
+        advertise: project.osc?.queryAdvertise !== false,
+      }).catch(() => {});
+    } else {
+      bridge.stopOscQueryServer().catch(() => {});
+    }
+  }, [project.osc?.queryEnabled, project.osc?.queryPort, project.osc?.queryAdvertise]);
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.publishOscQueryNamespace || !project.osc?.queryEnabled) return;
+    const entries = buildOscQueryNamespace(project);
+    // Node edits re-render constantly; only address, type or range changes are re-published.
+    const text = JSON.stringify(entries);
+    if (text === oscQueryNamespaceTextRef.current) return;
+    oscQueryNamespaceTextRef.current = text;
+    bridge.publishOscQueryNamespace({ entries }).catch(() => {});
+  }, [
+    project.osc?.queryEnabled,
+    project.tracks,
+    project.cues,
+    project.compositions,
+    project.activeCompositionId,
+  ]);
 
   useEffect(() => {
-    if (!isPlaying) return undefined;
-    const fps = Math.max(Number(project.timebase.fps) || 30, 1);
-    const tickMs = Math.max(1000 / fps, 4);
-    const minNoteDuration = 1 / fps;
-
-    const sendMidiBytes = (outputId, bytes) => {
-      const targetId = typeof outputId === 'string' && outputId ? outputId : (project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID);
-      const safeBytes = Array.isArray(bytes)
-        ? bytes
-          .map((value) => Number(value))
-          .filter((value) => Number.isFinite(value))
-          .map((value) => Math.max(0, Math.min(255, Math.round(value))))
-        : [];
-      if (!safeBytes.length) return false;
-
-      if (targetId === VIRTUAL_MIDI_OUTPUT_ID) {
-        const bridge = window.oscDaw;
-        if (!bridge?.sendVirtualMidiMessage) return false;
-        bridge.sendVirtualMidiMessage({ bytes: safeBytes }).catch(() => {});
-        return true;
-      }
-
-      const accessOutput = midiAccessRef.current?.outputs?.get(targetId) || null;
-      const fallbackOutput =
-        targetId === (project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID) && midiOutputRef.current
-          ? midiOutputRef.current
-          : null;
-      const output = accessOutput || fallbackOutput;
-      if (!output || typeof output.send !== 'function') return false;
-      try {
-        if (typeof output.open === 'function') {
-          output.open().catch(() => {});
-        }
-        output.send(safeBytes);
-        return true;
-      } catch (error) {
-        return false;
-      }
-    };
-
-    const ccRuntime = midiTrackRuntimeRef.current;
-    const pcRuntime = midiPcRuntimeRef.current;
-    const noteRuntime = midiNoteRuntimeRef.current;
-    const epsilon = 0.5 / fps;
-    const sendNoteOff = (state) => {
-      const channel = Math.max(0, Math.min(15, Math.round(Number(state?.channel) || 0)));
-      const noteNumber = Math.max(0, Math.min(127, Math.round(Number(state?.note) || 0)));
-      const outputId = typeof state?.outputId === 'string' && state.outputId
-        ? state.outputId
-        : (project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID);
-      sendMidiBytes(outputId, [0x80 | channel, noteNumber, 0]);
-    };
-
-    const sendTick = () => {
-      const projectLength = Math.max(Number(project.view.length) || 0, 0);
-      const currentTime = clamp(Number(playheadRef.current) || 0, 0, projectLength);
-      const rawPrevPcTime = Number(midiPcPlaybackRef.current.lastTime);
-      const hasPrevPcTime = Number.isFinite(rawPrevPcTime);
-      const prevPcTime = hasPrevPcTime ? clamp(rawPrevPcTime, 0, projectLength) : currentTime;
-      const maxContinuousStep = Math.max((tickMs / 1000) * 4, 0.12);
-      const loopEnabled = Boolean(project.view.loopEnabled);
-      const loopStart = clamp(Number(project.view.loopStart) || 0, 0, projectLength);
-      const loopEnd = clamp(Number(project.view.loopEnd) || projectLength, 0, projectLength);
-
-      const triggerRanges = [];
-      const pushTriggerRange = (start, end, includeStart) => {
-        const safeStart = clamp(Math.min(start, end), 0, projectLength);
-        const safeEnd = clamp(Math.max(start, end), 0, projectLength);
-        triggerRanges.push({ start: safeStart, end: safeEnd, includeStart: Boolean(includeStart) });
-      };
-      if (!hasPrevPcTime) {
-        pcRuntime.clear();
-        pushTriggerRange(currentTime, currentTime, true);
-      } else if (currentTime >= prevPcTime) {
-        if (currentTime - prevPcTime > maxContinuousStep) {
-          pcRuntime.clear();
-          pushTriggerRange(currentTime, currentTime, true);
-        } else {
-          pushTriggerRange(prevPcTime, currentTime, false);
-        }
-      } else if (loopEnabled && loopEnd - loopStart > epsilon) {
-        pcRuntime.clear();
-        pushTriggerRange(prevPcTime, loopEnd, false);
-        pushTriggerRange(loopStart, currentTime, true);
-      } else {
-        pcRuntime.clear();
-        pushTriggerRange(currentTime, currentTime, true);
-      }
-      const isProgramTriggeredAt = (nodeTime) => triggerRanges.some((range) => {
-        if (range.includeStart) {
-          return nodeTime >= range.start - epsilon && nodeTime <= range.end + epsilon;
-        }
-        return nodeTime > range.start + epsilon && nodeTime <= range.end + epsilon;
-      });
-
-      const activeCcTrackIds = new Set();
-      project.tracks.forEach((track) => {
-        if (track.kind !== 'midi') return;
-        if (track.mute) return;
-        activeCcTrackIds.add(track.id);
-        const outputId = getMidiTrackOutputId(track);
-        const channel = Math.max(1, Math.min(16, Math.round(Number(track.midi?.channel) || 1))) - 1;
-        const enabled = isTrackEnabled(track, 'midi');
-        if (!enabled) return;
-        const state = ccRuntime.get(track.id) || { lastCc: null };
-        const controlNumber = Math.max(0, Math.min(127, Math.round(Number(track.midi?.controlNumber) || 1)));
-        const ccValue = Math.max(0, Math.min(127, Math.round(sampleTrackValue(track, currentTime))));
-        if (state.lastCc === ccValue) return;
-        sendMidiBytes(outputId, [0xb0 | channel, controlNumber, ccValue]);
-        ccRuntime.set(track.id, { ...state, lastCc: ccValue });
-      });
-
-      ccRuntime.forEach((_state, trackId) => {
-        if (activeCcTrackIds.has(trackId)) return;
-        ccRuntime.delete(trackId);
-      });
-
-      const activePcNodeKeys = new Set();
-      project.tracks.forEach((track) => {
-        if (track.kind !== 'midi-pc') return;
-        if (track.mute) return;
-        if (!isTrackEnabled(track, 'midi-pc')) return;
-        const outputId = getMidiTrackOutputId(track);
-        const channel = Math.max(1, Math.min(16, Math.round(Number(track.midi?.channel) || 1))) - 1;
-        const fallbackProgram = toMidiCcValue(track.midi?.program, track.default ?? 0);
-        const nodes = Array.isArray(track.nodes) ? track.nodes : [];
-        nodes.forEach((node) => {
-          const triggerTime = Number(node?.t);
-          if (!Number.isFinite(triggerTime)) return;
-          if (!isProgramTriggeredAt(triggerTime)) return;
-          const nodeKey = `${track.id}:${node.id}`;
-          activePcNodeKeys.add(nodeKey);
-          const program = toMidiCcValue(node?.v, fallbackProgram);
-          const state = pcRuntime.get(nodeKey);
-          if (state
-            && Math.abs((Number(state.triggerTime) || 0) - triggerTime) <= epsilon
-            && state.program === program
-            && state.channel === channel
-            && state.outputId === outputId) {
-            return;
-          }
-          const sent = sendMidiBytes(outputId, [0xc0 | channel, program]);
-          if (!sent) return;
-          pcRuntime.set(nodeKey, {
-            triggerTime,
-            outputId,
-            channel,
-            program,
-          });
-        });
-      });
-      pcRuntime.forEach((_state, nodeKey) => {
-        if (activePcNodeKeys.has(nodeKey)) return;
-        pcRuntime.delete(nodeKey);
-      });
-      midiPcPlaybackRef.current.lastTime = currentTime;
-
-      const activeNoteKeys = new Set();
-      project.tracks.forEach((track) => {
-        if (track.kind !== 'midi-note') return;
-        if (track.mute) return;
-        if (!isTrackEnabled(track, 'midi-note')) return;
-        const outputId = getMidiTrackOutputId(track);
-        const channel = Math.max(1, Math.min(16, Math.round(Number(track.midi?.channel) || 1))) - 1;
-        const velocity = Math.max(0, Math.min(127, Math.round(Number(track.midi?.velocity) || 100)));
-        const nodes = Array.isArray(track.nodes) ? track.nodes : [];
-        nodes.forEach((node) => {
-          const start = Number(node?.t);
-          if (!Number.isFinite(start)) return;
-          const duration = Math.max(Number(node?.d) || 0.5, minNoteDuration);
-          const end = start + duration;
-          if (currentTime < start || currentTime >= end) return;
-          const noteNumber = Math.max(0, Math.min(127, Math.round(Number(node?.v) || 60)));
-          const key = `${track.id}:${node.id}`;
-          activeNoteKeys.add(key);
-          if (noteRuntime.has(key)) return;
-          const sent = sendMidiBytes(outputId, [0x90 | channel, noteNumber, velocity]);
-          if (!sent) return;
-          noteRuntime.set(key, {
-            outputId,
-            channel,
-            note: noteNumber,
-          });
-        });
-      });
-
-      noteRuntime.forEach((state, key) => {
-        if (activeNoteKeys.has(key)) return;
-        sendNoteOff(state);
-        noteRuntime.delete(key);
-      });
-    };
-
-    sendTick();
-    const intervalId = window.setInterval(sendTick, tickMs);
-    return () => {
-      window.clearInterval(intervalId);
-    };
-  }, [
-    isPlaying,
-    project.midi?.outputId,
-    project.timebase.fps,
-    project.tracks,
-    project.view.length,
-    project.view.loopEnabled,
-    project.view.loopStart,
-    project.view.loopEnd,
-  ]);
-
-  useEffect(() => {
-    if (isPlaying) return;
-    const noteRuntime = midiNoteRuntimeRef.current;
-    if (noteRuntime.size) {
-      noteRuntime.forEach((state) => {
-        const channel = Math.max(0, Math.min(15, Math.round(Number(state?.channel) || 0)));
-        const noteNumber = Math.max(0, Math.min(127, Math.round(Number(state?.note) || 0)));
-        const outputId = typeof state?.outputId === 'string' && state.outputId
-          ? state.outputId
-          : (project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID);
-        if (outputId === VIRTUAL_MIDI_OUTPUT_ID) {
-          const bridge = window.oscDaw;
-          bridge?.sendVirtualMidiMessage?.({ bytes: [0x80 | channel, noteNumber, 0] }).catch(() => {});
-        } else {
-          const output = midiAccessRef.current?.outputs?.get(outputId) || null;
-          try {
-            output?.send?.([0x80 | channel, noteNumber, 0]);
-          } catch (error) {
-            // Ignore note-off send failures.
-          }
-        }
-      });
-      noteRuntime.clear();
-    }
-    midiTrackRuntimeRef.current.clear();
-    midiPcRuntimeRef.current.clear();
-    midiPcPlaybackRef.current.lastTime = clamp(Number(playheadRef.current) || 0, 0, project.view.length);
-  }, [isPlaying, project.tracks, project.midi?.outputId]);
-
-  useEffect(() => {
-    const noteRuntime = midiNoteRuntimeRef.current;
-    if (noteRuntime.size) {
-      const activeNoteTrackIds = new Set(
-        project.tracks.filter((track) => track.kind === 'midi-note').map((track) => track.id)
-      );
-      noteRuntime.forEach((state, key) => {
-        const [trackId] = String(key).split(':');
-        if (activeNoteTrackIds.has(trackId)) return;
-        const channel = Math.max(0, Math.min(15, Math.round(Number(state?.channel) || 0)));
-        const noteNumber = Math.max(0, Math.min(127, Math.round(Number(state?.note) || 0)));
-        const outputId = typeof state?.outputId === 'string' && state.outputId
-          ? state.outputId
-          : (project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID);
-        if (outputId === VIRTUAL_MIDI_OUTPUT_ID) {
-          const bridge = window.oscDaw;
-          bridge?.sendVirtualMidiMessage?.({ bytes: [0x80 | channel, noteNumber, 0] }).catch(() => {});
-        } else {
-          const output = midiAccessRef.current?.outputs?.get(outputId) || null;
-          try {
-            output?.send?.([0x80 | channel, noteNumber, 0]);
-          } catch (error) {
-            // Ignore note-off failures while removing tracks.
-          }
-        }
-        noteRuntime.delete(key);
-      });
-    }
-
-    const ccRuntime = midiTrackRuntimeRef.current;
-    if (ccRuntime.size) {
-      const activeCcTrackIds = new Set(
-        project.tracks.filter((track) => track.kind === 'midi').map((track) => track.id)
-      );
-      ccRuntime.forEach((_state, trackId) => {
-        if (activeCcTrackIds.has(trackId)) return;
-        ccRuntime.delete(trackId);
-      });
-    }
-
-    const pcRuntime = midiPcRuntimeRef.current;
-    if (!pcRuntime.size) return;
-    const activePcNodeKeys = new Set();
-    project.tracks.forEach((track) => {
-      if (track.kind !== 'midi-pc') return;
-      const nodes = Array.isArray(track.nodes) ? track.nodes : [];
-      nodes.forEach((node) => {
-        activePcNodeKeys.add(`${track.id}:${node.id}`);
-      });
-    });
-    pcRuntime.forEach((_state, nodeKey) => {
-      if (activePcNodeKeys.has(nodeKey)) return;
-      pcRuntime.delete(nodeKey);
-    });
-  }, [project.tracks, project.midi?.outputId]);
-
-  useEffect(() => {
-    const syncMode = project.timebase?.sync || 'Internal';
-    if (syncMode !== 'Internal') return undefined;
+    const syncMode = project.timebase?.sync || 'Internal';
+    if (syncMode !== 'Internal') return undefined;
     if (!isPlaying) return undefined;
 
     const bridge = window.oscDaw;
-    const selectedOutputId = project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID;
-    const preferredOutputId = selectedOutputId;
-    const useVirtualOutput =
-      preferredOutputId === VIRTUAL_MIDI_OUTPUT_ID
-      && bridge
-      && typeof bridge.sendVirtualMidiMessage === 'function';
+    if (!bridge?.sendMidiMessage) return undefined;
+    const outputId = project.midi?.outputId || VIRTUAL_MIDI_OUTPUT_ID;
 
     const fps = Math.max(Number(syncFpsPreset.fps) || 30, 1);
     const mtcRateCode = syncFpsPreset.mtcRateCode;
     const mtcFrameBase = mtcRateCode === 0 ? 24 : (mtcRateCode === 1 ? 25 : 30);
     const stepMs = Math.max(1000 / (fps * 4), 6);
     let quarterFrameIndex = 0;
-    let canSendFullFrame = useVirtualOutput || Boolean(midiAccessRef.current?.sysexEnabled);
     let lastFullFrameAt = 0;
 
     const toTimecode = (timeSec) => {
@@ -4655,30 +4338,8 @@ export default function App() {
       return { hours, minutes, seconds, frames };
     };
 
-    const getOutput = () => {
-      if (!preferredOutputId || preferredOutputId === VIRTUAL_MIDI_OUTPUT_ID) return null;
-      const fromAccess = midiAccessRef.current?.outputs?.get(preferredOutputId) || null;
-      if (fromAccess && typeof fromAccess.send === 'function') return fromAccess;
-      if (midiOutputRef.current && typeof midiOutputRef.current.send === 'function') return midiOutputRef.current;
-      return null;
-    };
-
-    const sendVirtual = (bytes) => {
-      if (!useVirtualOutput || !bridge?.sendVirtualMidiMessage) return false;
-      bridge.sendVirtualMidiMessage({ bytes }).catch(() => {});
-      return true;
-    };
-
     const sendToOutput = (bytes) => {
-      if (sendVirtual(bytes)) return true;
-      const output = getOutput();
-      if (!output) return false;
-      try {
-        output.send(bytes);
-        return true;
-      } catch (error) {
-        return false;
-      }
+      bridge.sendMidiMessage({ outputId, bytes }).catch(() => {});
     };
 
     const buildFullFrame = (tc) => {
@@ -4689,13 +4350,9 @@ export default function App() {
     const sendMtcTick = () => {
       const tc = toTimecode(playheadRef.current);
       const now = performance.now();
-      if (canSendFullFrame && (lastFullFrameAt === 0 || now - lastFullFrameAt >= 1000)) {
-        const ok = sendToOutput(buildFullFrame(tc));
-        if (ok) {
-          lastFullFrameAt = now;
-        } else if (!useVirtualOutput) {
-          canSendFullFrame = false;
-        }
+      if (lastFullFrameAt === 0 || now - lastFullFrameAt >= 1000) {
+        sendToOutput(buildFullFrame(tc));
+        lastFullFrameAt = now;
       }
       const values = [
         tc.frames & 0x0f,
@@ -4708,10 +4365,7 @@ export default function App() {
         ((tc.hours >> 4) & 0x01) | (mtcRateCode << 1),
       ];
       const data1 = ((quarterFrameIndex & 0x07) << 4) | (values[quarterFrameIndex] & 0x0f);
-      const ok = sendToOutput([0xf1, data1]);
-      if (!ok && !useVirtualOutput) {
-        return;
-      }
+      sendToOutput([0xf1, data1]);
       quarterFrameIndex = (quarterFrameIndex + 1) % 8;
     };
 
@@ -4724,7 +4378,6 @@ export default function App() {
     isPlaying,
     project.timebase?.sync,
     project.midi?.outputId,
-    midiDevices.outputs,
     syncFpsPreset.fps,
     syncFpsPreset.mtcRateCode,
   ]);
@@ -4854,6 +4507,27 @@ export default function App() {
         }
         return;
       }
+      if (oscQueryBrowser) {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          setOscQueryBrowser(null);
+        }
+        return;
+      }
+      if (simplifyTargets) {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          setSimplifyTargets(null);
+        }
+        return;
+      }
+      if (midiImportDialog) {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          setMidiImportDialog(null);
+        }
+        return;
+      }
       if (audioChannelMapTrackId) {
         if (event.key === 'Escape') {
           event.preventDefault();
@@ -4963,7 +4637,11 @@ export default function App() {
       const withCommand = event.metaKey || event.ctrlKey;
       if (withCommand && key === 's') {
         event.preventDefault();
-        handleSave();
+        if (event.shiftKey) {
+          handleSaveAs();
+        } else {
+          handleSave();
+        }
         return;
       }
       if (withCommand && key === 'l') {
@@ -5469,6 +5147,9 @@ export default function App() {
   }, [
     isHelpOpen,
     multiAddDialog,
+    oscQueryBrowser,
+    simplifyTargets,
+    midiImportDialog,
     audioChannelMapTrackId,
     editingAudioClip,
     editingAudioFade,
@@ -5486,6 +5167,9 @@ export default function App() {
     syncFpsPreset.fps,
     audioChannelMapDraft,
     syncSelectedNodeSnapshot,
+    project,
+    projectFilePath,
+    isDirty,
   ]);
 
   useEffect(() => {
@@ -5494,13 +5178,6 @@ export default function App() {
     }
   }, [playhead, project.view.length]);
 
-  useEffect(() => {
-    if (isPlaying) return;
-    const safeTime = clamp(Number(playheadRef.current) || 0, 0, project.view.length);
-    oscFlagPlaybackRef.current.lastTime = safeTime;
-    midiPcPlaybackRef.current.lastTime = safeTime;
-  }, [isPlaying, project.view.length, playhead]);
-
   useEffect(() => {
     let changed = false;
     setAudioWaveforms((prev) => {
@@ -5545,6 +5222,11 @@ export default function App() {
     dispatch({ type: 'update-track', id: selectedTrack.id, patch });
   };
 
+  const handlePatchTrackById = useCallback((trackId, patch) => {
+    if (!trackId) return;
+    dispatch({ type: 'update-track', id: trackId, patch });
+  }, []);
+
   const openAudioChannelMapDialog = (trackId) => {
     const track = project.tracks.find((item) => item.id === trackId);
     if (!track || track.kind !== 'audio') return;
@@ -5679,6 +5361,92 @@ export default function App() {
     return [];
   }, [expandTrackIdsWithGroupMembers, project.tracks, selectedTrackIds, selectedTrackId]);
 
+  // Selected nodes narrow each track to the span between its first and last selected node.
+  const handleOpenSimplify = () => {
+    const nodeTargets = project.tracks
+      .filter((track) => SIMPLIFIABLE_TRACK_KINDS.has(track.kind))
+      .map((track) => {
+        const ids = new Set(selectedNodeIdsByTrack[track.id] || []);
+        const times = track.nodes.filter((node) => ids.has(node.id)).map((node) => node.t);
+        if (times.length < 2) return null;
+        return { track, from: Math.min(...times), to: Math.max(...times) };
+      })
+      .filter(Boolean);
+    if (nodeTargets.length) {
+      setSimplifyTargets(nodeTargets);
+      return;
+    }
+    const ids = new Set(getTracksToDelete());
+    const trackTargets = project.tracks
+      .filter((track) => ids.has(track.id) && SIMPLIFIABLE_TRACK_KINDS.has(track.kind))
+      .map((track) => ({ track }));
+    if (trackTargets.length) setSimplifyTargets(trackTargets);
+  };
+
+  const handleApplySimplify = ({ tolerance, timeTolerance }) => {
+    dispatch({
+      type: 'simplify-nodes',
+      targets: (simplifyTargets || []).map((target) => ({
+        id: target.track.id,
+        from: target.from,
+        to: target.to,
+      })),
+      tolerance,
+      timeTolerance,
+    });
+    setSimplifyTargets(null);
+  };
+
+  const handleMidiFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const parsed = parseMidiFile(new Uint8Array(await file.arrayBuffer()));
+      setMidiImportDialog({
+        fileName: file.name,
+        format: parsed.format,
+        fileTrackCount: parsed.tracks.length,
+        result: buildMidiFileImport(parsed),
+      });
+    } catch (error) {
+      window.alert(`Failed to import MIDI file.\n${error?.message || 'Unknown error'}`);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const handleImportMidiFile = ({ includeMarkers }) => {
+    const result = midiImportDialog?.result;
+    if (!result) return;
+    dispatch({
+      type: 'import-midi-file',
+      tracks: result.tracks,
+      cues: includeMarkers ? result.cues : [],
+      length: result.duration + MIDI_IMPORT_PROJECT_PADDING_SECONDS,
+    });
+    setMidiImportDialog(null);
+  };
+
+  const handleExportMidiFile = async () => {
+    const bridge = window.oscDaw;
+    if (!bridge?.exportMidiFile) return;
+    if (!project.tracks.some((track) => MIDI_FILE_TRACK_KINDS.has(track.kind))) {
+      window.alert('No MIDI tracks to export.');
+      return;
+    }
+    const bytes = buildMidiFile({
+      name: project.name,
+      tracks: project.tracks,
+      cues: project.cues,
+      fps: project.timebase?.fps,
+      length: project.view.length,
+    });
+    const result = await bridge.exportMidiFile({ bytes: Array.from(bytes), name: project.name });
+    if (!result?.ok && !result?.canceled) {
+      window.alert(`Failed to export MIDI file.\n${result?.error || 'Unknown error'}`);
+    }
+  };
+
   const handleDeleteTrack = () => {
     const ids = getTracksToDelete();
     if (!ids.length) return;
@@ -6160,6 +5928,11 @@ export default function App() {
           t: safeTime,
           v: values[0] ?? 0,
           arr: values,
+          arrArgs: Array.isArray(node?.arrArgs)
+            ? node.arrArgs
+            : sampleOscArrayTrackArgs(track, safeTime, project.timebase?.fps).map((arg) => (
+              isNumericOscArgumentType(arg.type) ? null : arg.value
+            )),
         },
       });
       return;
@@ -6191,55 +5964,66 @@ export default function App() {
     });
   };
 
-  const handleNodeDrag = (trackId, nodeId, patch) => {
+  // Patches are keyed by node id; editors that move several notes at once send them together.
+  const handleNodesDrag = (trackId, patchesById) => {
     const track = project.tracks.find((item) => item.id === trackId);
-    if (track?.kind === 'audio') return;
-    const nextPatch = { ...patch };
-    if ((track?.kind === 'midi' || track?.kind === 'midi-pc')
-      && Object.prototype.hasOwnProperty.call(nextPatch, 'v')) {
-      nextPatch.v = toMidiCcValue(nextPatch.v, track.default);
-    }
-    if ((track?.kind === 'dmx' || track?.kind === 'dmx-color')
-      && Object.prototype.hasOwnProperty.call(nextPatch, 'v')) {
-      nextPatch.v = toDmxValue(nextPatch.v, track.default);
-    }
-    if (!track) return;
+    if (!track || track.kind === 'audio') return;
+    const patches = new Map();
+    Object.entries(patchesById || {}).forEach(([nodeId, patch]) => {
+      const nextPatch = { ...patch };
+      if ((track.kind === 'midi' || track.kind === 'midi-pc')
+        && Object.prototype.hasOwnProperty.call(nextPatch, 'v')) {
+        nextPatch.v = toMidiCcValue(nextPatch.v, track.default);
+      }
+      if ((track.kind === 'dmx' || track.kind === 'dmx-color')
+        && Object.prototype.hasOwnProperty.call(nextPatch, 'v')) {
+        nextPatch.v = toDmxValue(nextPatch.v, track.default);
+      }
+      patches.set(nodeId, nextPatch);
+    });
+    if (!patches.size) return;
+
+    const dispatchTrackPatches = () => {
+      if (patches.size === 1) {
+        const [[nodeId, patch]] = [...patches];
+        dispatch({ type: 'update-node', id: trackId, nodeId, patch });
+        return;
+      }
+      dispatch({ type: 'update-nodes', id: trackId, patches: Object.fromEntries(patches) });
+    };
 
-    const sourceNode = Array.isArray(track.nodes) ? track.nodes.find((item) => item.id === nodeId) : null;
-    const hasTimePatch = Object.prototype.hasOwnProperty.call(nextPatch, 't')
-      && Number.isFinite(Number(nextPatch.t))
-      && Number.isFinite(Number(sourceNode?.t));
+    const nodes = Array.isArray(track.nodes) ? track.nodes : [];
     const selectedByTrack = selectedNodeIdsByTrackRef.current;
     const sourceSelection = Array.isArray(selectedByTrack.get(trackId))
       ? selectedByTrack.get(trackId)
       : [];
-    const shouldCrossTrackShift = hasTimePatch && sourceSelection.includes(nodeId);
-
-    if (!shouldCrossTrackShift) {
-      dispatch({ type: 'update-node', id: trackId, nodeId, patch: nextPatch });
-      return;
-    }
-
-    const deltaT = Number(nextPatch.t) - Number(sourceNode.t);
+    let deltaT = 0;
+    [...patches].some(([nodeId, patch]) => {
+      const sourceNode = nodes.find((item) => item.id === nodeId);
+      const hasTimePatch = Object.prototype.hasOwnProperty.call(patch, 't')
+        && Number.isFinite(Number(patch.t))
+        && Number.isFinite(Number(sourceNode?.t));
+      if (!hasTimePatch || !sourceSelection.includes(nodeId)) return false;
+      deltaT = Number(patch.t) - Number(sourceNode.t);
+      return true;
+    });
     if (!Number.isFinite(deltaT) || Math.abs(deltaT) < 1e-9) {
-      dispatch({ type: 'update-node', id: trackId, nodeId, patch: nextPatch });
+      dispatchTrackPatches();
       return;
     }
 
-    const patchesByTrack = new Map();
+    const patchesByTrack = new Map([[trackId, new Map(patches)]]);
     const pushPatch = (targetTrackId, targetNodeId, targetPatch) => {
       if (!patchesByTrack.has(targetTrackId)) patchesByTrack.set(targetTrackId, new Map());
       patchesByTrack.get(targetTrackId).set(targetNodeId, targetPatch);
     };
 
-    pushPatch(trackId, nodeId, nextPatch);
-
     selectedByTrack.forEach((ids, targetTrackId) => {
       if (!Array.isArray(ids) || !ids.length) return;
       const targetTrack = project.tracks.find((item) => item.id === targetTrackId);
       if (!targetTrack || targetTrack.kind === 'audio') return;
       ids.forEach((selectedId) => {
-        if (targetTrackId === trackId && selectedId === nodeId) return;
+        if (targetTrackId === trackId && patches.has(selectedId)) return;
         const targetNode = Array.isArray(targetTrack.nodes)
           ? targetTrack.nodes.find((item) => item.id === selectedId)
           : null;
@@ -6250,8 +6034,8 @@ export default function App() {
       });
     });
 
-    if (patchesByTrack.size === 1 && patchesByTrack.get(trackId)?.size === 1) {
-      dispatch({ type: 'update-node', id: trackId, nodeId, patch: nextPatch });
+    if (patchesByTrack.size === 1 && patchesByTrack.get(trackId)?.size === patches.size) {
+      dispatchTrackPatches();
       return;
     }
 
@@ -6274,6 +6058,10 @@ export default function App() {
     });
   };
 
+  const handleNodeDrag = (trackId, nodeId, patch) => {
+    handleNodesDrag(trackId, { [nodeId]: patch });
+  };
+
   const handlePatchSingleNode = (trackId, nodeId, patch) => {
     const track = project.tracks.find((item) => item.id === trackId);
     if (!track || track.kind === 'audio') return;
@@ -6439,6 +6227,8 @@ export default function App() {
         noteFrames: String(parts.frames),
         noteValue: String(clamp(Math.round(Number(node.v) || 60), 0, 127)),
         noteLength: Number.isFinite(Number(node.d)) ? Number(node.d).toFixed(2) : '0.50',
+        noteVelocity: Number.isFinite(node.vel) ? String(node.vel) : '',
+        trackVelocity: clamp(Math.round(Number(track.midi?.velocity) || 100), 0, 127),
       });
       return;
     }
@@ -6468,6 +6258,7 @@ export default function App() {
         value: valueType === 'int'
           ? String(Math.round(Number(safeValue) || 1))
           : (Number.isFinite(Number(safeValue)) ? Number(safeValue).toFixed(2) : '1.00'),
+        args: Array.isArray(node.args) ? node.args : null,
       });
       return;
     }
@@ -6479,8 +6270,9 @@ export default function App() {
         clamp(Number(node.t) || 0, 0, project.view.length),
         syncFpsPreset.fps
       );
-      const values = normalizeOscArrayNodeValues(track, node).map((item) => (
-        valueType === 'int'
+      const arrayTypes = getOscArraySlotTypes(track);
+      const values = normalizeOscArrayNodeValues(track, node).map((item, index) => (
+        arrayTypes[index] === 'int' || arrayTypes[index] === 'int64'
           ? String(Math.round(Number(item) || 0))
           : Number(item).toFixed(2)
       ));
@@ -6494,6 +6286,8 @@ export default function App() {
         arraySeconds: String(parts.seconds),
         arrayFrames: String(parts.frames),
         arrayValues: values,
+        arrayTypes,
+        arrayArgs: normalizeOscArrayNodeArgs(track, node),
       });
       return;
     }
@@ -6578,6 +6372,7 @@ export default function App() {
     const parts = secondsToHmsfParts(cue.t, syncFpsPreset.fps);
     setEditingCue({
       id: cue.id,
+      name: cue.name || '',
       hours: parts.hours,
       minutes: parts.minutes,
       seconds: parts.seconds,
@@ -6804,33 +6599,54 @@ export default function App() {
     return true;
   };
 
-  const handleLoopRangeChange = ({ start, end }) => {
+  const handleTimelineRangeChange = (kind, { start, end }) => {
+    const [startKey, endKey] = TIMELINE_RANGE_KEYS[kind];
     const length = Math.max(Number(project.view.length) || 0, 0);
     const minSpan = 1 / Math.max(syncFpsPreset.fps, 1);
-    let loopStart = clamp(Number(start) || 0, 0, length);
-    let loopEnd = clamp(Number(end) || 0, 0, length);
-    if (loopEnd - loopStart < minSpan) {
-      if (loopStart <= Number(project.view.loopStart || 0)) {
-        loopStart = clamp(loopEnd - minSpan, 0, length);
+    let rangeStart = clamp(Number(start) || 0, 0, length);
+    let rangeEnd = clamp(Number(end) || 0, 0, length);
+    if (rangeEnd - rangeStart < minSpan) {
+      if (rangeStart <= Number(project.view[startKey] || 0)) {
+        rangeStart = clamp(rangeEnd - minSpan, 0, length);
       } else {
-        loopEnd = clamp(loopStart + minSpan, 0, length);
+        rangeEnd = clamp(rangeStart + minSpan, 0, length);
       }
     }
     dispatch({
       type: 'update-project',
       patch: {
         view: {
-          loopStart,
-          loopEnd,
+          [startKey]: rangeStart,
+          [endKey]: rangeEnd,
         },
       },
     });
   };
 
-  const handleOpenLoopRangeEditor = () => {
-    const startParts = secondsToHmsfParts(Number(project.view.loopStart) || 0, syncFpsPreset.fps);
-    const endParts = secondsToHmsfParts(Number(project.view.loopEnd) || 0, syncFpsPreset.fps);
+  const handleLoopRangeChange = (range) => handleTimelineRangeChange('loop', range);
+
+  const handlePunchRangeChange = (range) => handleTimelineRangeChange('punch', range);
+
+  const handlePunchToggle = () => {
+    dispatch({
+      type: 'update-project',
+      patch: { view: { punchEnabled: !project.view.punchEnabled } },
+    });
+  };
+
+  const handleRecordModeChange = (mode) => {
+    dispatch({
+      type: 'update-project',
+      patch: { recording: { mode } },
+    });
+  };
+
+  const handleOpenLoopRangeEditor = (kind = 'loop') => {
+    const [startKey, endKey] = TIMELINE_RANGE_KEYS[kind];
+    const startParts = secondsToHmsfParts(Number(project.view[startKey]) || 0, syncFpsPreset.fps);
+    const endParts = secondsToHmsfParts(Number(project.view[endKey]) || 0, syncFpsPreset.fps);
     setEditingLoopRange({
+      kind,
       startHours: String(startParts.hours),
       startMinutes: String(startParts.minutes),
       startSeconds: String(startParts.seconds),
@@ -6874,12 +6690,13 @@ export default function App() {
         start = clamp(end - minSpan, 0, length);
       }
     }
+    const [startKey, endKey] = TIMELINE_RANGE_KEYS[editingLoopRange.kind] || TIMELINE_RANGE_KEYS.loop;
     dispatch({
       type: 'update-project',
       patch: {
         view: {
-          loopStart: start,
-          loopEnd: end,
+          [startKey]: start,
+          [endKey]: end,
         },
       },
     });
@@ -6969,6 +6786,9 @@ export default function App() {
       );
       const noteValue = clamp(Math.round(Number(editingNode.noteValue) || 60), 0, 127);
       const noteLength = Math.max(Number(editingNode.noteLength) || 0.5, 0.01);
+      const noteVelocity = String(editingNode.noteVelocity ?? '').trim() === ''
+        ? null
+        : clamp(Math.round(Number(editingNode.noteVelocity) || 0), 0, 127);
       dispatch({
         type: 'update-node',
         id: editingNode.trackId,
@@ -6977,6 +6797,7 @@ export default function App() {
           t: nodeTime,
           v: noteValue,
           d: noteLength,
+          vel: noteVelocity,
         },
       });
       setEditingNode(null);
@@ -7000,13 +6821,16 @@ export default function App() {
       const value = formatOscOutputScalar(editingNode.value, valueType);
       const fallbackAddress = normalizeOscAddressPath(track?.oscAddress, '/osc/flag');
       const address = normalizeOscAddressPath(editingNode.address, fallbackAddress);
-      dispatch({
-        type: 'update-track',
-        id: editingNode.trackId,
-        patch: {
-          oscValueType: valueType,
-        },
-      });
+      const args = Array.isArray(editingNode.args) ? editingNode.args : undefined;
+      if (!args) {
+        dispatch({
+          type: 'update-track',
+          id: editingNode.trackId,
+          patch: {
+            oscValueType: valueType,
+          },
+        });
+      }
       dispatch({
         type: 'update-node',
         id: editingNode.trackId,
@@ -7016,6 +6840,7 @@ export default function App() {
           d: triggerTime,
           v: Number.isFinite(Number(value)) ? Number(value) : 1,
           a: address,
+          args,
         },
       });
       setEditingNode(null);
@@ -7041,11 +6866,14 @@ export default function App() {
       const min = Number.isFinite(track.min) ? track.min : 0;
       const max = Number.isFinite(track.max) ? track.max : 1;
       const count = getOscArrayValueCount(track);
-      const valueType = editingNode.valueType === 'int' ? 'int' : getOscSendValueType(track);
+      const slotTypes = getOscArraySlotTypes(track);
       const raw = Array.isArray(editingNode.arrayValues) ? editingNode.arrayValues : [];
       const nextValues = Array.from({ length: count }, (_, index) => (
         clamp(
-          Number(formatOscOutputScalar(raw[index] ?? track.default ?? 0, valueType)) || 0,
+          Number(formatOscOutputScalar(
+            raw[index] ?? track.default ?? 0,
+            slotTypes[index] === 'int' || slotTypes[index] === 'int64' ? 'int' : 'float'
+          )) || 0,
           min,
           max
         )
@@ -7058,6 +6886,7 @@ export default function App() {
           t: nodeTime,
           v: nextValues[0] ?? track.default ?? 0,
           arr: nextValues,
+          arrArgs: Array.isArray(editingNode.arrayArgs) ? editingNode.arrayArgs : undefined,
         },
       });
       setEditingNode(null);
@@ -7185,7 +7014,7 @@ export default function App() {
       editingCue.frames,
       syncFpsPreset.fps
     );
-    dispatch({ type: 'update-cue', id: editingCue.id, time });
+    dispatch({ type: 'update-cue', id: editingCue.id, time, name: editingCue.name });
     setEditingCue(null);
   };
 
@@ -7357,8 +7186,18 @@ export default function App() {
     }));
   };
 
-  const handleSave = () => {
-    const payload = JSON.stringify(project, null, 2);
+  const getProjectForSave = () => ({
+    ...project,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    savedWith: {
+      app: 'OSConductor',
+      version: appVersion,
+      savedAt: new Date().toISOString(),
+    },
+  });
+
+  const downloadProjectJson = () => {
+    const payload = JSON.stringify(getProjectForSave(), null, 2);
     const blob = new Blob([payload], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const anchor = document.createElement('a');
@@ -7368,71 +7207,498 @@ export default function App() {
     URL.revokeObjectURL(url);
   };
 
-  const handleLoad = () => {
-    if (fileInputRef.current) {
-      fileInputRef.current.click();
+  // Marks the revision that was written, so edits made while a save is in flight stay dirty.
+  const applySaveResult = (result, revision) => {
+    if (Array.isArray(result?.recent)) {
+      setRecentProjects(result.recent);
+    }
+    if (!result?.ok) {
+      if (!result?.canceled) {
+        window.alert(`Failed to save project.${result?.error ? `\n${result.error}` : ''}`);
+      }
+      return false;
+    }
+    setProjectFilePath(result.filePath || null);
+    dispatch({ type: 'mark-saved', revision });
+    if (result.bundle && Array.isArray(result.missingMedia) && result.missingMedia.length) {
+      window.alert(`Project bundle saved without these missing media files:\n${result.missingMedia.join('\n')}`);
     }
+    return true;
   };
 
-  const handleFileChange = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      audioElementsRef.current.forEach((audio) => {
-        audio.pause();
-        audio.removeAttribute('src');
-        audio.load();
-      });
-      audioElementsRef.current.clear();
-      audioRoutingRef.current.forEach((_, trackId) => {
-        releaseAudioRouting(trackId, true);
-      });
-      audioRoutingRef.current.clear();
-      audioUrlRef.current.forEach((url) => {
-        if (typeof url === 'string' && url.startsWith('blob:')) {
-          URL.revokeObjectURL(url);
-        }
-      });
-      audioUrlRef.current.clear();
-      pendingSeekRef.current.clear();
-      setAudioWaveforms({});
-      compositionPlayheadsRef.current = new Map();
-      dispatch({ type: 'load-project', project: data });
-      setIsPlaying(false);
-      setIsRecording(false);
-      setAudioChannelMapTrackId(null);
-      setAudioChannelMapDraft(null);
-      setPlayhead(data?.view?.start ?? 0);
-    } catch (error) {
-      window.alert('Failed to load project JSON.');
-    } finally {
-      event.target.value = '';
+  const handleSave = async () => {
+    const bridge = window.oscDaw;
+    const revision = state.revision ?? 0;
+    if (!bridge?.saveProject) {
+      downloadProjectJson();
+      dispatch({ type: 'mark-saved', revision });
+      return true;
     }
+    const result = await bridge.saveProject({ project: getProjectForSave(), filePath: projectFilePath });
+    return applySaveResult(result, revision);
   };
 
-  const playheadX = useMemo(() => {
-    const start = Number(project.view.start) || 0;
-    const end = Number(project.view.end) || start + 1;
-    const span = Math.max(end - start, 0.0001);
-    const clamped = clamp(playhead, start, end);
-    const width = Math.max(Number(timelineWidth) || TIMELINE_WIDTH, TIMELINE_PADDING * 2 + 1);
-    return ((clamped - start) / span) * (width - 2 * TIMELINE_PADDING) + TIMELINE_PADDING;
-  }, [playhead, project.view.start, project.view.end, timelineWidth]);
+  const handleSaveAs = async () => {
+    const bridge = window.oscDaw;
+    const revision = state.revision ?? 0;
+    if (!bridge?.saveProjectAs) {
+      downloadProjectJson();
+      dispatch({ type: 'mark-saved', revision });
+      return true;
+    }
+    const result = await bridge.saveProjectAs({ project: getProjectForSave(), filePath: projectFilePath });
+    return applySaveResult(result, revision);
+  };
 
-  const zoomTime = (direction) => {
-    dispatch({ type: 'zoom-time', direction, center: playhead });
+  const handleSaveBundle = async () => {
+    const bridge = window.oscDaw;
+    if (!bridge?.saveProjectAs) return false;
+    const revision = state.revision ?? 0;
+    const result = await bridge.saveProjectAs({ project: getProjectForSave(), filePath: projectFilePath, bundle: true });
+    return applySaveResult(result, revision);
   };
 
-  const zoomTrackHeight = (delta) => {
-    dispatch({ type: 'zoom-track-height', delta });
+  const confirmDiscardChanges = () => {
+    if (!isDirty) return true;
+    return window.confirm('The current project has unsaved changes. Discard them and open another project?');
   };
 
-  useEffect(() => {
-    const getWheelDelta = (event) => {
-      const deltaY = Number(event.deltaY) || 0;
-      const deltaX = Number(event.deltaX) || 0;
+  const fetchMediaBytes = async (media) => {
+    if (!media?.url || !(media.size <= MEDIA_BUFFER_MAX_BYTES)) return null;
+    try {
+      const response = await fetch(media.url);
+      return response.ok ? await response.arrayBuffer() : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const getRestoredWaveform = async (audio, media) => {
+    if (Array.isArray(audio?.waveformPeaks) && audio.waveformPeaks.length >= 2) return {};
+    const bytes = await fetchMediaBytes(media);
+    if (!bytes) return {};
+    const duration = Number(audio?.duration) || 0;
+    const wavResult = computeWavLeftPeaks(bytes, getWaveformSampleCount(duration || undefined));
+    if (!wavResult?.peaks?.length) return {};
+    return {
+      waveformPeaks: wavResult.peaks,
+      waveformDuration: wavResult.duration > 0 ? wavResult.duration : duration,
+    };
+  };
+
+  const decodeMediaDuration = async (filePath) => {
+    const AudioContextImpl = window.AudioContext || window.webkitAudioContext;
+    const media = AudioContextImpl ? await readAudioMedia([filePath]) : null;
+    const bytes = await fetchMediaBytes(media);
+    if (!bytes) return null;
+    try {
+      const context = audioContextRef.current || new AudioContextImpl();
+      audioContextRef.current = context;
+      const audioBuffer = await decodeAudioBuffer(context, bytes);
+      return audioBuffer?.duration > 0 ? audioBuffer.duration : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const readAudioMedia = async (filePaths) => {
+    const bridge = window.oscDaw;
+    if (!bridge?.readProjectMedia) return null;
+    const unique = filePaths.filter((value, index, list) => (
+      typeof value === 'string' && value && list.indexOf(value) === index
+    ));
+    for (const filePath of unique) {
+      const result = await bridge.readProjectMedia({ filePath }).catch(() => null);
+      if (result?.ok && result.url) return result;
+    }
+    return null;
+  };
+
+  const restoreProjectMedia = async (data) => {
+    const mediaUrls = new Map();
+    const missingMedia = [];
+    if (!window.oscDaw?.readProjectMedia || !Array.isArray(data?.tracks)) {
+      return { project: data, mediaUrls, missingMedia };
+    }
+    const tracks = [];
+    for (const track of data.tracks) {
+      const audio = track?.kind === 'audio' ? track.audio : null;
+      if (!audio) {
+        tracks.push(track);
+        continue;
+      }
+      const filePaths = [audio.nativePath, audio.sourcePath];
+      const media = await readAudioMedia(filePaths);
+      if (!media) {
+        const name = audio.name || getPathBaseName(audio.sourcePath) || getPathBaseName(audio.nativePath);
+        if (name) {
+          missingMedia.push({
+            trackId: track.id,
+            trackName: track.name || '',
+            name,
+            duration: Number(audio.duration) || 0,
+            candidatePath: '',
+            candidateDuration: null,
+          });
+        }
+        tracks.push({ ...track, audio: { ...audio, src: '' } });
+        continue;
+      }
+      const src = media.url;
+      mediaUrls.set(track.id, src);
+      tracks.push({
+        ...track,
+        audio: {
+          ...audio,
+          ...(await getRestoredWaveform(audio, media)),
+          src,
+          nativePath: media.filePath,
+        },
+      });
+    }
+    return { project: { ...data, tracks }, mediaUrls, missingMedia };
+  };
+
+  const applyLoadedProject = (data, mediaUrls = null, markSaved = true) => {
+    audioElementsRef.current.forEach((audio) => {
+      audio.pause();
+      audio.removeAttribute('src');
+      audio.load();
+    });
+    audioElementsRef.current.clear();
+    audioRoutingRef.current.forEach((_, trackId) => {
+      releaseAudioRouting(trackId, true);
+    });
+    audioRoutingRef.current.clear();
+    audioUrlRef.current.forEach((url) => {
+      if (typeof url === 'string' && url.startsWith('blob:')) {
+        URL.revokeObjectURL(url);
+      }
+    });
+    audioUrlRef.current.clear();
+    mediaUrls?.forEach((url, trackId) => {
+      audioUrlRef.current.set(trackId, url);
+    });
+    pendingSeekRef.current.clear();
+    setAudioWaveforms({});
+    compositionPlayheadsRef.current = new Map();
+    dispatch({ type: 'load-project', project: data, markSaved });
+    setIsPlaying(false);
+    setIsRecording(false);
+    setAudioChannelMapTrackId(null);
+    setAudioChannelMapDraft(null);
+    setPlayhead(data?.view?.start ?? 0);
+  };
+
+  const openProjectData = async (data, filePath = null, markSaved = true) => {
+    const prepared = prepareProjectForLoad(data);
+    const restored = await restoreProjectMedia(prepared.project);
+    applyLoadedProject(restored.project, restored.mediaUrls, markSaved);
+    setProjectFilePath(filePath);
+    setMissingMediaItems(restored.missingMedia);
+    setLoadReport(hasLoadReportChanges(prepared.report) ? prepared.report : null);
+  };
+
+  const handleLoad = async (filePath = null, { bundle = false } = {}) => {
+    const bridge = window.oscDaw;
+    if (!bridge?.openProject) {
+      if (fileInputRef.current && confirmDiscardChanges()) {
+        fileInputRef.current.click();
+      }
+      return;
+    }
+    if (!confirmDiscardChanges()) return;
+    const result = await bridge.openProject(typeof filePath === 'string' && filePath ? { filePath } : { bundle });
+    if (Array.isArray(result?.recent)) {
+      setRecentProjects(result.recent);
+    }
+    if (!result?.ok) {
+      if (!result?.canceled) {
+        window.alert(`Failed to load project.${result?.error ? `\n${result.error}` : ''}`);
+      }
+      return;
+    }
+    try {
+      await openProjectData(result.project, result.filePath || null);
+    } catch (error) {
+      window.alert('Failed to load project JSON.');
+    }
+  };
+
+  const handleLoadBundle = async () => {
+    if (!window.oscDaw?.openProject) return;
+    await handleLoad(null, { bundle: true });
+  };
+
+  const autosaveMarkerRef = useRef({ revisionCounter: 0, historyActionCount: 0 });
+  const writeAutosaveSnapshot = async (reason) => {
+    const bridge = window.oscDaw;
+    if (!bridge?.writeAutosaveSnapshot || !autosaveConfig?.enabled) return;
+    const revisionCounter = state.revisionCounter ?? 0;
+    const historyActionCount = state.historyActionCount ?? 0;
+    if (revisionCounter === autosaveMarkerRef.current.revisionCounter) return;
+    autosaveMarkerRef.current = { revisionCounter, historyActionCount };
+    const result = await bridge.writeAutosaveSnapshot({
+      project: getProjectForSave(),
+      filePath: projectFilePath,
+      reason,
+    });
+    if (result?.ok && result.snapshot) {
+      setAutosaveSnapshots((prev) => [result.snapshot, ...prev.filter((item) => item.id !== result.snapshot.id)]
+        .slice(0, 20));
+    }
+  };
+  const writeAutosaveSnapshotRef = useRef(null);
+  writeAutosaveSnapshotRef.current = writeAutosaveSnapshot;
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.getAutosaveStatus) return;
+    bridge.getAutosaveStatus()
+      .then((status) => {
+        setAutosaveConfig(status?.config || null);
+        setAutosaveSnapshots(Array.isArray(status?.snapshots) ? status.snapshots : []);
+        if (status?.recoveryAvailable) {
+          setSnapshotBrowserMode('recovery');
+        }
+      })
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.onAutosaveRequest) return undefined;
+    return bridge.onAutosaveRequest((payload) => {
+      writeAutosaveSnapshotRef.current?.(payload?.reason || 'timer').catch(() => {});
+    });
+  }, []);
+
+  useEffect(() => {
+    const threshold = Number(autosaveConfig?.actionThreshold) || 0;
+    if (!autosaveConfig?.enabled || threshold <= 0) return;
+    const count = state.historyActionCount ?? 0;
+    if (count - autosaveMarkerRef.current.historyActionCount < threshold) return;
+    writeAutosaveSnapshotRef.current?.('actions').catch(() => {});
+  }, [state.historyActionCount, autosaveConfig]);
+
+  const updateAutosaveConfig = async (patch) => {
+    const bridge = window.oscDaw;
+    if (!bridge?.setAutosaveConfig) return;
+    setAutosaveConfig((prev) => (prev ? { ...prev, ...patch } : prev));
+    const next = await bridge.setAutosaveConfig(patch).catch(() => null);
+    if (next) setAutosaveConfig(next);
+  };
+
+  const closeSnapshotBrowser = () => {
+    if (snapshotBrowserMode === 'recovery') {
+      window.oscDaw?.dismissAutosaveRecovery?.().catch(() => {});
+    }
+    setSnapshotBrowserMode(null);
+  };
+
+  const handleRestoreSnapshot = async (snapshotId) => {
+    const bridge = window.oscDaw;
+    if (!bridge?.readAutosaveSnapshot) return;
+    if (!confirmDiscardChanges()) return;
+    const result = await bridge.readAutosaveSnapshot({ id: snapshotId });
+    if (!result?.ok || !result.snapshot?.project) {
+      window.alert(`Failed to restore snapshot.${result?.error ? `\n${result.error}` : ''}`);
+      return;
+    }
+    try {
+      await openProjectData(result.snapshot.project, result.snapshot.filePath || null, false);
+      closeSnapshotBrowser();
+    } catch (error) {
+      window.alert('Failed to restore snapshot.');
+    }
+  };
+
+  const closeMissingMediaDialog = () => {
+    setMissingMediaItems([]);
+    setIsSearchingMissingMedia(false);
+  };
+
+  const handleSearchMissingMedia = async () => {
+    const bridge = window.oscDaw;
+    if (!bridge?.findProjectMedia || isSearchingMissingMedia) return;
+    setIsSearchingMissingMedia(true);
+    try {
+      const result = await bridge.findProjectMedia({
+        names: missingMediaItems.map((item) => item.name),
+      });
+      if (!result?.ok) {
+        if (!result?.canceled) {
+          window.alert(`Failed to search for media.${result?.error ? `\n${result.error}` : ''}`);
+        }
+        return;
+      }
+      const candidates = result.candidates || {};
+      // Headers only give WAV, AIFF and FLAC durations; other files are decoded when no header matched.
+      for (const item of missingMediaItems) {
+        const list = candidates[item.name.toLowerCase()];
+        if (!Array.isArray(list) || item.candidatePath || !(item.duration > 0)) continue;
+        if (list.some((candidate) => isMediaDurationMatch(candidate.duration, item.duration))) continue;
+        for (const candidate of list) {
+          if (Number.isFinite(candidate.duration)) continue;
+          candidate.duration = await decodeMediaDuration(candidate.filePath);
+          if (isMediaDurationMatch(candidate.duration, item.duration)) break;
+        }
+      }
+      setMissingMediaItems((prev) => prev.map((item) => {
+        if (item.candidatePath) return item;
+        const picked = pickMediaCandidate(candidates[item.name.toLowerCase()], item.duration);
+        if (!picked) return item;
+        return {
+          ...item,
+          candidatePath: picked.filePath,
+          candidateDuration: Number.isFinite(picked.duration) ? picked.duration : null,
+        };
+      }));
+    } finally {
+      setIsSearchingMissingMedia(false);
+    }
+  };
+
+  const handleLocateMissingMedia = async (trackId) => {
+    const bridge = window.oscDaw;
+    const item = missingMediaItems.find((entry) => entry.trackId === trackId);
+    if (!bridge?.chooseProjectMedia || !item) return;
+    const result = await bridge.chooseProjectMedia({ name: item.name });
+    if (!result?.ok || !result.filePath) return;
+    setMissingMediaItems((prev) => prev.map((entry) => (
+      entry.trackId === trackId
+        ? { ...entry, candidatePath: result.filePath, candidateDuration: null }
+        : entry
+    )));
+  };
+
+  const handleRelinkMissingMedia = async () => {
+    const failed = [];
+    const remaining = [];
+    for (const item of missingMediaItems) {
+      if (!item.candidatePath) {
+        remaining.push(item);
+        continue;
+      }
+      const track = projectTracksRef.current.find((entry) => entry.id === item.trackId);
+      const media = track ? await readAudioMedia([item.candidatePath]) : null;
+      if (!media) {
+        failed.push(item.name);
+        remaining.push({ ...item, candidatePath: '', candidateDuration: null });
+        continue;
+      }
+      const src = media.url;
+      const previousUrl = audioUrlRef.current.get(item.trackId);
+      if (typeof previousUrl === 'string' && previousUrl.startsWith('blob:')) {
+        URL.revokeObjectURL(previousUrl);
+      }
+      audioUrlRef.current.set(item.trackId, src);
+      dispatch({
+        type: 'update-track',
+        id: item.trackId,
+        patch: {
+          audio: {
+            ...(await getRestoredWaveform(track.audio, media)),
+            src,
+            nativePath: media.filePath,
+            sourcePath: media.filePath,
+          },
+        },
+      });
+    }
+    if (failed.length) {
+      window.alert(`Failed to read these media files:\n${failed.join('\n')}`);
+    }
+    setMissingMediaItems(remaining);
+  };
+
+  const handleClearRecentProjects = async () => {
+    const bridge = window.oscDaw;
+    if (!bridge?.clearRecentProjects) return;
+    const recent = await bridge.clearRecentProjects();
+    setRecentProjects(Array.isArray(recent) ? recent : []);
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const data = JSON.parse(text);
+      await openProjectData(data);
+    } catch (error) {
+      window.alert('Failed to load project JSON.');
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.getVersion) return;
+    bridge.getVersion()
+      .then((version) => setAppVersion(typeof version === 'string' ? version : ''))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.getRecentProjects) return;
+    bridge.getRecentProjects()
+      .then((recent) => setRecentProjects(Array.isArray(recent) ? recent : []))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    const fileName = projectFilePath
+      ? projectFilePath.split(/[\\/]/).pop()
+      : (project.name || 'Untitled');
+    document.title = `${isDirty ? '● ' : ''}${fileName} - OSConductor`;
+    const bridge = window.oscDaw;
+    if (!bridge?.setProjectDocumentState) return;
+    bridge.setProjectDocumentState({
+      dirty: isDirty,
+      filePath: projectFilePath,
+      name: project.name || '',
+    }).catch(() => {});
+  }, [isDirty, projectFilePath, project.name]);
+
+  const saveBeforeCloseRef = useRef(null);
+  saveBeforeCloseRef.current = handleSave;
+  useEffect(() => {
+    const bridge = window.oscDaw;
+    if (!bridge?.onProjectSaveBeforeClose) return undefined;
+    return bridge.onProjectSaveBeforeClose(async () => {
+      const saved = await saveBeforeCloseRef.current?.();
+      if (saved) {
+        bridge.confirmWindowClose?.().catch(() => {});
+        return;
+      }
+      bridge.cancelWindowClose?.().catch(() => {});
+    });
+  }, []);
+
+  const playheadX = useMemo(() => {
+    const start = Number(project.view.start) || 0;
+    const end = Number(project.view.end) || start + 1;
+    const span = Math.max(end - start, 0.0001);
+    const clamped = clamp(playhead, start, end);
+    const width = Math.max(Number(timelineWidth) || TIMELINE_WIDTH, TIMELINE_PADDING * 2 + 1);
+    return ((clamped - start) / span) * (width - 2 * TIMELINE_PADDING) + TIMELINE_PADDING;
+  }, [playhead, project.view.start, project.view.end, timelineWidth]);
+
+  const zoomTime = (direction) => {
+    dispatch({ type: 'zoom-time', direction, center: playhead });
+  };
+
+  const zoomTrackHeight = (delta) => {
+    dispatch({ type: 'zoom-track-height', delta });
+  };
+
+  useEffect(() => {
+    const getWheelDelta = (event) => {
+      const deltaY = Number(event.deltaY) || 0;
+      const deltaX = Number(event.deltaX) || 0;
       if (Math.abs(deltaY) >= Math.abs(deltaX)) return deltaY;
       return deltaX;
     };
@@ -7560,6 +7826,7 @@ export default function App() {
       host: output.host,
       port: output.port,
       label: `${output.name} (${output.host}:${output.port})`,
+      sendPolicy: output.sendPolicy,
     })),
     [oscOutputs]
   );
@@ -7614,20 +7881,59 @@ export default function App() {
       ))
     );
   }, [oscOutputs, updateOscOutputs]);
+  const oscRoutes = Array.isArray(project.osc?.routes) ? project.osc.routes : EMPTY_LIST;
+  const updateOscRoutes = useCallback((nextRoutes) => {
+    dispatch({ type: 'update-project', patch: { osc: { routes: nextRoutes } } });
+  }, []);
+  const addOscRoute = useCallback(() => {
+    if (oscRoutes.length >= OSC_ROUTE_LIMIT) return;
+    updateOscRoutes([...oscRoutes, createOscRoute({ outputId: defaultOscOutput?.id || '' })]);
+  }, [defaultOscOutput, oscRoutes, updateOscRoutes]);
+  const removeOscRoute = useCallback((routeId) => {
+    updateOscRoutes(oscRoutes.filter((route) => route.id !== routeId));
+  }, [oscRoutes, updateOscRoutes]);
+  const patchOscRoute = useCallback((routeId, patch) => {
+    updateOscRoutes(oscRoutes.map((route) => (route.id === routeId ? { ...route, ...patch } : route)));
+  }, [oscRoutes, updateOscRoutes]);
+  const toggleOscRouteComposition = useCallback((route, compositionId) => {
+    const ids = route.compositionIds || [];
+    patchOscRoute(route.id, {
+      compositionIds: ids.includes(compositionId)
+        ? ids.filter((id) => id !== compositionId)
+        : [...ids, compositionId],
+    });
+  }, [patchOscRoute]);
+  const oscRouteInputErrors = useMemo(
+    () => findInvalidOscPatterns(oscRoutes.map((route) => route.input).join(' ')),
+    [oscRoutes]
+  );
   const oscPortConflict = useMemo(() => ({
     outputs: oscOutputs.map((output) => Number(output.port) === DEV_SERVER_PORT),
     listenPort: Number(project.osc?.listenPort) === DEV_SERVER_PORT,
     controlPort: Number(project.osc?.controlPort) === DEV_SERVER_PORT,
-  }), [oscOutputs, project.osc?.listenPort, project.osc?.controlPort]);
+    queryPort: Number(project.osc?.queryPort) === DEV_SERVER_PORT,
+  }), [oscOutputs, project.osc?.listenPort, project.osc?.controlPort, project.osc?.queryPort]);
   const hasOscPortConflict =
     oscPortConflict.outputs.some(Boolean)
     || oscPortConflict.listenPort
-    || oscPortConflict.controlPort;
+    || oscPortConflict.controlPort
+    || oscPortConflict.queryPort;
+  const oscRecordFilterErrors = useMemo(
+    () => findInvalidOscPatterns(`${project.osc?.recordInclude || ''} ${project.osc?.recordExclude || ''}`),
+    [project.osc?.recordInclude, project.osc?.recordExclude]
+  );
   const canUndo = (historyPast?.length ?? 0) > 0;
   const canRedo = (historyFuture?.length ?? 0) > 0;
   const cueList = Array.isArray(project.cues) ? project.cues : EMPTY_LIST;
   const multiAddCount = Math.floor(Number(multiAddDialog?.count));
-  const canConfirmMultiAdd = Number.isFinite(multiAddCount) && multiAddCount > 0;
+  const multiAddLearnedItems = multiAddDialog && OSC_LEARN_TRACK_KINDS.has(multiAddDialog.kind) && oscLearn?.target === 'multi-add'
+    ? oscLearn.summaries
+      .map((summary) => ({ summary, kind: inferOscLearnTrackKind(summary) }))
+    : [];
+  const isMultiAddLearning = isOscLearnListening && oscLearnTarget === 'multi-add';
+  const canConfirmMultiAdd = multiAddLearnedItems.length
+    ? multiAddLearnedItems.some((item) => item.kind)
+    : Number.isFinite(multiAddCount) && multiAddCount > 0;
   useEffect(() => {
     if (!audioChannelMapTrack) return;
     probeOutputChannels(audioMapResolvedOutputDeviceId);
@@ -7681,6 +7987,62 @@ export default function App() {
     setIsInspectorVisible((prev) => !prev);
   };
 
+  const handleToggleOscMonitor = () => {
+    setIsOscMonitorVisible((prev) => !prev);
+  };
+
+  const handleToggleTrackOscLearn = () => {
+    if (!selectedTrack || !OSC_LEARN_TRACK_KINDS.has(selectedTrack.kind)) return;
+    if (oscLearn?.status === 'listening' && oscLearn.trackId === selectedTrack.id) {
+      setOscLearn(null);
+      return;
+    }
+    setOscLearn({
+      target: 'track',
+      trackId: selectedTrack.id,
+      trackKind: selectedTrack.kind,
+      status: 'listening',
+      summaries: [],
+    });
+  };
+
+  const handleCreateLearnedTrack = () => {
+    const summary = oscLearn?.summaries?.[0];
+    const kind = summary ? inferOscLearnTrackKind(summary) : null;
+    if (!kind) return;
+    const sourceTrack = project.tracks.find((track) => track.id === oscLearn.trackId);
+    dispatch({
+      type: 'add-track',
+      kind,
+      options: {
+        ...buildOscLearnTrackPatch(kind, summary),
+        ...(sourceTrack?.oscOutputId ? { oscOutputId: sourceTrack.oscOutputId } : {}),
+      },
+    });
+    setOscLearn(null);
+  };
+
+  const handleToggleMultiAddOscLearn = () => {
+    setOscLearn((prev) => {
+      if (prev?.target !== 'multi-add') return { target: 'multi-add', status: 'listening', summaries: [] };
+      return { ...prev, status: prev.status === 'listening' ? 'done' : 'listening', error: null };
+    });
+  };
+
+  const handleSubscribeOscMonitor = useCallback((callback) => {
+    const bridge = window.oscDaw;
+    if (!bridge?.onOscMonitorBatch) return () => {};
+    return bridge.onOscMonitorBatch(callback);
+  }, []);
+
+  const handleExportOscMonitor = (entries) => {
+    const bridge = window.oscDaw;
+    if (!bridge?.exportOscMonitorLog) {
+      return Promise.resolve({ ok: false, error: 'Log export is unavailable' });
+    }
+    return bridge.exportOscMonitorLog({ entries });
+  };
+
   const openSettings = () => {
     setSettingsTab('project');
     setIsSettingsOpen(true);
@@ -7827,6 +8189,20 @@ export default function App() {
 
   const handleConfirmMultiAdd = () => {
     if (!canConfirmMultiAdd || !multiAddDialog) return;
+    if (multiAddLearnedItems.length) {
+      const items = multiAddLearnedItems
+        .filter((item) => item.kind)
+        .map(({ summary, kind }) => ({
+          kind,
+          options: {
+            ...buildOscLearnTrackPatch(kind, summary),
+            name: buildOscLearnTrackName(summary.address),
+          },
+        }));
+      dispatch({ type: 'add-tracks', items });
+      setMultiAddDialog(null);
+      return;
+    }
     const safeKind =
       multiAddDialog.kind === 'audio'
       || multiAddDialog.kind === 'midi'
@@ -8015,6 +8391,9 @@ export default function App() {
     <div className="app">
       <TransportBar
         projectName={project.name}
+        projectFilePath={projectFilePath}
+        isDirty={isDirty}
+        recentProjects={recentProjects}
         sync={project.timebase.sync}
         syncFps={syncFpsPreset.id}
         syncFpsOptions={SYNC_FPS_OPTIONS}
@@ -8022,13 +8401,22 @@ export default function App() {
         isPlaying={isPlaying}
         isRecording={isRecording}
         isLoopEnabled={Boolean(project.view.loopEnabled)}
+        isPunchEnabled={Boolean(project.view.punchEnabled)}
+        recordMode={project.recording?.mode || 'overwrite'}
         onPlayToggle={handlePlayToggle}
         onRecordToggle={handleRecordToggle}
         onLoopToggle={handleLoopToggle}
+        onPunchToggle={handlePunchToggle}
+        onRecordModeChange={handleRecordModeChange}
         onStop={handleStop}
         onStopLocate={handleLocate}
         onSave={handleSave}
-        onLoad={handleLoad}
+        onSaveAs={handleSaveAs}
+        onSaveBundle={handleSaveBundle}
+        onLoad={() => handleLoad()}
+        onLoadBundle={handleLoadBundle}
+        onOpenRecent={(filePath) => handleLoad(filePath)}
+        onClearRecent={handleClearRecentProjects}
         onUndo={handleUndo}
         onRedo={handleRedo}
         canUndo={canUndo}
@@ -8037,8 +8425,10 @@ export default function App() {
         onSyncFpsChange={handleSyncFpsChange}
         isCompositionsVisible={isCompositionsVisible}
         isInspectorVisible={isInspectorVisible}
+        isOscMonitorVisible={isOscMonitorVisible}
         onToggleCompositions={handleToggleCompositions}
         onToggleInspector={handleToggleInspector}
+        onToggleOscMonitor={handleToggleOscMonitor}
         onOpenSettings={openSettings}
         onTimecodeCommit={handleTimecodeCommit}
       />
@@ -8073,6 +8463,7 @@ export default function App() {
                 <div className="help-shortcuts__row"><kbd>Cmd/Ctrl + D</kbd><span>Add DMX track</span></div>
                 <div className="help-shortcuts__row"><kbd>Cmd/Ctrl + Shift + D</kbd><span>Add DMX Color track</span></div>
                 <div className="help-shortcuts__row"><kbd>Cmd/Ctrl + S</kbd><span>Save project</span></div>
+                <div className="help-shortcuts__row"><kbd>Cmd/Ctrl + Shift + S</kbd><span>Save project as a new file</span></div>
                 <div className="help-shortcuts__row"><kbd>Cmd/Ctrl + L</kbd><span>Load project</span></div>
                 <div className="help-shortcuts__row"><kbd>Cmd/Ctrl + C</kbd><span>Copy selected track(s), or selected node(s)</span></div>
                 <div className="help-shortcuts__row"><kbd>Cmd/Ctrl + X</kbd><span>Cut selected node(s)</span></div>
@@ -8349,8 +8740,7 @@ export default function App() {
                             })
                           }
                         >
-                          <option value={VIRTUAL_MIDI_INPUT_ID}>{VIRTUAL_MIDI_INPUT_NAME}</option>
-                          {midiDevices.inputs.map((device) => (
+                          {midiInputOptions.map((device) => (
                             <option key={device.id} value={device.id}>
                               {device.name}
                             </option>
@@ -8366,16 +8756,82 @@ export default function App() {
                             })
                           }
                         >
-                          <option value={VIRTUAL_MIDI_OUTPUT_ID}>{VIRTUAL_MIDI_OUTPUT_NAME}</option>
-                          {midiDevices.outputs.map((device) => (
+                          {midiOutputOptions.map((device) => (
                             <option key={device.id} value={device.id}>
                               {device.name}
                             </option>
                           ))}
                         </select>
                       </div>
-                      {midiStatus.error && <div className="field__hint">{midiStatus.error}</div>}
+                      {midiPortError && <div className="field__hint">{midiPortError}</div>}
+                    </div>
+
+                    <div className="field">
+                      <label>MIDI Record In</label>
+                      <select
+                        className="input input--mono"
+                        value={project.midi?.recordInputId ?? VIRTUAL_MIDI_INPUT_ID}
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { midi: { recordInputId: event.target.value } },
+                          })
+                        }
+                      >
+                        {midiInputOptions.map((device) => (
+                          <option key={device.id} value={device.id}>
+                            {device.name}
+                          </option>
+                        ))}
+                      </select>
+                      <div className="field__hint">
+                        While REC is on, CC, notes and program changes from this input are written to MIDI tracks.
+                      </div>
                     </div>
+
+                    {autosaveConfig && (
+                      <div className="field">
+                        <label>Autosave</label>
+                        <div className="field-grid field-grid--triple">
+                          <select
+                            className="input"
+                            value={autosaveConfig.enabled ? 'on' : 'off'}
+                            onChange={(event) => updateAutosaveConfig({ enabled: event.target.value === 'on' })}
+                          >
+                            <option value="on">On</option>
+                            <option value="off">Off</option>
+                          </select>
+                          <NumberInput
+                            className="input"
+                            min="10"
+                            max="3600"
+                            step="1"
+                            title="Interval (seconds)"
+                            value={autosaveConfig.intervalSeconds}
+                            onChange={(event) =>
+                              updateAutosaveConfig({ intervalSeconds: Number(event.target.value) || 60 })
+                            }
+                          />
+                          <NumberInput
+                            className="input"
+                            min="0"
+                            max="1000"
+                            step="1"
+                            title="Snapshot after this many edits (0 = timer only)"
+                            value={autosaveConfig.actionThreshold}
+                            onChange={(event) =>
+                              updateAutosaveConfig({ actionThreshold: Number(event.target.value) || 0 })
+                            }
+                          />
+                        </div>
+                        <div className="field__hint">
+                          Interval in seconds · snapshot after N edits (0 = timer only)
+                        </div>
+                        <button className="btn btn--ghost" onClick={() => setSnapshotBrowserMode('browse')}>
+                          Browse Snapshots...
+                        </button>
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -8417,6 +8873,88 @@ export default function App() {
                               Delete
                             </button>
                           </div>
+                          <div className="settings-osc-output__transport">
+                            <select
+                              className="input"
+                              value={output.transport}
+                              title="Transport"
+                              onChange={(event) => patchOscOutput(output.id, { transport: event.target.value })}
+                            >
+                              {OSC_OUTPUT_TRANSPORT_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                              ))}
+                            </select>
+                            {output.transport !== 'udp' && (() => {
+                              const connection = oscOutputStatusById[output.id];
+                              const status = connection?.transport === output.transport ? connection.status : 'connecting';
+                              return (
+                                <span
+                                  className={`osc-connection-status is-${status}`}
+                                  title={connection?.error || ''}
+                                >
+                                  {OSC_OUTPUT_STATUS_LABELS[status] || status}
+                                </span>
+                              );
+                            })()}
+                          </div>
+                          <div className="settings-osc-output__bundle">
+                            <select
+                              className="input"
+                              value={output.bundle ? 'on' : 'off'}
+                              title="Pack each frame into OSC bundles"
+                              onChange={(event) => patchOscOutput(output.id, { bundle: event.target.value === 'on' })}
+                            >
+                              <option value="off">Bundle Off</option>
+                              <option value="on">Bundle On</option>
+                            </select>
+                            <NumberInput
+                              className="input"
+                              min="128"
+                              max="65507"
+                              step="1"
+                              title="Maximum bundle size in bytes (MTU)"
+                              value={output.bundleMtu}
+                              disabled={!output.bundle}
+                              onChange={(event) => patchOscOutput(output.id, { bundleMtu: Number(event.target.value) || 1400 })}
+                            />
+                            <select
+                              className="input"
+                              value={output.bundleTimetag}
+                              title="Bundle timetag"
+                              disabled={!output.bundle}
+                              onChange={(event) => patchOscOutput(output.id, { bundleTimetag: event.target.value })}
+                            >
+                              <option value="immediate">Immediate</option>
+                              <option value="future">Future</option>
+                            </select>
+                            <NumberInput
+                              className="input"
+                              min="0"
+                              max="5000"
+                              step="1"
+                              title="Timetag latency offset (ms)"
+                              value={output.bundleLatencyMs}
+                              disabled={!output.bundle || output.bundleTimetag !== 'future'}
+                              onChange={(event) => patchOscOutput(output.id, { bundleLatencyMs: Number(event.target.value) || 0 })}
+                            />
+                          </div>
+                          <div className="settings-osc-output__send">
+                            <OscSendPolicyFields
+                              policy={output.sendPolicy}
+                              onChange={(patch) => patchOscOutput(output.id, {
+                                sendPolicy: { ...output.sendPolicy, ...patch },
+                              })}
+                            />
+                            {playbackStats?.playing && (() => {
+                              const rate = playbackStats.outputs?.[output.id];
+                              return (
+                                <span className="settings-osc-output__rate">
+                                  {`${Math.round(rate?.messagesPerSecond || 0)} msg/s`}
+                                  {rate?.skippedPerSecond ? ` · ${Math.round(rate.skippedPerSecond)} skipped/s` : ''}
+                                </span>
+                              );
+                            })()}
+                          </div>
                           {oscPortConflict.outputs[index] && (
                             <div className="field__hint field__hint--warn">
                               Port 5170 is reserved by Vite dev server. Please choose a different OSC output port.
@@ -8425,64 +8963,468 @@ export default function App() {
                         </div>
                       ))}
                     </div>
-                    <div className="settings-osc-outputs__actions">
-                      <button className="btn btn--ghost btn--tiny" onClick={addOscOutput}>
-                        Add OSC Output
-                      </button>
+                    <div className="settings-osc-outputs__actions">
+                      <button className="btn btn--ghost btn--tiny" onClick={addOscOutput}>
+                        Add OSC Output
+                      </button>
+                    </div>
+                    <div className="field__hint">
+                      Bundle · MTU bytes · timetag · latency ms. Future timetags let receivers apply a whole frame at once.
+                      The send policy is the default for OSC tracks on this output: On Change takes a deadband and a
+                      keep-alive in seconds, Fixed Rate a rate in Hz.
+                      TCP outputs reconnect automatically; frames are dropped while disconnected.
+                    </div>
+                  </div>
+                  <div className="field">
+                    <label>OSC Listening Port</label>
+                    <NumberInput
+                      className="input"
+                     
+                      min="1"
+                      max="65535"
+                      step="1"
+                      value={Number.isFinite(project.osc?.listenPort) ? project.osc.listenPort : 8999}
+                      onChange={(event) =>
+                        dispatch({
+                          type: 'update-project',
+                          patch: { osc: { listenPort: Number(event.target.value) || 1 } },
+                        })
+                      }
+                    />
+                    {oscPortConflict.listenPort && (
+                      <div className="field__hint field__hint--warn">
+                        Port 5170 is reserved by Vite dev server. Please choose a different OSC listening port.
+                      </div>
+                    )}
+                    {oscListenState.status === 'error' && (
+                      <div className="field__hint">{oscListenState.error || 'OSC listen error'}</div>
+                    )}
+                  </div>
+                  <div className="field">
+                    <label>OSC Record Filter</label>
+                    <div className="settings-osc-record-filters">
+                      <input
+                        className="input input--mono"
+                        value={project.osc?.recordInclude || ''}
+                        placeholder="Include, e.g. /mixer/*/fader"
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { osc: { recordInclude: event.target.value } },
+                          })
+                        }
+                      />
+                      <input
+                        className="input input--mono"
+                        value={project.osc?.recordExclude || ''}
+                        placeholder="Exclude, e.g. /mixer/*/meter"
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { osc: { recordExclude: event.target.value } },
+                          })
+                        }
+                      />
+                    </div>
+                    <div className="field__hint">
+                      Space-separated OSC patterns (* ? [a-z] {'{a,b}'}). Leave Include empty to capture every address.
+                    </div>
+                    {oscRecordFilterErrors.length > 0 && (
+                      <div className="field__hint field__hint--warn">
+                        {`Ignoring invalid pattern${oscRecordFilterErrors.length > 1 ? 's' : ''}: ${oscRecordFilterErrors.join(' ')}`}
+                      </div>
+                    )}
+                  </div>
+                  <div className="field">
+                    <label>OSC Input Routes</label>
+                    <div className="settings-osc-routes">
+                      {oscRoutes.map((route) => (
+                        <div key={route.id} className={`settings-osc-route ${route.enabled ? '' : 'is-disabled'}`}>
+                          <div className="settings-osc-route__row">
+                            <button
+                              className={`btn btn--ghost btn--tiny ${route.enabled ? 'is-active' : ''}`}
+                              title="Enable route"
+                              onClick={() => patchOscRoute(route.id, { enabled: !route.enabled })}
+                            >
+                              {route.enabled ? 'On' : 'Off'}
+                            </button>
+                            <input
+                              className="input input--mono"
+                              value={route.input}
+                              placeholder="Input, e.g. /fader/1"
+                              onChange={(event) => patchOscRoute(route.id, { input: event.target.value })}
+                            />
+                            <span className="settings-osc-route__arrow">→</span>
+                            <select
+                              className="input"
+                              value={route.outputId}
+                              title="Output"
+                              onChange={(event) => patchOscRoute(route.id, { outputId: event.target.value })}
+                            >
+                              {!oscOutputLabelMap.has(route.outputId) && <option value={route.outputId}>Select Output</option>}
+                              {oscOutputs.map((output) => (
+                                <option key={output.id} value={output.id}>{oscOutputLabelMap.get(output.id)}</option>
+                              ))}
+                            </select>
+                            <input
+                              className="input input--mono"
+                              value={route.address}
+                              placeholder="Address, e.g. /layer/3/opacity"
+                              onChange={(event) => patchOscRoute(route.id, { address: event.target.value })}
+                            />
+                            <button
+                              className="btn btn--ghost btn--tiny"
+                              onClick={() => removeOscRoute(route.id)}
+                              title="Delete route"
+                            >
+                              Delete
+                            </button>
+                          </div>
+                          <div className="settings-osc-route__transform">
+                            {[
+                              ['inMin', 'In Min'],
+                              ['inMax', 'In Max'],
+                              ['outMin', 'Out Min'],
+                              ['outMax', 'Out Max'],
+                            ].map(([key, label]) => (
+                              <NumberInput
+                                key={key}
+                                className="input"
+                                step="any"
+                                title={label}
+                                value={route[key]}
+                                onChange={(event) => {
+                                  const value = Number(event.target.value);
+                                  patchOscRoute(route.id, { [key]: Number.isFinite(value) ? value : 0 });
+                                }}
+                              />
+                            ))}
+                            <select
+                              className="input"
+                              value={route.curve}
+                              title="Curve"
+                              onChange={(event) => patchOscRoute(route.id, { curve: event.target.value })}
+                            >
+                              {CURVE_MENU_ITEMS.filter((item) => !item.separator).map((item) => (
+                                <option key={item.id} value={item.id}>{item.label}</option>
+                              ))}
+                            </select>
+                            <select
+                              className="input"
+                              value={route.valueType}
+                              title="Sent value type"
+                              onChange={(event) => patchOscRoute(route.id, { valueType: event.target.value })}
+                            >
+                              <option value="float">Float</option>
+                              <option value="int">Int</option>
+                            </select>
+                            <button
+                              className={`btn btn--ghost btn--tiny ${route.clamp ? 'is-active' : ''}`}
+                              title="Keep values inside the Out range"
+                              onClick={() => patchOscRoute(route.id, { clamp: !route.clamp })}
+                            >
+                              Clamp
+                            </button>
+                            <button
+                              className={`btn btn--ghost btn--tiny ${route.invert ? 'is-active' : ''}`}
+                              onClick={() => patchOscRoute(route.id, { invert: !route.invert })}
+                            >
+                              Invert
+                            </button>
+                          </div>
+                          {compositions.length > 1 && (
+                            <div className="settings-osc-route__compositions">
+                              {compositions.map((composition) => (
+                                <button
+                                  key={composition.id}
+                                  className={`btn btn--ghost btn--tiny ${route.compositionIds.includes(composition.id) ? 'is-active' : ''}`}
+                                  onClick={() => toggleOscRouteComposition(route, composition.id)}
+                                >
+                                  {composition.name || 'Composition'}
+                                </button>
+                              ))}
+                              {!route.compositionIds.length && (
+                                <span className="field__hint">Active in all compositions</span>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    <div className="settings-osc-outputs__actions">
+                      <button
+                        className="btn btn--ghost btn--tiny"
+                        onClick={addOscRoute}
+                        disabled={oscRoutes.length >= OSC_ROUTE_LIMIT}
+                      >
+                        Add Route
+                      </button>
+                    </div>
+                    <div className="field__hint">
+                      Forwards messages arriving on the listening port as they come in, whether or not recording.
+                      Numbers map from the In range to the Out range; use {'{address}'} or {'{1}'}, {'{2}'}... to reuse
+                      the incoming address or its parts, or leave Address empty to keep it.
+                    </div>
+                    {oscRouteInputErrors.length > 0 && (
+                      <div className="field__hint field__hint--warn">
+                        {`Ignoring invalid pattern${oscRouteInputErrors.length > 1 ? 's' : ''}: ${oscRouteInputErrors.join(' ')}`}
+                      </div>
+                    )}
+                  </div>
+                  <div className="field">
+                    <label>Touch Timeout (s)</label>
+                    <NumberInput
+                      className="input"
+                      min="0.05"
+                      max="10"
+                      step="0.05"
+                      value={Number.isFinite(project.recording?.touchTimeout) ? project.recording.touchTimeout : 0.5}
+                      onChange={(event) =>
+                        dispatch({
+                          type: 'update-project',
+                          patch: { recording: { touchTimeout: Number(event.target.value) || 0.05 } },
+                        })
+                      }
+                    />
+                    <div className="field__hint">
+                      In Touch write mode, a track stops writing once no OSC arrives for this long.
+                    </div>
+                  </div>
+                  <div className="field">
+                    <label>Simplify After Recording</label>
+                    <div className="settings-record-simplify">
+                      <select
+                        className="input"
+                        value={project.recording?.autoSimplify ? 'on' : 'off'}
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { recording: { autoSimplify: event.target.value === 'on' } },
+                          })
+                        }
+                      >
+                        <option value="off">Off</option>
+                        <option value="on">On</option>
+                      </select>
+                      <NumberInput
+                        className="input"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                        title="Value tolerance (% of track range)"
+                        value={Number.isFinite(project.recording?.simplifyTolerance) ? project.recording.simplifyTolerance : 1}
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { recording: { simplifyTolerance: Math.max(Number(event.target.value) || 0, 0) } },
+                          })
+                        }
+                      />
+                      <NumberInput
+                        className="input"
+                        min="0"
+                        max="1"
+                        step="0.01"
+                        title="Time tolerance (s)"
+                        value={Number.isFinite(project.recording?.simplifyTimeTolerance) ? project.recording.simplifyTimeTolerance : 0}
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { recording: { simplifyTimeTolerance: Math.max(Number(event.target.value) || 0, 0) } },
+                          })
+                        }
+                      />
+                    </div>
+                    <div className="field__hint">
+                      Value tolerance (% of range) and time tolerance (s); also the defaults of the ∿ Simplify dialog.
+                    </div>
+                  </div>
+                  <div className="field">
+                    <label>OSC Control Port</label>
+                    <NumberInput
+                      className="input"
+                     
+                      min="1"
+                      max="65535"
+                      step="1"
+                      value={Number.isFinite(project.osc?.controlPort) ? project.osc.controlPort : 8998}
+                      onChange={(event) =>
+                        dispatch({
+                          type: 'update-project',
+                          patch: { osc: { controlPort: Number(event.target.value) || 1 } },
+                        })
+                      }
+                    />
+                    <div className="field__hint">
+                      Accepts OSC over UDP and TCP; TCP clients may use length-prefix or SLIP framing.
+                    </div>
+                    {oscPortConflict.controlPort && (
+                      <div className="field__hint field__hint--warn">
+                        Port 5170 is reserved by Vite dev server. Please choose a different OSC control port.
+                      </div>
+                    )}
+                    {oscControlNotice && (
+                      <div className="field__hint field__hint--warn">{oscControlNotice}</div>
+                    )}
+                  </div>
+                  <div className="field">
+                    <label>Control Feedback</label>
+                    <div className="settings-osc-feedback">
+                      <select
+                        className="input"
+                        value={project.osc?.feedbackMode || 'off'}
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { osc: { feedbackMode: event.target.value } },
+                          })
+                        }
+                      >
+                        <option value="off">Off</option>
+                        <option value="reply">Reply to Sender</option>
+                        <option value="fixed">Fixed Destination</option>
+                      </select>
+                      {project.osc?.feedbackMode === 'fixed' && (
+                        <>
+                          <input
+                            className="input input--mono"
+                            value={project.osc?.feedbackHost || ''}
+                            placeholder="Host"
+                            onChange={(event) =>
+                              dispatch({
+                                type: 'update-project',
+                                patch: { osc: { feedbackHost: event.target.value } },
+                              })
+                            }
+                          />
+                          <NumberInput
+                            className="input"
+                            min="1"
+                            max="65535"
+                            step="1"
+                            value={Number.isFinite(project.osc?.feedbackPort) ? project.osc.feedbackPort : 9001}
+                            onChange={(event) =>
+                              dispatch({
+                                type: 'update-project',
+                                patch: { osc: { feedbackPort: Number(event.target.value) || 1 } },
+                              })
+                            }
+                          />
+                        </>
+                      )}
+                    </div>
+                    <div className="field__hint">
+                      Sends play, rec, loop, composition, cue and timecode state under /OSConductor/state.
+                      Reply to Sender answers the surfaces that sent control messages; /OSConductor/query always replies with a snapshot.
+                    </div>
+                  </div>
+                  <div className="field">
+                    <label>OSCQuery Server</label>
+                    <div className="settings-oscquery">
+                      <select
+                        className="input"
+                        value={project.osc?.queryEnabled ? 'on' : 'off'}
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { osc: { queryEnabled: event.target.value === 'on' } },
+                          })
+                        }
+                      >
+                        <option value="off">Off</option>
+                        <option value="on">On</option>
+                      </select>
+                      <NumberInput
+                        className="input"
+                        min="1"
+                        max="65535"
+                        step="1"
+                        title="HTTP / WebSocket port"
+                        value={Number.isFinite(project.osc?.queryPort) ? project.osc.queryPort : 8997}
+                        onChange={(event) =>
+                          dispatch({
+                            type: 'update-project',
+                            patch: { osc: { queryPort: Number(event.target.value) || 1 } },
+                          })
+                        }
+                      />
+                      {project.osc?.queryEnabled && (
+                        <span
+                          className={`osc-connection-status is-${OSC_QUERY_STATUS_CLASSES[oscQueryState.status] || 'connecting'}`}
+                          title={oscQueryState.error || ''}
+                        >
+                          {OSC_QUERY_STATUS_LABELS[oscQueryState.status] || 'Starting'}
+                        </span>
+                      )}
+                    </div>
+                    <div className="field__hint">
+                      Publishes the /OSConductor control tree and every OSC track address with type, range and live value.
+                      Must differ from the control port, which also listens on TCP.
                     </div>
-                  </div>
-                  <div className="field">
-                    <label>OSC Listening Port</label>
-                    <NumberInput
-                      className="input"
-                     
-                      min="1"
-                      max="65535"
-                      step="1"
-                      value={Number.isFinite(project.osc?.listenPort) ? project.osc.listenPort : 8999}
-                      onChange={(event) =>
-                        dispatch({
-                          type: 'update-project',
-                          patch: { osc: { listenPort: Number(event.target.value) || 1 } },
-                        })
-                      }
-                    />
-                    {oscPortConflict.listenPort && (
+                    {project.osc?.queryEnabled && oscQueryState.status === 'error' && (
+                      <div className="field__hint">{oscQueryState.error || 'OSCQuery server error'}</div>
+                    )}
+                    {oscPortConflict.queryPort && (
                       <div className="field__hint field__hint--warn">
-                        Port 5170 is reserved by Vite dev server. Please choose a different OSC listening port.
+                        Port 5170 is reserved by Vite dev server. Please choose a different OSCQuery port.
                       </div>
                     )}
-                    {oscListenState.status === 'error' && (
-                      <div className="field__hint">{oscListenState.error || 'OSC listen error'}</div>
-                    )}
                   </div>
                   <div className="field">
-                    <label>OSC Control Port</label>
-                    <NumberInput
+                    <label>OSCQuery Bonjour</label>
+                    <select
                       className="input"
-                     
-                      min="1"
-                      max="65535"
-                      step="1"
-                      value={Number.isFinite(project.osc?.controlPort) ? project.osc.controlPort : 8998}
+                      value={project.osc?.queryAdvertise === false ? 'off' : 'on'}
                       onChange={(event) =>
                         dispatch({
                           type: 'update-project',
-                          patch: { osc: { controlPort: Number(event.target.value) || 1 } },
+                          patch: { osc: { queryAdvertise: event.target.value === 'on' } },
                         })
                       }
-                    />
-                    {oscPortConflict.controlPort && (
+                    >
+                      <option value="on">On</option>
+                      <option value="off">Off</option>
+                    </select>
+                    <div className="field__hint">
+                      Advertises the server as _oscjson._tcp so TouchOSC, Chataigne and other clients find it on the network.
+                      When off, clients need this computer&apos;s IP address and the OSCQuery port.
+                    </div>
+                    {project.osc?.queryEnabled && oscQueryState.advertiseError && (
                       <div className="field__hint field__hint--warn">
-                        Port 5170 is reserved by Vite dev server. Please choose a different OSC control port.
+                        {`Bonjour advertisement unavailable: ${oscQueryState.advertiseError}`}
                       </div>
                     )}
                   </div>
                   {hasOscPortConflict && (
                     <div className="field__hint field__hint--warn">
-                      OSC output / listen / control ports must not use 5170.
+                      OSC output / listen / control / OSCQuery ports must not use 5170.
                     </div>
                   )}
+                  <div className="field">
+                    <label>Playback Engine</label>
+                    {playbackStats?.playing ? (
+                      <div className="playback-stats">
+                        <span className="playback-stats__label">Tick Rate</span>
+                        <span className="playback-stats__value">
+                          {playbackStats.tickRate.toFixed(1)} Hz / {playbackStats.fps} fps
+                        </span>
+                        <span className="playback-stats__label">Jitter</span>
+                        <span className="playback-stats__value">
+                          avg {playbackStats.jitterAvgMs.toFixed(2)} ms, max {playbackStats.jitterMaxMs.toFixed(2)} ms
+                        </span>
+                        <span className="playback-stats__label">Drift</span>
+                        <span className="playback-stats__value">
+                          {playbackStats.driftMs.toFixed(1)} ms (avg {playbackStats.driftAvgMs.toFixed(1)}, max {playbackStats.driftMaxMs.toFixed(1)})
+                        </span>
+                        <span className="playback-stats__label">Messages</span>
+                        <span className="playback-stats__value">
+                          {Math.round(playbackStats.messagesPerSecond)} / s in {Math.round(playbackStats.packetsPerSecond)} packets / s
+                        </span>
+                      </div>
+                    ) : (
+                      <div className="field__hint">Timing statistics appear while playing.</div>
+                    )}
+                  </div>
                   </div>
                 )}
 
@@ -8643,7 +9585,7 @@ export default function App() {
               </div>
             </div>
             <div className="modal__content">
-              {!multiAddDialog.singleAdd && (
+              {!multiAddDialog.singleAdd && !multiAddLearnedItems.length && (
                 <div className="field">
                   <label>Track Count</label>
                   <NumberInput
@@ -8788,7 +9730,46 @@ export default function App() {
                   </div>
                 </>
               )}
-              {multiAddDialog.kind === 'osc-array' && (
+              {OSC_LEARN_TRACK_KINDS.has(multiAddDialog.kind) && !multiAddDialog.singleAdd && (
+                <div className="field">
+                  <label>Learn Addresses</label>
+                  <div className="multi-add-learn__actions">
+                    <button
+                      className={`btn btn--ghost btn--tiny ${isMultiAddLearning ? 'is-active' : ''}`}
+                      onClick={handleToggleMultiAddOscLearn}
+                    >
+                      {isMultiAddLearning ? 'Stop Learning' : 'Learn'}
+                    </button>
+                    {multiAddLearnedItems.length > 0 && (
+                      <button
+                        className="btn btn--ghost btn--tiny"
+                        onClick={() => setOscLearn((prev) => ({ ...prev, summaries: [] }))}
+                      >
+                        Clear
+                      </button>
+                    )}
+                  </div>
+                  {multiAddLearnedItems.length > 0 && (
+                    <div className="multi-add-learn__list">
+                      {multiAddLearnedItems.map(({ summary, kind }) => (
+                        <div key={summary.address} className="multi-add-learn__row">
+                          <span className="multi-add-learn__address">{summary.address}</span>
+                          <span className="multi-add-learn__kind">
+                            {kind ? OSC_LEARN_KIND_LABELS[kind] : 'Skipped'}
+                          </span>
+                          <span className="multi-add-learn__summary">{formatOscLearnSummary(summary)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <div className="field__hint">
+                    {oscLearn?.target === 'multi-add' && oscLearn.error
+                      ? oscLearn.error
+                      : `Move each control on the sending device (listener port ${Number(project.osc?.listenPort) || 8999}). Every address heard becomes one track, with its kind and range taken from the messages.`}
+                  </div>
+                </div>
+              )}
+              {multiAddDialog.kind === 'osc-array' && !multiAddLearnedItems.length && (
                 <div className="field">
                   <label>Array Values Per Node</label>
                   <NumberInput
@@ -8899,6 +9880,229 @@ export default function App() {
         </div>
       )}
 
+      {snapshotBrowserMode && (
+        <div className="modal" role="dialog" aria-modal="true">
+          <div className="modal__card modal__card--snapshots">
+            <div className="modal__header">
+              <div className="label">
+                {snapshotBrowserMode === 'recovery' ? 'Recover Unsaved Work' : 'Autosave Snapshots'}
+              </div>
+              <button className="btn btn--ghost" onClick={closeSnapshotBrowser}>
+                Close
+              </button>
+            </div>
+            <div className="modal__content">
+              {snapshotBrowserMode === 'recovery' && (
+                <div className="field__hint">
+                  OSConductor did not shut down cleanly last time. Restore the newest snapshot or pick an older one.
+                </div>
+              )}
+              {autosaveSnapshots.length === 0 && (
+                <div className="field__hint">No autosave snapshots yet.</div>
+              )}
+              <div className="snapshot-list">
+                {autosaveSnapshots.map((snapshot, index) => (
+                  <div key={snapshot.id} className={`snapshot-row ${index === 0 ? 'is-newest' : ''}`}>
+                    <div className="snapshot-row__info">
+                      <div className="snapshot-row__time">
+                        {new Date(snapshot.savedAt).toLocaleString()}
+                        {index === 0 ? ' · newest' : ''}
+                      </div>
+                      <div className="snapshot-row__meta">
+                        {`${snapshot.name || 'Untitled'} · ${snapshot.compositionCount} composition${snapshot.compositionCount === 1 ? '' : 's'} · ${snapshot.trackCount} track${snapshot.trackCount === 1 ? '' : 's'}`}
+                      </div>
+                      {snapshot.filePath && (
+                        <div className="snapshot-row__path" title={snapshot.filePath}>{snapshot.filePath}</div>
+                      )}
+                    </div>
+                    <button
+                      className={`btn ${index === 0 ? '' : 'btn--ghost'}`}
+                      onClick={() => handleRestoreSnapshot(snapshot.id)}
+                    >
+                      Restore
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {loadReport && (
+        <div className="modal" role="dialog" aria-modal="true">
+          <div className="modal__card modal__card--load-report">
+            <div className="modal__header">
+              <div className="label">Project Load Report</div>
+              <button className="btn btn--ghost" onClick={() => setLoadReport(null)}>
+                Close
+              </button>
+            </div>
+            <div className="modal__content">
+              <div className="field__hint">
+                {`Schema v${loadReport.sourceSchemaVersion || 0} → v${loadReport.targetSchemaVersion}`}
+                {loadReport.savedWith?.version ? ` · written by OSConductor ${loadReport.savedWith.version}` : ''}
+              </div>
+              {loadReport.warnings.map((warning) => (
+                <div key={warning} className="load-report__warning">{warning}</div>
+              ))}
+              {loadReport.migrations.length > 0 && (
+                <div className="load-report__section">
+                  <div className="settings-section__title">Migrations Applied</div>
+                  {loadReport.migrations.map((migration) => (
+                    <div key={migration.version} className="load-report__row">
+                      {`v${migration.version}: ${migration.description} (${migration.changes})`}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {loadReport.coerced.length > 0 && (
+                <div className="load-report__section">
+                  <div className="settings-section__title">{`Coerced Values (${loadReport.coerced.length})`}</div>
+                  {loadReport.coerced.map((entry, index) => (
+                    <div key={`coerced-${index}`} className="load-report__row">
+                      <span className="load-report__path">{entry.path}</span>
+                      {`: ${entry.from} → ${entry.to}`}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {loadReport.dropped.length > 0 && (
+                <div className="load-report__section">
+                  <div className="settings-section__title">{`Dropped Values (${loadReport.dropped.length})`}</div>
+                  {loadReport.dropped.map((entry, index) => (
+                    <div key={`dropped-${index}`} className="load-report__row">
+                      <span className="load-report__path">{entry.path}</span>
+                      {`: ${entry.value}`}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {loadReport.omitted > 0 && (
+                <div className="field__hint">{`${loadReport.omitted} more changes not shown.`}</div>
+              )}
+              <div className="modal__actions">
+                <button className="btn" onClick={() => setLoadReport(null)}>
+                  OK
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {oscQueryBrowser && (
+        <OscQueryBrowserDialog
+          initialHost={oscQueryBrowseEndpointRef.current.host}
+          initialPort={oscQueryBrowseEndpointRef.current.port}
+          targetTrack={project.tracks.find((track) => track.id === oscQueryBrowser.trackId) || null}
+          oscOutputs={oscOutputOptions}
+          onBrowse={(payload) => {
+            oscQueryBrowseEndpointRef.current = payload;
+            const bridge = window.oscDaw;
+            if (!bridge?.browseOscQueryDevice) {
+              return Promise.resolve({ ok: false, error: 'OSCQuery browsing is unavailable' });
+            }
+            return bridge.browseOscQueryDevice(payload);
+          }}
+          onApply={(patch) => {
+            handlePatchTrackById(oscQueryBrowser.trackId, patch);
+            setOscQueryBrowser(null);
+          }}
+          onCreate={(kind, options) => {
+            dispatch({ type: 'add-track', kind, options });
+            setOscQueryBrowser(null);
+          }}
+          onClose={(endpoint) => {
+            oscQueryBrowseEndpointRef.current = endpoint;
+            setOscQueryBrowser(null);
+          }}
+        />
+      )}
+
+      {simplifyTargets && (
+        <SimplifyCurvesDialog
+          targets={simplifyTargets}
+          initialTolerance={project.recording?.simplifyTolerance ?? 1}
+          initialTimeTolerance={project.recording?.simplifyTimeTolerance ?? 0}
+          onApply={handleApplySimplify}
+          onClose={() => setSimplifyTargets(null)}
+        />
+      )}
+
+      {midiImportDialog && (
+        <MidiImportDialog
+          fileName={midiImportDialog.fileName}
+          format={midiImportDialog.format}
+          fileTrackCount={midiImportDialog.fileTrackCount}
+          result={midiImportDialog.result}
+          onImport={handleImportMidiFile}
+          onClose={() => setMidiImportDialog(null)}
+        />
+      )}
+
+      {missingMediaItems.length > 0 && (
+        <div className="modal" role="dialog" aria-modal="true">
+          <div className="modal__card modal__card--missing-media">
+            <div className="modal__header">
+              <div className="label">Missing Media</div>
+              <button className="btn btn--ghost" onClick={closeMissingMediaDialog}>
+                Close
+              </button>
+            </div>
+            <div className="modal__content">
+              <div className="field__hint">
+                These audio files could not be found. Search a folder to match them by file name and duration, or locate each file manually.
+              </div>
+              <div className="missing-media-list">
+                {missingMediaItems.map((item) => {
+                  const durationMismatch = Number.isFinite(item.candidateDuration)
+                    && item.duration > 0
+                    && !isMediaDurationMatch(item.candidateDuration, item.duration);
+                  const durationUnknown = !Number.isFinite(item.candidateDuration) && item.duration > 0;
+                  return (
+                    <div key={item.trackId} className="missing-media-row">
+                      <div className="missing-media-row__info">
+                        <div className="missing-media-row__name">
+                          {`${item.trackName ? `${item.trackName} - ` : ''}${item.name}`}
+                        </div>
+                        <div className={`missing-media-row__status ${item.candidatePath ? 'is-found' : ''}`}>
+                          {item.candidatePath
+                            ? `${item.candidatePath}${durationMismatch ? ` (duration ${item.candidateDuration.toFixed(2)}s, expected ${item.duration.toFixed(2)}s)` : ''}${durationUnknown ? ` (duration unknown, expected ${item.duration.toFixed(2)}s)` : ''}`
+                            : `Not found${item.duration > 0 ? ` · ${item.duration.toFixed(2)}s` : ''}`}
+                        </div>
+                      </div>
+                      <button className="btn btn--ghost" onClick={() => handleLocateMissingMedia(item.trackId)}>
+                        Locate...
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="modal__actions">
+                <button
+                  className="btn btn--ghost"
+                  onClick={handleSearchMissingMedia}
+                  disabled={isSearchingMissingMedia}
+                >
+                  {isSearchingMissingMedia ? 'Searching...' : 'Search Folder...'}
+                </button>
+                <button className="btn btn--ghost" onClick={closeMissingMediaDialog}>
+                  Skip
+                </button>
+                <button
+                  className="btn"
+                  onClick={handleRelinkMissingMedia}
+                  disabled={!missingMediaItems.some((item) => item.candidatePath)}
+                >
+                  Relink
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {audioChannelMapTrack && (
         <div className="modal" role="dialog" aria-modal="true">
           <div className="modal__card modal__card--audio-map">
@@ -9121,30 +10325,49 @@ export default function App() {
                   <div className="field">
                     <label>Array Values</label>
                     <div className="field-grid field-grid--quad">
-                      {(Array.isArray(editingNode.arrayValues) ? editingNode.arrayValues : []).map((item, index) => (
-                        <div className="field" key={`osc-array-value-${index + 1}`}>
-                          <label>{`Index ${index + 1}`}</label>
-                          <NumberInput
-                            className="input"
-                            step={editingNode.valueType === 'int' ? '1' : '0.01'}
-                            value={item}
-                            onChange={(event) => {
-                              setEditingNode((prev) => {
-                                if (!prev) return prev;
-                                const nextValues = Array.isArray(prev.arrayValues) ? [...prev.arrayValues] : [];
-                                const raw = event.target.value;
-                                if (prev.valueType === 'int') {
-                                  const numeric = Number(raw);
-                                  nextValues[index] = Number.isFinite(numeric) ? String(Math.round(numeric)) : raw;
-                                } else {
-                                  nextValues[index] = raw;
-                                }
-                                return { ...prev, arrayValues: nextValues };
-                              });
-                            }}
-                          />
-                        </div>
-                      ))}
+                      {(Array.isArray(editingNode.arrayValues) ? editingNode.arrayValues : []).map((item, index) => {
+                        const slotType = editingNode.arrayTypes?.[index] || editingNode.valueType;
+                        const isIntegerSlot = slotType === 'int' || slotType === 'int64';
+                        return (
+                          <div className="field" key={`osc-array-value-${index + 1}`}>
+                            <label>{`Index ${index + 1} (${getOscArgumentTypeTag(slotType)})`}</label>
+                            {isNumericOscArgumentType(slotType) ? (
+                              <NumberInput
+                                className="input"
+                                step={isIntegerSlot ? '1' : '0.01'}
+                                value={item}
+                                onChange={(event) => {
+                                  setEditingNode((prev) => {
+                                    if (!prev) return prev;
+                                    const nextValues = Array.isArray(prev.arrayValues) ? [...prev.arrayValues] : [];
+                                    const raw = event.target.value;
+                                    if (isIntegerSlot) {
+                                      const numeric = Number(raw);
+                                      nextValues[index] = Number.isFinite(numeric) ? String(Math.round(numeric)) : raw;
+                                    } else {
+                                      nextValues[index] = raw;
+                                    }
+                                    return { ...prev, arrayValues: nextValues };
+                                  });
+                                }}
+                              />
+                            ) : (
+                              <OscArgumentValueInput
+                                type={slotType}
+                                value={editingNode.arrayArgs?.[index]}
+                                onChange={(value) => {
+                                  setEditingNode((prev) => {
+                                    if (!prev) return prev;
+                                    const nextArgs = Array.isArray(prev.arrayArgs) ? [...prev.arrayArgs] : [];
+                                    nextArgs[index] = value;
+                                    return { ...prev, arrayArgs: nextArgs };
+                                  });
+                                }}
+                              />
+                            )}
+                          </div>
+                        );
+                      })}
                     </div>
                   </div>
                 </>
@@ -9411,47 +10634,84 @@ export default function App() {
                     />
                   </div>
                   <div className="field">
-                    <label>Trigger Value</label>
-                    <NumberInput
-                      className="input"
-                      step={editingNode.valueType === 'int' ? '1' : '0.01'}
-                      value={editingNode.value}
-                      onChange={(event) =>
-                        setEditingNode((prev) => {
-                          if (!prev) return prev;
-                          const raw = event.target.value;
-                          if (prev.valueType === 'int') {
-                            const numeric = Number(raw);
-                            if (Number.isFinite(numeric)) {
-                              return { ...prev, value: String(Math.round(numeric)) };
-                            }
-                          }
-                          return { ...prev, value: raw };
-                        })}
-                    />
-                  </div>
-                  <div className="field">
-                    <label>Value Type</label>
+                    <label>Arguments</label>
                     <select
                       className="input"
-                      value={editingNode.valueType === 'int' ? 'int' : 'float'}
+                      value={Array.isArray(editingNode.args) ? 'typed' : 'legacy'}
                       onChange={(event) =>
                         setEditingNode((prev) => (
                           prev
                             ? {
                               ...prev,
-                              valueType: event.target.value === 'int' ? 'int' : 'float',
-                              value: event.target.value === 'int' && Number.isFinite(Number(prev.value))
-                                ? String(Math.round(Number(prev.value)))
-                                : prev.value,
+                              args: event.target.value === 'typed'
+                                ? [{
+                                  type: prev.valueType === 'int' ? 'int' : 'float',
+                                  value: Number(formatOscOutputScalar(prev.value, prev.valueType)) || 0,
+                                }]
+                                : null,
                             }
                             : prev
                         ))}
                     >
-                      <option value="int">Integer</option>
-                      <option value="float">Float (0.00)</option>
+                      <option value="legacy">Value in Address</option>
+                      <option value="typed">Typed Arguments</option>
                     </select>
                   </div>
+                  {Array.isArray(editingNode.args) ? (
+                    <div className="field">
+                      <label>Argument List</label>
+                      <OscArgumentsEditor
+                        args={editingNode.args}
+                        onChange={(args) =>
+                          setEditingNode((prev) => (prev ? { ...prev, args } : prev))}
+                      />
+                    </div>
+                  ) : (
+                    <>
+                    <div className="field">
+                      <label>Trigger Value</label>
+                      <NumberInput
+                        className="input"
+                        step={editingNode.valueType === 'int' ? '1' : '0.01'}
+                        value={editingNode.value}
+                        onChange={(event) =>
+                          setEditingNode((prev) => {
+                            if (!prev) return prev;
+                            const raw = event.target.value;
+                            if (prev.valueType === 'int') {
+                              const numeric = Number(raw);
+                              if (Number.isFinite(numeric)) {
+                                return { ...prev, value: String(Math.round(numeric)) };
+                              }
+                            }
+                            return { ...prev, value: raw };
+                          })}
+                      />
+                    </div>
+                    <div className="field">
+                      <label>Value Type</label>
+                      <select
+                        className="input"
+                        value={editingNode.valueType === 'int' ? 'int' : 'float'}
+                        onChange={(event) =>
+                          setEditingNode((prev) => (
+                            prev
+                              ? {
+                                ...prev,
+                                valueType: event.target.value === 'int' ? 'int' : 'float',
+                                value: event.target.value === 'int' && Number.isFinite(Number(prev.value))
+                                  ? String(Math.round(Number(prev.value)))
+                                  : prev.value,
+                              }
+                              : prev
+                          ))}
+                      >
+                        <option value="int">Integer</option>
+                        <option value="float">Float (0.00)</option>
+                      </select>
+                    </div>
+                    </>
+                  )}
                   <div className="field">
                     <label>Trigger Time (sec)</label>
                     <NumberInput
@@ -9532,6 +10792,19 @@ export default function App() {
                         setEditingNode((prev) => (prev ? { ...prev, noteLength: event.target.value } : prev))}
                     />
                   </div>
+                  <div className="field">
+                    <label>Velocity (0-127)</label>
+                    <NumberInput
+                      className="input"
+                      min="0"
+                      max="127"
+                      step="1"
+                      placeholder={`Track (${editingNode.trackVelocity})`}
+                      value={editingNode.noteVelocity}
+                      onChange={(event) =>
+                        setEditingNode((prev) => (prev ? { ...prev, noteVelocity: event.target.value } : prev))}
+                    />
+                  </div>
                 </>
               ) : (
                 <>
@@ -9627,9 +10900,18 @@ export default function App() {
         <div className="modal" role="dialog" aria-modal="true">
           <div className="modal__card">
             <div className="modal__header">
-              <div className="label">Edit Cue Time</div>
+              <div className="label">Edit Cue</div>
             </div>
             <div className="modal__content">
+              <div className="field">
+                <label>Name</label>
+                <input
+                  className="input"
+                  value={editingCue.name}
+                  placeholder="Optional, used by /OSConductor/cue/name"
+                  onChange={(event) => setEditingCue({ ...editingCue, name: event.target.value })}
+                />
+              </div>
               <div className="field">
                 <label>Time (hh:mm:ss.ff)</label>
                 <div className="field-grid field-grid--quad">
@@ -9702,7 +10984,7 @@ export default function App() {
         <div className="modal" role="dialog" aria-modal="true">
           <div className="modal__card">
             <div className="modal__header">
-              <div className="label">Edit Loop Range</div>
+              <div className="label">{editingLoopRange.kind === 'punch' ? 'Edit Punch Range' : 'Edit Loop Range'}</div>
             </div>
             <div className="modal__content">
               <div className="field">
@@ -9994,6 +11276,13 @@ export default function App() {
         onChange={handleFileChange}
         style={{ display: 'none' }}
       />
+      <input
+        ref={midiFileInputRef}
+        type="file"
+        accept="audio/midi,.mid,.midi"
+        onChange={handleMidiFileChange}
+        style={{ display: 'none' }}
+      />
 
       <div
         className={`workspace${isCompositionsVisible ? '' : ' workspace--no-compositions'}${isInspectorVisible ? '' : ' workspace--no-inspector'}`}
@@ -10343,6 +11632,25 @@ export default function App() {
                           >
                             {addTrackMenuMode === 'multi' ? 'Add Multi Group' : 'Add Group'}
                           </button>
+                          <div className="tracks-add-menu__separator" />
+                          <button
+                            className="tracks-add-menu__item"
+                            onClick={() => {
+                              setIsAddTrackMenuOpen(false);
+                              midiFileInputRef.current?.click();
+                            }}
+                          >
+                            Import MIDI File...
+                          </button>
+                          <button
+                            className="tracks-add-menu__item"
+                            onClick={() => {
+                              setIsAddTrackMenuOpen(false);
+                              handleExportMidiFile();
+                            }}
+                          >
+                            Export MIDI File...
+                          </button>
                         </div>
                       )}
                     </div>
@@ -10353,6 +11661,14 @@ export default function App() {
                     >
                       -
                     </button>
+                    <button
+                      className="btn btn--ghost btn--tiny btn--symbol"
+                      onClick={handleOpenSimplify}
+                      disabled={!selectedTrackId}
+                      title="Simplify curves of the selected tracks or nodes"
+                    >
+                      ∿
+                    </button>
                   </div>
                   <div className="tracks-actions__group">
                     <button
@@ -10393,7 +11709,12 @@ export default function App() {
               loopStart={Number(project.view.loopStart) || 0}
               loopEnd={Number(project.view.loopEnd) || 0}
               onLoopRangeChange={handleLoopRangeChange}
-              onLoopEdit={handleOpenLoopRangeEditor}
+              onLoopEdit={() => handleOpenLoopRangeEditor('loop')}
+              punchEnabled={Boolean(project.view.punchEnabled)}
+              punchIn={Number(project.view.punchIn) || 0}
+              punchOut={Number(project.view.punchOut) || 0}
+              onPunchRangeChange={handlePunchRangeChange}
+              onPunchEdit={() => handleOpenLoopRangeEditor('punch')}
             />
           </div>
 
@@ -10967,11 +12288,13 @@ export default function App() {
                         onSelect={(id) => dispatch({ type: 'select-track', id })}
                         onSelectTrack={(id) => dispatch({ type: 'select-track', id })}
                         onNodeDrag={handleNodeDrag}
+                        onNodesDrag={handleNodesDrag}
                         onSetNodeCurve={handleSetNodeCurve}
                         onAddNode={handleAddNode}
                         onEditNode={handleEditNode}
                         onDeleteNodes={handleDeleteNodes}
                         onSelectionChange={handleNodeSelectionChange}
+                        onPatchTrack={handlePatchTrackById}
                         onMoveAudioClip={handleAudioClipMove}
                         onPatchAudioClip={handlePatchAudioClip}
                         onEditAudioClipStart={handleEditAudioClipStart}
@@ -11069,6 +12392,22 @@ export default function App() {
             }}
             onOpenAudioChannelMap={openAudioChannelMapDialog}
             onOpenOsc3dMonitor={openOsc3dMonitor}
+            onBrowseOscQuery={() => {
+              if (!selectedTrack) return;
+              setOscQueryBrowser({ trackId: selectedTrack.id });
+            }}
+            oscLearn={oscLearn?.target === 'track' && oscLearn.trackId === selectedTrack?.id ? oscLearn : null}
+            onToggleOscLearn={handleToggleTrackOscLearn}
+            onCreateLearnedTrack={handleCreateLearnedTrack}
+            overrideValues={selectedTrack ? trackOverrides[selectedTrack.id] || null : null}
+            onReleaseOverride={() => {
+              if (!selectedTrack) return;
+              setTrackOverrides((prev) => {
+                const next = { ...prev };
+                delete next[selectedTrack.id];
+                return next;
+              });
+            }}
             onNameEnterNext={handleNameEnterNext}
             onAudioFile={(file) => {
               if (!selectedTrack) return;
@@ -11107,6 +12446,14 @@ export default function App() {
           />
         )}
       </div>
+
+      {isOscMonitorVisible && (
+        <OscMonitorPanel
+          onSubscribe={handleSubscribeOscMonitor}
+          onExport={handleExportOscMonitor}
+          onClose={() => setIsOscMonitorVisible(false)}
+        />
+      )}
     </div>
   );
 }
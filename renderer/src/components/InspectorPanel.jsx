@@ -1,5 +1,12 @@
 import React, { useEffect, useRef } from 'react';
 import NumberInput from './NumberInput.jsx';
+import OscArgumentsEditor, { OscArgumentTypeSelect } from './OscArgumentsEditor.jsx';
+import OutputMapEditor from './OutputMapEditor.jsx';
+import OscSendPolicyFields, { getOscSendModeLabel } from './OscSendPolicyFields.jsx';
+import { getOscArraySlotTypes } from '../../../shared/trackSampling.mjs';
+import { OUTPUT_MAP_TRACK_KINDS } from '../../../shared/outputMapping.mjs';
+import { OSC_SEND_TRACK_KINDS } from '../../../shared/oscSendPolicy.mjs';
+import { OSC_LEARN_KIND_LABELS, formatOscLearnSummary, inferOscLearnTrackKind } from '../utils/oscLearn.js';
 
 const parseNumber = (value, fallback) => {
   const next = Number(value);
@@ -15,6 +22,12 @@ export default function InspectorPanel({
   onAudioFile,
   onOpenAudioChannelMap,
   onOpenOsc3dMonitor,
+  onBrowseOscQuery,
+  oscLearn = null,
+  onToggleOscLearn,
+  onCreateLearnedTrack,
+  overrideValues = null,
+  onReleaseOverride,
   onNameEnterNext,
   nameFocusToken,
   midiOutputOptions = [],
@@ -38,6 +51,44 @@ export default function InspectorPanel({
     nameInputRef.current.select();
   }, [nameFocusToken]);
 
+  const renderOscLearnButton = () => onToggleOscLearn && (
+    <button
+      type="button"
+      className={`btn btn--ghost btn--tiny ${oscLearn?.status === 'listening' ? 'is-active' : ''}`}
+      title="Fill in the address, type and range from the next message on the listener port"
+      onClick={onToggleOscLearn}
+    >
+      {oscLearn?.status === 'listening' ? (oscLearn.summaries.length ? 'Learning...' : 'Listening...') : 'Learn'}
+    </button>
+  );
+
+  const renderOscLearnStatus = () => {
+    if (!oscLearn) return null;
+    const summary = oscLearn.summaries[0];
+    if (oscLearn.error) return <div className="field__hint">{oscLearn.error}</div>;
+    if (!summary) {
+      return oscLearn.status === 'listening'
+        ? <div className="field__hint">Move a control on the sending device.</div>
+        : null;
+    }
+    const learnedKind = inferOscLearnTrackKind(summary);
+    return (
+      <div className="field__hint inspector__learn">
+        {`${oscLearn.status === 'listening' ? 'Hearing' : 'Learned'} ${summary.address} · ${formatOscLearnSummary(summary)}`}
+        {oscLearn.status === 'done' && learnedKind && learnedKind !== track.kind && (
+          <>
+            <span>{`These messages look like a ${OSC_LEARN_KIND_LABELS[learnedKind]} track.`}</span>
+            {onCreateLearnedTrack && (
+              <button type="button" className="btn btn--ghost btn--tiny" onClick={onCreateLearnedTrack}>
+                {`Create ${OSC_LEARN_KIND_LABELS[learnedKind]} Track`}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
   if (!track) {
     return (
       <aside className="inspector">
@@ -71,6 +122,12 @@ export default function InspectorPanel({
               }}
             />
           </div>
+          {Array.isArray(overrideValues) && (
+            <div className="inspector__override">
+              <span>{`Remote override: ${overrideValues.map((item) => String(item)).join(' ')}`}</span>
+              <button className="btn btn--ghost" onClick={onReleaseOverride}>Release</button>
+            </div>
+          )}
           {(track.kind === 'osc' || track.kind === 'osc-array') && (
             <div className="field-grid">
               <div className="field">
@@ -95,7 +152,7 @@ export default function InspectorPanel({
               </div>
             </div>
           )}
-          {(track.kind === 'osc' || track.kind === 'osc-array' || track.kind === 'osc-flag' || track.kind === 'osc-3d') && (
+          {(track.kind === 'osc' || track.kind === 'osc-flag' || track.kind === 'osc-3d') && (
             <div className="field">
               <label>Value Type</label>
               <select
@@ -131,6 +188,18 @@ export default function InspectorPanel({
               </select>
             </div>
           )}
+          {OSC_SEND_TRACK_KINDS.has(track.kind) && (
+            <div className="field">
+              <label>Send</label>
+              <OscSendPolicyFields
+                policy={track.oscSendPolicy}
+                inheritLabel={`Output Default (${getOscSendModeLabel(
+                  (safeOscOutputs.find((output) => output.id === track.oscOutputId) || safeOscOutputs[0])?.sendPolicy?.mode
+                )})`}
+                onChange={(patch) => onPatch({ oscSendPolicy: patch })}
+              />
+            </div>
+          )}
         </div>
         {track.kind === 'group' ? (
           <div className="inspector__section" key="group-inspector">
@@ -311,9 +380,25 @@ export default function InspectorPanel({
                     })}
                 />
               </div>
+              <div className="field">
+                <label>Default Velocity</label>
+                <NumberInput
+                  className="input"
+                  min="0"
+                  max="127"
+                  step="1"
+                  value={Number.isFinite(track.midi?.velocity) ? track.midi.velocity : 100}
+                  onChange={(event) =>
+                    onPatch({
+                      midi: { velocity: parseNumber(event.target.value, 100) },
+                    })}
+                />
+              </div>
             </div>
             <div className="field__hint">
-              Drag note blocks to set pitch/time. Double-click to edit time, note and length. Velocity uses track default.
+              Notes can overlap to play chords. Drag a note to move it in time and pitch, drag its right edge to
+              change the length and Ctrl/Cmd-drag up or down to set its velocity. Double-click an empty spot to add
+              a note and a note to edit it. Notes without their own velocity use the default.
             </div>
             <div className="inspector__row">
               <span>Nodes</span>
@@ -639,11 +724,25 @@ export default function InspectorPanel({
             <div className="inspector__title">OSC Color</div>
             <div className="field">
               <label>OSC Address</label>
-              <input
-                className="input input--mono"
-                value={track.oscAddress ?? ''}
-                onChange={(event) => onPatch({ oscAddress: event.target.value })}
-              />
+              <div className="inspector__address-row">
+                <input
+                  className="input input--mono"
+                  value={track.oscAddress ?? ''}
+                  onChange={(event) => onPatch({ oscAddress: event.target.value })}
+                />
+                {renderOscLearnButton()}
+                {onBrowseOscQuery && (
+                  <button
+                    type="button"
+                    className="btn btn--ghost btn--tiny"
+                    title="Pick an address from an OSCQuery device"
+                    onClick={onBrowseOscQuery}
+                  >
+                    Browse device...
+                  </button>
+                )}
+              </div>
+              {renderOscLearnStatus()}
             </div>
             <div className="field">
               <label>Fixture</label>
@@ -690,11 +789,25 @@ export default function InspectorPanel({
             <div className="inspector__title">OSC Array</div>
             <div className="field">
               <label>OSC Address</label>
-              <input
-                className="input input--mono"
-                value={track.oscAddress ?? ''}
-                onChange={(event) => onPatch({ oscAddress: event.target.value })}
-              />
+              <div className="inspector__address-row">
+                <input
+                  className="input input--mono"
+                  value={track.oscAddress ?? ''}
+                  onChange={(event) => onPatch({ oscAddress: event.target.value })}
+                />
+                {renderOscLearnButton()}
+                {onBrowseOscQuery && (
+                  <button
+                    type="button"
+                    className="btn btn--ghost btn--tiny"
+                    title="Pick an address from an OSCQuery device"
+                    onClick={onBrowseOscQuery}
+                  >
+                    Browse device...
+                  </button>
+                )}
+              </div>
+              {renderOscLearnStatus()}
             </div>
             <div className="field">
               <label>Array Value Count</label>
@@ -715,8 +828,27 @@ export default function InspectorPanel({
                   })}
               />
             </div>
+            <div className="field">
+              <label>Slot Types</label>
+              <div className="osc-array-slot-types">
+                {getOscArraySlotTypes(track).map((type, index, types) => (
+                  <div className="osc-array-slot-types__item" key={index}>
+                    <span>{index + 1}</span>
+                    <OscArgumentTypeSelect
+                      value={type}
+                      onChange={(nextType) => onPatch({
+                        oscArray: {
+                          types: types.map((item, itemIndex) => (itemIndex === index ? nextType : item)),
+                        },
+                      })}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
             <div className="field__hint">
-              Sends /address with array values at node time. Example: /track/1/send 0 0 0 0 0
+              Sends /address with array values at node time. Example: /track/1/send 0 0 0 0 0.
+              Numeric slots interpolate; string, bool, nil, blob and char slots hold each node's value.
             </div>
             <div className="inspector__row">
               <span>Nodes</span>
@@ -728,11 +860,15 @@ export default function InspectorPanel({
             <div className="inspector__title">3D OSC</div>
             <div className="field">
               <label>OSC Address</label>
-              <input
-                className="input input--mono"
-                value={track.oscAddress ?? ''}
-                onChange={(event) => onPatch({ oscAddress: event.target.value })}
-              />
+              <div className="inspector__address-row">
+                <input
+                  className="input input--mono"
+                  value={track.oscAddress ?? ''}
+                  onChange={(event) => onPatch({ oscAddress: event.target.value })}
+                />
+                {renderOscLearnButton()}
+              </div>
+              {renderOscLearnStatus()}
             </div>
             <div className="field">
               <label>Space Bounds</label>
@@ -866,21 +1002,56 @@ export default function InspectorPanel({
                   />
                 </div>
                 <div className="field">
-                  <label>Trigger Value</label>
-                  <NumberInput
+                  <label>Arguments</label>
+                  <select
                     className="input"
-                    step={track.oscValueType === 'int' ? '1' : '0.01'}
-                    value={Number.isFinite(selectedNode.v) ? selectedNode.v : 1}
+                    value={Array.isArray(selectedNode.args) ? 'typed' : 'legacy'}
                     onChange={(event) => {
                       if (!onPatchNode) return;
-                      const raw = parseNumber(event.target.value, 1);
-                      const nextValue = track.oscValueType === 'int'
-                        ? Math.round(raw)
-                        : Math.round(raw * 100) / 100;
-                      onPatchNode(selectedNode.id, { v: nextValue });
+                      onPatchNode(selectedNode.id, {
+                        args: event.target.value === 'typed'
+                          ? [{
+                            type: track.oscValueType === 'int' ? 'int' : 'float',
+                            value: Number.isFinite(selectedNode.v) ? selectedNode.v : 1,
+                          }]
+                          : undefined,
+                      });
                     }}
-                  />
+                  >
+                    <option value="legacy">Value in Address</option>
+                    <option value="typed">Typed Arguments</option>
+                  </select>
                 </div>
+                {Array.isArray(selectedNode.args) ? (
+                  <div className="field">
+                    <label>Argument List</label>
+                    <OscArgumentsEditor
+                      args={selectedNode.args}
+                      onChange={(args) => {
+                        if (!onPatchNode) return;
+                        onPatchNode(selectedNode.id, { args });
+                      }}
+                    />
+                    <div className="field__hint">Sends the node address with these arguments, e.g. /scene/load "intro".</div>
+                  </div>
+                ) : (
+                  <div className="field">
+                    <label>Trigger Value</label>
+                    <NumberInput
+                      className="input"
+                      step={track.oscValueType === 'int' ? '1' : '0.01'}
+                      value={Number.isFinite(selectedNode.v) ? selectedNode.v : 1}
+                      onChange={(event) => {
+                        if (!onPatchNode) return;
+                        const raw = parseNumber(event.target.value, 1);
+                        const nextValue = track.oscValueType === 'int'
+                          ? Math.round(raw)
+                          : Math.round(raw * 100) / 100;
+                        onPatchNode(selectedNode.id, { v: nextValue });
+                      }}
+                    />
+                  </div>
+                )}
               </>
             ) : (
               <div className="field__hint">Select one flag node to edit trigger time and value.</div>
@@ -895,11 +1066,25 @@ export default function InspectorPanel({
             <div className="inspector__title">OSC</div>
             <div className="field">
               <label>Address</label>
-              <input
-                className="input input--mono"
-                value={track.oscAddress ?? ''}
-                onChange={(event) => onPatch({ oscAddress: event.target.value })}
-              />
+              <div className="inspector__address-row">
+                <input
+                  className="input input--mono"
+                  value={track.oscAddress ?? ''}
+                  onChange={(event) => onPatch({ oscAddress: event.target.value })}
+                />
+                {renderOscLearnButton()}
+                {onBrowseOscQuery && (
+                  <button
+                    type="button"
+                    className="btn btn--ghost btn--tiny"
+                    title="Pick an address from an OSCQuery device"
+                    onClick={onBrowseOscQuery}
+                  >
+                    Browse device...
+                  </button>
+                )}
+              </div>
+              {renderOscLearnStatus()}
             </div>
             <div className="inspector__row">
               <span>Nodes</span>
@@ -907,6 +1092,9 @@ export default function InspectorPanel({
             </div>
           </div>
         )}
+        {OUTPUT_MAP_TRACK_KINDS.has(track.kind) && (
+          <OutputMapEditor key={track.id} track={track} onPatch={onPatch} />
+        )}
         {track.kind !== 'audio' && track.kind !== 'group' && (
           <div className="inspector__section">
             <div className="inspector__title">Actions</div>
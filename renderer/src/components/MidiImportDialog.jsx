@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+
+const KIND_LABELS = {
+  'midi-note': 'notes',
+  midi: 'CC events',
+  'midi-pc': 'program changes',
+};
+
+const formatDuration = (seconds) => {
+  const total = Math.max(Number(seconds) || 0, 0);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${(total - minutes * 60).toFixed(2).padStart(5, '0')}`;
+};
+
+export default function MidiImportDialog({
+  fileName = '',
+  format = 1,
+  fileTrackCount = 0,
+  result,
+  onImport,
+  onClose,
+}) {
+  const [includeMarkers, setIncludeMarkers] = useState(true);
+  const tracks = result?.tracks || [];
+  const cues = result?.cues || [];
+  const canImport = tracks.length > 0 || (includeMarkers && cues.length > 0);
+
+  return (
+    <div className="modal" role="dialog" aria-modal="true">
+      <div className="modal__card modal__card--midi-import">
+        <div className="modal__header">
+          <div className="label">Import MIDI File</div>
+          <button className="btn btn--ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <div className="modal__content">
+          <div className="field__hint">
+            {`${fileName} · Type ${format} · ${fileTrackCount} ${fileTrackCount === 1 ? 'track' : 'tracks'} · ${formatDuration(result?.duration)}`}
+          </div>
+          <div className="midi-import-preview">
+            {tracks.length === 0 && (
+              <div className="midi-import-preview__row">No notes, CC or program changes found</div>
+            )}
+            {tracks.map((track, index) => (
+              <div key={`${track.kind}-${index}`} className="midi-import-preview__row">
+                <span>{track.name}</span>
+                <span className="midi-import-preview__count">
+                  {`${track.nodes.length} ${KIND_LABELS[track.kind] || 'nodes'}`}
+                </span>
+              </div>
+            ))}
+          </div>
+          {cues.length > 0 && (
+            <div className="field">
+              <label>{`Markers as Cues (${cues.length})`}</label>
+              <button
+                className={`btn btn--ghost ${includeMarkers ? 'is-active' : ''}`}
+                onClick={() => setIncludeMarkers((prev) => !prev)}
+              >
+                {includeMarkers ? 'On' : 'Off'}
+              </button>
+            </div>
+          )}
+          <div className="field__hint">
+            Times follow the file&apos;s tempo map. Pitch bend, aftertouch and SysEx are skipped.
+          </div>
+          <div className="modal__actions">
+            <button className="btn btn--ghost" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              className="btn"
+              disabled={!canImport}
+              onClick={() => onImport({ includeMarkers })}
+            >
+              Import
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
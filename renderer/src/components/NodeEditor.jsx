@@ -9,16 +9,7 @@ import {
   formatCurveLabel,
   getCurveLut,
   normalizeCurveMode,
-} from '../utils/easingCurves.js';
-
-const MIDI_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-
-const formatMidiNoteLabel = (value) => {
-  const note = clamp(Math.round(Number(value) || 0), 0, 127);
-  const name = MIDI_NOTE_NAMES[note % 12] || 'C';
-  const octave = Math.floor(note / 12) - 2;
-  return `${name}${octave}`;
-};
+} from '../../../shared/easingCurves.mjs';
 
 export default function NodeEditor({
   track,
@@ -43,7 +34,6 @@ export default function NodeEditor({
   const isOscFlagTrack = track.kind === 'osc-flag';
   const isMidiPc = track.kind === 'midi-pc';
   const isFlagLike = isOscFlagTrack || isMidiPc;
-  const isMidiNote = track.kind === 'midi-note';
   const range = max - min || 1;
   const svgRef = useRef(null);
   const dragRef = useRef(null);
@@ -242,7 +232,7 @@ export default function NodeEditor({
   }, [suspendRendering, nodes, view.start, view.end, contentWidth, selectedIds, draggingIds]);
 
   const curvePath = useMemo(() => {
-    if (isMidiNote || isMidiPc) return '';
+    if (isMidiPc) return '';
     if (!displayedNodes.length) return '';
     if (displayedNodes.length === 1) {
       const x = mapTimeToLocalX(displayedNodes[0].t);
@@ -282,7 +272,7 @@ export default function NodeEditor({
       }
     }
     return commands.join(' ');
-  }, [displayedNodes, view.start, view.end, min, max, height, contentWidth, isMidiNote, isMidiPc, curveFps]);
+  }, [displayedNodes, view.start, view.end, min, max, height, contentWidth, isMidiPc, curveFps]);
 
   const gridLines = useMemo(
     () => Array.from({ length: 9 }, (_, index) => (
@@ -463,7 +453,7 @@ export default function NodeEditor({
     event.stopPropagation();
     if (onSelectTrack) onSelectTrack(track.id);
     setSelectedIds([node.id]);
-    if (onEditNode) onEditNode(node.id, node.v, isMidiNote ? 'midi-note' : 'value');
+    if (onEditNode) onEditNode(node.id, node.v, 'value');
   };
 
   const handleNodeContextMenu = (event, nodeId) => {
@@ -488,7 +478,7 @@ export default function NodeEditor({
     }
     if (onSelectTrack) onSelectTrack(track.id);
     setSelectedIds([node.id]);
-    if (onEditNode) onEditNode(node.id, node.v, isMidiNote ? 'midi-note' : 'value');
+    if (onEditNode) onEditNode(node.id, node.v, 'value');
     setContextMenu(null);
   };
 
@@ -528,15 +518,6 @@ export default function NodeEditor({
       });
       return;
     }
-    if (isMidiNote) {
-      onAddNode({
-        t: timeFromX(x),
-        v: clamp(Math.round(valueFromY(y)), 0, 127),
-        d: 0.5,
-        curve: 'linear',
-      });
-      return;
-    }
     onAddNode({
       t: timeFromX(x),
       v: valueFromY(y),
@@ -597,7 +578,7 @@ export default function NodeEditor({
           y2={TIMELINE_PADDING}
           className="node-editor__axis"
         />
-        {!isFlagLike && !isMidiNote && <path d={curvePath} className="node-editor__curve" />}
+        {!isFlagLike && <path d={curvePath} className="node-editor__curve" />}
         {Number.isFinite(snapGuide) && (
           <line
             x1={mapTimeToLocalX(snapGuide)}
@@ -670,48 +651,6 @@ export default function NodeEditor({
                     {flagText}
                   </text>
                 </g>
-              ) : isMidiNote ? (
-                <>
-                  {(() => {
-                    const noteDuration = Math.max(Number(node?.d) || 0.5, 0.01);
-                    const noteEnd = clamp(node.t + noteDuration, 0, view.length ?? view.end);
-                    const noteWidth = Math.max(mapTimeToLocalX(noteEnd) - nodeX, 8);
-                    const noteHeight = clamp(height * 0.14, 10, 18);
-                    const noteY = nodeY - noteHeight / 2;
-                    const noteText = `${Math.max(0, Math.min(127, Math.round(Number(node.v) || 0)))} ${formatMidiNoteLabel(node.v)}`;
-                    return (
-                      <>
-                        <rect
-                          data-node-id={node.id}
-                          x={nodeX}
-                          y={noteY}
-                          width={noteWidth}
-                          height={noteHeight}
-                          rx="2"
-                          className="node-editor__note"
-                        />
-                        <rect
-                          data-node-id={node.id}
-                          x={nodeX - 2}
-                          y={noteY - 2}
-                          width={noteWidth + 4}
-                          height={noteHeight + 4}
-                          className="node-editor__hit"
-                        />
-                        {noteWidth > 38 && (
-                          <text
-                            data-node-id={node.id}
-                            x={nodeX + 4}
-                            y={noteY + noteHeight - 3}
-                            className="node-editor__note-label"
-                          >
-                            {noteText}
-                          </text>
-                        )}
-                      </>
-                    );
-                  })()}
-                </>
               ) : (
                 <>
                   <circle
@@ -734,9 +673,7 @@ export default function NodeEditor({
         })}
         {!isFlagLike && displayedNodes.map((node) => {
           if (!selectedSet.has(node.id) && !draggingIds.includes(node.id)) return null;
-          const label = isMidiNote
-            ? `${Math.max(0, Math.min(127, Math.round(Number(node.v) || 0)))} ${formatMidiNoteLabel(node.v)}`
-            : formatValue(node.v);
+          const label = formatValue(node.v);
           const paddingX = 6;
           const labelWidth = label.length * 7 + paddingX * 2;
           const labelHeight = 18;
@@ -777,8 +714,8 @@ export default function NodeEditor({
           >
             Delete Node
           </button>
-          {!isFlagLike && !isMidiNote && <div className="node-context-menu__separator" />}
-          {!isFlagLike && !isMidiNote && CURVE_MENU_ITEMS.map((item, index) => {
+          {!isFlagLike && <div className="node-context-menu__separator" />}
+          {!isFlagLike && CURVE_MENU_ITEMS.map((item, index) => {
             if (item.separator) {
               return <div key={`sep-${index}`} className="node-context-menu__separator" />;
             }
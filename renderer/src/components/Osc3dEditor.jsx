@@ -10,7 +10,7 @@ import {
   getCurveLut,
   getCurveValueRatioByFps,
   normalizeCurveMode,
-} from '../utils/easingCurves.js';
+} from '../../../shared/easingCurves.mjs';
 
 const AXIS_META = [
   { key: 'x', color: '#58d5ff', minKey: 'xMin', maxKey: 'xMax' },
@@ -0,0 +1,142 @@
+import React, { useEffect, useRef, useState } from 'react';
+import NumberInput from './NumberInput.jsx';
+import {
+  OSC_ARGUMENT_LIMIT,
+  OSC_ARGUMENT_TYPES,
+  getOscArgumentDefaultValue,
+  normalizeOscArgumentType,
+  normalizeOscArgumentValue,
+} from '../../../shared/oscArguments.mjs';
+
+export function OscArgumentTypeSelect({ value, onChange, className = 'input', ...rest }) {
+  return (
+    <select
+      {...rest}
+      className={className}
+      value={normalizeOscArgumentType(value)}
+      onChange={(event) => onChange(normalizeOscArgumentType(event.target.value))}
+    >
+      {OSC_ARGUMENT_TYPES.map((item) => (
+        <option key={item.value} value={item.value}>
+          {`${item.label} (${item.tag})`}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export function OscArgumentValueInput({ type, value, onChange }) {
+  if (type === 'bool') {
+    return (
+      <select
+        className="input"
+        value={value ? 'true' : 'false'}
+        onChange={(event) => onChange(event.target.value === 'true')}
+      >
+        <option value="true">True (T)</option>
+        <option value="false">False (F)</option>
+      </select>
+    );
+  }
+  if (type === 'nil') {
+    return <input className="input" value="Nil" disabled />;
+  }
+  if (type === 'float' || type === 'double' || type === 'int') {
+    return (
+      <NumberInput
+        className="input"
+        step={type === 'int' ? '1' : '0.01'}
+        value={Number.isFinite(value) ? value : 0}
+        onChange={(event) => onChange(normalizeOscArgumentValue(type, event.target.value))}
+      />
+    );
+  }
+  if (type === 'blob' || type === 'int64') {
+    return <OscArgumentTextDraftInput type={type} value={value} onChange={onChange} />;
+  }
+  return (
+    <input
+      className="input input--mono"
+      value={typeof value === 'string' ? value : String(value ?? '')}
+      maxLength={type === 'char' ? 2 : undefined}
+      onChange={(event) => onChange(normalizeOscArgumentValue(type, event.target.value))}
+    />
+  );
+}
+
+// Blob and int64 text is only normalized on commit so partial input ("-", "0f ") survives typing.
+function OscArgumentTextDraftInput({ type, value, onChange }) {
+  const [draft, setDraft] = useState(String(value ?? ''));
+  const isEditingRef = useRef(false);
+  useEffect(() => {
+    if (isEditingRef.current) return;
+    setDraft(String(value ?? ''));
+  }, [value]);
+  const commit = () => {
+    isEditingRef.current = false;
+    const next = normalizeOscArgumentValue(type, draft);
+    setDraft(String(next));
+    onChange(next);
+  };
+  return (
+    <input
+      className="input input--mono"
+      value={draft}
+      placeholder={type === 'blob' ? 'Hex bytes, e.g. 01 ff 7a' : '0'}
+      onFocus={() => {
+        isEditingRef.current = true;
+      }}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') commit();
+      }}
+    />
+  );
+}
+
+export default function OscArgumentsEditor({ args, onChange }) {
+  const safeArgs = Array.isArray(args) ? args : [];
+  const patchArg = (index, patch) => {
+    onChange(safeArgs.map((arg, argIndex) => (argIndex === index ? { ...arg, ...patch } : arg)));
+  };
+  return (
+    <div className="osc-args-editor">
+      {safeArgs.map((arg, index) => (
+        <div className="osc-args-editor__row" key={index}>
+          <OscArgumentTypeSelect
+            value={arg.type}
+            onChange={(type) => patchArg(index, {
+              type,
+              value: normalizeOscArgumentValue(type, arg.value ?? getOscArgumentDefaultValue(type)),
+            })}
+          />
+          <OscArgumentValueInput
+            type={normalizeOscArgumentType(arg.type)}
+            value={arg.value}
+            onChange={(value) => patchArg(index, { value })}
+          />
+          <button
+            type="button"
+            className="btn btn--ghost btn--tiny btn--symbol"
+            title="Remove argument"
+            onClick={() => onChange(safeArgs.filter((_, argIndex) => argIndex !== index))}
+          >
+            -
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn--ghost btn--tiny"
+        disabled={safeArgs.length >= OSC_ARGUMENT_LIMIT}
+        onClick={() => {
+          const type = normalizeOscArgumentType(safeArgs[safeArgs.length - 1]?.type, 'string');
+          onChange([...safeArgs, { type, value: getOscArgumentDefaultValue(type) }]);
+        }}
+      >
+        + Argument
+      </button>
+    </div>
+  );
+}
@@ -10,7 +10,9 @@ import {
   getCurveLut,
   getCurveValueRatioByFps,
   normalizeCurveMode,
-} from '../utils/easingCurves.js';
+} from '../../../shared/easingCurves.mjs';
+import { OSC_ARGUMENT_TYPES, isNumericOscArgumentType } from '../../../shared/oscArguments.mjs';
+import { getOscArraySlotTypes } from '../../../shared/trackSampling.mjs';
 
 const LINE_COLORS = [
   '#5dd8c7',
@@ -86,12 +88,14 @@ export default function OscArrayEditor({
   onEditNode,
   onDeleteNodes,
   onSelectionChange,
+  onSetSlotTypes,
 }) {
   const sortedNodes = useMemo(
     () => (Array.isArray(track.nodes) ? [...track.nodes].sort((a, b) => a.t - b.t) : []),
     [track.nodes]
   );
   const valueCount = getValueCount(track);
+  const slotTypes = useMemo(() => getOscArraySlotTypes(track), [track]);
   const min = Number.isFinite(track.min) ? Number(track.min) : 0;
   const max = Number.isFinite(track.max) ? Number(track.max) : 1;
   const contentWidth = Math.max(Number(width) || TIMELINE_WIDTH, TIMELINE_PADDING * 2 + 1);
@@ -323,7 +327,8 @@ export default function OscArrayEditor({
     if (suspendRendering || !sortedNodes.length) return [];
     return Array.from({ length: valueCount }, (_, channelIndex) => {
       const commands = [];
-      if (!sortedNodes.length) return {
+      // Non-numeric slots hold values instead of interpolating, so they have no curve.
+      if (!sortedNodes.length || !isNumericOscArgumentType(slotTypes[channelIndex])) return {
         color: LINE_COLORS[channelIndex % LINE_COLORS.length],
         path: '',
         index: channelIndex,
@@ -368,7 +373,7 @@ export default function OscArrayEditor({
         index: channelIndex,
       };
     });
-  }, [mapTimeToLocalX, mapValueToY, sortedNodes, suspendRendering, track, valueCount, curveFps]);
+  }, [mapTimeToLocalX, mapValueToY, sortedNodes, suspendRendering, track, valueCount, slotTypes, curveFps]);
 
   const rectWidth = 10;
   const rectY = TIMELINE_PADDING;
@@ -466,6 +471,27 @@ export default function OscArrayEditor({
           );
         })}
       </svg>
+      {isTrackSelected && onSetSlotTypes && (
+        <div className="osc-array-editor__slots">
+          {slotTypes.map((type, index) => (
+            <select
+              key={index}
+              className="osc-array-editor__slot-type"
+              style={{ borderColor: LINE_COLORS[index % LINE_COLORS.length] }}
+              title={`Slot ${index + 1} type`}
+              value={type}
+              onPointerDown={(event) => event.stopPropagation()}
+              onChange={(event) => onSetSlotTypes(
+                slotTypes.map((item, itemIndex) => (itemIndex === index ? event.target.value : item))
+              )}
+            >
+              {OSC_ARGUMENT_TYPES.map((item) => (
+                <option key={item.value} value={item.value}>{item.tag}</option>
+              ))}
+            </select>
+          ))}
+        </div>
+      )}
       {contextMenu && (
         <div className="node-context-menu" style={{ left: contextMenu.x, top: contextMenu.y }}>
           <button
@@ -0,0 +1,268 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { isOscAddressPattern, matchOscAddress, parseOscPatternList } from '../../../shared/oscPatterns.mjs';
+
+const MONITOR_ENTRY_LIMIT = 5000;
+const MONITOR_VISIBLE_ROWS = 500;
+const MONITOR_RATE_WINDOW_MS = 1000;
+const MONITOR_RATE_ROWS = 50;
+
+const SOURCE_LABELS = {
+  listener: 'Listener',
+  control: 'Control',
+  feedback: 'Feedback',
+  send: 'Manual Send',
+};
+
+const getEntryChannel = (entry) => (
+  entry.source === 'output'
+    ? `out:output:${entry.outputId || entry.label || ''}`
+    : `${entry.direction}:${entry.source}`
+);
+
+const getEntryChannelLabel = (entry) => (
+  entry.source === 'output' ? `Out: ${entry.label || entry.outputId || 'Output'}` : SOURCE_LABELS[entry.source] || entry.source
+);
+
+const formatMonitorTime = (time) => {
+  const date = new Date(time);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+};
+
+const formatMonitorArg = (arg) => {
+  if (arg?.type === 'string' || arg?.type === 'char') return JSON.stringify(String(arg.value ?? ''));
+  if (arg?.type === 'blob') return `${Number(arg.value) || 0} bytes`;
+  if (arg?.type === 'nil') return 'nil';
+  if (arg?.type === 'float' || arg?.type === 'double') {
+    const value = Number(arg.value);
+    return Number.isFinite(value) ? String(Number(value.toFixed(6))) : String(arg.value);
+  }
+  return String(arg?.value);
+};
+
+// Plain words match anywhere in the address; words with OSC pattern characters match the whole address.
+const createAddressMatcher = (text) => {
+  const items = parseOscPatternList(text);
+  if (!items.length) return null;
+  return (address) => items.some((item) => (
+    isOscAddressPattern(item) ? matchOscAddress(item, address) : address.includes(item)
+  ));
+};
+
+export default function OscMonitorPanel({ onSubscribe, onExport, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [dropped, setDropped] = useState(0);
+  const [isPaused, setIsPaused] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [channelFilter, setChannelFilter] = useState('all');
+  const [addressFilter, setAddressFilter] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+  const [exportStatus, setExportStatus] = useState('');
+  const isPausedRef = useRef(false);
+  const pendingRef = useRef([]);
+  const sequenceRef = useRef(0);
+  const listRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+
+  useEffect(() => {
+    if (typeof onSubscribe !== 'function') return undefined;
+    return onSubscribe((batch) => {
+      const incoming = (Array.isArray(batch?.entries) ? batch.entries : []).map((entry) => {
+        sequenceRef.current += 1;
+        return { ...entry, id: sequenceRef.current, args: Array.isArray(entry.args) ? entry.args : [] };
+      });
+      if (Number(batch?.dropped) > 0) setDropped((prev) => prev + Number(batch.dropped));
+      if (!incoming.length) return;
+      if (isPausedRef.current) {
+        pendingRef.current = [...pendingRef.current, ...incoming].slice(-MONITOR_ENTRY_LIMIT);
+        setPendingCount(pendingRef.current.length);
+        return;
+      }
+      setEntries((prev) => [...prev, ...incoming].slice(-MONITOR_ENTRY_LIMIT));
+    });
+  }, [onSubscribe]);
+
+  useEffect(() => {
+    if (isPaused) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(timer);
+  }, [isPaused]);
+
+  const handlePauseToggle = () => {
+    const nextPaused = !isPaused;
+    isPausedRef.current = nextPaused;
+    setIsPaused(nextPaused);
+    if (nextPaused) {
+      setNow(Date.now());
+      return;
+    }
+    const pending = pendingRef.current;
+    pendingRef.current = [];
+    setPendingCount(0);
+    if (pending.length) setEntries((prev) => [...prev, ...pending].slice(-MONITOR_ENTRY_LIMIT));
+  };
+
+  const handleClear = () => {
+    pendingRef.current = [];
+    setPendingCount(0);
+    setEntries([]);
+    setDropped(0);
+  };
+
+  const channels = useMemo(() => {
+    const map = new Map();
+    entries.forEach((entry) => {
+      const key = getEntryChannel(entry);
+      if (!map.has(key)) map.set(key, getEntryChannelLabel(entry));
+    });
+    return Array.from(map, ([key, label]) => ({ key, label })).sort((a, b) => a.key.localeCompare(b.key));
+  }, [entries]);
+
+  const filteredEntries = useMemo(() => {
+    const matchAddress = createAddressMatcher(addressFilter);
+    return entries.filter((entry) => {
+      if (channelFilter === 'in' || channelFilter === 'out') {
+        if (entry.direction !== channelFilter) return false;
+      } else if (channelFilter !== 'all' && getEntryChannel(entry) !== channelFilter) {
+        return false;
+      }
+      return !matchAddress || matchAddress(entry.address || '');
+    });
+  }, [entries, channelFilter, addressFilter]);
+
+  const rates = useMemo(() => {
+    const since = now - MONITOR_RATE_WINDOW_MS;
+    const counts = new Map();
+    for (let index = filteredEntries.length - 1; index >= 0; index -= 1) {
+      const entry = filteredEntries[index];
+      if (entry.time < since) break;
+      const key = `${entry.direction}:${entry.address}`;
+      const item = counts.get(key) || { key, direction: entry.direction, address: entry.address, count: 0 };
+      item.count += 1;
+      counts.set(key, item);
+    }
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count || a.address.localeCompare(b.address))
+      .slice(0, MONITOR_RATE_ROWS);
+  }, [filteredEntries, now]);
+
+  const visibleEntries = filteredEntries.slice(-MONITOR_VISIBLE_ROWS);
+
+  useEffect(() => {
+    const list = listRef.current;
+    if (list && stickToBottomRef.current) list.scrollTop = list.scrollHeight;
+  }, [visibleEntries]);
+
+  const handleExport = async () => {
+    if (typeof onExport !== 'function' || !filteredEntries.length) return;
+    setExportStatus('');
+    const result = await onExport(filteredEntries.map(({ id, ...entry }) => entry));
+    if (result?.ok) {
+      setExportStatus(`Saved ${filteredEntries.length} messages`);
+    } else if (result && !result.canceled) {
+      setExportStatus(result.error || 'Failed to export log');
+    }
+  };
+
+  return (
+    <section className="osc-monitor">
+      <div className="panel-header">
+        <div className="label">OSC Monitor</div>
+        <div className="osc-monitor__toolbar">
+          <select
+            className="input osc-monitor__channel"
+            value={channelFilter}
+            onChange={(event) => setChannelFilter(event.target.value)}
+          >
+            <option value="all">All Traffic</option>
+            <option value="in">Incoming</option>
+            <option value="out">Outgoing</option>
+            {channels.map((channel) => (
+              <option key={channel.key} value={channel.key}>{channel.label}</option>
+            ))}
+          </select>
+          <input
+            className="input osc-monitor__filter"
+            value={addressFilter}
+            placeholder="Filter address, e.g. /fader or /mixer/*/gain"
+            onChange={(event) => setAddressFilter(event.target.value)}
+          />
+          <button
+            className={`btn btn--ghost btn--tiny ${isPaused ? 'is-active' : ''}`}
+            onClick={handlePauseToggle}
+            title="Freeze the log; new traffic is kept and shown on resume"
+          >
+            {isPaused ? `Resume${pendingCount ? ` (+${pendingCount})` : ''}` : 'Pause'}
+          </button>
+          <button className="btn btn--ghost btn--tiny" onClick={handleClear}>
+            Clear
+          </button>
+          <button
+            className="btn btn--ghost btn--tiny"
+            onClick={handleExport}
+            disabled={!filteredEntries.length}
+            title="Save the filtered messages as a time-stamped log"
+          >
+            Export
+          </button>
+          <button className="btn btn--ghost btn--tiny" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      <div className="osc-monitor__body">
+        <div
+          ref={listRef}
+          className="osc-monitor__log"
+          onScroll={(event) => {
+            const list = event.currentTarget;
+            stickToBottomRef.current = list.scrollHeight - list.scrollTop - list.clientHeight < 24;
+          }}
+        >
+          {visibleEntries.length === 0 && (
+            <div className="osc-monitor__empty">
+              {entries.length ? 'No messages match the filter.' : 'Waiting for OSC traffic...'}
+            </div>
+          )}
+          {visibleEntries.map((entry) => (
+            <div key={entry.id} className={`osc-monitor__row osc-monitor__row--${entry.direction}`}>
+              <span className="osc-monitor__time">{formatMonitorTime(entry.time)}</span>
+              <span className="osc-monitor__direction">{entry.direction === 'out' ? 'OUT' : 'IN'}</span>
+              <span className="osc-monitor__source" title={getEntryChannelLabel(entry)}>
+                {getEntryChannelLabel(entry)}
+              </span>
+              <span className="osc-monitor__peer">{entry.host ? `${entry.host}:${entry.port ?? ''}` : ''}</span>
+              <span className="osc-monitor__address">{entry.address}</span>
+              <span className="osc-monitor__args">
+                {entry.args.map((arg, index) => (
+                  <span key={index} className="osc-monitor__arg">
+                    <span className="osc-monitor__arg-type">{arg.type}</span>
+                    {formatMonitorArg(arg)}
+                  </span>
+                ))}
+              </span>
+            </div>
+          ))}
+        </div>
+        <div className="osc-monitor__rates">
+          <div className="osc-monitor__rates-title">Messages / s</div>
+          {rates.length === 0 && <div className="osc-monitor__empty">No recent traffic</div>}
+          {rates.map((item) => (
+            <div key={item.key} className="osc-monitor__rate">
+              <span className="osc-monitor__address" title={item.address}>
+                {`${item.direction === 'out' ? '→' : '←'} ${item.address}`}
+              </span>
+              <span className="osc-monitor__rate-count">{item.count}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="osc-monitor__status field__hint">
+        {`${filteredEntries.length} of ${entries.length} messages`}
+        {filteredEntries.length > MONITOR_VISIBLE_ROWS ? ` (showing last ${MONITOR_VISIBLE_ROWS})` : ''}
+        {dropped > 0 ? ` · ${dropped} dropped during bursts` : ''}
+        {exportStatus ? ` · ${exportStatus}` : ''}
+      </div>
+    </section>
+  );
+}
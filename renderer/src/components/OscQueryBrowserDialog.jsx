@@ -0,0 +1,252 @@
+import React, { useMemo, useState } from 'react';
+import NumberInput from './NumberInput.jsx';
+import {
+  OSC_QUERY_TRACK_KIND_LABELS,
+  buildOscQueryTrackPatch,
+  flattenOscQueryMethods,
+  formatOscQueryRange,
+  inferOscQueryTrackKind,
+  isOscQueryNodeCompatible,
+  normalizeOscQueryTree,
+  resolveOscQueryTarget,
+} from '../utils/oscQueryTree.js';
+
+const formatOscQueryValue = (value) => (
+  Array.isArray(value) ? value.map((item) => JSON.stringify(item)).join(' ') : ''
+);
+
+function OscQueryTreeRows({ node, depth, expanded, selectedPath, onToggle, onSelect }) {
+  return node.children.map((child) => {
+    const hasChildren = child.children.length > 0;
+    const isOpen = expanded.has(child.path);
+    return (
+      <React.Fragment key={child.path}>
+        <div
+          className={`oscquery-tree__row ${selectedPath === child.path ? 'is-selected' : ''} ${child.typeTags ? '' : 'is-container'}`}
+          style={{ paddingLeft: 8 + depth * 14 }}
+          onClick={() => {
+            if (child.typeTags) onSelect(child.path);
+            else if (hasChildren) onToggle(child.path);
+          }}
+        >
+          <button
+            type="button"
+            className="oscquery-tree__toggle"
+            disabled={!hasChildren}
+            onClick={(event) => {
+              event.stopPropagation();
+              onToggle(child.path);
+            }}
+          >
+            {hasChildren ? (isOpen ? '▾' : '▸') : ''}
+          </button>
+          <span className="oscquery-tree__name">{child.name}</span>
+          {child.typeTags && <span className="oscquery-tree__type">{child.typeTags}</span>}
+        </div>
+        {hasChildren && isOpen && (
+          <OscQueryTreeRows
+            node={child}
+            depth={depth + 1}
+            expanded={expanded}
+            selectedPath={selectedPath}
+            onToggle={onToggle}
+            onSelect={onSelect}
+          />
+        )}
+      </React.Fragment>
+    );
+  });
+}
+
+export default function OscQueryBrowserDialog({
+  initialHost = '127.0.0.1',
+  initialPort = 5678,
+  targetTrack = null,
+  oscOutputs = [],
+  onBrowse,
+  onApply,
+  onCreate,
+  onClose,
+}) {
+  const [host, setHost] = useState(initialHost);
+  const [port, setPort] = useState(initialPort);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [device, setDevice] = useState(null);
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [selectedPath, setSelectedPath] = useState('');
+  const [filter, setFilter] = useState('');
+
+  const methods = useMemo(() => flattenOscQueryMethods(device?.root), [device]);
+  const filteredMethods = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    if (!query) return null;
+    return methods.filter((node) => (
+      node.path.toLowerCase().includes(query) || node.description.toLowerCase().includes(query)
+    ));
+  }, [filter, methods]);
+  const selected = methods.find((node) => node.path === selectedPath) || null;
+  const suggestedKind = inferOscQueryTrackKind(selected);
+  const canApply = Boolean(targetTrack && selected && isOscQueryNodeCompatible(targetTrack.kind, selected));
+  const target = device ? resolveOscQueryTarget(device.hostInfo, device.host) : null;
+  const matchedOutput = target?.port
+    ? oscOutputs.find((output) => output.host === target.host && Number(output.port) === target.port)
+    : null;
+
+  const connect = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await onBrowse({ host: host.trim(), port: Number(port) });
+      if (!result?.ok) {
+        setError(result?.error || 'Could not read the OSCQuery tree');
+        return;
+      }
+      const root = normalizeOscQueryTree(result.tree);
+      setDevice({ host: result.host, port: result.port, hostInfo: result.hostInfo, root });
+      setExpanded(new Set(root.children.map((child) => child.path)));
+      setSelectedPath('');
+    } catch (browseError) {
+      setError(browseError?.message || 'Could not read the OSCQuery tree');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = (path) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const withOutput = (patch) => (matchedOutput ? { ...patch, oscOutputId: matchedOutput.id } : patch);
+
+  return (
+    <div className="modal" role="dialog" aria-modal="true">
+      <div className="modal__card modal__card--oscquery">
+        <div className="modal__header">
+          <div className="label">Browse OSCQuery Device</div>
+          <button className="btn btn--ghost" onClick={() => onClose({ host, port })}>
+            Close
+          </button>
+        </div>
+        <div className="modal__content">
+          <div className="oscquery-connect">
+            <input
+              className="input input--mono"
+              value={host}
+              placeholder="Host"
+              onChange={(event) => setHost(event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter') connect();
+              }}
+            />
+            <NumberInput
+              className="input"
+              min="1"
+              max="65535"
+              step="1"
+              value={port}
+              onChange={(event) => setPort(Number(event.target.value) || 1)}
+            />
+            <button className="btn" disabled={loading || !host.trim()} onClick={connect}>
+              {loading ? 'Connecting...' : 'Connect'}
+            </button>
+          </div>
+          {error && <div className="field__hint field__hint--warn">{error}</div>}
+          {device && (
+            <>
+              <div className="field__hint">
+                {`${device.hostInfo?.NAME || `${device.host}:${device.port}`} · ${methods.length} addresses`}
+                {target?.port
+                  ? ` · receives OSC (${target.transport}) on ${target.host}:${target.port}`
+                  : ''}
+                {target?.port && (matchedOutput
+                  ? ` · tracks will use output "${matchedOutput.name}"`
+                  : ' · no OSC output matches; add one in Settings > OSC')}
+              </div>
+              <input
+                className="input"
+                value={filter}
+                placeholder="Filter addresses"
+                onChange={(event) => setFilter(event.target.value)}
+              />
+              <div className="oscquery-tree">
+                {filteredMethods ? (
+                  filteredMethods.map((node) => (
+                    <div
+                      key={node.path}
+                      className={`oscquery-tree__row ${selectedPath === node.path ? 'is-selected' : ''}`}
+                      onClick={() => setSelectedPath(node.path)}
+                    >
+                      <span className="oscquery-tree__name">{node.path}</span>
+                      <span className="oscquery-tree__type">{node.typeTags}</span>
+                    </div>
+                  ))
+                ) : (
+                  <OscQueryTreeRows
+                    node={device.root}
+                    depth={0}
+                    expanded={expanded}
+                    selectedPath={selectedPath}
+                    onToggle={toggle}
+                    onSelect={setSelectedPath}
+                  />
+                )}
+              </div>
+              {selected && (
+                <div className="oscquery-details">
+                  <span className="oscquery-details__label">Address</span>
+                  <span className="oscquery-details__value">{selected.path}</span>
+                  <span className="oscquery-details__label">Type</span>
+                  <span className="oscquery-details__value">
+                    {selected.types ? selected.typeTags : `${selected.typeTags} (not supported by tracks)`}
+                  </span>
+                  <span className="oscquery-details__label">Range</span>
+                  <span className="oscquery-details__value">{formatOscQueryRange(selected) || '-'}</span>
+                  {selected.value && (
+                    <>
+                      <span className="oscquery-details__label">Value</span>
+                      <span className="oscquery-details__value">{formatOscQueryValue(selected.value)}</span>
+                    </>
+                  )}
+                  {selected.description && (
+                    <>
+                      <span className="oscquery-details__label">Description</span>
+                      <span className="oscquery-details__value">{selected.description}</span>
+                    </>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+          <div className="modal__actions">
+            {targetTrack && (
+              <button
+                className="btn btn--ghost"
+                disabled={!canApply}
+                title={selected && !canApply ? `Type ${selected.typeTags} does not fit this track kind` : ''}
+                onClick={() => onApply(withOutput(buildOscQueryTrackPatch(targetTrack.kind, selected)))}
+              >
+                {`Apply to ${targetTrack.name || 'Track'}`}
+              </button>
+            )}
+            <button
+              className="btn"
+              disabled={!suggestedKind}
+              onClick={() => onCreate(suggestedKind, withOutput({
+                ...buildOscQueryTrackPatch(suggestedKind, selected),
+                name: selected.path.replace(/^\//, ''),
+              }))}
+            >
+              {suggestedKind ? `Create ${OSC_QUERY_TRACK_KIND_LABELS[suggestedKind]} Track` : 'Create Track'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
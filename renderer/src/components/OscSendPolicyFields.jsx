@@ -0,0 +1,63 @@
+import React from 'react';
+import NumberInput from './NumberInput.jsx';
+import { OSC_SEND_MODE_OPTIONS } from '../../../shared/oscSendPolicy.mjs';
+
+const parseNumber = (value, fallback) => {
+  const next = Number(value);
+  return Number.isFinite(next) ? next : fallback;
+};
+
+export const getOscSendModeLabel = (mode) => (
+  OSC_SEND_MODE_OPTIONS.find((option) => option.value === mode)?.label || 'Every Frame'
+);
+
+// `inheritLabel` adds the "follow the output" choice used by tracks.
+export default function OscSendPolicyFields({ policy, onChange, inheritLabel = '' }) {
+  const mode = policy?.mode || (inheritLabel ? 'output' : 'frame');
+  return (
+    <div className="osc-send-policy">
+      <select
+        className="input"
+        value={mode}
+        title="When playback sends this value"
+        onChange={(event) => onChange({ mode: event.target.value })}
+      >
+        {inheritLabel && <option value="output">{inheritLabel}</option>}
+        {OSC_SEND_MODE_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {mode === 'change' && (
+        <>
+          <NumberInput
+            className="input"
+            min="0"
+            step="any"
+            title="Deadband: smaller changes are not sent"
+            value={policy?.deadband ?? 0}
+            onChange={(event) => onChange({ deadband: Math.max(parseNumber(event.target.value, 0), 0) })}
+          />
+          <NumberInput
+            className="input"
+            min="0"
+            step="0.1"
+            title="Keep-alive (s): resend an unchanged value after this long, 0 = off"
+            value={policy?.keepAlive ?? 0}
+            onChange={(event) => onChange({ keepAlive: Math.max(parseNumber(event.target.value, 0), 0) })}
+          />
+        </>
+      )}
+      {mode === 'rate' && (
+        <NumberInput
+          className="input"
+          min="0.1"
+          max="240"
+          step="any"
+          title="Send rate (Hz)"
+          value={policy?.rate ?? 10}
+          onChange={(event) => onChange({ rate: parseNumber(event.target.value, 10) })}
+        />
+      )}
+    </div>
+  );
+}
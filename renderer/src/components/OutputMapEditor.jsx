@@ -0,0 +1,229 @@
+import React, { useRef, useState } from 'react';
+import NumberInput from './NumberInput.jsx';
+import {
+  OUTPUT_MAP_CURVE_LIMIT,
+  OUTPUT_MAP_SLEW_TRACK_KINDS,
+  createDefaultOutputMap,
+  getOutputMapInputRange,
+  sampleOutputMapCurve,
+  shapeOutputMapRatio,
+} from '../../../shared/outputMapping.mjs';
+
+const GRAPH_SIZE = 100;
+const GRAPH_SAMPLES = 64;
+const POINT_HIT_RATIO = 0.05;
+
+const parseNumber = (value, fallback) => {
+  const next = Number(value);
+  return Number.isFinite(next) ? next : fallback;
+};
+
+const toGraphPoints = (sample) => Array.from({ length: GRAPH_SAMPLES + 1 }, (_, index) => {
+  const x = index / GRAPH_SAMPLES;
+  return `${x * GRAPH_SIZE},${(1 - sample(x)) * GRAPH_SIZE}`;
+}).join(' ');
+
+const sortCurve = (points) => [...points].sort((a, b) => a.x - b.x);
+
+export default function OutputMapEditor({ track, onPatch }) {
+  const map = { ...createDefaultOutputMap(), ...track.outputMap };
+  const [draftCurve, setDraftCurve] = useState(null);
+  const dragRef = useRef(null);
+  const curve = draftCurve || map.curve;
+  const hasRange = track.kind !== 'osc-3d';
+  const hasSlew = OUTPUT_MAP_SLEW_TRACK_KINDS.has(track.kind);
+  const { min: rangeMin, max: rangeMax } = getOutputMapInputRange(track);
+  const targetHint = track.kind === 'osc-color' || track.kind === 'dmx-color'
+    ? 'Each color channel is mapped on its own.'
+    : track.kind === 'midi-note'
+      ? 'Maps note velocity.'
+      : track.kind === 'osc-flag'
+        ? 'Maps the trigger value and float, int and double arguments.'
+        : '';
+
+  const patchMap = (patch) => onPatch({ outputMap: patch });
+
+  const getGraphRatio = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max((event.clientX - rect.left) / Math.max(rect.width, 1), 0), 1),
+      y: Math.min(Math.max(1 - (event.clientY - rect.top) / Math.max(rect.height, 1), 0), 1),
+    };
+  };
+
+  const findPointIndex = (points, ratio) => points.findIndex((point) => (
+    Math.abs(point.x - ratio.x) <= POINT_HIT_RATIO && Math.abs(point.y - ratio.y) <= POINT_HIT_RATIO
+  ));
+
+  // Dragging edits a local copy; the curve is committed once on release so it is a single undo step.
+  const handlePointerDown = (event) => {
+    if (event.button !== 0) return;
+    const ratio = getGraphRatio(event);
+    const base = curve.length >= 2 ? curve : [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+    let index = findPointIndex(base, ratio);
+    let next = base;
+    if (index < 0) {
+      if (base.length >= OUTPUT_MAP_CURVE_LIMIT) return;
+      next = sortCurve([...base, ratio]);
+      index = next.indexOf(ratio);
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { point: next[index], changed: next !== base || curve !== base };
+    setDraftCurve(next);
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag || !draftCurve) return;
+    const ratio = getGraphRatio(event);
+    const moved = { x: ratio.x, y: ratio.y };
+    dragRef.current = { point: moved, changed: true };
+    setDraftCurve(sortCurve(draftCurve.map((point) => (point === drag.point ? moved : point))));
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    dragRef.current = null;
+    if (draftCurve && drag.changed) patchMap({ curve: draftCurve });
+    setDraftCurve(null);
+  };
+
+  const handleDoubleClick = (event) => {
+    const index = findPointIndex(curve, getGraphRatio(event));
+    if (index < 0 || curve.length <= 2) return;
+    patchMap({ curve: curve.filter((_, pointIndex) => pointIndex !== index) });
+  };
+
+  return (
+    <div className="inspector__section">
+      <div className="inspector__title">Output Mapping</div>
+      <div className="field">
+        <label>Enable</label>
+        <button
+          className={`btn btn--ghost ${map.enabled ? 'is-active' : ''}`}
+          onClick={() => patchMap({ enabled: !map.enabled })}
+        >
+          {map.enabled ? 'On' : 'Off'}
+        </button>
+      </div>
+      {map.enabled && (
+        <>
+          {hasRange && (
+            <div className="field-grid">
+              <div className="field">
+                <label>Out Min</label>
+                <NumberInput
+                  className="input"
+                  step="any"
+                  value={map.outMin ?? rangeMin}
+                  onChange={(event) => patchMap({ outMin: parseNumber(event.target.value, rangeMin) })}
+                />
+              </div>
+              <div className="field">
+                <label>Out Max</label>
+                <NumberInput
+                  className="input"
+                  step="any"
+                  value={map.outMax ?? rangeMax}
+                  onChange={(event) => patchMap({ outMax: parseNumber(event.target.value, rangeMax) })}
+                />
+              </div>
+            </div>
+          )}
+          <div className="field-grid">
+            <div className="field">
+              <label>Gamma</label>
+              <NumberInput
+                className="input"
+                min="0.1"
+                max="10"
+                step="0.1"
+                value={map.gamma}
+                onChange={(event) => patchMap({ gamma: parseNumber(event.target.value, 1) })}
+              />
+            </div>
+            <div className="field">
+              <label>Invert</label>
+              <button
+                className={`btn btn--ghost ${map.invert ? 'is-active' : ''}`}
+                onClick={() => patchMap({ invert: !map.invert })}
+              >
+                {map.invert ? 'On' : 'Off'}
+              </button>
+            </div>
+          </div>
+          <div className="field">
+            <label>Transfer Curve</label>
+            <svg
+              className="output-map__graph"
+              viewBox={`0 0 ${GRAPH_SIZE} ${GRAPH_SIZE}`}
+              preserveAspectRatio="none"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+              onDoubleClick={handleDoubleClick}
+            >
+              <polyline
+                className="output-map__response"
+                points={toGraphPoints((x) => shapeOutputMapRatio({ ...map, curve }, x))}
+              />
+              <polyline
+                className="output-map__curve"
+                points={toGraphPoints((x) => sampleOutputMapCurve(curve, x))}
+              />
+              {curve.map((point, index) => (
+                <line
+                  key={index}
+                  className="output-map__point"
+                  x1={point.x * GRAPH_SIZE}
+                  y1={(1 - point.y) * GRAPH_SIZE}
+                  x2={point.x * GRAPH_SIZE}
+                  y2={(1 - point.y) * GRAPH_SIZE}
+                />
+              ))}
+            </svg>
+            <div className="output-map__legend field__hint">
+              <span>Click to add a point, drag to move, double-click to remove.</span>
+              {map.curve.length > 0 && (
+                <button className="btn btn--ghost btn--tiny" onClick={() => patchMap({ curve: [] })}>
+                  Reset Curve
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="field-grid">
+            <div className="field">
+              <label>Quantize Step</label>
+              <NumberInput
+                className="input"
+                min="0"
+                step="any"
+                value={map.quantize}
+                onChange={(event) => patchMap({ quantize: Math.max(parseNumber(event.target.value, 0), 0) })}
+              />
+            </div>
+            {hasSlew && (
+              <div className="field">
+                <label>Slew (/s)</label>
+                <NumberInput
+                  className="input"
+                  min="0"
+                  step="any"
+                  value={map.slew}
+                  onChange={(event) => patchMap({ slew: Math.max(parseNumber(event.target.value, 0), 0) })}
+                />
+              </div>
+            )}
+          </div>
+          <div className="field__hint">
+            Applied when the track is sent; the timeline keeps showing the values before mapping.
+            The bright line is the full response after invert and gamma. 0 turns off {hasSlew ? 'quantize and slew' : 'quantize'}.
+            {targetHint && ` ${targetHint}`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
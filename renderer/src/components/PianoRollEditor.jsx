@@ -0,0 +1,623 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  TIMELINE_PADDING,
+  TIMELINE_WIDTH,
+  clamp,
+} from '../utils/timelineMetrics.js';
+
+const MIDI_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const BLACK_KEY_CLASSES = new Set([1, 3, 6, 8, 10]);
+const MIN_PITCH_SPAN = 12;
+const PITCH_MARGIN = 2;
+const RESIZE_HANDLE_WIDTH = 6;
+const MIN_NOTE_DURATION = 0.01;
+const DEFAULT_NOTE_DURATION = 0.5;
+
+const toPitch = (value, fallback = 60) => clamp(Math.round(Number.isFinite(Number(value)) ? Number(value) : fallback), 0, 127);
+
+const formatMidiNoteLabel = (value) => {
+  const note = toPitch(value);
+  return `${MIDI_NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 2}`;
+};
+
+const getNoteDuration = (node) => Math.max(Number(node?.d) || DEFAULT_NOTE_DURATION, MIN_NOTE_DURATION);
+
+// The visible keys follow the notes on the track, with a little headroom and at least an octave.
+const getPitchRange = (nodes, fallbackPitch) => {
+  let low = Infinity;
+  let high = -Infinity;
+  nodes.forEach((node) => {
+    const pitch = toPitch(node?.v);
+    low = Math.min(low, pitch);
+    high = Math.max(high, pitch);
+  });
+  if (!Number.isFinite(low)) {
+    low = fallbackPitch;
+    high = fallbackPitch;
+  }
+  low -= PITCH_MARGIN;
+  high += PITCH_MARGIN;
+  const missing = MIN_PITCH_SPAN - (high - low + 1);
+  if (missing > 0) {
+    low -= Math.floor(missing / 2);
+    high += Math.ceil(missing / 2);
+  }
+  if (low < 0) {
+    high -= low;
+    low = 0;
+  }
+  if (high > 127) {
+    low = Math.max(low - (high - 127), 0);
+    high = 127;
+  }
+  return { low, high };
+};
+
+export default function PianoRollEditor({
+  track,
+  view,
+  height,
+  width,
+  accentColor = '#5dd8c7',
+  suspendRendering = false,
+  cues = [],
+  externalSelectedIds = [],
+  onSelectTrack,
+  onNodesDrag,
+  onAddNode,
+  onEditNode,
+  onDeleteNodes,
+  onSelectionChange,
+}) {
+  const nodes = track.nodes;
+  const trackVelocity = clamp(Math.round(Number(track.midi?.velocity) || 100), 0, 127);
+  const fallbackPitch = toPitch(track.midi?.note ?? track.default);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [draggingIds, setDraggingIds] = useState([]);
+  const [selectionBox, setSelectionBox] = useState(null);
+  const [contextMenu, setContextMenu] = useState(null);
+  const [snapGuide, setSnapGuide] = useState(null);
+  const [heldRange, setHeldRange] = useState(null);
+
+  const selectedSet = useMemo(() => new Set(selectedIds), [selectedIds]);
+  const nodeMap = useMemo(() => {
+    const map = new Map();
+    nodes.forEach((node) => map.set(node.id, node));
+    return map;
+  }, [nodes]);
+
+  const cueTimes = useMemo(
+    () => cues.map((cue) => cue.t).filter((time) => Number.isFinite(time)).sort((a, b) => a - b),
+    [cues]
+  );
+  const contentWidth = Math.max(Number(width) || TIMELINE_WIDTH, TIMELINE_PADDING * 2 + 1);
+
+  const notesRange = useMemo(() => getPitchRange(nodes, fallbackPitch), [nodes, fallbackPitch]);
+  // While dragging, the range only grows so the rows under the pointer do not jump.
+  const pitchRange = heldRange
+    ? { low: Math.min(heldRange.low, notesRange.low), high: Math.max(heldRange.high, notesRange.high) }
+    : notesRange;
+  const usableHeight = Math.max(height - TIMELINE_PADDING * 2, 1);
+  const rowHeight = usableHeight / (pitchRange.high - pitchRange.low + 1);
+
+  useEffect(() => {
+    setSelectedIds((prev) => prev.filter((id) => nodeMap.has(id)));
+    setDraggingIds((prev) => prev.filter((id) => nodeMap.has(id)));
+  }, [nodeMap]);
+
+  useEffect(() => {
+    const next = Array.isArray(externalSelectedIds) ? externalSelectedIds : [];
+    setSelectedIds((prev) => {
+      const sameLength = prev.length === next.length;
+      const sameNodes = sameLength && prev.every((id, index) => id === next[index]);
+      if (sameNodes) return prev;
+      return next;
+    });
+  }, [externalSelectedIds]);
+
+  useEffect(() => {
+    if (!onSelectionChange) return;
+    onSelectionChange(track.id, selectedIds);
+  }, [selectedIds, onSelectionChange, track.id]);
+
+  useEffect(() => {
+    if (!contextMenu) return undefined;
+    const handleOutsidePointer = (event) => {
+      const target = event.target;
+      if (target?.closest?.('.node-context-menu')) return;
+      setContextMenu(null);
+    };
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') setContextMenu(null);
+    };
+    window.addEventListener('pointerdown', handleOutsidePointer, true);
+    window.addEventListener('keydown', handleEscape);
+    return () => {
+      window.removeEventListener('pointerdown', handleOutsidePointer, true);
+      window.removeEventListener('keydown', handleEscape);
+    };
+  }, [contextMenu]);
+
+  const mapTimeToLocalX = (time) => {
+    const span = Math.max(view.end - view.start, 0.0001);
+    return ((time - view.start) / span) * (contentWidth - 2 * TIMELINE_PADDING) + TIMELINE_PADDING;
+  };
+
+  const timeFromX = (x) => {
+    const span = Math.max(view.end - view.start, 0.0001);
+    const time = view.start + ((x - TIMELINE_PADDING) / (contentWidth - 2 * TIMELINE_PADDING)) * span;
+    return clamp(time, 0, view.length ?? view.end);
+  };
+
+  const mapPitchToY = (pitch) => TIMELINE_PADDING + (pitchRange.high - pitch) * rowHeight;
+
+  const pitchFromY = (y) => clamp(
+    pitchRange.high - Math.floor((y - TIMELINE_PADDING) / rowHeight),
+    pitchRange.low,
+    pitchRange.high
+  );
+
+  const getNoteVelocity = (node) => (
+    Number.isFinite(node?.vel) ? clamp(Math.round(node.vel), 0, 127) : trackVelocity
+  );
+
+  const getNoteBox = (node) => {
+    const x = mapTimeToLocalX(node.t);
+    const end = Math.min(node.t + getNoteDuration(node), view.length ?? view.end);
+    return {
+      x,
+      y: mapPitchToY(toPitch(node.v)),
+      width: Math.max(mapTimeToLocalX(end) - x, 3),
+      height: Math.max(rowHeight - 1, 2),
+    };
+  };
+
+  const getClosestCueTime = (time) => {
+    if (!cueTimes.length) return null;
+    let closest = cueTimes[0];
+    let diff = Math.abs(time - closest);
+    for (let i = 1; i < cueTimes.length; i += 1) {
+      const candidateDiff = Math.abs(time - cueTimes[i]);
+      if (candidateDiff < diff) {
+        closest = cueTimes[i];
+        diff = candidateDiff;
+      }
+    }
+    return { time: closest, diff };
+  };
+
+  const displayedNodes = useMemo(() => {
+    if (suspendRendering || !nodes.length) return [];
+    return nodes.filter((node) => node.t <= view.end && node.t + getNoteDuration(node) >= view.start);
+  }, [suspendRendering, nodes, view.start, view.end]);
+
+  const keyRows = useMemo(() => {
+    const rows = [];
+    for (let pitch = pitchRange.low; pitch <= pitchRange.high; pitch += 1) rows.push(pitch);
+    return rows;
+  }, [pitchRange.low, pitchRange.high]);
+
+  const gridLines = useMemo(
+    () => Array.from({ length: 9 }, (_, index) => (
+      (index / 8) * (contentWidth - 2 * TIMELINE_PADDING) + TIMELINE_PADDING
+    )),
+    [contentWidth]
+  );
+
+  const getPointerPosition = (event) => {
+    const svg = svgRef.current;
+    if (!svg) return { x: 0, y: 0 };
+    const rect = svg.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * contentWidth;
+    const y = ((event.clientY - rect.top) / rect.height) * height;
+    return { x, y };
+  };
+
+  const isNodeTarget = (target) => Boolean(target?.dataset?.nodeId);
+
+  const updateSelectionByMarquee = (start, current) => {
+    const x1 = Math.min(start.x, current.x);
+    const x2 = Math.max(start.x, current.x);
+    const y1 = Math.min(start.y, current.y);
+    const y2 = Math.max(start.y, current.y);
+    const selected = nodes
+      .filter((node) => {
+        const box = getNoteBox(node);
+        return box.x <= x2 && box.x + box.width >= x1 && box.y <= y2 && box.y + box.height >= y1;
+      })
+      .map((node) => node.id);
+    setSelectedIds(selected);
+    setSelectionBox({ x1, y1, x2, y2 });
+  };
+
+  // Dragging a note moves it, its right edge changes the length, and Ctrl/Cmd-drag sets the velocity.
+  const startNoteDrag = (event, node) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    if (onSelectTrack) onSelectTrack(track.id);
+    setContextMenu(null);
+
+    let nextSelection = selectedIds;
+    if (event.shiftKey) {
+      nextSelection = selectedSet.has(node.id)
+        ? selectedIds.filter((id) => id !== node.id)
+        : [...selectedIds, node.id];
+    } else if (!selectedSet.has(node.id)) {
+      nextSelection = [node.id];
+    }
+    if (!nextSelection.length) {
+      nextSelection = [node.id];
+    }
+    setSelectedIds(nextSelection);
+
+    const activeIds = selectedSet.has(node.id) && selectedIds.length > 1 && !event.shiftKey
+      ? selectedIds
+      : nextSelection;
+
+    const start = getPointerPosition(event);
+    const box = getNoteBox(node);
+    let mode = 'move';
+    if (event.ctrlKey || event.metaKey) {
+      mode = 'velocity';
+    } else if (box.width > RESIZE_HANDLE_WIDTH * 2 && start.x >= box.x + box.width - RESIZE_HANDLE_WIDTH) {
+      mode = 'resize';
+    }
+    const origin = {};
+    activeIds.forEach((id) => {
+      const item = nodeMap.get(id);
+      if (!item) return;
+      origin[id] = {
+        t: item.t,
+        v: toPitch(item.v),
+        d: getNoteDuration(item),
+        vel: getNoteVelocity(item),
+      };
+    });
+
+    dragRef.current = {
+      mode,
+      start,
+      startTime: timeFromX(start.x),
+      rowHeight,
+      activeIds,
+      origin,
+      moved: false,
+    };
+    setHeldRange(pitchRange);
+    setDraggingIds(activeIds);
+  };
+
+  const startMarquee = (event) => {
+    if (event.button !== 0) return;
+    if (isNodeTarget(event.target)) return;
+    if (onSelectTrack) onSelectTrack(track.id);
+    setContextMenu(null);
+    const start = getPointerPosition(event);
+    dragRef.current = {
+      mode: 'marquee',
+      start,
+      moved: false,
+    };
+    setSelectionBox({ x1: start.x, y1: start.y, x2: start.x, y2: start.y });
+    setSelectedIds([]);
+    setDraggingIds([]);
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const current = getPointerPosition(event);
+    const dx = Math.abs(current.x - drag.start.x);
+    const dy = Math.abs(current.y - drag.start.y);
+    if (!drag.moved && dx < 1.5 && dy < 1.5) return;
+    drag.moved = true;
+
+    if (drag.mode === 'marquee') {
+      updateSelectionByMarquee(drag.start, current);
+      return;
+    }
+    if (!onNodesDrag) return;
+
+    const maxTime = view.length ?? view.end;
+    const deltaT = timeFromX(current.x) - drag.startTime;
+    const patches = {};
+
+    if (drag.mode === 'resize') {
+      drag.activeIds.forEach((id) => {
+        const base = drag.origin[id];
+        if (!base) return;
+        patches[id] = { d: clamp(base.d + deltaT, MIN_NOTE_DURATION, Math.max(maxTime - base.t, MIN_NOTE_DURATION)) };
+      });
+      onNodesDrag(patches);
+      return;
+    }
+
+    if (drag.mode === 'velocity') {
+      const deltaVelocity = Math.round(drag.start.y - current.y);
+      drag.activeIds.forEach((id) => {
+        const base = drag.origin[id];
+        if (!base) return;
+        patches[id] = { vel: clamp(base.vel + deltaVelocity, 1, 127) };
+      });
+      onNodesDrag(patches);
+      return;
+    }
+
+    const deltaPitch = Math.round((drag.start.y - current.y) / Math.max(drag.rowHeight, 1));
+    const snapTimeThreshold =
+      ((view.end - view.start) / Math.max(contentWidth - TIMELINE_PADDING * 2, 1)) * 10;
+    let nextSnap = null;
+    drag.activeIds.forEach((id) => {
+      const base = drag.origin[id];
+      if (!base) return;
+      const rawT = clamp(base.t + deltaT, 0, maxTime);
+      const nearestCue = getClosestCueTime(rawT);
+      let t = rawT;
+      if (nearestCue) {
+        const shouldShowGuide = nearestCue.diff <= snapTimeThreshold || event.altKey;
+        if (shouldShowGuide && nearestCue.time >= view.start && nearestCue.time <= view.end) {
+          if (!nextSnap || nearestCue.diff < nextSnap.diff) {
+            nextSnap = nearestCue;
+          }
+        }
+        if (event.altKey) {
+          t = clamp(nearestCue.time, 0, maxTime);
+        }
+      }
+      patches[id] = { t, v: clamp(base.v + deltaPitch, 0, 127) };
+    });
+    onNodesDrag(patches);
+    setSnapGuide(nextSnap ? nextSnap.time : null);
+  };
+
+  const stopDragging = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.mode === 'marquee') {
+      setSelectionBox(null);
+    }
+    setSnapGuide(null);
+    setHeldRange(null);
+    dragRef.current = null;
+    setDraggingIds([]);
+  };
+
+  const handleNoteClick = (event, nodeId) => {
+    event.stopPropagation();
+    if (onSelectTrack) onSelectTrack(track.id);
+    if (event.shiftKey) return;
+    if (!selectedSet.has(nodeId)) {
+      setSelectedIds([nodeId]);
+    }
+  };
+
+  const editNote = (node) => {
+    if (onSelectTrack) onSelectTrack(track.id);
+    setSelectedIds([node.id]);
+    if (onEditNode) onEditNode(node.id, node.v, 'midi-note');
+  };
+
+  const handleNoteDoubleClick = (event, node) => {
+    event.preventDefault();
+    event.stopPropagation();
+    editNote(node);
+  };
+
+  const handleNoteContextMenu = (event, nodeId) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (!selectedSet.has(nodeId)) {
+      setSelectedIds([nodeId]);
+    }
+    setContextMenu({
+      x: event.clientX,
+      y: event.clientY,
+      nodeId,
+    });
+  };
+
+  const editContextNote = () => {
+    if (!contextMenu) return;
+    const node = nodeMap.get(contextMenu.nodeId);
+    setContextMenu(null);
+    if (node) editNote(node);
+  };
+
+  const deleteContextNotes = () => {
+    if (!contextMenu || !onDeleteNodes) return;
+    const targetIds = selectedSet.has(contextMenu.nodeId) && selectedIds.length
+      ? selectedIds
+      : [contextMenu.nodeId];
+    onDeleteNodes(targetIds);
+    setSelectedIds((prev) => prev.filter((id) => !targetIds.includes(id)));
+    setDraggingIds((prev) => prev.filter((id) => !targetIds.includes(id)));
+    setContextMenu(null);
+  };
+
+  const handleBackgroundDoubleClick = (event) => {
+    if (isNodeTarget(event.target)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    if (onSelectTrack) onSelectTrack(track.id);
+    const { x, y } = getPointerPosition(event);
+    onAddNode({
+      t: timeFromX(x),
+      v: pitchFromY(y),
+      d: DEFAULT_NOTE_DURATION,
+      curve: 'linear',
+    });
+  };
+
+  const showKeyLabels = rowHeight >= 7;
+
+  return (
+    <div className="piano-roll-editor-wrap">
+      <svg
+        ref={svgRef}
+        className="piano-roll-editor"
+        viewBox={`0 0 ${contentWidth} ${height}`}
+        preserveAspectRatio="none"
+        style={{ '--track-accent': accentColor }}
+        onPointerDown={startMarquee}
+        onPointerMove={handlePointerMove}
+        onPointerUp={stopDragging}
+        onPointerCancel={stopDragging}
+        onPointerLeave={stopDragging}
+        onDoubleClick={handleBackgroundDoubleClick}
+      >
+        <rect x="0" y="0" width={contentWidth} height={height} rx="10" className="piano-roll-editor__bg" />
+        {keyRows.map((pitch) => (
+          <rect
+            key={pitch}
+            x={TIMELINE_PADDING}
+            y={mapPitchToY(pitch)}
+            width={contentWidth - TIMELINE_PADDING * 2}
+            height={rowHeight}
+            className={`piano-roll-editor__row ${BLACK_KEY_CLASSES.has(pitch % 12) ? 'is-black' : ''}`}
+          />
+        ))}
+        {keyRows.filter((pitch) => pitch % 12 === 0).map((pitch) => (
+          <line
+            key={`octave-${pitch}`}
+            x1={TIMELINE_PADDING}
+            y1={mapPitchToY(pitch) + rowHeight}
+            x2={contentWidth - TIMELINE_PADDING}
+            y2={mapPitchToY(pitch) + rowHeight}
+            className="piano-roll-editor__octave"
+          />
+        ))}
+        {gridLines.map((x) => (
+          <line
+            key={x}
+            x1={x}
+            y1={TIMELINE_PADDING}
+            x2={x}
+            y2={height - TIMELINE_PADDING}
+            className="piano-roll-editor__grid"
+          />
+        ))}
+        {Number.isFinite(snapGuide) && (
+          <line
+            x1={mapTimeToLocalX(snapGuide)}
+            y1={TIMELINE_PADDING}
+            x2={mapTimeToLocalX(snapGuide)}
+            y2={height - TIMELINE_PADDING}
+            className="piano-roll-editor__snap"
+          />
+        )}
+        {displayedNodes.map((node) => {
+          const box = getNoteBox(node);
+          const velocity = getNoteVelocity(node);
+          const isSelected = selectedSet.has(node.id);
+          const isDragging = draggingIds.includes(node.id);
+          return (
+            <g
+              key={node.id}
+              data-selectable-node="1"
+              data-track-id={track.id}
+              data-node-id={node.id}
+              className={`piano-roll-editor__note ${isDragging ? 'is-dragging' : ''} ${isSelected ? 'is-selected' : ''}`}
+              onPointerDown={(event) => startNoteDrag(event, node)}
+              onClick={(event) => handleNoteClick(event, node.id)}
+              onDoubleClick={(event) => handleNoteDoubleClick(event, node)}
+              onContextMenu={(event) => handleNoteContextMenu(event, node.id)}
+            >
+              <rect
+                data-node-id={node.id}
+                x={box.x}
+                y={box.y}
+                width={box.width}
+                height={box.height}
+                rx="1.5"
+                className="piano-roll-editor__note-body"
+                style={{ fillOpacity: 0.25 + (velocity / 127) * 0.75 }}
+              />
+              {box.width > RESIZE_HANDLE_WIDTH * 2 && (
+                <rect
+                  data-node-id={node.id}
+                  x={box.x + box.width - RESIZE_HANDLE_WIDTH}
+                  y={box.y}
+                  width={RESIZE_HANDLE_WIDTH}
+                  height={box.height}
+                  className="piano-roll-editor__resize"
+                />
+              )}
+              {box.width > 56 && box.height >= 9 && (
+                <text
+                  data-node-id={node.id}
+                  x={box.x + 4}
+                  y={box.y + box.height / 2}
+                  dominantBaseline="middle"
+                  className="piano-roll-editor__note-label"
+                >
+                  {`${formatMidiNoteLabel(node.v)} ${velocity}`}
+                </text>
+              )}
+            </g>
+          );
+        })}
+        {displayedNodes.map((node) => {
+          if (!selectedSet.has(node.id) && !draggingIds.includes(node.id)) return null;
+          const box = getNoteBox(node);
+          const label = `${toPitch(node.v)} ${formatMidiNoteLabel(node.v)} · vel ${getNoteVelocity(node)} · ${getNoteDuration(node).toFixed(2)}s`;
+          const paddingX = 6;
+          const labelWidth = label.length * 7 + paddingX * 2;
+          const labelHeight = 18;
+          let x = box.x;
+          let y = box.y - labelHeight - 4;
+          if (x + labelWidth > contentWidth - TIMELINE_PADDING) {
+            x = contentWidth - TIMELINE_PADDING - labelWidth;
+          }
+          if (x < TIMELINE_PADDING) x = TIMELINE_PADDING;
+          if (y < TIMELINE_PADDING) y = box.y + box.height + 4;
+          return (
+            <g key={`${node.id}-label`} className="piano-roll-editor__value">
+              <rect x={x} y={y} width={labelWidth} height={labelHeight} rx={6} />
+              <text x={x + paddingX} y={y + labelHeight - 5}>{label}</text>
+            </g>
+          );
+        })}
+        {selectionBox && (
+          <rect
+            x={selectionBox.x1}
+            y={selectionBox.y1}
+            width={Math.max(selectionBox.x2 - selectionBox.x1, 0.5)}
+            height={Math.max(selectionBox.y2 - selectionBox.y1, 0.5)}
+            className="piano-roll-editor__marquee"
+          />
+        )}
+        {showKeyLabels && keyRows.filter((pitch) => pitch % 12 === 0).map((pitch) => (
+          <text
+            key={`label-${pitch}`}
+            x={TIMELINE_PADDING + 3}
+            y={mapPitchToY(pitch) + rowHeight / 2}
+            dominantBaseline="middle"
+            className="piano-roll-editor__key-label"
+          >
+            {formatMidiNoteLabel(pitch)}
+          </text>
+        ))}
+      </svg>
+      {contextMenu && (
+        <div className="node-context-menu" style={{ left: contextMenu.x, top: contextMenu.y }}>
+          <button
+            className="node-context-menu__item"
+            onClick={editContextNote}
+          >
+            Edit Note
+          </button>
+          <button
+            className="node-context-menu__item"
+            onClick={deleteContextNotes}
+          >
+            Delete Note
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
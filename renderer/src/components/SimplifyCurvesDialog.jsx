@@ -0,0 +1,104 @@
+import React, { useDeferredValue, useMemo, useState } from 'react';
+import NumberInput from './NumberInput.jsx';
+import { simplifyTrackNodes } from '../utils/curveSimplify.js';
+
+const formatRangeSeconds = (value) => `${(Number(value) || 0).toFixed(2)}s`;
+
+export default function SimplifyCurvesDialog({
+  targets = [],
+  initialTolerance = 1,
+  initialTimeTolerance = 0,
+  onApply,
+  onClose,
+}) {
+  const [tolerance, setTolerance] = useState(initialTolerance);
+  const [timeTolerance, setTimeTolerance] = useState(initialTimeTolerance);
+  const deferredTolerance = useDeferredValue(tolerance);
+  const deferredTimeTolerance = useDeferredValue(timeTolerance);
+
+  const preview = useMemo(() => targets.map((target) => {
+    const before = Array.isArray(target.track.nodes) ? target.track.nodes.length : 0;
+    const nodes = simplifyTrackNodes(target.track, {
+      valueTolerance: Math.max(Number(deferredTolerance) || 0, 0) / 100,
+      timeTolerance: Math.max(Number(deferredTimeTolerance) || 0, 0),
+      from: target.from,
+      to: target.to,
+    });
+    return { ...target, before, after: nodes.length };
+  }), [targets, deferredTolerance, deferredTimeTolerance]);
+  const totalBefore = preview.reduce((sum, item) => sum + item.before, 0);
+  const totalAfter = preview.reduce((sum, item) => sum + item.after, 0);
+
+  return (
+    <div className="modal" role="dialog" aria-modal="true">
+      <div className="modal__card modal__card--simplify">
+        <div className="modal__header">
+          <div className="label">Simplify Curves</div>
+          <button className="btn btn--ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <div className="modal__content">
+          <div className="simplify-tolerances">
+            <div className="field">
+              <label>Value Tolerance (%)</label>
+              <NumberInput
+                className="input"
+                min="0"
+                max="100"
+                step="0.1"
+                value={tolerance}
+                onChange={(event) => setTolerance(Math.max(Number(event.target.value) || 0, 0))}
+              />
+            </div>
+            <div className="field">
+              <label>Time Tolerance (s)</label>
+              <NumberInput
+                className="input"
+                min="0"
+                max="1"
+                step="0.01"
+                value={timeTolerance}
+                onChange={(event) => setTimeTolerance(Math.max(Number(event.target.value) || 0, 0))}
+              />
+            </div>
+          </div>
+          <div className="field__hint">
+            Drops nodes while the curve stays within the value tolerance (a share of each track range).
+            The time tolerance lets the curve pass a dropped node slightly early or late.
+          </div>
+          <div className="simplify-preview">
+            {preview.map((item) => (
+              <div key={item.track.id} className="simplify-preview__row">
+                <span className="simplify-preview__name">
+                  {item.track.name || 'Track'}
+                  {Number.isFinite(item.from) && (
+                    <span className="simplify-preview__range">
+                      {` ${formatRangeSeconds(item.from)} - ${formatRangeSeconds(item.to)}`}
+                    </span>
+                  )}
+                </span>
+                <span className="simplify-preview__count">{`${item.before} → ${item.after}`}</span>
+              </div>
+            ))}
+          </div>
+          <div className="field__hint">
+            {`${totalBefore} nodes → ${totalAfter} nodes`}
+          </div>
+          <div className="modal__actions">
+            <button className="btn btn--ghost" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              className="btn"
+              disabled={totalAfter >= totalBefore}
+              onClick={() => onApply({ tolerance, timeTolerance })}
+            >
+              Simplify
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
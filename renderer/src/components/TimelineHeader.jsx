@@ -22,6 +22,11 @@ export default function TimelineHeader({
   loopEnd = 0,
   onLoopRangeChange,
   onLoopEdit,
+  punchEnabled = false,
+  punchIn = 0,
+  punchOut = 0,
+  onPunchRangeChange,
+  onPunchEdit,
   showScroll = true,
 }) {
   const TIMELINE_HEADER_HEIGHT = 72;
@@ -39,7 +44,7 @@ export default function TimelineHeader({
   const MIN_LOOP_SPAN = 1 / Math.max(Number(fps) || 30, 1);
   const svgRef = useRef(null);
   const cueDragRef = useRef(null);
-  const loopDragRef = useRef(null);
+  const rangeDragRef = useRef(null);
   const viewStateRef = useRef({
     start: Number(view.start) || 0,
     end: Number(view.end) || 0,
@@ -172,6 +177,16 @@ export default function TimelineHeader({
   const loopLeftPercent = (loopStartX / svgWidth) * 100;
   const loopWidthPercent = Math.max(((loopEndX - loopStartX) / svgWidth) * 100, 0);
   const loopPaddingPercent = (TIMELINE_PADDING / svgWidth) * 100;
+  const normalizedPunchIn = clamp(Number(punchIn) || 0, 0, view.length);
+  const normalizedPunchOut = clamp(
+    Math.max(Number(punchOut) || 0, normalizedPunchIn + MIN_LOOP_SPAN),
+    0,
+    view.length
+  );
+  const punchInX = mapTimeToLocalX(normalizedPunchIn);
+  const punchOutX = mapTimeToLocalX(normalizedPunchOut);
+  const punchLeftPercent = (punchInX / svgWidth) * 100;
+  const punchWidthPercent = Math.max(((punchOutX - punchInX) / svgWidth) * 100, 0);
 
   const beginCueDrag = (event, cue) => {
     if (event.button !== 0) return;
@@ -223,8 +238,9 @@ export default function TimelineHeader({
     return clamp(time, 0, length);
   };
 
-  const beginLoopHandleDrag = (event, edge) => {
-    if (!onLoopRangeChange) return;
+  // Shared by the loop and punch ranges: `range` carries the current edges and the change handler.
+  const beginRangeDrag = (event, edge, range) => {
+    if (!range.onChange) return;
     if (event.button !== 0) return;
     event.preventDefault();
     event.stopPropagation();
@@ -235,15 +251,15 @@ export default function TimelineHeader({
       initialView.end,
       initialView.length
     );
-    loopDragRef.current = {
+    rangeDragRef.current = {
       edge,
       pointerId: event.pointerId,
-      start: normalizedLoopStart,
-      end: normalizedLoopEnd,
-      rangeOffset: pointerTime - normalizedLoopStart,
+      start: range.start,
+      end: range.end,
+      rangeOffset: pointerTime - range.start,
     };
     const onPointerMove = (moveEvent) => {
-      const drag = loopDragRef.current;
+      const drag = rangeDragRef.current;
       if (!drag) return;
       if (!svgRef.current) return;
       const rect = svgRef.current.getBoundingClientRect();
@@ -285,10 +301,10 @@ export default function TimelineHeader({
         drag.start = anchoredStart;
         drag.end = clamp(anchoredStart + spanLocked, 0, length);
       }
-      onLoopRangeChange({ start: drag.start, end: drag.end });
+      range.onChange({ start: drag.start, end: drag.end });
     };
     const onPointerUp = () => {
-      loopDragRef.current = null;
+      rangeDragRef.current = null;
       window.removeEventListener('pointermove', onPointerMove);
       window.removeEventListener('pointerup', onPointerUp);
       window.removeEventListener('pointercancel', onPointerUp);
@@ -298,6 +314,11 @@ export default function TimelineHeader({
     window.addEventListener('pointercancel', onPointerUp);
   };
 
+  const loopRange = { start: normalizedLoopStart, end: normalizedLoopEnd, onChange: onLoopRangeChange };
+  const punchRange = { start: normalizedPunchIn, end: normalizedPunchOut, onChange: onPunchRangeChange };
+  const beginLoopHandleDrag = (event, edge) => beginRangeDrag(event, edge, loopRange);
+  const beginPunchHandleDrag = (event, edge) => beginRangeDrag(event, edge, punchRange);
+
   return (
     <div className="timeline-scale">
       <svg
@@ -325,6 +346,19 @@ export default function TimelineHeader({
             ry="4"
           />
         )}
+        {punchEnabled && punchWidthPercent > 0 && (
+          <g className="timeline-punch__markers">
+            <rect
+              x={punchInX}
+              y={0}
+              width={Math.max(punchOutX - punchInX, 1)}
+              height={BASELINE_Y}
+              className="timeline-punch__selection"
+            />
+            <line x1={punchInX} y1={0} x2={punchInX} y2={TIMELINE_HEADER_HEIGHT} />
+            <line x1={punchOutX} y1={0} x2={punchOutX} y2={TIMELINE_HEADER_HEIGHT} />
+          </g>
+        )}
         {minorTicks.map((tick) => {
           const x = mapTimeToLocalX(tick);
           return (
@@ -389,6 +423,7 @@ export default function TimelineHeader({
                 });
               }}
             >
+              <title>{cue.name ? `Cue ${cue.number}: ${cue.name}` : `Cue ${cue.number}`}</title>
               <line x1={x} y1={CUE_TOP} x2={x} y2={CUE_BOTTOM} />
               <polygon
                 className="timeline-cue__marker"
@@ -466,6 +501,48 @@ export default function TimelineHeader({
           ◢
         </button>
       </div>
+      {punchEnabled && (
+        <div className="timeline-punch" style={{ '--loop-padding': `${loopPaddingPercent}%` }}>
+          <div
+            className="timeline-punch__range"
+            style={{
+              left: `${punchLeftPercent}%`,
+              width: `${punchWidthPercent}%`,
+            }}
+            onPointerDown={(event) => beginPunchHandleDrag(event, 'range')}
+            onDoubleClick={(event) => {
+              event.preventDefault();
+              event.stopPropagation();
+              if (onPunchEdit) onPunchEdit();
+            }}
+            title="Punch range: drag to move, double-click to edit"
+          />
+          <button
+            type="button"
+            className="timeline-punch__handle"
+            style={{ left: `${punchLeftPercent}%` }}
+            onPointerDown={(event) => beginPunchHandleDrag(event, 'start')}
+            onDoubleClick={(event) => {
+              event.preventDefault();
+              event.stopPropagation();
+              if (onPunchEdit) onPunchEdit();
+            }}
+            title="Punch In"
+          />
+          <button
+            type="button"
+            className="timeline-punch__handle"
+            style={{ left: `${punchLeftPercent + punchWidthPercent}%` }}
+            onPointerDown={(event) => beginPunchHandleDrag(event, 'end')}
+            onDoubleClick={(event) => {
+              event.preventDefault();
+              event.stopPropagation();
+              if (onPunchEdit) onPunchEdit();
+            }}
+            title="Punch Out"
+          />
+        </div>
+      )}
       {cueMenu && (
         <div className="timeline-cue-menu" style={{ left: cueMenu.x, top: cueMenu.y }}>
           <button
@@ -3,6 +3,7 @@ import NodeEditor from './NodeEditor.jsx';
 import DmxColorEditor from './DmxColorEditor.jsx';
 import OscArrayEditor from './OscArrayEditor.jsx';
 import Osc3dEditor from './Osc3dEditor.jsx';
+import PianoRollEditor from './PianoRollEditor.jsx';
 import GroupLane from './GroupLane.jsx';
 import { TIMELINE_PADDING } from '../utils/timelineMetrics.js';
 
@@ -87,11 +88,13 @@ function TrackLane({
   onSelect,
   onSelectTrack,
   onNodeDrag,
+  onNodesDrag,
   onSetNodeCurve,
   onAddNode,
   onEditNode,
   onDeleteNodes,
   onSelectionChange,
+  onPatchTrack,
   onMoveAudioClip,
   onPatchAudioClip,
   onEditAudioClipStart,
@@ -104,6 +107,7 @@ function TrackLane({
   const isDmxColor = track.kind === 'dmx-color' || track.kind === 'osc-color';
   const isOscArray = track.kind === 'osc-array';
   const isOsc3d = track.kind === 'osc-3d';
+  const isMidiNote = track.kind === 'midi-note';
   const trackColor = typeof track.color === 'string' ? track.color : '#5dd8c7';
   const laneRef = useRef(null);
   const dragRef = useRef(null);
@@ -513,7 +517,7 @@ function TrackLane({
   return (
     <div
       ref={laneRef}
-      className={`track-lane ${isSelected ? 'is-selected' : ''} ${isAudio ? 'track-lane--audio' : ''} ${isGroup ? 'track-lane--group' : ''} ${isGroupedChild ? 'track-lane--group-child' : ''} ${isDmxColor ? 'track-lane--dmx-color' : ''} ${isOscArray ? 'track-lane--osc-array' : ''} ${isOsc3d ? 'track-lane--osc-3d' : ''}`}
+      className={`track-lane ${isSelected ? 'is-selected' : ''} ${isAudio ? 'track-lane--audio' : ''} ${isGroup ? 'track-lane--group' : ''} ${isGroupedChild ? 'track-lane--group-child' : ''} ${isDmxColor ? 'track-lane--dmx-color' : ''} ${isOscArray ? 'track-lane--osc-array' : ''} ${isOsc3d ? 'track-lane--osc-3d' : ''} ${isMidiNote ? 'track-lane--midi-note' : ''}`}
       style={{ height, '--track-accent': trackColor }}
       onClick={() => onSelect(track.id)}
       role="button"
@@ -680,6 +684,7 @@ function TrackLane({
           onEditNode={(nodeId, value, mode) => onEditNode(track.id, nodeId, value, mode)}
           onDeleteNodes={(nodeIds) => onDeleteNodes(track.id, nodeIds)}
           onSelectionChange={onSelectionChange}
+          onSetSlotTypes={(types) => onPatchTrack?.(track.id, { oscArray: { types } })}
         />
       ) : isOsc3d ? (
         <Osc3dEditor
@@ -700,6 +705,23 @@ function TrackLane({
           onDeleteNodes={(nodeIds) => onDeleteNodes(track.id, nodeIds)}
           onSelectionChange={onSelectionChange}
         />
+      ) : isMidiNote ? (
+        <PianoRollEditor
+          track={track}
+          view={view}
+          height={height}
+          width={timelineWidth}
+          accentColor={trackColor}
+          suspendRendering={suspendRendering}
+          externalSelectedIds={externalSelectedNodeIds}
+          onSelectTrack={onSelectTrack}
+          cues={cues}
+          onNodesDrag={(patches) => onNodesDrag?.(track.id, patches)}
+          onAddNode={(node) => onAddNode(track.id, node)}
+          onEditNode={(nodeId, value, mode) => onEditNode(track.id, nodeId, value, mode)}
+          onDeleteNodes={(nodeIds) => onDeleteNodes(track.id, nodeIds)}
+          onSelectionChange={onSelectionChange}
+        />
       ) : (
         <NodeEditor
           track={track}
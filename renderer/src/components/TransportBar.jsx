@@ -1,7 +1,16 @@
 import React, { useEffect, useRef, useState } from 'react';
 
+const RECORD_MODE_OPTIONS = [
+  { id: 'overwrite', label: 'Overwrite' },
+  { id: 'touch', label: 'Touch' },
+  { id: 'latch', label: 'Latch' },
+];
+
 export default function TransportBar({
   projectName,
+  projectFilePath,
+  isDirty = false,
+  recentProjects = [],
   sync,
   syncFps,
   syncFpsOptions = [],
@@ -9,14 +18,23 @@ export default function TransportBar({
   isPlaying,
   isRecording,
   isLoopEnabled,
+  isPunchEnabled = false,
+  recordMode = 'overwrite',
   onPlayToggle,
   onRecordToggle,
   onLoopToggle,
+  onPunchToggle,
+  onRecordModeChange,
   onStop,
   onStopLocate,
   onOpenSettings,
   onSave,
+  onSaveAs,
+  onSaveBundle,
   onLoad,
+  onLoadBundle,
+  onOpenRecent,
+  onClearRecent,
   onUndo,
   onRedo,
   canUndo,
@@ -25,20 +43,33 @@ export default function TransportBar({
   onSyncFpsChange,
   isCompositionsVisible,
   isInspectorVisible,
+  isOscMonitorVisible,
   onToggleCompositions,
   onToggleInspector,
+  onToggleOscMonitor,
   onTimecodeCommit,
 }) {
   const [isSyncMenuOpen, setIsSyncMenuOpen] = useState(false);
   const [isSyncFpsMenuOpen, setIsSyncFpsMenuOpen] = useState(false);
+  const [isRecentMenuOpen, setIsRecentMenuOpen] = useState(false);
+  const [isRecordModeMenuOpen, setIsRecordModeMenuOpen] = useState(false);
   const [timecodeInput, setTimecodeInput] = useState(currentTime || '00:00:00.00');
   const [isEditingTimecode, setIsEditingTimecode] = useState(false);
   const syncMenuRef = useRef(null);
   const syncFpsMenuRef = useRef(null);
+  const recentMenuRef = useRef(null);
+  const recordModeMenuRef = useRef(null);
+  const selectedRecordModeLabel =
+    RECORD_MODE_OPTIONS.find((option) => option.id === recordMode)?.label || recordMode;
   const selectedSyncFpsLabel =
     syncFpsOptions.find((option) => option.id === syncFps)?.label || syncFps;
   const safeProjectName = typeof projectName === 'string' ? projectName : '';
-  const displayProjectName = safeProjectName.slice(0, 20);
+  const displayProjectName = `${isDirty ? '● ' : ''}${safeProjectName}`.slice(0, 20);
+  const projectTitle = [
+    safeProjectName,
+    typeof projectFilePath === 'string' && projectFilePath ? projectFilePath : 'Not saved yet',
+    isDirty ? 'Unsaved changes' : '',
+  ].filter(Boolean).join('\n');
 
   useEffect(() => {
     if (isEditingTimecode) return;
@@ -77,10 +108,30 @@ export default function TransportBar({
     return () => window.removeEventListener('pointerdown', handleOutside, true);
   }, [isSyncFpsMenuOpen]);
 
+  useEffect(() => {
+    if (!isRecordModeMenuOpen) return undefined;
+    const handleOutside = (event) => {
+      if (recordModeMenuRef.current?.contains(event.target)) return;
+      setIsRecordModeMenuOpen(false);
+    };
+    window.addEventListener('pointerdown', handleOutside, true);
+    return () => window.removeEventListener('pointerdown', handleOutside, true);
+  }, [isRecordModeMenuOpen]);
+
+  useEffect(() => {
+    if (!isRecentMenuOpen) return undefined;
+    const handleOutside = (event) => {
+      if (recentMenuRef.current?.contains(event.target)) return;
+      setIsRecentMenuOpen(false);
+    };
+    window.addEventListener('pointerdown', handleOutside, true);
+    return () => window.removeEventListener('pointerdown', handleOutside, true);
+  }, [isRecentMenuOpen]);
+
   return (
     <header className="transport">
       <div className="transport__left">
-        <div className="project-name" title={safeProjectName}>{displayProjectName}</div>
+        <div className={`project-name ${isDirty ? 'is-dirty' : ''}`} title={projectTitle}>{displayProjectName}</div>
       </div>
       <div className="transport__center">
         <button
@@ -112,6 +163,15 @@ export default function TransportBar({
         >
           ↺
         </button>
+        {onPunchToggle && (
+          <button
+            className={`btn btn--ghost btn--symbol ${isPunchEnabled ? 'is-active' : ''}`}
+            onClick={onPunchToggle}
+            title="Punch in/out: only record inside the punch range"
+          >
+            ⇥
+          </button>
+        )}
         <input
           className="transport__time"
           value={timecodeInput}
@@ -137,12 +197,46 @@ export default function TransportBar({
         />
       </div>
       <div className="transport__right">
+        {onRecordModeChange && (
+          <div className="transport-sync" ref={recordModeMenuRef}>
+            <button
+              type="button"
+              className="chip chip--button"
+              onClick={() => {
+                setIsSyncMenuOpen(false);
+                setIsSyncFpsMenuOpen(false);
+                setIsRecordModeMenuOpen((prev) => !prev);
+              }}
+              title="How recording writes over existing nodes"
+            >
+              Write: {selectedRecordModeLabel}
+            </button>
+            {isRecordModeMenuOpen && (
+              <div className="transport-sync__menu">
+                {RECORD_MODE_OPTIONS.map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    className={`transport-sync__item ${recordMode === option.id ? 'is-active' : ''}`}
+                    onClick={() => {
+                      onRecordModeChange(option.id);
+                      setIsRecordModeMenuOpen(false);
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
         <div className="transport-sync" ref={syncMenuRef}>
           <button
             type="button"
             className="chip chip--button"
             onClick={() => {
               setIsSyncFpsMenuOpen(false);
+              setIsRecordModeMenuOpen(false);
               setIsSyncMenuOpen((prev) => !prev);
             }}
           >
@@ -189,6 +283,7 @@ export default function TransportBar({
             className="chip chip--button"
             onClick={() => {
               setIsSyncMenuOpen(false);
+              setIsRecordModeMenuOpen(false);
               setIsSyncFpsMenuOpen((prev) => !prev);
             }}
           >
@@ -214,8 +309,79 @@ export default function TransportBar({
         </div>
         <button className="btn btn--ghost" onClick={onUndo} disabled={!canUndo}>Undo</button>
         <button className="btn btn--ghost" onClick={onRedo} disabled={!canRedo}>Redo</button>
-        <button className="btn btn--ghost" onClick={onSave}>Save</button>
-        <button className="btn btn--ghost" onClick={onLoad}>Load</button>
+        <button className="btn btn--ghost" onClick={onSave} title="Save (Cmd/Ctrl + S)">Save</button>
+        {onSaveAs && (
+          <button className="btn btn--ghost" onClick={onSaveAs} title="Save As (Cmd/Ctrl + Shift + S)">
+            Save As
+          </button>
+        )}
+        {onSaveBundle && (
+          <button
+            className="btn btn--ghost"
+            onClick={onSaveBundle}
+            title="Save as a bundle folder with copies of all audio media"
+          >
+            Bundle
+          </button>
+        )}
+        <button className="btn btn--ghost" onClick={onLoad} title="Load (Cmd/Ctrl + L)">Load</button>
+        {onLoadBundle && (
+          <button className="btn btn--ghost" onClick={onLoadBundle} title="Open a bundle folder">
+            Open Bundle
+          </button>
+        )}
+        {onOpenRecent && (
+          <div className="transport-sync" ref={recentMenuRef}>
+            <button
+              type="button"
+              className="btn btn--ghost"
+              onClick={() => {
+                setIsSyncMenuOpen(false);
+                setIsSyncFpsMenuOpen(false);
+                setIsRecordModeMenuOpen(false);
+                setIsRecentMenuOpen((prev) => !prev);
+              }}
+              title="Recent projects"
+            >
+              Recent
+            </button>
+            {isRecentMenuOpen && (
+              <div className="transport-sync__menu transport-recent__menu">
+                {recentProjects.length === 0 && (
+                  <div className="transport-recent__empty">No recent projects</div>
+                )}
+                {recentProjects.map((item) => (
+                  <button
+                    key={item.filePath}
+                    type="button"
+                    className={`transport-sync__item transport-recent__item ${item.exists === false ? 'is-missing' : ''}`}
+                    disabled={item.exists === false}
+                    title={item.filePath}
+                    onClick={() => {
+                      onOpenRecent(item.filePath);
+                      setIsRecentMenuOpen(false);
+                    }}
+                  >
+                    <span className="transport-recent__name">{item.name}</span>
+                    <span className="transport-recent__path">{item.filePath}</span>
+                  </button>
+                ))}
+                {recentProjects.length > 0 && onClearRecent && (
+                  <button
+                    type="button"
+                    className="transport-sync__item"
+                    onClick={() => {
+                      onClearRecent();
+                      setIsRecentMenuOpen(false);
+                    }}
+                  >
+                    Clear Recent
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
         <button className="btn btn--ghost" onClick={onOpenSettings}>Settings</button>
         <button
           className={`btn btn--ghost ${isCompositionsVisible ? 'is-active' : ''}`}
@@ -231,6 +397,13 @@ export default function TransportBar({
         >
           Inspector
         </button>
+        <button
+          className={`btn btn--ghost ${isOscMonitorVisible ? 'is-active' : ''}`}
+          onClick={onToggleOscMonitor}
+          title="Show/Hide OSC monitor panel"
+        >
+          Monitor
+        </button>
       </div>
     </header>
   );
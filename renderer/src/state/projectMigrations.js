@@ -0,0 +1,307 @@
+import { OUTPUT_MAP_TRACK_KINDS, createDefaultOutputMap } from '../../../shared/outputMapping.mjs';
+import { OSC_SEND_TRACK_KINDS, normalizeOscSendPolicy } from '../../../shared/oscSendPolicy.mjs';
+
+const deepClone = (value) => JSON.parse(JSON.stringify(value));
+const REPORT_ENTRY_LIMIT = 300;
+const REPORT_SKIPPED_KEYS = new Set(['waveformPeaks']);
+const LEGACY_CURVE_ALIASES = {
+  step: 'none',
+  'no-interpolation': 'none',
+  nointerpolation: 'none',
+  'ease-in': 'cubic-in',
+  'ease-out': 'cubic-out',
+  'ease-in-out': 'cubic-in-out',
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const forEachProjectTrack = (project, callback) => {
+  (Array.isArray(project.tracks) ? project.tracks : []).forEach((track) => {
+    if (isPlainObject(track)) callback(track);
+  });
+  (Array.isArray(project.compositions) ? project.compositions : []).forEach((composition) => {
+    (Array.isArray(composition?.tracks) ? composition.tracks : []).forEach((track) => {
+      if (isPlainObject(track)) callback(track);
+    });
+  });
+};
+
+const PROJECT_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Split legacy MIDI tracks into MIDI Note and MIDI PC track kinds',
+    migrate: (project) => {
+      let changes = 0;
+      forEachProjectTrack(project, (track) => {
+        if (track.kind !== 'midi') return;
+        if (track.midi?.mode === 'note') {
+          track.kind = 'midi-note';
+          changes += 1;
+        } else if (track.midi?.mode === 'pc') {
+          track.kind = 'midi-pc';
+          changes += 1;
+        }
+      });
+      return changes;
+    },
+  },
+  {
+    version: 2,
+    description: 'Move single-timeline projects into a composition list',
+    migrate: (project) => {
+      if (Array.isArray(project.compositions) && project.compositions.length) return 0;
+      if (!Array.isArray(project.tracks) && !project.view && !Array.isArray(project.cues)) return 0;
+      project.compositions = [{
+        id:
+          typeof project.activeCompositionId === 'string' && project.activeCompositionId
+            ? project.activeCompositionId
+            : `composition-${Date.now()}-${Math.random().toString(16).slice(2, 6)}`,
+        name: 'Composition 01',
+        view: project.view,
+        cues: Array.isArray(project.cues) ? project.cues : [],
+        tracks: Array.isArray(project.tracks) ? project.tracks : [],
+      }];
+      project.activeCompositionId = project.compositions[0].id;
+      return 1;
+    },
+  },
+  {
+    version: 3,
+    description: 'Convert the legacy OSC host/port into the OSC output list',
+    migrate: (project) => {
+      if (!isPlainObject(project.osc)) return 0;
+      if (Array.isArray(project.osc.outputs) && project.osc.outputs.length) return 0;
+      if (typeof project.osc.host !== 'string' && project.osc.port === undefined) return 0;
+      project.osc.outputs = [{
+        id: 'osc-out-main',
+        name: 'Main',
+        host: project.osc.host,
+        port: project.osc.port,
+      }];
+      return 1;
+    },
+  },
+  {
+    version: 4,
+    description: 'Rename legacy curve aliases (step, ease-in, ...) to their current names',
+    migrate: (project) => {
+      let changes = 0;
+      forEachProjectTrack(project, (track) => {
+        (Array.isArray(track.nodes) ? track.nodes : []).forEach((node) => {
+          const raw = typeof node?.curve === 'string' ? node.curve.trim().toLowerCase() : '';
+          if (!LEGACY_CURVE_ALIASES[raw]) return;
+          node.curve = LEGACY_CURVE_ALIASES[raw];
+          changes += 1;
+        });
+      });
+      return changes;
+    },
+  },
+  {
+    version: 5,
+    description: 'Give OSC Array slots explicit argument types from the track value type',
+    migrate: (project) => {
+      let changes = 0;
+      forEachProjectTrack(project, (track) => {
+        if (track.kind !== 'osc-array' || Array.isArray(track.oscArray?.types)) return;
+        const count = Math.max(Math.round(Number(track.oscArray?.valueCount) || 0), 1);
+        const type = track.oscValueType === 'int' ? 'int' : 'float';
+        track.oscArray = { ...track.oscArray, types: Array.from({ length: count }, () => type) };
+        changes += 1;
+      });
+      return changes;
+    },
+  },
+  {
+    version: 6,
+    description: 'Add an empty OSC input route list',
+    migrate: (project) => {
+      if (!isPlainObject(project.osc) || Array.isArray(project.osc.routes)) return 0;
+      project.osc.routes = [];
+      return 1;
+    },
+  },
+  {
+    version: 7,
+    description: 'Add a disabled output mapping to tracks that send values',
+    migrate: (project) => {
+      let changes = 0;
+      forEachProjectTrack(project, (track) => {
+        if (!OUTPUT_MAP_TRACK_KINDS.has(track.kind) || isPlainObject(track.outputMap)) return;
+        track.outputMap = createDefaultOutputMap();
+        changes += 1;
+      });
+      return changes;
+    },
+  },
+  {
+    version: 8,
+    description: 'Add OSC send policies: every frame per output, following the output per track',
+    migrate: (project) => {
+      let changes = 0;
+      (Array.isArray(project.osc?.outputs) ? project.osc.outputs : []).forEach((output) => {
+        if (!isPlainObject(output) || isPlainObject(output.sendPolicy)) return;
+        output.sendPolicy = normalizeOscSendPolicy();
+        changes += 1;
+      });
+      forEachProjectTrack(project, (track) => {
+        if (!OSC_SEND_TRACK_KINDS.has(track.kind) || isPlainObject(track.oscSendPolicy)) return;
+        track.oscSendPolicy = normalizeOscSendPolicy(null, { allowInherit: true });
+        changes += 1;
+      });
+      return changes;
+    },
+  },
+  {
+    version: 9,
+    description: 'Give MIDI Note nodes an explicit duration; per-note velocity stays optional',
+    migrate: (project) => {
+      let changes = 0;
+      forEachProjectTrack(project, (track) => {
+        if (track.kind !== 'midi-note') return;
+        (Array.isArray(track.nodes) ? track.nodes : []).forEach((node) => {
+          if (!isPlainObject(node) || Number.isFinite(Number(node.d))) return;
+          node.d = 0.5;
+          changes += 1;
+        });
+      });
+      return changes;
+    },
+  },
+];
+
+export const PROJECT_SCHEMA_VERSION = PROJECT_MIGRATIONS[PROJECT_MIGRATIONS.length - 1].version;
+
+export const getProjectSchemaVersion = (project) => {
+  const version = Math.floor(Number(project?.schemaVersion));
+  return Number.isFinite(version) && version > 0 ? version : 0;
+};
+
+const createLoadReport = (project) => ({
+  sourceSchemaVersion: getProjectSchemaVersion(project),
+  targetSchemaVersion: PROJECT_SCHEMA_VERSION,
+  savedWith: isPlainObject(project?.savedWith) ? { ...project.savedWith } : null,
+  migrations: [],
+  coerced: [],
+  dropped: [],
+  omitted: 0,
+  warnings: [],
+});
+
+export const migrateProject = (rawProject) => {
+  const project = isPlainObject(rawProject) ? deepClone(rawProject) : {};
+  const report = createLoadReport(project);
+  if (report.sourceSchemaVersion > PROJECT_SCHEMA_VERSION) {
+    report.warnings.push(
+      `This file uses schema version ${report.sourceSchemaVersion}, newer than this app supports (${PROJECT_SCHEMA_VERSION}). Unknown data may be lost when saving.`
+    );
+  }
+  PROJECT_MIGRATIONS
+    .filter((migration) => migration.version > report.sourceSchemaVersion)
+    .forEach((migration) => {
+      const changes = migration.migrate(project);
+      if (changes > 0) {
+        report.migrations.push({
+          version: migration.version,
+          description: migration.description,
+          changes,
+        });
+      }
+    });
+  project.schemaVersion = Math.max(report.sourceSchemaVersion, PROJECT_SCHEMA_VERSION);
+  return { project, report };
+};
+
+const formatReportValue = (value) => {
+  if (value === undefined) return 'undefined';
+  const text = JSON.stringify(value);
+  if (typeof text !== 'string') return String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const getItemLabel = (item, index) => {
+  if (typeof item?.name === 'string' && item.name.trim()) return item.name.trim();
+  if (typeof item?.id === 'string' && item.id) return item.id;
+  return String(index);
+};
+
+const pushReportEntry = (report, listName, entry) => {
+  if (report.coerced.length + report.dropped.length >= REPORT_ENTRY_LIMIT) {
+    report.omitted += 1;
+    return;
+  }
+  report[listName].push(entry);
+};
+
+const collectValueChanges = (before, after, path, report) => {
+  if (before === after) return;
+  if (typeof before === 'number' && typeof after === 'number') {
+    if (Math.abs(before - after) <= 1e-9 || (Number.isNaN(before) && Number.isNaN(after))) return;
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    Object.keys(before).forEach((key) => {
+      if (REPORT_SKIPPED_KEYS.has(key)) return;
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in after)) {
+        if (before[key] !== undefined) {
+          pushReportEntry(report, 'dropped', { path: childPath, value: formatReportValue(before[key]) });
+        }
+        return;
+      }
+      collectValueChanges(before[key], after[key], childPath, report);
+    });
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const keyedById = before.every((item) => typeof item?.id === 'string')
+      && after.every((item) => typeof item?.id === 'string');
+    if (keyedById) {
+      const afterById = new Map(after.map((item) => [item.id, item]));
+      before.forEach((item, index) => {
+        const childPath = `${path}[${getItemLabel(item, index)}]`;
+        if (!afterById.has(item.id)) {
+          pushReportEntry(report, 'dropped', { path: childPath, value: formatReportValue(item) });
+          return;
+        }
+        collectValueChanges(item, afterById.get(item.id), childPath, report);
+      });
+      return;
+    }
+    before.forEach((item, index) => {
+      const childPath = `${path}[${index}]`;
+      if (index >= after.length) {
+        pushReportEntry(report, 'dropped', { path: childPath, value: formatReportValue(item) });
+        return;
+      }
+      collectValueChanges(item, after[index], childPath, report);
+    });
+    return;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  pushReportEntry(report, 'coerced', {
+    path,
+    from: formatReportValue(before),
+    to: formatReportValue(after),
+  });
+};
+
+export const collectNormalizationChanges = (migratedProject, normalizedProject, report) => {
+  const hasCompositions = Array.isArray(migratedProject?.compositions) && migratedProject.compositions.length > 0;
+  const before = { ...migratedProject };
+  if (hasCompositions) {
+    // The root view/cues/tracks mirror the active composition and would be reported twice.
+    delete before.view;
+    delete before.cues;
+    delete before.tracks;
+  }
+  collectValueChanges(before, normalizedProject, '', report);
+  return report;
+};
+
+export const hasLoadReportChanges = (report) => Boolean(
+  report
+  && (report.migrations.length
+    || report.coerced.length
+    || report.dropped.length
+    || report.warnings.length)
+);
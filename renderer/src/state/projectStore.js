@@ -1,3 +1,28 @@
+import {
+  PROJECT_SCHEMA_VERSION,
+  collectNormalizationChanges,
+  migrateProject,
+} from './projectMigrations.js';
+import {
+  isNumericOscArgumentType,
+  normalizeOscArgumentType,
+  normalizeOscArgumentValue,
+  normalizeOscArguments,
+} from '../../../shared/oscArguments.mjs';
+import {
+  colorTrackValuesToHex,
+  getOscArraySlotTypes,
+  normalizeOsc3dBounds,
+  normalizeOsc3dNodeValues,
+  normalizeOscArrayNodeArgs,
+  normalizeOscArrayNodeValues,
+  parseHexColor,
+} from '../../../shared/trackSampling.mjs';
+import { normalizeOscRoutes } from '../../../shared/oscRoutes.mjs';
+import { OUTPUT_MAP_TRACK_KINDS, normalizeOutputMap } from '../../../shared/outputMapping.mjs';
+import { OSC_SEND_TRACK_KINDS, normalizeOscSendPolicy } from '../../../shared/oscSendPolicy.mjs';
+import { simplifyTrackNodes } from '../utils/curveSimplify.js';
+
 const deepClone = (value) => JSON.parse(JSON.stringify(value));
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 const AUDIO_BUFFER_SIZES = [128, 256, 512, 1024, 2048, 4096, 8192, 16384];
@@ -27,12 +52,27 @@ const HISTORY_ACTIONS = new Set([
   'load-project',
   'add-node',
   'add-nodes',
+  'import-midi-file',
   'delete-nodes',
   'update-node',
+  'update-nodes',
+  'simplify-nodes',
   'add-cue',
   'update-cue',
   'delete-cue',
 ]);
+const UNTRACKED_CONTENT_ACTIONS = new Set([
+  'ingest-osc-sample',
+  'ingest-osc-batch',
+  'ingest-midi-batch',
+]);
+const DEFAULT_OSC_BUNDLE_SETTINGS = {
+  bundle: false,
+  bundleMtu: 1400,
+  bundleTimetag: 'immediate',
+  bundleLatencyMs: 20,
+};
+const OSC_OUTPUT_TRANSPORTS = new Set(['udp', 'tcp-length', 'tcp-slip']);
 const DEFAULT_OSC_SETTINGS = {
   host: '127.0.0.1',
   port: 9000,
@@ -42,11 +82,24 @@ const DEFAULT_OSC_SETTINGS = {
       name: 'Main',
       host: '127.0.0.1',
       port: 9000,
+      transport: 'udp',
+      ...DEFAULT_OSC_BUNDLE_SETTINGS,
+      sendPolicy: normalizeOscSendPolicy(),
     },
   ],
   listenPort: 8999,
   controlPort: 8998,
+  queryEnabled: false,
+  queryPort: 8997,
+  queryAdvertise: true,
+  feedbackMode: 'off',
+  feedbackHost: '127.0.0.1',
+  feedbackPort: 9001,
+  recordInclude: '',
+  recordExclude: '',
+  routes: [],
 };
+const OSC_FEEDBACK_MODES = new Set(['off', 'reply', 'fixed']);
 const DEFAULT_AUDIO_SETTINGS = {
   outputDeviceId: 'default',
   sampleRate: 48000,
@@ -61,6 +114,15 @@ const DEFAULT_SYNC_FPS_ID = '30';
 const DEFAULT_MIDI_SETTINGS = {
   inputId: 'virtual-midi-in',
   outputId: 'virtual-midi-out',
+  recordInputId: 'virtual-midi-in',
+};
+const RECORD_MODES = new Set(['overwrite', 'touch', 'latch']);
+const DEFAULT_RECORDING_SETTINGS = {
+  mode: 'overwrite',
+  touchTimeout: 0.5,
+  autoSimplify: false,
+  simplifyTolerance: 1,
+  simplifyTimeTolerance: 0,
 };
 const DEFAULT_MIDI_TRACK_SETTINGS = {
   outputId: DEFAULT_MIDI_SETTINGS.outputId,
@@ -89,6 +151,7 @@ const DEFAULT_DMX_TRACK_SETTINGS = {
 const DEFAULT_AUDIO_TRACK_SETTINGS = {
   src: '',
   nativePath: '',
+  sourcePath: '',
   name: '',
   duration: 0,
   clipStart: 0,
@@ -207,6 +270,20 @@ const normalizeOscOutput = (output, fallback, index) => {
         ? source.host.trim()
         : fallback.host,
     port: normalizePort(source.port, fallback.port),
+    transport: OSC_OUTPUT_TRANSPORTS.has(source.transport) ? source.transport : 'udp',
+    bundle: Boolean(source.bundle),
+    bundleMtu: clamp(
+      Math.round(toFinite(source.bundleMtu, DEFAULT_OSC_BUNDLE_SETTINGS.bundleMtu)),
+      128,
+      65507
+    ),
+    bundleTimetag: source.bundleTimetag === 'future' ? 'future' : 'immediate',
+    bundleLatencyMs: clamp(
+      Math.round(toFinite(source.bundleLatencyMs, DEFAULT_OSC_BUNDLE_SETTINGS.bundleLatencyMs)),
+      0,
+      5000
+    ),
+    sendPolicy: normalizeOscSendPolicy(source.sendPolicy),
   };
 };
 
@@ -229,6 +306,9 @@ const normalizeOscOutputs = (outputs, fallback) => {
     name: 'Main',
     host: fallback.host,
     port: normalizePort(fallback.port, DEFAULT_OSC_SETTINGS.port),
+    transport: 'udp',
+    ...DEFAULT_OSC_BUNDLE_SETTINGS,
+    sendPolicy: normalizeOscSendPolicy(),
   }];
 };
 
@@ -309,6 +389,13 @@ const normalizeOscArrayValueCount = (value) => (
   clamp(Math.round(toFinite(value, DEFAULT_OSC_ARRAY_TRACK_SETTINGS.valueCount)), 1, 20)
 );
 
+const normalizeOscArraySlotTypes = (value, count, fallback) => {
+  const raw = Array.isArray(value) ? value : [];
+  return Array.from({ length: normalizeOscArrayValueCount(count) }, (_, index) => (
+    normalizeOscArgumentType(raw[index], fallback)
+  ));
+};
+
 const normalizeOscArrayValues = (value, count, fallback, min, max) => {
   const safeCount = normalizeOscArrayValueCount(count);
   const raw = Array.isArray(value) ? value : [];
@@ -592,8 +679,10 @@ const normalizeTrack = (track, fallbackColor = '#5dd8c7') => {
 
   if (next.kind === 'osc-array') {
     const oscArray = track.oscArray || {};
+    const valueCount = normalizeOscArrayValueCount(oscArray.valueCount);
     next.oscArray = {
-      valueCount: normalizeOscArrayValueCount(oscArray.valueCount),
+      valueCount,
+      types: normalizeOscArraySlotTypes(oscArray.types, valueCount, next.oscValueType),
     };
     next.oscAddress = normalizeOscAddress(next.oscAddress, '/osc/array');
   }
@@ -619,6 +708,18 @@ const normalizeTrack = (track, fallbackColor = '#5dd8c7') => {
     next.oscAddress = '';
   }
 
+  if (OUTPUT_MAP_TRACK_KINDS.has(next.kind)) {
+    next.outputMap = normalizeOutputMap(track.outputMap);
+  } else {
+    delete next.outputMap;
+  }
+
+  if (OSC_SEND_TRACK_KINDS.has(next.kind)) {
+    next.oscSendPolicy = normalizeOscSendPolicy(track.oscSendPolicy, { allowInherit: true });
+  } else {
+    delete next.oscSendPolicy;
+  }
+
   if (next.kind === 'midi' || next.kind === 'midi-pc') {
     next.default = normalizeMidiCcValue(next.default, 0);
   } else if (next.kind === 'midi-note') {
@@ -648,6 +749,11 @@ const normalizeTrack = (track, fallbackColor = '#5dd8c7') => {
         );
         normalized.d = Math.max(toFinite(node?.d, 1), 0);
         normalized.y = clamp(toFinite(node?.y, 0.5), 0, 1);
+        if (Array.isArray(node?.args)) {
+          normalized.args = normalizeOscArguments(node.args);
+        } else {
+          delete normalized.args;
+        }
       }
       if (next.kind === 'dmx-color') {
         normalized.c = normalizeTrackColor(
@@ -671,6 +777,11 @@ const normalizeTrack = (track, fallbackColor = '#5dd8c7') => {
           next.max
         );
         normalized.v = normalized.arr[0] ?? normalized.v;
+        if (next.oscArray.types.some((type) => !isNumericOscArgumentType(type))) {
+          normalized.arrArgs = normalizeOscArrayNodeArgs(next, node);
+        } else {
+          delete normalized.arrArgs;
+        }
       }
       if (next.kind === 'osc-3d') {
         const bounds = normalizeOsc3dSettings(next.osc3d).bounds;
@@ -687,6 +798,12 @@ const normalizeTrack = (track, fallbackColor = '#5dd8c7') => {
       if (next.kind === 'midi-note') {
         normalized.v = clamp(Math.round(toFinite(node?.v, next.default)), 0, 127);
         normalized.d = Math.max(toFinite(node?.d, 0.5), 0.01);
+        // Recorded notes keep their own velocity; without one the track velocity is used.
+        if (node?.vel === null || node?.vel === undefined || !Number.isFinite(Number(node.vel))) {
+          delete normalized.vel;
+        } else {
+          normalized.vel = clamp(Math.round(Number(node.vel)), 0, 127);
+        }
       }
       if (next.kind === 'midi-pc') {
         normalized.v = normalizeMidiCcValue(node?.v, next.default);
@@ -704,12 +821,14 @@ const normalizeTrack = (track, fallbackColor = '#5dd8c7') => {
   if (next.kind === 'audio') {
     const audioSrc = typeof next.audio?.src === 'string' ? next.audio.src : '';
     const audioNativePath = typeof next.audio?.nativePath === 'string' ? next.audio.nativePath : '';
+    const audioSourcePath = typeof next.audio?.sourcePath === 'string' ? next.audio.sourcePath : '';
     const channels = normalizeAudioChannels(next.audio?.channels);
     next.audio = {
       ...DEFAULT_AUDIO_TRACK_SETTINGS,
       ...(next.audio || {}),
       src: audioSrc.startsWith('file://') ? '' : audioSrc,
       nativePath: audioNativePath,
+      sourcePath: audioSourcePath,
       duration: Math.max(toFinite(next.audio?.duration, 0), 0),
       clipStart: Math.max(toFinite(next.audio?.clipStart, 0), 0),
       volume: clamp(toFinite(next.audio?.volume, 1), 0, 1),
@@ -759,14 +878,19 @@ const normalizeView = (view) => {
     end = length;
     start = Math.max(end - safeSpan, 0);
   }
-  let loopStart = clamp(toFinite(view.loopStart, start), 0, length);
-  let loopEnd = clamp(toFinite(view.loopEnd, end), 0, length);
-  if (loopEnd - loopStart < MIN_LOOP_SPAN_SECONDS) {
-    loopEnd = clamp(loopStart + MIN_LOOP_SPAN_SECONDS, 0, length);
-    if (loopEnd - loopStart < MIN_LOOP_SPAN_SECONDS) {
-      loopStart = clamp(loopEnd - MIN_LOOP_SPAN_SECONDS, 0, length);
+  const normalizeRangeSpan = (rawStart, rawEnd) => {
+    let rangeStart = clamp(toFinite(rawStart, start), 0, length);
+    let rangeEnd = clamp(toFinite(rawEnd, end), 0, length);
+    if (rangeEnd - rangeStart < MIN_LOOP_SPAN_SECONDS) {
+      rangeEnd = clamp(rangeStart + MIN_LOOP_SPAN_SECONDS, 0, length);
+      if (rangeEnd - rangeStart < MIN_LOOP_SPAN_SECONDS) {
+        rangeStart = clamp(rangeEnd - MIN_LOOP_SPAN_SECONDS, 0, length);
+      }
     }
-  }
+    return [rangeStart, rangeEnd];
+  };
+  const [loopStart, loopEnd] = normalizeRangeSpan(view.loopStart, view.loopEnd);
+  const [punchIn, punchOut] = normalizeRangeSpan(view.punchIn, view.punchOut);
   return {
     ...view,
     trackHeight: clamp(toFinite(view.trackHeight, 96), 64, 640),
@@ -776,14 +900,23 @@ const normalizeView = (view) => {
     loopEnabled: Boolean(view.loopEnabled),
     loopStart,
     loopEnd,
+    punchEnabled: Boolean(view.punchEnabled),
+    punchIn,
+    punchOut,
   };
 };
 
+const normalizeCueName = (name) => (typeof name === 'string' ? name.trim() : '');
+
 const normalizeCues = (cues, length) => (Array.isArray(cues) ? cues : [])
-  .map((cue) => ({
-    id: cue.id ?? createCueId(),
-    t: clamp(cue.t ?? 0, 0, length),
-  }))
+  .map((cue) => {
+    const name = normalizeCueName(cue.name);
+    return {
+      id: cue.id ?? createCueId(),
+      t: clamp(cue.t ?? 0, 0, length),
+      ...(name ? { name } : {}),
+    };
+  })
   .sort((a, b) => a.t - b.t);
 
 const normalizeTracks = (tracks, oscOutputIds = new Set([DEFAULT_OSC_OUTPUT_ID]), fallbackOscOutputId = DEFAULT_OSC_OUTPUT_ID) => {
@@ -940,6 +1073,23 @@ const normalizeProject = (project) => {
     outputs: oscOutputs,
     listenPort: normalizePort(project.osc?.listenPort, DEFAULT_OSC_SETTINGS.listenPort),
     controlPort: normalizePort(project.osc?.controlPort, DEFAULT_OSC_SETTINGS.controlPort),
+    queryEnabled: Boolean(project.osc?.queryEnabled),
+    queryPort: normalizePort(project.osc?.queryPort, DEFAULT_OSC_SETTINGS.queryPort),
+    queryAdvertise: project.osc?.queryAdvertise !== false,
+    feedbackMode: OSC_FEEDBACK_MODES.has(project.osc?.feedbackMode)
+      ? project.osc.feedbackMode
+      : DEFAULT_OSC_SETTINGS.feedbackMode,
+    feedbackHost: typeof project.osc?.feedbackHost === 'string' && project.osc.feedbackHost.trim()
+      ? project.osc.feedbackHost.trim()
+      : DEFAULT_OSC_SETTINGS.feedbackHost,
+    feedbackPort: normalizePort(project.osc?.feedbackPort, DEFAULT_OSC_SETTINGS.feedbackPort),
+    recordInclude: typeof project.osc?.recordInclude === 'string'
+      ? project.osc.recordInclude
+      : DEFAULT_OSC_SETTINGS.recordInclude,
+    recordExclude: typeof project.osc?.recordExclude === 'string'
+      ? project.osc.recordExclude
+      : DEFAULT_OSC_SETTINGS.recordExclude,
+    routes: normalizeOscRoutes(project.osc?.routes),
   };
   const midi = {
     inputId:
@@ -950,6 +1100,29 @@ const normalizeProject = (project) => {
       typeof project.midi?.outputId === 'string' && project.midi.outputId
         ? project.midi.outputId
         : DEFAULT_MIDI_SETTINGS.outputId,
+    recordInputId:
+      typeof project.midi?.recordInputId === 'string' && project.midi.recordInputId
+        ? project.midi.recordInputId
+        : DEFAULT_MIDI_SETTINGS.recordInputId,
+  };
+  const recording = {
+    mode: RECORD_MODES.has(project.recording?.mode) ? project.recording.mode : DEFAULT_RECORDING_SETTINGS.mode,
+    touchTimeout: clamp(
+      toFinite(project.recording?.touchTimeout, DEFAULT_RECORDING_SETTINGS.touchTimeout),
+      0.05,
+      10
+    ),
+    autoSimplify: Boolean(project.recording?.autoSimplify),
+    simplifyTolerance: clamp(
+      toFinite(project.recording?.simplifyTolerance, DEFAULT_RECORDING_SETTINGS.simplifyTolerance),
+      0,
+      100
+    ),
+    simplifyTimeTolerance: clamp(
+      toFinite(project.recording?.simplifyTimeTolerance, DEFAULT_RECORDING_SETTINGS.simplifyTimeTolerance),
+      0,
+      1
+    ),
   };
   const sourceCompositions = Array.isArray(project.compositions) && project.compositions.length
     ? project.compositions
@@ -981,10 +1154,12 @@ const normalizeProject = (project) => {
 
   return {
     ...project,
+    schemaVersion: Math.max(Math.floor(toFinite(project.schemaVersion, 0)), PROJECT_SCHEMA_VERSION),
     view: activeComposition.view,
     osc,
     audio,
     midi,
+    recording,
     activeCompositionId,
     compositions,
     timebase: {
@@ -1029,16 +1204,18 @@ const createTrack = (index, view, kind = 'osc', options = {}) => {
         : kind === 'dmx'
           ? `DMX ${String(index).padStart(2, '0')}`
         : `Track ${String(index).padStart(2, '0')}`;
-  const min = kind === 'osc-3d'
+  const kindMin = kind === 'osc-3d'
     ? DEFAULT_OSC_3D_TRACK_SETTINGS.bounds.yMin
     : (kind === 'midi' || kind === 'midi-note' || kind === 'midi-pc' || kind === 'dmx' || kind === 'dmx-color' || kind === 'osc-color'
       ? 0
       : 0);
-  const max = kind === 'midi' || kind === 'midi-note' || kind === 'midi-pc'
+  const kindMax = kind === 'midi' || kind === 'midi-note' || kind === 'midi-pc'
     ? 127
     : (kind === 'osc-3d'
       ? DEFAULT_OSC_3D_TRACK_SETTINGS.bounds.yMax
       : ((kind === 'dmx' || kind === 'dmx-color' || kind === 'osc-color') ? 255 : 1));
+  const min = Number.isFinite(options.min) ? options.min : kindMin;
+  const max = Number.isFinite(options.max) ? options.max : kindMax;
   const def = kind === 'audio'
     ? 1
     : (
@@ -1064,7 +1241,7 @@ const createTrack = (index, view, kind = 'osc', options = {}) => {
     );
   const base = {
     id,
-    name,
+    name: typeof options.name === 'string' && options.name.trim() ? options.name.trim() : name,
     kind,
     groupId: '',
     color: pickTrackColor(index),
@@ -1080,9 +1257,12 @@ const createTrack = (index, view, kind = 'osc', options = {}) => {
           : DEFAULT_OSC_OUTPUT_ID
       )
       : '',
-    oscValueType: kind === 'osc' || kind === 'osc-array' || kind === 'osc-flag' || kind === 'osc-3d' ? 'float' : '',
-    oscAddress:
-      kind === 'osc'
+    oscValueType: kind === 'osc' || kind === 'osc-array' || kind === 'osc-flag' || kind === 'osc-3d'
+      ? (options.oscValueType === 'int' ? 'int' : 'float')
+      : '',
+    oscAddress: typeof options.oscAddress === 'string' && options.oscAddress.trim()
+      ? options.oscAddress.trim()
+      : kind === 'osc'
         ? `/track/${index}/value`
         : (kind === 'osc-array'
           ? `/track/${index}/send`
@@ -1286,6 +1466,7 @@ const createTrack = (index, view, kind = 'osc', options = {}) => {
       ],
       oscArray: {
         valueCount,
+        ...(Array.isArray(oscArrayOptions.types) ? { types: oscArrayOptions.types } : {}),
       },
     };
   }
@@ -1407,6 +1588,9 @@ export const createInitialState = () => {
     midi: {
       ...DEFAULT_MIDI_SETTINGS,
     },
+    recording: {
+      ...DEFAULT_RECORDING_SETTINGS,
+    },
     view: {
       start: 0,
       end: DEFAULT_VIEW_SPAN_SECONDS,
@@ -1425,9 +1609,24 @@ export const createInitialState = () => {
     selectedTrackId: project.tracks[0]?.id ?? null,
     historyPast: [],
     historyFuture: [],
+    revision: 0,
+    revisionCounter: 0,
+    savedRevision: 0,
+    historyActionCount: 0,
   };
 };
 
+export const prepareProjectForLoad = (rawProject) => {
+  const { project: migrated, report } = migrateProject(rawProject);
+  const project = normalizeProject(migrated);
+  collectNormalizationChanges(migrated, project, report);
+  return { project, report };
+};
+
+export const isProjectDirty = (state) => (
+  (state?.revision ?? 0) !== (state?.savedRevision ?? 0)
+);
+
 const findNodeIndexWithinTolerance = (nodes, time, tolerance) => {
   if (!Array.isArray(nodes) || nodes.length === 0) return -1;
   const lastIndex = nodes.length - 1;
@@ -1474,6 +1673,90 @@ const findInsertIndex = (nodes, time) => {
   return left;
 };
 
+const RECORDABLE_OSC_TRACK_KINDS = new Set(['osc', 'osc-array', 'osc-3d', 'osc-color']);
+const OSC_COLOR_ADDRESS_RE = /colou?r|rgb/i;
+
+// Recorded samples carry the `{ type, value }` pairs of the incoming message; int64 arrives
+// as text and only counts as a number while it fits a double exactly.
+const getRecordedOscArgNumber = (arg) => {
+  if (!isNumericOscArgumentType(arg?.type)) return null;
+  const value = arg.type === 'int64' ? Number(arg.value) : arg.value;
+  if (arg.type === 'int64') return Number.isSafeInteger(value) ? value : null;
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+const isRecordedOscNumberArg = (arg) => getRecordedOscArgNumber(arg) !== null;
+
+const getRecordedOscArgType = (arg) => normalizeOscArgumentType(arg?.type, 'nil');
+
+const getRecordedOscArgs = (sample, rawValue) => {
+  const args = Array.isArray(sample?.args) && sample.args.length > 1 ? sample.args : null;
+  if (!args) return [{ type: 'float', value: rawValue }];
+  return args.map((arg) => (
+    arg && typeof arg === 'object' && typeof arg.type === 'string' ? arg : { type: 'nil', value: null }
+  ));
+};
+
+// New addresses get a track kind from their argument vector: one value stays a scalar track,
+// three or four values named like a color become OSC Color, three values become 3D OSC.
+const inferRecordedOscTrackKind = (address, args) => {
+  if (args.length <= 1) return 'osc';
+  const isNumeric = args.every(isRecordedOscNumberArg);
+  if (isNumeric && (args.length === 3 || args.length === 4) && OSC_COLOR_ADDRESS_RE.test(address)) {
+    return 'osc-color';
+  }
+  if (isNumeric && args.length === 3) return 'osc-3d';
+  return 'osc-array';
+};
+
+const isSameRecordedNode = (node, patch) => Object.keys(patch).every((key) => {
+  const value = patch[key];
+  if (!Array.isArray(value)) return node[key] === value;
+  const current = node[key];
+  return Array.isArray(current)
+    && current.length === value.length
+    && value.every((item, index) => current[index] === item);
+});
+
+// Drops the old curve strictly after `from` and more than half a frame before `to`.
+const clearRecordedSpan = (nodes, from, to, match = null) => {
+  const startIndex = findInsertIndex(nodes, from);
+  let endIndex = startIndex;
+  while (endIndex < nodes.length && (nodes[endIndex]?.t ?? 0) < to) endIndex += 1;
+  if (endIndex === startIndex) return false;
+  if (!match) {
+    nodes.splice(startIndex, endIndex - startIndex);
+    return true;
+  }
+  let removed = false;
+  for (let index = endIndex - 1; index >= startIndex; index -= 1) {
+    if (!match(nodes[index])) continue;
+    nodes.splice(index, 1);
+    removed = true;
+  }
+  return removed;
+};
+
+// Writes one recorded frame, replacing a node within half a frame of `time` instead of stacking.
+const writeRecordedNode = (nodes, time, patch, mergeTolerance) => {
+  const lastNode = nodes.length ? nodes[nodes.length - 1] : null;
+  if (!lastNode || time > lastNode.t + mergeTolerance) {
+    nodes.push({ id: createNodeId(), t: time, ...patch, curve: 'linear' });
+    return true;
+  }
+  const nodeIndex = Math.abs(lastNode.t - time) <= mergeTolerance
+    ? nodes.length - 1
+    : findNodeIndexWithinTolerance(nodes, time, mergeTolerance);
+  if (nodeIndex >= 0) {
+    const previous = nodes[nodeIndex];
+    if (previous.t === time && isSameRecordedNode(previous, patch)) return false;
+    nodes[nodeIndex] = { ...previous, t: time, ...patch };
+    return true;
+  }
+  nodes.splice(findInsertIndex(nodes, time), 0, { id: createNodeId(), t: time, ...patch, curve: 'linear' });
+  return true;
+};
+
 const ingestOscSamples = (state, sampleList) => {
   const samples = Array.isArray(sampleList) ? sampleList : [sampleList];
   if (!samples.length) return state;
@@ -1488,7 +1771,7 @@ const ingestOscSamples = (state, sampleList) => {
   const defaultOscOutputId = getDefaultOscOutputIdFromProject(state.project);
 
   tracks.forEach((track, index) => {
-    if (track.kind !== 'osc') return;
+    if (!RECORDABLE_OSC_TRACK_KINDS.has(track.kind)) return;
     const address = normalizeOscAddress(track.oscAddress, '/osc/input');
     if (!addressToIndex.has(address)) {
       addressToIndex.set(address, index);
@@ -1507,21 +1790,46 @@ const ingestOscSamples = (state, sampleList) => {
     return tracks[index];
   };
 
-  const createOscTrackForAddress = (address, rawValue) => {
+  const getRecordedRange = (values) => {
+    const min = Math.floor(Math.min(0, ...values));
+    const max = Math.ceil(Math.max(1, ...values));
+    return { min, max: min === max ? min + 1 : max };
+  };
+
+  const createOscTrackForAddress = (address, rawValue, args) => {
     const index = tracks.length + 1;
-    const min = Math.floor(Math.min(0, rawValue));
-    const max = Math.ceil(Math.max(1, rawValue));
-    const safeMax = min === max ? min + 1 : max;
-    const baseTrack = createTrack(index, state.project.view, 'osc', {
+    const kind = inferRecordedOscTrackKind(address, args);
+    const numbers = args.map(getRecordedOscArgNumber).filter((value) => value !== null);
+    const isIntegerArg = args.length === 1 && (args[0].type === 'int' || args[0].type === 'int64');
+    const baseTrack = createTrack(index, state.project.view, kind, {
       oscOutputId: defaultOscOutputId,
+      ...(kind === 'osc' && isIntegerArg ? { oscValueType: 'int' } : {}),
     });
+    let patch = {};
+    if (kind === 'osc') {
+      const { min, max } = getRecordedRange([rawValue]);
+      patch = { min, max, default: clamp(rawValue, min, max) };
+    } else if (kind === 'osc-array') {
+      const slotArgs = args.slice(0, 20);
+      patch = {
+        ...getRecordedRange(numbers),
+        oscArray: { valueCount: slotArgs.length, types: slotArgs.map(getRecordedOscArgType) },
+      };
+    } else if (kind === 'osc-color') {
+      patch = {
+        oscColor: {
+          ...baseTrack.oscColor,
+          fixtureType: args.length === 4 ? 'rgbw' : 'rgb',
+          outputRange: numbers.every((value) => value <= 1) ? 'unit' : 'byte',
+        },
+      };
+    }
     const nextTrack = normalizeTrack({
       ...baseTrack,
+      ...patch,
       name: buildAutoTrackName(address, index),
       oscAddress: address,
-      min,
-      max: safeMax,
-      default: clamp(rawValue, min, safeMax),
+      nodes: [],
     });
     tracks.push(nextTrack);
     const newIndex = tracks.length - 1;
@@ -1531,17 +1839,82 @@ const ingestOscSamples = (state, sampleList) => {
     return nextTrack;
   };
 
+  const expandTrackRange = (target, values) => {
+    const nextMin = Math.min(target.min, ...values);
+    const nextMax = Math.max(target.max, ...values);
+    const max = nextMax === nextMin ? nextMin + 1 : nextMax;
+    if (target.min === nextMin && target.max === max) return;
+    target.min = nextMin;
+    target.max = max;
+    target.default = clamp(toFinite(target.default, nextMin), nextMin, max);
+    changed = true;
+  };
+
+  const buildScalarPatch = (target, rawValue) => {
+    expandTrackRange(target, [rawValue]);
+    return { v: clamp(rawValue, target.min, target.max) };
+  };
+
+  const buildArrayPatch = (target, args) => {
+    const types = getOscArraySlotTypes(target);
+    const numbers = types.map((type, index) => (
+      isNumericOscArgumentType(type) && args[index] ? getRecordedOscArgNumber(args[index]) : null
+    ));
+    expandTrackRange(target, numbers.filter((value) => value !== null));
+    const fallback = normalizeOscArrayNodeValues(target, target.nodes[target.nodes.length - 1]);
+    const arr = numbers.map((value, index) => clamp(value ?? fallback[index], target.min, target.max));
+    const patch = { v: arr[0], arr };
+    if (types.some((type) => !isNumericOscArgumentType(type))) {
+      patch.arrArgs = types.map((type, index) => (
+        isNumericOscArgumentType(type) || !args[index] || args[index].type === 'nil'
+          ? null
+          : normalizeOscArgumentValue(type, args[index].value)
+      ));
+    }
+    return patch;
+  };
+
+  const build3dPatch = (target, numbers) => {
+    const bounds = normalizeOsc3dBounds(target);
+    const fallback = normalizeOsc3dNodeValues(target, target.nodes[target.nodes.length - 1]);
+    const xyz = fallback.map((value, index) => (Number.isFinite(numbers[index]) ? numbers[index] : value));
+    const nextBounds = {
+      xMin: Math.min(bounds.xMin, xyz[0]),
+      xMax: Math.max(bounds.xMax, xyz[0]),
+      yMin: Math.min(bounds.yMin, xyz[1]),
+      yMax: Math.max(bounds.yMax, xyz[1]),
+      zMin: Math.min(bounds.zMin, xyz[2]),
+      zMax: Math.max(bounds.zMax, xyz[2]),
+    };
+    if (Object.keys(nextBounds).some((key) => nextBounds[key] !== bounds[key])) {
+      target.osc3d = { ...target.osc3d, bounds: nextBounds };
+      target.min = nextBounds.yMin;
+      target.max = nextBounds.yMax;
+      target.default = clamp(toFinite(target.default, target.min), target.min, target.max);
+      changed = true;
+    }
+    return { v: xyz[1], arr: xyz };
+  };
+
+  const buildColorPatch = (target, numbers) => {
+    const hex = colorTrackValuesToHex(target, numbers);
+    if (!hex) return null;
+    const rgb = parseHexColor(hex);
+    return { v: Math.max(rgb.r, rgb.g, rgb.b), c: hex };
+  };
+
   samples.forEach((sample) => {
     const rawValue = Number(sample?.value);
     if (!Number.isFinite(rawValue)) return;
 
     const address = normalizeOscAddress(sample?.address, '/osc/input');
+    const args = getRecordedOscArgs(sample, rawValue);
     const shouldRecord = sample?.record !== false;
     const time = clamp(toFinite(sample?.time, 0), 0, maxTime);
 
     let targetIndex = addressToIndex.get(address);
     if (!Number.isInteger(targetIndex)) {
-      createOscTrackForAddress(address, rawValue);
+      createOscTrackForAddress(address, rawValue, args);
       targetIndex = addressToIndex.get(address);
     }
     if (!Number.isInteger(targetIndex)) return;
@@ -1552,72 +1925,27 @@ const ingestOscSamples = (state, sampleList) => {
     const target = ensureMutableTrack(targetIndex);
     if (!target) return;
 
-    const nextMin = Math.min(target.min, rawValue);
-    const nextMax = Math.max(target.max, rawValue);
-    const min = nextMin;
-    const max = nextMax === nextMin ? nextMin + 1 : nextMax;
-
-    if (shouldRecord) {
-      const nextValue = clamp(rawValue, min, max);
-      const nodes = target.nodes;
-      const lastNode = nodes.length ? nodes[nodes.length - 1] : null;
-
-      if (!lastNode) {
-        nodes.push({
-          id: createNodeId(),
-          t: time,
-          v: nextValue,
-          curve: 'linear',
-        });
-        changed = true;
-      } else if (Math.abs(lastNode.t - time) <= mergeTolerance) {
-        if (lastNode.t !== time || lastNode.v !== nextValue) {
-          lastNode.t = time;
-          lastNode.v = nextValue;
-          changed = true;
-        }
-      } else if (time > lastNode.t) {
-        nodes.push({
-          id: createNodeId(),
-          t: time,
-          v: nextValue,
-          curve: 'linear',
-        });
-        changed = true;
-      } else {
-        const nodeIndex = findNodeIndexWithinTolerance(nodes, time, mergeTolerance);
-        if (nodeIndex >= 0) {
-          const previous = nodes[nodeIndex];
-          if (previous.t !== time || previous.v !== nextValue) {
-            nodes[nodeIndex] = {
-              ...previous,
-              t: time,
-              v: nextValue,
-            };
-            changed = true;
-          }
-        } else {
-          const insertIndex = findInsertIndex(nodes, time);
-          nodes.splice(insertIndex, 0, {
-            id: createNodeId(),
-            t: time,
-            v: nextValue,
-            curve: 'linear',
-          });
-          changed = true;
-        }
-      }
+    const numbers = args.map(getRecordedOscArgNumber).filter((value) => value !== null);
+    let patch;
+    if (target.kind === 'osc-array') {
+      patch = buildArrayPatch(target, args);
+    } else if (target.kind === 'osc-3d') {
+      patch = build3dPatch(target, numbers);
+    } else if (target.kind === 'osc-color') {
+      patch = buildColorPatch(target, numbers);
+    } else {
+      patch = buildScalarPatch(target, rawValue);
     }
-
+    if (!patch) return;
+    const replaceFrom = Number(sample?.replaceFrom);
     if (
-      target.min !== min
-      || target.max !== max
-      || normalizeOscAddress(target.oscAddress, '/osc/input') !== address
+      Number.isFinite(replaceFrom)
+      && replaceFrom < time
+      && clearRecordedSpan(target.nodes, replaceFrom, time - mergeTolerance)
     ) {
-      target.min = min;
-      target.max = max;
-      target.default = clamp(toFinite(target.default, min), min, max);
-      target.oscAddress = address;
+      changed = true;
+    }
+    if (writeRecordedNode(target.nodes, time, patch, mergeTolerance)) {
       changed = true;
     }
   });
@@ -1650,6 +1978,128 @@ const ingestOscSamples = (state, sampleList) => {
   };
 };
 
+const getRecordedMidiKey = (type, channel, number) => (
+  type === 'cc' ? `cc:${channel}:${number}` : `${type}:${channel}`
+);
+
+const getTrackMidiKey = (track) => {
+  const channel = track.midi?.channel;
+  if (track.kind === 'midi') return getRecordedMidiKey('cc', channel, track.midi?.controlNumber);
+  if (track.kind === 'midi-note') return getRecordedMidiKey('note', channel);
+  if (track.kind === 'midi-pc') return getRecordedMidiKey('pc', channel);
+  return null;
+};
+
+// Samples come from the recorder already frame-quantized: { type: 'cc', channel, controller, value },
+// { type: 'note', channel, note, velocity, duration } or { type: 'pc', channel, program }, each with a time.
+// CC goes to the track with the same channel and controller, notes and program changes to the
+// channel's note and PC tracks; a track is created when none matches.
+const ingestMidiSamples = (state, sampleList) => {
+  const samples = Array.isArray(sampleList) ? sampleList : [];
+  if (!samples.length) return state;
+
+  const fps = Math.max(toFinite(state.project.timebase?.fps, 30), 1);
+  const mergeTolerance = 0.5 / fps;
+  const maxTime = Math.max(toFinite(state.project.view?.length, 0), 0);
+  const outputId = state.project.midi?.outputId || DEFAULT_MIDI_SETTINGS.outputId;
+  const tracks = [...state.project.tracks];
+  const keyToIndex = new Map();
+  const touchedIndexes = new Set();
+  let changed = false;
+
+  tracks.forEach((track, index) => {
+    const key = getTrackMidiKey(track);
+    if (key && !keyToIndex.has(key)) keyToIndex.set(key, index);
+  });
+
+  const createMidiTrack = (sample, key) => {
+    const index = tracks.length + 1;
+    const { type, channel, controller, note, program } = sample;
+    const kind = type === 'note' ? 'midi-note' : (type === 'pc' ? 'midi-pc' : 'midi');
+    const name = type === 'note'
+      ? `MIDI Notes Ch ${channel}`
+      : (type === 'pc' ? `MIDI PC Ch ${channel}` : `MIDI CC ${controller} Ch ${channel}`);
+    const midi = { outputId, channel, controlNumber: controller, note, program };
+    tracks.push(normalizeTrack(createTrack(index, state.project.view, kind, { name, midi })));
+    keyToIndex.set(key, tracks.length - 1);
+    return tracks.length - 1;
+  };
+
+  const ensureMutableTrack = (index) => {
+    if (!touchedIndexes.has(index)) {
+      tracks[index] = {
+        ...tracks[index],
+        nodes: Array.isArray(tracks[index].nodes) ? [...tracks[index].nodes] : [],
+      };
+      touchedIndexes.add(index);
+    }
+    return tracks[index];
+  };
+
+  const toMidiByte = (value) => clamp(Math.round(toFinite(value, 0)), 0, 127);
+
+  samples.forEach((raw) => {
+    const type = raw?.type;
+    if (type !== 'cc' && type !== 'note' && type !== 'pc') return;
+    const sample = {
+      type,
+      channel: clamp(Math.round(toFinite(raw.channel, 1)), 1, 16),
+      controller: toMidiByte(raw.controller),
+      note: toMidiByte(raw.note),
+      program: toMidiByte(raw.program),
+    };
+    const key = getRecordedMidiKey(type, sample.channel, sample.controller);
+    const time = clamp(toFinite(raw.time, 0), 0, maxTime);
+    let targetIndex = keyToIndex.get(key);
+    if (!Number.isInteger(targetIndex)) {
+      targetIndex = createMidiTrack(sample, key);
+      changed = true;
+    }
+    const target = ensureMutableTrack(targetIndex);
+
+    if (type === 'note') {
+      const duration = Math.max(toFinite(raw.duration, 1 / fps), 0.01);
+      // A recorded note replaces the notes of the same pitch that start inside it.
+      if (clearRecordedSpan(
+        target.nodes,
+        time - mergeTolerance,
+        time + duration - mergeTolerance,
+        (node) => node.v === sample.note
+      )) changed = true;
+      target.nodes.splice(findInsertIndex(target.nodes, time), 0, {
+        id: createNodeId(),
+        t: time,
+        v: sample.note,
+        d: duration,
+        vel: toMidiByte(raw.velocity),
+        curve: 'linear',
+      });
+      changed = true;
+      return;
+    }
+
+    const replaceFrom = Number(raw.replaceFrom);
+    if (
+      Number.isFinite(replaceFrom)
+      && replaceFrom < time
+      && clearRecordedSpan(target.nodes, replaceFrom, time - mergeTolerance)
+    ) {
+      changed = true;
+    }
+    const patch = type === 'pc'
+      ? { v: sample.program, y: 0.5 }
+      : { v: toMidiByte(raw.value) };
+    if (writeRecordedNode(target.nodes, time, patch, mergeTolerance)) changed = true;
+  });
+
+  if (!changed) return state;
+
+  return {
+    ...state,
+    project: { ...state.project, tracks },
+  };
+};
+
 const reduceProjectState = (state, action) => {
   switch (action.type) {
     case 'select-track':
@@ -1778,12 +2228,19 @@ const reduceProjectState = (state, action) => {
               : composition.name,
         };
         if (next.name !== composition.name) changed = true;
+        if (action.patch.view && typeof action.patch.view === 'object') {
+          next.view = normalizeView({ ...composition.view, ...action.patch.view });
+          changed = true;
+        }
         return next;
       });
       if (!changed) return state;
+      const active = syncedProject.activeCompositionId === id
+        ? compositions.find((composition) => composition.id === id)
+        : null;
       return {
         ...state,
-        project: { ...syncedProject, compositions },
+        project: { ...syncedProject, compositions, ...(active ? { view: active.view } : {}) },
       };
     }
     case 'set-unit':
@@ -1809,6 +2266,7 @@ const reduceProjectState = (state, action) => {
             ltc: { ...state.project.audio?.ltc, ...action.patch.audio?.ltc },
           },
           midi: { ...state.project.midi, ...action.patch.midi },
+          recording: { ...state.project.recording, ...action.patch.recording },
         },
       };
       return {
@@ -1867,6 +2325,51 @@ const reduceProjectState = (state, action) => {
         selectedTrackId: addedTracks[addedTracks.length - 1]?.id ?? state.selectedTrackId,
       };
     }
+    case 'import-midi-file': {
+      const items = Array.isArray(action.tracks) ? action.tracks : [];
+      const importedCues = Array.isArray(action.cues) ? action.cues : [];
+      if (!items.length && !importedCues.length) return state;
+      const view = {
+        ...state.project.view,
+        length: Math.max(state.project.view.length, toFinite(action.length, 0)),
+      };
+      const outputId = state.project.midi?.outputId || DEFAULT_MIDI_SETTINGS.outputId;
+      const startIndex = state.project.tracks.length + 1;
+      // Ids get an index suffix since a file can hold more nodes than the random part keeps apart.
+      const addedTracks = items.map((item, offset) => {
+        const index = startIndex + offset;
+        const track = createTrack(index, view, item.kind, {
+          name: item.name,
+          midi: { ...item.midi, outputId },
+        });
+        const idPrefix = createNodeId();
+        const nodes = (Array.isArray(item.nodes) ? item.nodes : [])
+          .map((node, nodeIndex) => ({ ...node, id: `${idPrefix}-${nodeIndex}` }));
+        return normalizeTrack({ ...track, nodes }, pickTrackColor(index));
+      });
+      const cueIdPrefix = createCueId();
+      const cues = [
+        ...(state.project.cues || []),
+        ...importedCues.map((cue, index) => {
+          const name = normalizeCueName(cue.name);
+          return {
+            id: `${cueIdPrefix}-${index}`,
+            t: clamp(toFinite(cue.t, 0), 0, view.length),
+            ...(name ? { name } : {}),
+          };
+        }),
+      ].sort((a, b) => a.t - b.t);
+      return {
+        ...state,
+        project: {
+          ...state.project,
+          view,
+          cues,
+          tracks: [...state.project.tracks, ...addedTracks],
+        },
+        selectedTrackId: addedTracks[0]?.id ?? state.selectedTrackId,
+      };
+    }
     case 'paste-tracks': {
       const sourceTracks = Array.isArray(action.tracks) ? action.tracks.filter(Boolean) : [];
       if (!sourceTracks.length) return state;
@@ -1948,6 +2451,8 @@ const reduceProjectState = (state, action) => {
       return ingestOscSamples(state, action);
     case 'ingest-osc-batch':
       return ingestOscSamples(state, action.samples);
+    case 'ingest-midi-batch':
+      return ingestMidiSamples(state, action.samples);
     case 'update-track': {
       const tracks = state.project.tracks.map((track) => {
         if (track.id !== action.id) return track;
@@ -1962,6 +2467,8 @@ const reduceProjectState = (state, action) => {
           audio: { ...track.audio, ...action.patch.audio },
           midi: { ...track.midi, ...action.patch.midi },
           dmx: { ...track.dmx, ...action.patch.dmx },
+          outputMap: { ...track.outputMap, ...action.patch.outputMap },
+          oscSendPolicy: { ...track.oscSendPolicy, ...action.patch.oscSendPolicy },
           oscArray: {
             ...track.oscArray,
             ...oscArrayPatch,
@@ -2029,7 +2536,7 @@ const reduceProjectState = (state, action) => {
       };
     }
     case 'load-project': {
-      const project = normalizeProject(action.project);
+      const project = normalizeProject(migrateProject(action.project).project);
       return {
         ...state,
         project: {
@@ -2145,6 +2652,7 @@ const reduceProjectState = (state, action) => {
               ),
               d: Math.max(toFinite(node?.d, 1), 0),
               y: clamp(toFinite(node?.y, 0.5), 0, 1),
+              ...(Array.isArray(node?.args) ? { args: node.args } : {}),
             }
             : {}),
           ...(track.kind === 'dmx-color'
@@ -2172,6 +2680,7 @@ const reduceProjectState = (state, action) => {
                 track.min,
                 track.max
               ),
+              ...(Array.isArray(node?.arrArgs) ? { arrArgs: node.arrArgs } : {}),
             }
             : {}),
           ...(track.kind === 'osc-3d'
@@ -2232,6 +2741,40 @@ const reduceProjectState = (state, action) => {
         project: { ...state.project, tracks },
       };
     }
+    case 'simplify-nodes': {
+      // targets: [{ id | address, from?, to? }]; tolerance is a percentage of each channel's range.
+      // Address targets resolve to the track recording uses for that address.
+      const addressTrackIds = new Map();
+      state.project.tracks.forEach((track) => {
+        if (!RECORDABLE_OSC_TRACK_KINDS.has(track.kind)) return;
+        const address = normalizeOscAddress(track.oscAddress, '/osc/input');
+        if (!addressTrackIds.has(address)) addressTrackIds.set(address, track.id);
+      });
+      const targets = new Map();
+      (Array.isArray(action.targets) ? action.targets : []).forEach((target) => {
+        const id = target?.id || addressTrackIds.get(target?.address);
+        if (id) targets.set(id, target);
+      });
+      if (!targets.size) return state;
+      const options = {
+        valueTolerance: Math.max(toFinite(action.tolerance, 0), 0) / 100,
+        timeTolerance: Math.max(toFinite(action.timeTolerance, 0), 0),
+      };
+      let changed = false;
+      const tracks = state.project.tracks.map((track) => {
+        const target = targets.get(track.id);
+        if (!target) return track;
+        const nodes = simplifyTrackNodes(track, { ...options, from: target.from, to: target.to });
+        if (nodes === track.nodes) return track;
+        changed = true;
+        return normalizeTrack({ ...track, nodes });
+      });
+      if (!changed) return state;
+      return {
+        ...state,
+        project: { ...state.project, tracks },
+      };
+    }
     case 'add-cue': {
       const cue = {
         id: createCueId(),
@@ -2245,7 +2788,15 @@ const reduceProjectState = (state, action) => {
     }
     case 'update-cue': {
       const cues = (state.project.cues || [])
-        .map((cue) => (cue.id === action.id ? { ...cue, t: action.time } : cue))
+        .map((cue) => {
+          if (cue.id !== action.id) return cue;
+          const next = { ...cue, t: Number.isFinite(action.time) ? action.time : cue.t };
+          if (typeof action.name !== 'string') return next;
+          const name = normalizeCueName(action.name);
+          if (name) return { ...next, name };
+          delete next.name;
+          return next;
+        })
         .map((cue) => ({ ...cue, t: clamp(cue.t, 0, state.project.view.length) }))
         .sort((a, b) => a.t - b.t);
       return {
@@ -2274,6 +2825,20 @@ const reduceProjectState = (state, action) => {
         project: { ...state.project, tracks },
       };
     }
+    case 'update-nodes': {
+      const patches = action.patches && typeof action.patches === 'object' ? action.patches : {};
+      const tracks = state.project.tracks.map((track) => {
+        if (track.id !== action.id) return track;
+        const nodes = track.nodes.map((node) => (
+          patches[node.id] ? { ...node, ...patches[node.id] } : node
+        ));
+        return normalizeTrack({ ...track, nodes });
+      });
+      return {
+        ...state,
+        project: { ...state.project, tracks },
+      };
+    }
     case 'zoom-time': {
       const view = state.project.view;
       const span = view.end - view.start;
@@ -2333,8 +2898,14 @@ const reduceProjectState = (state, action) => {
 const createHistorySnapshot = (state) => ({
   project: state.project,
   selectedTrackId: state.selectedTrackId,
+  revision: state.revision ?? 0,
 });
 
+const bumpRevision = (state) => {
+  const revisionCounter = (state.revisionCounter ?? 0) + 1;
+  return { revision: revisionCounter, revisionCounter };
+};
+
 const trimHistory = (entries) => {
   if (entries.length <= HISTORY_LIMIT) return entries;
   return entries.slice(entries.length - HISTORY_LIMIT);
@@ -2355,6 +2926,7 @@ export const projectReducer = (state, action) => {
       ...state,
       project: previous.project,
       selectedTrackId: previous.selectedTrackId,
+      revision: previous.revision ?? state.revision,
       historyPast: past.slice(0, -1),
       historyFuture: trimHistory([current, ...(state.historyFuture || [])]),
     };
@@ -2369,11 +2941,18 @@ export const projectReducer = (state, action) => {
       ...state,
       project: next.project,
       selectedTrackId: next.selectedTrackId,
+      revision: next.revision ?? state.revision,
       historyPast: trimHistory([...(state.historyPast || []), current]),
       historyFuture: future.slice(1),
     };
   }
 
+  if (action.type === 'mark-saved') {
+    const revision = Number.isFinite(action.revision) ? action.revision : state.revision ?? 0;
+    if (state.savedRevision === revision) return state;
+    return { ...state, savedRevision: revision };
+  }
+
   const reducedState = reduceProjectState(state, action);
   if (reducedState === state) return state;
   const nextState = reducedState.project === state.project
@@ -2384,15 +2963,23 @@ export const projectReducer = (state, action) => {
     };
 
   if (!shouldTrackHistory(action)) {
+    const contentChanged = UNTRACKED_CONTENT_ACTIONS.has(action.type)
+      && reducedState.project?.tracks !== state.project?.tracks;
     return {
       ...nextState,
+      ...(contentChanged ? bumpRevision(state) : {}),
       historyPast: state.historyPast || [],
       historyFuture: state.historyFuture || [],
     };
   }
 
+  const revisionState = bumpRevision(state);
   return {
     ...nextState,
+    ...revisionState,
+    // A loaded project is saved as of its own load revision.
+    ...(action.type === 'load-project' && action.markSaved ? { savedRevision: revisionState.revision } : {}),
+    historyActionCount: (state.historyActionCount ?? 0) + 1,
     historyPast: trimHistory([...(state.historyPast || []), createHistorySnapshot(state)]),
     historyFuture: [],
   };
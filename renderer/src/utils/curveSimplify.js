@@ -0,0 +1,197 @@
+import { CURVE_MENU_ITEMS, getCurveValueRatio } from '../../../shared/easingCurves.mjs';
+import {
+  HEX_COLOR_RE,
+  colorTrackValueToHex,
+  hasNonNumericOscArraySlots,
+  normalizeOsc3dBounds,
+  normalizeOsc3dNodeValues,
+  normalizeOscArrayNodeValues,
+  parseHexColor,
+} from '../../../shared/trackSampling.mjs';
+
+export const SIMPLIFIABLE_TRACK_KINDS = new Set([
+  'osc',
+  'osc-array',
+  'osc-3d',
+  'osc-color',
+  'dmx',
+  'dmx-color',
+  'midi',
+]);
+
+// Linear first so it wins ties; the rest keep their menu order.
+const CANDIDATE_CURVES = [
+  'linear',
+  ...CURVE_MENU_ITEMS
+    .filter((item) => !item.separator && item.id !== 'linear')
+    .map((item) => item.id),
+];
+const TOLERANCE_EPSILON = 1e-9;
+
+const readColorChannels = (track, node) => {
+  const hex = typeof node?.c === 'string' && HEX_COLOR_RE.test(node.c)
+    ? node.c
+    : colorTrackValueToHex(track, node?.v ?? track.default);
+  const rgb = parseHexColor(hex, '#000000');
+  return [rgb.r, rgb.g, rgb.b];
+};
+
+// How a track kind exposes its node values: `read` returns one number per channel, `spans`
+// scales each channel's tolerance, and nodes whose `key` differs from their neighbour are kept.
+const getSimplifyModel = (track) => {
+  const span = Math.max(Number(track.max) - Number(track.min), 0) || 1;
+  if (track.kind === 'osc-array') {
+    const count = normalizeOscArrayNodeValues(track, null).length;
+    return {
+      read: (node) => normalizeOscArrayNodeValues(track, node),
+      spans: Array.from({ length: count }, () => span),
+      curves: CANDIDATE_CURVES,
+      key: hasNonNumericOscArraySlots(track) ? (node) => JSON.stringify(node?.arrArgs ?? null) : null,
+    };
+  }
+  if (track.kind === 'osc-3d') {
+    const bounds = normalizeOsc3dBounds(track);
+    return {
+      read: (node) => normalizeOsc3dNodeValues(track, node),
+      spans: [
+        bounds.xMax - bounds.xMin || 1,
+        bounds.yMax - bounds.yMin || 1,
+        bounds.zMax - bounds.zMin || 1,
+      ],
+      curves: CANDIDATE_CURVES,
+      key: null,
+    };
+  }
+  if (track.kind === 'osc-color' || track.kind === 'dmx-color') {
+    // Color playback blends linearly whatever the node curve says.
+    return {
+      read: (node) => readColorChannels(track, node),
+      spans: [255, 255, 255],
+      curves: ['linear'],
+      key: null,
+    };
+  }
+  return {
+    read: (node) => [Number(node?.v) || 0],
+    spans: [span],
+    curves: CANDIDATE_CURVES,
+    key: null,
+  };
+};
+
+// Error of one point against the segment curve, in tolerance units. With a time tolerance the
+// point only has to land between the curve values a little before and after its own time.
+const getPointError = (from, to, point, curve, spans, valueTolerance, timeTolerance) => {
+  const duration = to.t - from.t;
+  if (duration <= 0) return 0;
+  const ratio = getCurveValueRatio((point.t - from.t) / duration, curve);
+  let lowRatio = ratio;
+  let highRatio = ratio;
+  if (timeTolerance > 0) {
+    const before = getCurveValueRatio(Math.max(point.t - timeTolerance - from.t, 0) / duration, curve);
+    const after = getCurveValueRatio(Math.min(point.t + timeTolerance - from.t, duration) / duration, curve);
+    lowRatio = Math.min(ratio, before, after);
+    highRatio = Math.max(ratio, before, after);
+  }
+  const scale = Math.max(valueTolerance, TOLERANCE_EPSILON);
+  let worst = 0;
+  for (let channel = 0; channel < spans.length; channel += 1) {
+    const start = from.values[channel];
+    const delta = to.values[channel] - start;
+    const a = start + delta * lowRatio;
+    const b = start + delta * highRatio;
+    const low = a < b ? a : b;
+    const high = a < b ? b : a;
+    const value = point.values[channel];
+    const distance = value < low ? low - value : (value > high ? value - high : 0);
+    const error = distance / (spans[channel] * scale);
+    if (error > worst) worst = error;
+  }
+  return worst;
+};
+
+// Picks the curve with the smallest worst-point error. When none fits, the segment is split at
+// the worst point of the closest curve, which lands on the corner an eased move bends around.
+const fitSegment = (points, start, end, model, valueTolerance, timeTolerance) => {
+  const from = points[start];
+  const to = points[end];
+  let bestCurve = null;
+  let bestError = Infinity;
+  let bestWorstIndex = start + 1;
+  model.curves.forEach((curve) => {
+    let curveError = -1;
+    let worstIndex = start + 1;
+    for (let index = start + 1; index < end && curveError < bestError; index += 1) {
+      const error = getPointError(from, to, points[index], curve, model.spans, valueTolerance, timeTolerance);
+      if (error > curveError) {
+        curveError = error;
+        worstIndex = index;
+      }
+    }
+    if (curveError < bestError) {
+      bestCurve = curve;
+      bestError = curveError;
+      bestWorstIndex = worstIndex;
+    }
+  });
+  return { curve: bestError <= 1 ? bestCurve : null, splitIndex: bestWorstIndex };
+};
+
+// Ramer-Douglas-Peucker over sorted nodes, where each kept segment also gets the curve mode
+// that fits its dropped points best. Returns the original array when nothing can be dropped.
+const simplifySortedNodes = (track, nodes, options) => {
+  if (nodes.length < 3) return nodes;
+  const model = getSimplifyModel(track);
+  const valueTolerance = Math.max(Number(options.valueTolerance) || 0, 0);
+  const timeTolerance = Math.max(Number(options.timeTolerance) || 0, 0);
+  const points = nodes.map((node) => ({ t: Number(node.t) || 0, values: model.read(node) }));
+  const keep = new Array(nodes.length).fill(false);
+  const curves = new Array(nodes.length).fill(null);
+  const stack = [];
+  let runStart = 0;
+  for (let index = 1; index < nodes.length; index += 1) {
+    const isBreak = model.key && model.key(nodes[index]) !== model.key(nodes[index - 1]);
+    if (isBreak || index === nodes.length - 1) {
+      const runEnd = isBreak ? index - 1 : index;
+      stack.push([runStart, runEnd]);
+      if (isBreak) {
+        stack.push([index - 1, index]);
+        runStart = index;
+        if (index === nodes.length - 1) keep[index] = true;
+      }
+    }
+  }
+  while (stack.length) {
+    const [start, end] = stack.pop();
+    keep[start] = true;
+    keep[end] = true;
+    if (end - start < 2) continue;
+    const { curve, splitIndex } = fitSegment(points, start, end, model, valueTolerance, timeTolerance);
+    if (curve) {
+      curves[start] = curve;
+    } else {
+      stack.push([start, splitIndex], [splitIndex, end]);
+    }
+  }
+  if (keep.every(Boolean)) return nodes;
+  return nodes
+    .map((node, index) => (curves[index] ? { ...node, curve: curves[index] } : node))
+    .filter((_, index) => keep[index]);
+};
+
+// `from` / `to` limit the reduction to one time range; nodes on either side stay untouched.
+export const simplifyTrackNodes = (track, options = {}) => {
+  const nodes = Array.isArray(track?.nodes) ? track.nodes : [];
+  if (!SIMPLIFIABLE_TRACK_KINDS.has(track?.kind) || nodes.length < 3) return nodes;
+  const sorted = [...nodes].sort((a, b) => a.t - b.t);
+  const from = Number.isFinite(options.from) ? options.from : -Infinity;
+  const to = Number.isFinite(options.to) ? options.to : Infinity;
+  const startIndex = sorted.findIndex((node) => node.t >= from);
+  if (startIndex < 0) return nodes;
+  let endIndex = sorted.length - 1;
+  while (endIndex > startIndex && sorted[endIndex].t > to) endIndex -= 1;
+  const range = sorted.slice(startIndex, endIndex + 1);
+  const simplified = simplifySortedNodes(track, range, options);
+  if (simplified === range) return nodes;
+  return [...sorted.slice(0, startIndex), ...simplified, ...sorted.slice(endIndex + 1)];
+};
@@ -0,0 +1,40 @@
+// State sent back to control surfaces. It lives under /OSConductor/state so a surface that
+// echoes feedback to the control port cannot trigger commands.
+export const OSC_FEEDBACK_TIMECODE_ADDRESS = '/OSConductor/state/timecode';
+export const OSC_FEEDBACK_TIMECODE_INTERVAL_MS = 100;
+
+const intArg = (value) => ({ type: 'int', value: Math.round(Number(value) || 0) });
+const floatArg = (value) => ({ type: 'float', value: Number(value) || 0 });
+const stringArg = (value) => ({ type: 'string', value: typeof value === 'string' ? value : '' });
+
+const formatTimecodeParts = (parts) => {
+  const pad = (value) => String(Math.max(Math.round(Number(value) || 0), 0)).padStart(2, '0');
+  return `${pad(parts?.hours)}:${pad(parts?.minutes)}:${pad(parts?.seconds)}:${pad(parts?.frames)}`;
+};
+
+// Cue numbers are 1-based in time order; 0 means none (before the first cue, or after the last for "next").
+export const findCueContext = (cues, time) => {
+  const sorted = (Array.isArray(cues) ? cues : []).slice().sort((a, b) => a.t - b.t);
+  let currentIndex = -1;
+  sorted.forEach((cue, index) => {
+    if (cue.t <= time + 1e-6) currentIndex = index;
+  });
+  const describe = (index) => (
+    sorted[index] ? { number: index + 1, name: sorted[index].name || '' } : { number: 0, name: '' }
+  );
+  return { current: describe(currentIndex), next: describe(currentIndex + 1) };
+};
+
+export const buildOscFeedbackMessages = (state) => [
+  { address: '/OSConductor/state/play', args: [intArg(state.playing ? 1 : 0)] },
+  { address: '/OSConductor/state/rec', args: [intArg(state.recording ? 1 : 0)] },
+  { address: '/OSConductor/state/loop', args: [intArg(state.loopEnabled ? 1 : 0)] },
+  { address: '/OSConductor/state/loopRange', args: [floatArg(state.loopStart), floatArg(state.loopEnd)] },
+  {
+    address: '/OSConductor/state/composition',
+    args: [intArg(state.compositionNumber), stringArg(state.compositionName)],
+  },
+  { address: '/OSConductor/state/cue', args: [intArg(state.cue?.number), stringArg(state.cue?.name)] },
+  { address: '/OSConductor/state/nextCue', args: [intArg(state.nextCue?.number), stringArg(state.nextCue?.name)] },
+  { address: OSC_FEEDBACK_TIMECODE_ADDRESS, args: [stringArg(formatTimecodeParts(state.timecode))] },
+];
@@ -0,0 +1,138 @@
+import { isNumericOscArgumentType, normalizeOscArgumentType } from '../../../shared/oscArguments.mjs';
+
+export const OSC_LEARN_WINDOW_MS = 1500;
+export const OSC_LEARN_TRACK_KINDS = new Set(['osc', 'osc-array', 'osc-3d', 'osc-color']);
+export const OSC_LEARN_KIND_LABELS = {
+  osc: 'OSC',
+  'osc-array': 'OSC Array',
+  'osc-3d': '3D OSC',
+  'osc-color': 'OSC Color',
+};
+
+const OSC_LEARN_MAX_ADDRESSES = 256;
+const OSC_ARRAY_MAX_SLOTS = 20;
+const COLOR_NAME_RE = /colou?r|rgb/i;
+// Seen values rarely cover a control's full travel, so ranges are widened to the next common span.
+const OSC_LEARN_RANGE_STEPS = [1, 10, 100, 127, 255, 1000, 1023, 16383, 65535];
+
+const widenRangeBound = (value) => OSC_LEARN_RANGE_STEPS.find((step) => step >= value) ?? Math.ceil(value);
+
+const roundOutRange = (low, high) => {
+  const min = low >= 0 ? 0 : -widenRangeBound(-low);
+  const max = high <= 0 ? 0 : widenRangeBound(high);
+  return { min, max: max > min ? max : min + 1 };
+};
+
+const getNumericSlots = (summary) => summary.types
+  .map((_, index) => index)
+  .filter((index) => summary.low[index] !== null);
+
+const getSummaryRange = (summary, slots = getNumericSlots(summary)) => {
+  if (!slots.length) return null;
+  return roundOutRange(
+    Math.min(...slots.map((index) => summary.low[index])),
+    Math.max(...slots.map((index) => summary.high[index]))
+  );
+};
+
+// Folds listener messages into one summary per address: the latest argument types plus the
+// lowest and highest value seen in each numeric slot. `singleAddress` keeps only the first one.
+export const addOscLearnEntries = (summaries, entries, { singleAddress = false } = {}) => {
+  let next = summaries;
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const address = typeof entry?.address === 'string' ? entry.address : '';
+    if (!address) return;
+    const index = next.findIndex((item) => item.address === address);
+    if (index < 0 && (next.length >= (singleAddress ? 1 : OSC_LEARN_MAX_ADDRESSES))) return;
+    const previous = index >= 0 ? next[index] : null;
+    const args = Array.isArray(entry.args) ? entry.args : [];
+    const types = args.map((arg) => normalizeOscArgumentType(arg?.type));
+    const values = args.map((arg, slot) => {
+      const value = Number(arg?.value);
+      return isNumericOscArgumentType(types[slot]) && Number.isFinite(value) ? value : null;
+    });
+    const merge = (list, pick) => values.map((value, slot) => {
+      const seen = previous?.types[slot] === types[slot] ? list?.[slot] ?? null : null;
+      if (value === null) return seen;
+      return seen === null ? value : pick(seen, value);
+    });
+    const summary = {
+      address,
+      types,
+      low: merge(previous?.low, Math.min),
+      high: merge(previous?.high, Math.max),
+      count: (previous?.count || 0) + 1,
+      host: entry.host || previous?.host || '',
+    };
+    if (next === summaries) next = [...summaries];
+    if (index >= 0) {
+      next[index] = summary;
+    } else {
+      next.push(summary);
+    }
+  });
+  return next;
+};
+
+// Same rule the recorder uses for new addresses, extended to non-numeric single arguments.
+export const inferOscLearnTrackKind = (summary) => {
+  const types = summary?.types || [];
+  if (!types.length) return null;
+  const isNumeric = types.every(isNumericOscArgumentType);
+  if (types.length === 1) return isNumeric ? 'osc' : 'osc-array';
+  if (isNumeric && (types.length === 3 || types.length === 4) && COLOR_NAME_RE.test(summary.address)) {
+    return 'osc-color';
+  }
+  if (isNumeric && types.length === 3) return 'osc-3d';
+  return types.length <= OSC_ARRAY_MAX_SLOTS ? 'osc-array' : null;
+};
+
+// Always sets the address; type and range settings are only added where they fit `kind`.
+export const buildOscLearnTrackPatch = (kind, summary) => {
+  const patch = { oscAddress: summary.address };
+  const slots = getNumericSlots(summary);
+  const isIntSlot = (index) => summary.types[index] === 'int' || summary.types[index] === 'int64';
+  if (kind === 'osc' && slots.length) {
+    patch.oscValueType = isIntSlot(slots[0]) ? 'int' : 'float';
+    Object.assign(patch, getSummaryRange(summary, slots.slice(0, 1)));
+  }
+  if (kind === 'osc-array' && summary.types.length && summary.types.length <= OSC_ARRAY_MAX_SLOTS) {
+    patch.oscArray = { valueCount: summary.types.length, types: summary.types };
+    if (slots.length) Object.assign(patch, getSummaryRange(summary, slots));
+  }
+  if (kind === 'osc-3d' && slots.length >= 3) {
+    const axes = slots.slice(0, 3).map((index) => roundOutRange(summary.low[index], summary.high[index]));
+    patch.oscValueType = slots.slice(0, 3).every(isIntSlot) ? 'int' : 'float';
+    patch.osc3d = {
+      bounds: {
+        xMin: axes[0].min,
+        xMax: axes[0].max,
+        yMin: axes[1].min,
+        yMax: axes[1].max,
+        zMin: axes[2].min,
+        zMax: axes[2].max,
+      },
+    };
+  }
+  if (kind === 'osc-color' && (slots.length === 3 || slots.length === 4)) {
+    patch.oscColor = {
+      fixtureType: slots.length === 4 ? 'rgbw' : 'rgb',
+      outputRange: Math.max(...slots.map((index) => summary.high[index])) <= 1 ? 'unit' : 'byte',
+    };
+  }
+  return patch;
+};
+
+// Matches the names recording gives to tracks it creates for new addresses.
+export const buildOscLearnTrackName = (address) => {
+  const tail = address.split('/').filter(Boolean).pop();
+  return tail ? `OSC ${tail}` : '';
+};
+
+export const formatOscLearnSummary = (summary) => {
+  const range = getSummaryRange(summary);
+  return [
+    summary.types.length ? summary.types.join(' ') : 'no arguments',
+    range ? `${range.min} to ${range.max}` : '',
+  ].filter(Boolean).join(' · ');
+};
@@ -0,0 +1,193 @@
+import { isNumericOscArgumentType } from '../../../shared/oscArguments.mjs';
+import {
+  OVERRIDABLE_TRACK_KINDS,
+  formatOscOutputScalar,
+  getOscArraySlotTypes,
+  getOscFlagNodeArgs,
+  getOscSendValueType,
+  normalizeOsc3dBounds,
+  normalizeOscAddressPath,
+} from '../../../shared/trackSampling.mjs';
+
+const SWITCH_RANGE = [{ min: 0, max: 1 }];
+const TRACK_KIND_LABELS = {
+  osc: 'OSC',
+  'osc-array': 'OSC Array',
+  'osc-3d': '3D OSC',
+  'osc-color': 'OSC Color',
+  'osc-flag': 'OSC Flag',
+};
+
+const getTrackRange = (track) => ({
+  min: Number.isFinite(track?.min) ? track.min : 0,
+  max: Number.isFinite(track?.max) ? track.max : 1,
+});
+
+const getOverrideTypes = (track) => {
+  const valueType = getOscSendValueType(track);
+  if (track.kind === 'osc') return [valueType];
+  if (track.kind === 'osc-array') return getOscArraySlotTypes(track);
+  if (track.kind === 'osc-3d') return [valueType, valueType, valueType];
+  if (track.kind === 'osc-color' && track.oscColor?.outputRange === 'unit') return ['float', 'float', 'float'];
+  if (track.kind === 'osc-color' || track.kind === 'dmx-color') return ['int', 'int', 'int'];
+  return OVERRIDABLE_TRACK_KINDS.has(track.kind) ? ['int'] : null;
+};
+
+const getCueRange = (cues) => (
+  Array.isArray(cues) && cues.length ? [{ min: 1, max: cues.length }] : null
+);
+
+// Mirrors the commands accepted by the OSC control handler in App.jsx; track and group
+// commands there address the active composition.
+const buildControlEntries = (project) => {
+  const compositions = Array.isArray(project?.compositions) ? project.compositions : [];
+  const entries = [
+    { path: '/OSConductor', description: 'OSConductor remote control' },
+    { path: '/OSConductor/play', description: 'Play (1) / pause (0)', types: ['int'], access: 2, range: SWITCH_RANGE },
+    { path: '/OSConductor/rec', description: 'Record on (1) / off (0)', types: ['int'], access: 2, range: SWITCH_RANGE },
+    { path: '/OSConductor/stop', description: 'Stop and locate to start', types: ['int'], access: 2, range: SWITCH_RANGE },
+    { path: '/OSConductor/loop', description: 'Loop on (1) / off (0)', types: ['int'], access: 2, range: SWITCH_RANGE },
+    {
+      path: '/OSConductor/cue',
+      description: 'Jump to cue number (1-based)',
+      types: ['int'],
+      access: 2,
+      range: getCueRange(project?.cues),
+    },
+    { path: '/OSConductor/cue/name', description: 'Jump to the cue with this name', types: ['string'], access: 2 },
+    { path: '/OSConductor/locate', description: 'Locate to seconds or [HH:]MM:SS:FF', types: ['string'], access: 2 },
+    { path: '/OSConductor/loopRange', description: 'Set loop start and end (seconds or timecode)', types: ['string', 'string'], access: 2 },
+    { path: '/OSConductor/release', description: 'Release all track overrides', types: ['int'], access: 2 },
+    { path: '/OSConductor/query', description: 'Reply with the full /OSConductor/state snapshot', types: ['int'], access: 2 },
+    { path: '/OSConductor/track', description: 'Tracks, 1-based in list order or by name (spaces as "_")' },
+    { path: '/OSConductor/group', description: 'Group tracks, 1-based in list order or by name (spaces as "_")' },
+    { path: '/OSConductor/Composition', description: 'Compositions, 1-based in list order' },
+  ];
+  const tracks = (Array.isArray(project?.tracks) ? project.tracks : []).filter(Boolean);
+  tracks.filter((track) => track.kind !== 'group').forEach((track, index) => {
+    const base = `/OSConductor/track/${index + 1}`;
+    const name = typeof track.name === 'string' && track.name ? track.name : `Track ${index + 1}`;
+    const overrideTypes = getOverrideTypes(track);
+    entries.push(
+      { path: base, description: name },
+      { path: `${base}/mute`, description: `Mute ${name} on (1) / off (0), toggle without a value`, types: ['int'], access: 2, range: SWITCH_RANGE },
+      { path: `${base}/solo`, description: `Solo ${name} on (1) / off (0), toggle without a value`, types: ['int'], access: 2, range: SWITCH_RANGE }
+    );
+    if (overrideTypes) {
+      entries.push(
+        { path: `${base}/override`, description: `Hold ${name} at these values until released`, types: overrideTypes, access: 2 },
+        { path: `${base}/release`, description: `Return ${name} to its timeline`, types: ['int'], access: 2 }
+      );
+    }
+  });
+  tracks.filter((track) => track.kind === 'group').forEach((track, index) => {
+    const base = `/OSConductor/group/${index + 1}`;
+    const name = typeof track.name === 'string' && track.name ? track.name : `Group ${index + 1}`;
+    entries.push(
+      { path: base, description: name },
+      { path: `${base}/enable`, description: `Unmute (1) / mute (0) the tracks in ${name}`, types: ['int'], access: 2, range: SWITCH_RANGE }
+    );
+  });
+  compositions.forEach((composition, index) => {
+    const base = `/OSConductor/Composition/${index + 1}`;
+    const name = typeof composition?.name === 'string' && composition.name ? composition.name : `Composition ${index + 1}`;
+    const cues = composition?.id === project?.activeCompositionId ? project.cues : composition?.cues;
+    entries.push(
+      { path: base, description: name },
+      { path: `${base}/select`, description: `Switch to ${name}`, types: ['int'], access: 2 },
+      { path: `${base}/play`, description: `Switch to ${name} and play (1) / pause (0)`, types: ['int'], access: 2, range: SWITCH_RANGE },
+      { path: `${base}/rec`, description: `Switch to ${name} and record on (1) / off (0)`, types: ['int'], access: 2, range: SWITCH_RANGE },
+      { path: `${base}/stop`, description: `Switch to ${name}, stop and locate to start`, types: ['int'], access: 2, range: SWITCH_RANGE },
+      { path: `${base}/loop`, description: `Switch to ${name} and loop on (1) / off (0)`, types: ['int'], access: 2, range: SWITCH_RANGE },
+      {
+        path: `${base}/cue`,
+        description: `Switch to ${name} and jump to cue number (1-based)`,
+        types: ['int'],
+        access: 2,
+        range: getCueRange(cues),
+      },
+      { path: `${base}/cue/name`, description: `Switch to ${name} and jump to the cue with this name`, types: ['string'], access: 2 },
+      { path: `${base}/locate`, description: `Switch to ${name} and locate to seconds or [HH:]MM:SS:FF`, types: ['string'], access: 2 }
+    );
+  });
+  return entries;
+};
+
+const buildTrackEntries = (track) => {
+  const name = typeof track?.name === 'string' && track.name ? track.name : 'Track';
+  const description = `${name} (${TRACK_KIND_LABELS[track.kind]})`;
+  const address = typeof track.oscAddress === 'string' ? track.oscAddress.trim() : '';
+  const valueType = getOscSendValueType(track);
+  const range = getTrackRange(track);
+  if (track.kind === 'osc') {
+    if (!address) return [];
+    return [{ path: address, description, types: [valueType], range: [range] }];
+  }
+  if (track.kind === 'osc-array') {
+    if (!address) return [];
+    const types = getOscArraySlotTypes(track);
+    return [{
+      path: address,
+      description,
+      types,
+      range: types.map((type) => (isNumericOscArgumentType(type) ? range : null)),
+    }];
+  }
+  if (track.kind === 'osc-3d') {
+    if (!address) return [];
+    const bounds = normalizeOsc3dBounds(track);
+    return [{
+      path: address,
+      description,
+      types: [valueType, valueType, valueType],
+      range: [
+        { min: bounds.xMin, max: bounds.xMax },
+        { min: bounds.yMin, max: bounds.yMax },
+        { min: bounds.zMin, max: bounds.zMax },
+      ],
+    }];
+  }
+  if (track.kind === 'osc-color') {
+    const path = (address || '/osc/color').replace(/\/+$/, '') || '/osc/color';
+    const isUnit = track.oscColor?.outputRange === 'unit';
+    const count = track.oscColor?.fixtureType === 'rgbw' ? 4 : 3;
+    return [{
+      path,
+      description,
+      types: Array.from({ length: count }, () => (isUnit ? 'float' : 'int')),
+      range: Array.from({ length: count }, () => ({ min: 0, max: isUnit ? 1 : 255 })),
+    }];
+  }
+  if (track.kind === 'osc-flag') {
+    // Flags publish every address their nodes can fire: typed nodes use their own address,
+    // legacy nodes append the trigger value to it.
+    const fallbackAddress = normalizeOscAddressPath(track.oscAddress, '/osc/flag');
+    return (Array.isArray(track.nodes) ? track.nodes : []).map((node) => {
+      const nodeAddress = normalizeOscAddressPath(node?.a, fallbackAddress);
+      const args = getOscFlagNodeArgs(node);
+      if (args) {
+        return { path: nodeAddress, description, types: args.map((arg) => arg.type) };
+      }
+      const triggerValue = formatOscOutputScalar(Number.isFinite(Number(node?.v)) ? Number(node.v) : 1, valueType);
+      return {
+        path: `${nodeAddress.replace(/\/+$/, '')}/${String(triggerValue)}`,
+        description,
+        types: [valueType],
+      };
+    });
+  }
+  return [];
+};
+
+// Concrete command addresses that an incoming address pattern is expanded against.
+export const buildOscControlAddresses = (project) => (
+  buildControlEntries(project).filter((entry) => entry.types).map((entry) => entry.path)
+);
+
+export const buildOscQueryNamespace = (project) => {
+  const tracks = Array.isArray(project?.tracks) ? project.tracks : [];
+  return [
+    ...buildControlEntries(project),
+    ...tracks.filter((track) => TRACK_KIND_LABELS[track?.kind]).flatMap(buildTrackEntries),
+  ];
+};
@@ -0,0 +1,153 @@
+import { isNumericOscArgumentType } from '../../../shared/oscArguments.mjs';
+
+const OSC_QUERY_TAG_TYPES = {
+  f: 'float',
+  i: 'int',
+  d: 'double',
+  h: 'int64',
+  s: 'string',
+  S: 'string',
+  T: 'bool',
+  F: 'bool',
+  N: 'nil',
+  I: 'nil',
+  b: 'blob',
+  c: 'char',
+};
+const OSC_QUERY_TREE_MAX_DEPTH = 64;
+const OSC_ARRAY_MAX_SLOTS = 20;
+const COLOR_NAME_RE = /colou?r|rgb/i;
+
+export const OSC_QUERY_TRACK_KIND_LABELS = {
+  osc: 'OSC',
+  'osc-array': 'OSC Array',
+  'osc-color': 'OSC Color',
+};
+
+// Returns null for tags a track cannot send (timetags, MIDI, RGBA color, bracketed arrays).
+export const parseOscQueryTypeTags = (typeTags) => {
+  if (typeof typeTags !== 'string' || !typeTags) return null;
+  const types = typeTags.split('').map((tag) => OSC_QUERY_TAG_TYPES[tag]);
+  return types.every(Boolean) ? types : null;
+};
+
+const parseOscQueryRangeItem = (item) => {
+  if (!item || typeof item !== 'object') return null;
+  let min = Number(item.MIN);
+  let max = Number(item.MAX);
+  if ((!Number.isFinite(min) || !Number.isFinite(max)) && Array.isArray(item.VALS)) {
+    const values = item.VALS.map(Number).filter(Number.isFinite);
+    if (values.length) {
+      min = Math.min(...values);
+      max = Math.max(...values);
+    }
+  }
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+  return min <= max ? { min, max } : { min: max, max: min };
+};
+
+const normalizeOscQueryNode = (raw, name, parentPath, depth) => {
+  const path = typeof raw?.FULL_PATH === 'string' && raw.FULL_PATH.startsWith('/')
+    ? raw.FULL_PATH
+    : `${parentPath === '/' ? '' : parentPath}/${name}`;
+  const typeTags = typeof raw?.TYPE === 'string' ? raw.TYPE : '';
+  const types = parseOscQueryTypeTags(typeTags);
+  const tagCount = typeTags.replace(/[[\]]/g, '').length;
+  const rawRange = Array.isArray(raw?.RANGE) ? raw.RANGE : (raw?.RANGE ? [raw.RANGE] : []);
+  const contents = raw?.CONTENTS && typeof raw.CONTENTS === 'object' && depth < OSC_QUERY_TREE_MAX_DEPTH
+    ? raw.CONTENTS
+    : {};
+  return {
+    name: name || '/',
+    path,
+    description: typeof raw?.DESCRIPTION === 'string' ? raw.DESCRIPTION : '',
+    typeTags,
+    types,
+    access: Number.isFinite(Number(raw?.ACCESS)) ? Number(raw.ACCESS) : (typeTags ? 3 : 0),
+    range: Array.from({ length: tagCount }, (_, index) => parseOscQueryRangeItem(rawRange[index])),
+    value: Array.isArray(raw?.VALUE) ? raw.VALUE : null,
+    children: Object.keys(contents).map((key) => normalizeOscQueryNode(contents[key], key, path, depth + 1)),
+  };
+};
+
+export const normalizeOscQueryTree = (raw) => normalizeOscQueryNode(raw, '', '/', 0);
+
+export const flattenOscQueryMethods = (node, out = []) => {
+  if (!node) return out;
+  if (node.typeTags) out.push(node);
+  node.children.forEach((child) => flattenOscQueryMethods(child, out));
+  return out;
+};
+
+export const getOscQueryRangeBounds = (node) => {
+  const numericRanges = (node?.types || [])
+    .map((type, index) => (isNumericOscArgumentType(type) ? node.range[index] : null))
+    .filter(Boolean);
+  if (!numericRanges.length) return null;
+  return {
+    min: Math.min(...numericRanges.map((item) => item.min)),
+    max: Math.max(...numericRanges.map((item) => item.max)),
+  };
+};
+
+export const isOscQueryNodeCompatible = (kind, node) => {
+  const types = node?.types;
+  if (!types?.length) return false;
+  if (kind === 'osc') return types.some(isNumericOscArgumentType);
+  if (kind === 'osc-array') return types.length <= OSC_ARRAY_MAX_SLOTS;
+  if (kind === 'osc-color') {
+    return (types.length === 3 || types.length === 4) && types.every(isNumericOscArgumentType);
+  }
+  return false;
+};
+
+export const inferOscQueryTrackKind = (node) => {
+  const types = node?.types;
+  if (!types?.length) return null;
+  if (isOscQueryNodeCompatible('osc-color', node)) {
+    const isByteRange = node.range.every((item) => item && item.min === 0 && item.max === 255);
+    if (isByteRange || COLOR_NAME_RE.test(`${node.path} ${node.description}`)) return 'osc-color';
+  }
+  if (types.length === 1 && isNumericOscArgumentType(types[0])) return 'osc';
+  return isOscQueryNodeCompatible('osc-array', node) ? 'osc-array' : null;
+};
+
+export const buildOscQueryTrackPatch = (kind, node) => {
+  const types = node?.types || [];
+  const bounds = getOscQueryRangeBounds(node);
+  const patch = { oscAddress: node.path };
+  if (kind === 'osc') {
+    const type = types.find(isNumericOscArgumentType);
+    patch.oscValueType = type === 'int' || type === 'int64' ? 'int' : 'float';
+  }
+  if (kind === 'osc-array') {
+    patch.oscArray = { valueCount: types.length, types };
+  }
+  if ((kind === 'osc' || kind === 'osc-array') && bounds && bounds.max > bounds.min) {
+    patch.min = bounds.min;
+    patch.max = bounds.max;
+  }
+  if (kind === 'osc-color') {
+    patch.oscColor = {
+      fixtureType: types.length === 4 ? 'rgbw' : 'rgb',
+      outputRange: bounds && bounds.max <= 1 ? 'unit' : 'byte',
+    };
+  }
+  return patch;
+};
+
+export const formatOscQueryRange = (node) => (
+  (node?.range || [])
+    .map((item) => (item ? `${item.min}..${item.max}` : '-'))
+    .join(' ')
+);
+
+// HOST_INFO may name a different OSC host/port than the HTTP endpoint that served the tree.
+export const resolveOscQueryTarget = (hostInfo, httpHost) => {
+  const port = Math.round(Number(hostInfo?.OSC_PORT));
+  return {
+    host: typeof hostInfo?.OSC_IP === 'string' && hostInfo.OSC_IP ? hostInfo.OSC_IP : httpHost,
+    port: Number.isFinite(port) && port > 0 ? port : null,
+    transport: typeof hostInfo?.OSC_TRANSPORT === 'string' ? hostInfo.OSC_TRANSPORT.toUpperCase() : 'UDP',
+  };
+};
@@ -1,4 +1,4 @@
-import { clamp } from './timelineMetrics.js';
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
 const CURVE_DEFINITIONS = [
   { id: 'none', label: 'No Interpolation' },
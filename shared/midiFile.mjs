@@ -0,0 +1,389 @@
+import { sampleTrackValue, toMidiCcValue } from './trackSampling.mjs';
+import { isOutputMapActive, mapOutputValue, mapTrackEventValue, quantizeOutputValue } from './outputMapping.mjs';
+
+// Standard MIDI File (SMF) reading and writing for MIDI CC, Note and PC tracks.
+export const MIDI_FILE_TRACK_KINDS = new Set(['midi', 'midi-note', 'midi-pc']);
+
+const DEFAULT_TEMPO_US = 500000;
+const EXPORT_PPQ = 480;
+const EXPORT_TICKS_PER_SECOND = EXPORT_PPQ * (1000000 / DEFAULT_TEMPO_US);
+const MIN_NOTE_DURATION = 0.01;
+const MARKER_META_TYPES = new Set([0x06, 0x07]);
+// Data byte counts of system common messages, which should not appear in files but are skipped if they do.
+const SYSTEM_MESSAGE_LENGTHS = { 0xf1: 1, 0xf2: 2, 0xf3: 1 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const textDecoder = new TextDecoder('utf-8');
+const textEncoder = new TextEncoder();
+
+const createReader = (bytes) => {
+  let offset = 0;
+  const ensure = (count) => {
+    if (offset + count > bytes.length) throw new Error('Unexpected end of MIDI data');
+  };
+  return {
+    get offset() {
+      return offset;
+    },
+    set offset(value) {
+      offset = value;
+    },
+    u8() {
+      ensure(1);
+      offset += 1;
+      return bytes[offset - 1];
+    },
+    u16() {
+      ensure(2);
+      offset += 2;
+      return (bytes[offset - 2] << 8) | bytes[offset - 1];
+    },
+    u32() {
+      ensure(4);
+      offset += 4;
+      return ((bytes[offset - 4] << 24) >>> 0) + (bytes[offset - 3] << 16) + (bytes[offset - 2] << 8) + bytes[offset - 1];
+    },
+    varLen() {
+      let value = 0;
+      for (let index = 0; index < 4; index += 1) {
+        const byte = this.u8();
+        value = (value << 7) | (byte & 0x7f);
+        if (!(byte & 0x80)) return value;
+      }
+      throw new Error('Invalid variable-length value in MIDI data');
+    },
+    bytes(count) {
+      ensure(count);
+      offset += count;
+      return bytes.subarray(offset - count, offset);
+    },
+    text(count) {
+      return textDecoder.decode(this.bytes(count)).replace(/\0+$/, '').trim();
+    },
+  };
+};
+
+const readTrackEvents = (reader, end) => {
+  const events = [];
+  let tick = 0;
+  let runningStatus = 0;
+  while (reader.offset < end) {
+    tick += reader.varLen();
+    let status = reader.u8();
+    if (status === 0xff) {
+      const type = reader.u8();
+      const length = reader.varLen();
+      if (type === 0x2f) break;
+      if (type === 0x51 && length === 3) {
+        const data = reader.bytes(3);
+        events.push({ tick, type: 'tempo', tempo: (data[0] << 16) | (data[1] << 8) | data[2] });
+      } else if (type === 0x03) {
+        events.push({ tick, type: 'name', text: reader.text(length) });
+      } else if (MARKER_META_TYPES.has(type)) {
+        events.push({ tick, type: 'marker', text: reader.text(length) });
+      } else {
+        reader.bytes(length);
+      }
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      reader.bytes(reader.varLen());
+      continue;
+    }
+    if (status > 0xf0) {
+      reader.bytes(SYSTEM_MESSAGE_LENGTHS[status] || 0);
+      continue;
+    }
+    if (status < 0x80) {
+      if (!runningStatus) throw new Error('MIDI data uses running status before any status byte');
+      status = runningStatus;
+      reader.offset -= 1;
+    } else {
+      runningStatus = status;
+    }
+    const command = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+    const data1 = reader.u8() & 0x7f;
+    const data2 = command === 0xc0 || command === 0xd0 ? 0 : reader.u8() & 0x7f;
+    if (command === 0x90 && data2 > 0) {
+      events.push({ tick, type: 'note-on', channel, note: data1, velocity: data2 });
+    } else if (command === 0x80 || command === 0x90) {
+      events.push({ tick, type: 'note-off', channel, note: data1 });
+    } else if (command === 0xb0) {
+      events.push({ tick, type: 'cc', channel, controller: data1, value: data2 });
+    } else if (command === 0xc0) {
+      events.push({ tick, type: 'pc', channel, program: data1 });
+    }
+  }
+  reader.offset = end;
+  return events;
+};
+
+// Returns { format, division, tracks: [{ name, events }] } with events in tick order per track.
+export const parseMidiFile = (input) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const reader = createReader(bytes);
+  if (bytes.length < 14 || reader.text(4) !== 'MThd') throw new Error('Not a Standard MIDI File');
+  const headerLength = reader.u32();
+  const headerEnd = reader.offset + headerLength;
+  const format = reader.u16();
+  const trackCount = reader.u16();
+  const division = reader.u16();
+  reader.offset = headerEnd;
+  if (format > 1) throw new Error(`Type ${format} MIDI files are not supported`);
+  if (!division) throw new Error('MIDI file has no time division');
+
+  const tracks = [];
+  while (tracks.length < trackCount && reader.offset + 8 <= bytes.length) {
+    const chunkType = reader.text(4);
+    const length = reader.u32();
+    const end = Math.min(reader.offset + length, bytes.length);
+    if (chunkType !== 'MTrk') {
+      reader.offset = end;
+      continue;
+    }
+    const events = readTrackEvents(reader, end);
+    const nameEvent = events.find((event) => event.type === 'name' && event.text);
+    tracks.push({ name: nameEvent ? nameEvent.text : '', events });
+  }
+  return { format, division, tracks };
+};
+
+// Tempo changes can sit in any track, so they are gathered into one map before converting ticks.
+export const createTickToSeconds = ({ division, tracks }) => {
+  if (division & 0x8000) {
+    const fps = 256 - (division >> 8);
+    const ticksPerSecond = (fps === 29 ? 29.97 : fps) * (division & 0xff);
+    return (tick) => tick / ticksPerSecond;
+  }
+  const tempos = tracks
+    .flatMap((track) => track.events.filter((event) => event.type === 'tempo'))
+    .sort((a, b) => a.tick - b.tick);
+  const segments = [{ tick: 0, seconds: 0, tempo: DEFAULT_TEMPO_US }];
+  tempos.forEach((event) => {
+    const last = segments[segments.length - 1];
+    const seconds = last.seconds + ((event.tick - last.tick) * last.tempo) / (division * 1000000);
+    if (event.tick === last.tick) {
+      last.tempo = event.tempo;
+      return;
+    }
+    segments.push({ tick: event.tick, seconds, tempo: event.tempo });
+  });
+  return (tick) => {
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (segments[mid].tick <= tick) low = mid;
+      else high = mid - 1;
+    }
+    const segment = segments[low];
+    return segment.seconds + ((tick - segment.tick) * segment.tempo) / (division * 1000000);
+  };
+};
+
+// Each file track and channel becomes one MIDI Note track, one MIDI CC track per controller and
+// one MIDI PC track. Markers and cue points come back as { t, name } cues.
+export const buildMidiFileImport = (parsed) => {
+  const toSeconds = createTickToSeconds(parsed);
+  const tracks = [];
+  const cues = [];
+  let duration = 0;
+
+  parsed.tracks.forEach((fileTrack, trackIndex) => {
+    const baseName = fileTrack.name || `MIDI ${trackIndex + 1}`;
+    const groups = new Map();
+    const getGroup = (key, create) => {
+      if (!groups.has(key)) groups.set(key, create());
+      return groups.get(key);
+    };
+    const openNotes = new Map();
+    let trackEnd = 0;
+
+    fileTrack.events.forEach((event) => {
+      const t = toSeconds(event.tick);
+      trackEnd = Math.max(trackEnd, t);
+      if (event.type === 'marker') {
+        if (event.text) cues.push({ t, name: event.text });
+        return;
+      }
+      if (event.type === 'note-on') {
+        const group = getGroup(`note:${event.channel}`, () => ({
+          kind: 'midi-note',
+          name: `${baseName} Ch ${event.channel}`,
+          midi: { channel: event.channel, note: event.note },
+          nodes: [],
+        }));
+        const node = { t, v: event.note, d: MIN_NOTE_DURATION, vel: event.velocity, curve: 'linear' };
+        group.nodes.push(node);
+        const key = `${event.channel}:${event.note}`;
+        if (!openNotes.has(key)) openNotes.set(key, []);
+        openNotes.get(key).push(node);
+        return;
+      }
+      if (event.type === 'note-off') {
+        const node = openNotes.get(`${event.channel}:${event.note}`)?.shift();
+        if (node) node.d = Math.max(t - node.t, MIN_NOTE_DURATION);
+        return;
+      }
+      if (event.type === 'cc') {
+        const group = getGroup(`cc:${event.channel}:${event.controller}`, () => ({
+          kind: 'midi',
+          name: `${baseName} CC ${event.controller} Ch ${event.channel}`,
+          midi: { channel: event.channel, controlNumber: event.controller },
+          nodes: [],
+        }));
+        group.nodes.push({ t, v: event.value, curve: 'none' });
+        return;
+      }
+      if (event.type === 'pc') {
+        const group = getGroup(`pc:${event.channel}`, () => ({
+          kind: 'midi-pc',
+          name: `${baseName} PC Ch ${event.channel}`,
+          midi: { channel: event.channel, program: event.program },
+          nodes: [],
+        }));
+        group.nodes.push({ t, v: event.program, y: 0.5, curve: 'linear' });
+      }
+    });
+
+    // Notes still held when the track ends run to its last event.
+    openNotes.forEach((nodes) => nodes.forEach((node) => {
+      node.d = Math.max(trackEnd - node.t, MIN_NOTE_DURATION);
+    }));
+    duration = Math.max(duration, trackEnd);
+    groups.forEach((group) => {
+      group.nodes.forEach((node) => {
+        duration = Math.max(duration, node.t + (node.d || 0));
+      });
+      tracks.push(group);
+    });
+  });
+
+  return { tracks, cues: cues.sort((a, b) => a.t - b.t), duration };
+};
+
+const writeVarLen = (out, value) => {
+  let buffer = value & 0x7f;
+  let rest = value >> 7;
+  while (rest > 0) {
+    buffer = (buffer << 8) | 0x80 | (rest & 0x7f);
+    rest >>= 7;
+  }
+  for (;;) {
+    out.push(buffer & 0xff);
+    if (buffer & 0x80) buffer >>= 8;
+    else break;
+  }
+};
+
+const writeU32 = (out, value) => {
+  out.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+};
+
+const writeMetaText = (type, text) => {
+  const data = Array.from(textEncoder.encode(text));
+  const out = [0xff, type];
+  writeVarLen(out, data.length);
+  return [...out, ...data];
+};
+
+const toExportTick = (seconds) => Math.max(Math.round(seconds * EXPORT_TICKS_PER_SECOND), 0);
+
+// Events are { tick, order, bytes }; at equal ticks note-offs go first so repeated notes retrigger.
+const buildTrackChunk = (events) => {
+  const data = [];
+  let lastTick = 0;
+  events
+    .sort((a, b) => a.tick - b.tick || a.order - b.order)
+    .forEach((event) => {
+      writeVarLen(data, event.tick - lastTick);
+      data.push(...event.bytes);
+      lastTick = event.tick;
+    });
+  data.push(0x00, 0xff, 0x2f, 0x00);
+  const chunk = [0x4d, 0x54, 0x72, 0x6b];
+  writeU32(chunk, data.length);
+  return [...chunk, ...data];
+};
+
+const getTrackChannel = (track) => clamp(Math.round(Number(track.midi?.channel) || 1), 1, 16) - 1;
+
+// CC curves are sampled once per frame and written whenever the sent value changes, as playback does.
+const renderCcEvents = (track, fps, length) => {
+  const nodes = Array.isArray(track.nodes) ? track.nodes : [];
+  const channel = getTrackChannel(track);
+  const controller = clamp(Math.round(Number(track.midi?.controlNumber) || 0), 0, 127);
+  const end = Math.min(nodes.length ? nodes[nodes.length - 1].t : 0, length);
+  const mapped = isOutputMapActive(track);
+  const events = [];
+  let lastValue = null;
+  const frameCount = Math.floor(end * fps) + 1;
+  for (let frame = 0; frame <= frameCount; frame += 1) {
+    const time = Math.min(frame / fps, end);
+    let value = sampleTrackValue(track, time, fps);
+    if (mapped) value = quantizeOutputValue(track.outputMap, mapOutputValue(track.outputMap, value, track.min, track.max));
+    const ccValue = toMidiCcValue(value);
+    if (ccValue === lastValue) continue;
+    lastValue = ccValue;
+    events.push({ tick: toExportTick(time), order: 1, bytes: [0xb0 | channel, controller, ccValue] });
+  }
+  return events;
+};
+
+const renderTrackEvents = (track, fps, length) => {
+  const channel = getTrackChannel(track);
+  const nodes = (Array.isArray(track.nodes) ? track.nodes : []).filter((node) => node.t <= length);
+  if (track.kind === 'midi') return renderCcEvents(track, fps, length);
+  if (track.kind === 'midi-pc') {
+    return nodes.map((node) => ({
+      tick: toExportTick(node.t),
+      order: 1,
+      bytes: [0xc0 | channel, toMidiCcValue(mapTrackEventValue(track, toMidiCcValue(node.v)))],
+    }));
+  }
+  const trackVelocity = clamp(Math.round(Number(track.midi?.velocity) || 100), 1, 127);
+  return nodes.flatMap((node) => {
+    const note = toMidiCcValue(node.v, 60);
+    const velocity = clamp(
+      Math.round(mapTrackEventValue(track, Number.isFinite(node.vel) ? node.vel : trackVelocity)),
+      1,
+      127
+    );
+    const end = Math.min(node.t + Math.max(Number(node.d) || 0.5, MIN_NOTE_DURATION), length);
+    return [
+      { tick: toExportTick(node.t), order: 2, bytes: [0x90 | channel, note, velocity] },
+      { tick: Math.max(toExportTick(end), toExportTick(node.t) + 1), order: 0, bytes: [0x80 | channel, note, 0] },
+    ];
+  });
+};
+
+// Writes a type 1 file at 120 BPM with a conductor track holding the tempo and the cues as markers,
+// then one track per MIDI track.
+export const buildMidiFile = ({ name = '', tracks = [], cues = [], fps = 30, length = Infinity } = {}) => {
+  const safeFps = Math.max(Number(fps) || 30, 1);
+  const midiTracks = tracks.filter((track) => MIDI_FILE_TRACK_KINDS.has(track?.kind));
+  const conductor = [
+    { tick: 0, order: 0, bytes: [0xff, 0x51, 0x03, 0x07, 0xa1, 0x20] },
+    ...cues
+      .filter((cue) => Number.isFinite(cue?.t))
+      .map((cue, index) => ({
+        tick: toExportTick(cue.t),
+        order: 1,
+        bytes: writeMetaText(0x06, cue.name || `Cue ${index + 1}`),
+      })),
+  ];
+  if (name) conductor.unshift({ tick: 0, order: 0, bytes: writeMetaText(0x03, name) });
+
+  const header = [0x4d, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06];
+  header.push(0x00, 0x01, (midiTracks.length + 1) >> 8, (midiTracks.length + 1) & 0xff, EXPORT_PPQ >> 8, EXPORT_PPQ & 0xff);
+  const chunks = [
+    buildTrackChunk(conductor),
+    ...midiTracks.map((track) => buildTrackChunk([
+      { tick: 0, order: -1, bytes: writeMetaText(0x03, track.name || 'MIDI') },
+      ...renderTrackEvents(track, safeFps, length),
+    ])),
+  ];
+  return Uint8Array.from([...header, ...chunks.flat()]);
+};
@@ -0,0 +1,111 @@
+export const OSC_ARGUMENT_TYPES = [
+  { value: 'float', tag: 'f', label: 'Float' },
+  { value: 'int', tag: 'i', label: 'Int' },
+  { value: 'double', tag: 'd', label: 'Double' },
+  { value: 'int64', tag: 'h', label: 'Int64' },
+  { value: 'string', tag: 's', label: 'String' },
+  { value: 'bool', tag: 'T/F', label: 'Bool' },
+  { value: 'nil', tag: 'N', label: 'Nil' },
+  { value: 'blob', tag: 'b', label: 'Blob' },
+  { value: 'char', tag: 'c', label: 'Char' },
+];
+
+export const OSC_ARGUMENT_LIMIT = 32;
+
+const OSC_ARGUMENT_TYPE_SET = new Set(OSC_ARGUMENT_TYPES.map((item) => item.value));
+const NUMERIC_OSC_ARGUMENT_TYPES = new Set(['float', 'int', 'double', 'int64']);
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+const INT64_TEXT_RE = /^-?\d+$/;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+// Out-of-range values are clamped rather than wrapped so the stored text is what gets sent.
+const clampInt64 = (value) => {
+  if (value < INT64_MIN) return INT64_MIN.toString();
+  if (value > INT64_MAX) return INT64_MAX.toString();
+  return value.toString();
+};
+
+export const normalizeOscArgumentType = (value, fallback = 'float') => {
+  const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (OSC_ARGUMENT_TYPE_SET.has(raw)) return raw;
+  return OSC_ARGUMENT_TYPE_SET.has(fallback) ? fallback : 'float';
+};
+
+export const isNumericOscArgumentType = (type) => NUMERIC_OSC_ARGUMENT_TYPES.has(type);
+
+export const getOscArgumentTypeTag = (type) => (
+  OSC_ARGUMENT_TYPES.find((item) => item.value === type)?.tag || 'f'
+);
+
+const toFiniteNumber = (value, fallback = 0) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const parseOscBoolean = (value) => {
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase();
+    return Boolean(text) && text !== 'false' && text !== '0' && text !== 'off';
+  }
+  return Boolean(value);
+};
+
+export const normalizeOscArgumentValue = (type, value) => {
+  switch (type) {
+    case 'int':
+      return Math.min(Math.max(Math.round(toFiniteNumber(value)), INT32_MIN), INT32_MAX);
+    case 'double':
+      return toFiniteNumber(value);
+    case 'int64': {
+      // Kept as text so values beyond Number.MAX_SAFE_INTEGER survive saving.
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (INT64_TEXT_RE.test(text)) return clampInt64(BigInt(text));
+      const numeric = Math.round(toFiniteNumber(value));
+      if (Math.abs(numeric) >= 2 ** 63) return clampInt64(numeric < 0 ? INT64_MIN : INT64_MAX);
+      return clampInt64(BigInt(numeric));
+    }
+    case 'string':
+      return value === undefined || value === null ? '' : String(value);
+    case 'bool':
+      return parseOscBoolean(value);
+    case 'nil':
+      return null;
+    case 'blob': {
+      const hex = typeof value === 'string' ? value.replace(/[^0-9a-f]/gi, '').toLowerCase() : '';
+      return hex.length % 2 ? `0${hex}` : hex;
+    }
+    case 'char':
+      return Array.from(typeof value === 'string' ? value : String(value ?? ''))[0] || '';
+    case 'float':
+    default:
+      return toFiniteNumber(value);
+  }
+};
+
+export const getOscArgumentDefaultValue = (type) => normalizeOscArgumentValue(
+  type,
+  type === 'bool' ? true : (type === 'string' || type === 'blob' || type === 'char' ? '' : 0)
+);
+
+export const normalizeOscArgument = (arg) => {
+  const type = normalizeOscArgumentType(arg?.type);
+  return { type, value: normalizeOscArgumentValue(type, arg?.value) };
+};
+
+export const normalizeOscArguments = (args) => (
+  (Array.isArray(args) ? args : []).slice(0, OSC_ARGUMENT_LIMIT).map(normalizeOscArgument)
+);
+
+export const formatOscArgument = (arg) => {
+  const { type, value } = normalizeOscArgument(arg);
+  if (type === 'string') return `"${value}"`;
+  if (type === 'bool') return value ? 'T' : 'F';
+  if (type === 'nil') return 'N';
+  if (type === 'blob') return `<${value.length / 2} bytes>`;
+  if (type === 'char') return `'${value}'`;
+  return String(value);
+};
+
+export const formatOscArguments = (args) => normalizeOscArguments(args).map(formatOscArgument).join(' ');
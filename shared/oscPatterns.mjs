@@ -0,0 +1,116 @@
+// OSC 1.0 address patterns: "?" one character, "*" any run of characters, "[a-z]" / "[!abc]"
+// character sets and "{foo,bar}" alternatives. None of them ever match across a "/".
+const OSC_PATTERN_CHARS_RE = /[*?[\]{}]/;
+const OSC_PATTERN_CACHE_LIMIT = 512;
+const OSC_PATTERN_LIST_LIMIT = 64;
+
+const compiledPatternCache = new Map();
+
+const escapeRegExpText = (text) => text.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+
+const escapeRegExpClassChar = (char) => (/[\\\]^[-]/.test(char) ? `\\${char}` : char);
+
+export const isOscAddressPattern = (address) => (
+  typeof address === 'string' && OSC_PATTERN_CHARS_RE.test(address)
+);
+
+const buildCharacterClass = (body) => {
+  const negate = body.startsWith('!');
+  const chars = negate ? body.slice(1) : body;
+  if (!chars) return null;
+  let out = '';
+  for (let index = 0; index < chars.length; index += 1) {
+    const char = chars[index];
+    // A dash between two characters is a range; at either end it is literal.
+    if (char === '-' && index > 0 && index < chars.length - 1) {
+      out += '-';
+    } else if (char !== '/') {
+      out += escapeRegExpClassChar(char);
+    }
+  }
+  return negate ? `[^/${out}]` : `[${out}]`;
+};
+
+// Returns an anchored RegExp, or null when the pattern is malformed (unbalanced brackets, bad ranges).
+export const compileOscAddressPattern = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) return null;
+  if (compiledPatternCache.has(pattern)) return compiledPatternCache.get(pattern);
+  let source = '';
+  let valid = true;
+  for (let index = 0; index < pattern.length && valid; index += 1) {
+    const char = pattern[index];
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index + 1);
+      const characterClass = end > index ? buildCharacterClass(pattern.slice(index + 1, end)) : null;
+      if (characterClass === null) {
+        valid = false;
+      } else {
+        source += characterClass;
+        index = end;
+      }
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', index + 1);
+      const options = end > index ? pattern.slice(index + 1, end).split(',') : [];
+      if (!options.length || options.some((option) => option.includes('/') || /[[\]{]/.test(option))) {
+        valid = false;
+      } else {
+        source += `(?:${options.map(escapeRegExpText).join('|')})`;
+        index = end;
+      }
+    } else if (char === ']' || char === '}') {
+      valid = false;
+    } else {
+      source += escapeRegExpText(char);
+    }
+  }
+  let compiled = null;
+  if (valid) {
+    try {
+      compiled = new RegExp(`^${source}$`);
+    } catch (error) {
+      compiled = null;
+    }
+  }
+  compiledPatternCache.set(pattern, compiled);
+  if (compiledPatternCache.size > OSC_PATTERN_CACHE_LIMIT) {
+    compiledPatternCache.delete(compiledPatternCache.keys().next().value);
+  }
+  return compiled;
+};
+
+export const matchOscAddress = (pattern, address) => {
+  if (typeof pattern !== 'string' || typeof address !== 'string') return false;
+  if (!isOscAddressPattern(pattern)) return pattern === address;
+  return Boolean(compileOscAddressPattern(pattern)?.test(address));
+};
+
+// Pattern lists are written as whitespace-separated text; commas belong to "{a,b}" alternatives.
+export const parseOscPatternList = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/\s+/);
+  return Array.from(new Set(
+    items
+      .map((item) => (typeof item === 'string' ? item.trim() : ''))
+      .filter(Boolean)
+  )).slice(0, OSC_PATTERN_LIST_LIMIT);
+};
+
+export const findInvalidOscPatterns = (value) => (
+  parseOscPatternList(value).filter((pattern) => !compileOscAddressPattern(pattern))
+);
+
+// An empty include list accepts everything; excludes always win. Returns null when nothing filters.
+export const createOscAddressFilter = ({ include, exclude } = {}) => {
+  const compileList = (value) => parseOscPatternList(value).map(compileOscAddressPattern).filter(Boolean);
+  const includes = compileList(include);
+  const excludes = compileList(exclude);
+  if (!includes.length && !excludes.length) return null;
+  return (address) => (
+    typeof address === 'string'
+    && (!includes.length || includes.some((pattern) => pattern.test(address)))
+    && !excludes.some((pattern) => pattern.test(address))
+  );
+};
@@ -0,0 +1,107 @@
+import { normalizeCurveMode, getCurveValueRatio } from './easingCurves.mjs';
+import { compileOscAddressPattern } from './oscPatterns.mjs';
+import { isNumericOscArgumentType } from './oscArguments.mjs';
+
+export const OSC_ROUTE_LIMIT = 128;
+
+const ROUTE_VALUE_TYPES = new Set(['float', 'int']);
+const ROUTE_ADDRESS_TOKEN_RE = /\{(address|\d+)\}/g;
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+const toFinite = (value, fallback) => {
+  const next = Number(value);
+  return Number.isFinite(next) ? next : fallback;
+};
+
+const createOscRouteId = () => `route-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const createOscRoute = (overrides = {}) => normalizeOscRoute({
+  id: createOscRouteId(),
+  enabled: true,
+  input: '/fader/1',
+  address: '',
+  ...overrides,
+});
+
+export const normalizeOscRoute = (route) => {
+  const source = route && typeof route === 'object' ? route : {};
+  return {
+    id: typeof source.id === 'string' && source.id ? source.id : createOscRouteId(),
+    name: typeof source.name === 'string' ? source.name : '',
+    enabled: source.enabled !== false,
+    input: typeof source.input === 'string' ? source.input.trim() : '',
+    outputId: typeof source.outputId === 'string' ? source.outputId : '',
+    address: typeof source.address === 'string' ? source.address.trim() : '',
+    inMin: toFinite(source.inMin, 0),
+    inMax: toFinite(source.inMax, 1),
+    outMin: toFinite(source.outMin, 0),
+    outMax: toFinite(source.outMax, 1),
+    clamp: source.clamp !== false,
+    invert: Boolean(source.invert),
+    curve: normalizeCurveMode(source.curve),
+    valueType: ROUTE_VALUE_TYPES.has(source.valueType) ? source.valueType : 'float',
+    compositionIds: Array.isArray(source.compositionIds)
+      ? Array.from(new Set(source.compositionIds.filter((id) => typeof id === 'string' && id)))
+      : [],
+  };
+};
+
+export const normalizeOscRoutes = (routes) => (
+  (Array.isArray(routes) ? routes : []).slice(0, OSC_ROUTE_LIMIT).map(normalizeOscRoute)
+);
+
+// An empty composition list means the route is live in every composition.
+export const isOscRouteActive = (route, compositionId) => (
+  Boolean(route?.enabled)
+  && (!route.compositionIds?.length || route.compositionIds.includes(compositionId))
+);
+
+// Input range to output range is the scale and offset; invert and curve shape the value in between.
+export const applyOscRouteTransform = (route, value) => {
+  const span = route.inMax - route.inMin;
+  let ratio = span === 0 ? 0 : (value - route.inMin) / span;
+  if (route.clamp) ratio = Math.min(Math.max(ratio, 0), 1);
+  if (route.invert) ratio = 1 - ratio;
+  if (route.curve !== 'linear' && ratio >= 0 && ratio <= 1) ratio = getCurveValueRatio(ratio, route.curve);
+  const result = route.outMin + (route.outMax - route.outMin) * ratio;
+  if (route.valueType === 'int') return Math.min(Math.max(Math.round(result), INT32_MIN), INT32_MAX);
+  return result;
+};
+
+// "{address}" is the incoming address and "{1}", "{2}"... its path segments; empty keeps the address.
+export const expandOscRouteAddress = (template, address) => {
+  if (!template) return address;
+  const segments = address.split('/').filter(Boolean);
+  return template.replace(ROUTE_ADDRESS_TOKEN_RE, (_match, token) => (
+    token === 'address' ? address : segments[Number(token) - 1] ?? ''
+  ));
+};
+
+const normalizeRoutedAddress = (address) => (address.startsWith('/') ? address : `/${address}`);
+
+// Returns (address, args) => sends for the given routes, with args as { type, value } pairs.
+// Numeric arguments are transformed; strings, bools and the rest pass through unchanged.
+export const createOscRouter = (routes) => {
+  const compiled = normalizeOscRoutes(routes)
+    .filter((route) => route.enabled && route.outputId)
+    .map((route) => ({ route, pattern: compileOscAddressPattern(route.input) }))
+    .filter((item) => item.pattern);
+  if (!compiled.length) return null;
+  return (address, args) => {
+    const sends = [];
+    compiled.forEach(({ route, pattern }) => {
+      if (!pattern.test(address)) return;
+      sends.push({
+        outputId: route.outputId,
+        address: normalizeRoutedAddress(expandOscRouteAddress(route.address, address)),
+        args: args.map((arg) => {
+          const value = Number(arg?.value);
+          if (!isNumericOscArgumentType(arg?.type) || !Number.isFinite(value)) return arg;
+          return { type: route.valueType, value: applyOscRouteTransform(route, value) };
+        }),
+      });
+    });
+    return sends;
+  };
+};
@@ -0,0 +1,56 @@
+// When playback resends an OSC track: every frame, only on change (with an optional keep-alive),
+// or at a fixed lower rate. Tracks can follow their output's policy with mode 'output'.
+export const OSC_SEND_TRACK_KINDS = new Set(['osc', 'osc-array', 'osc-3d']);
+export const OSC_SEND_MODE_OPTIONS = [
+  { value: 'frame', label: 'Every Frame' },
+  { value: 'change', label: 'On Change' },
+  { value: 'rate', label: 'Fixed Rate' },
+];
+
+const OSC_SEND_MODES = new Set(OSC_SEND_MODE_OPTIONS.map((option) => option.value));
+const RATE_MIN_HZ = 0.1;
+const RATE_MAX_HZ = 240;
+const KEEP_ALIVE_MAX_SECONDS = 3600;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const normalizeOscSendPolicy = (policy, { allowInherit = false } = {}) => {
+  const source = policy && typeof policy === 'object' ? policy : {};
+  const fallbackMode = allowInherit ? 'output' : 'frame';
+  const isKnownMode = OSC_SEND_MODES.has(source.mode) || (allowInherit && source.mode === 'output');
+  const rate = Number(source.rate);
+  return {
+    mode: isKnownMode ? source.mode : fallbackMode,
+    deadband: Math.max(Number(source.deadband) || 0, 0),
+    rate: Number.isFinite(rate) && rate > 0 ? clamp(rate, RATE_MIN_HZ, RATE_MAX_HZ) : 10,
+    keepAlive: clamp(Number(source.keepAlive) || 0, 0, KEEP_ALIVE_MAX_SECONDS),
+  };
+};
+
+export const resolveOscSendPolicy = (track, output) => (
+  track?.oscSendPolicy && track.oscSendPolicy.mode !== 'output'
+    ? track.oscSendPolicy
+    : output?.sendPolicy || null
+);
+
+// Values are numbers or { type, value } arguments; non-numeric ones change only when they differ.
+export const hasOscValueChanged = (previous, next, deadband = 0) => {
+  if (!Array.isArray(previous) || previous.length !== next.length) return true;
+  return next.some((item, index) => {
+    const before = previous[index];
+    const a = typeof before === 'object' && before !== null ? before.value : before;
+    const b = typeof item === 'object' && item !== null ? item.value : item;
+    if (typeof a === 'number' && typeof b === 'number') return Math.abs(b - a) > deadband;
+    if (a && b && typeof a === 'object' && typeof b === 'object') return JSON.stringify(a) !== JSON.stringify(b);
+    return a !== b;
+  });
+};
+
+// `last` is { values, at } for the previous send; `toleranceMs` absorbs tick jitter for fixed rates.
+export const shouldSendOscUpdate = (policy, last, values, nowMs, toleranceMs = 0) => {
+  if (!policy || policy.mode === 'frame' || !last) return true;
+  const elapsed = nowMs - last.at;
+  if (policy.mode === 'rate') return elapsed >= 1000 / policy.rate - toleranceMs;
+  if (policy.keepAlive > 0 && elapsed >= policy.keepAlive * 1000 - toleranceMs) return true;
+  return hasOscValueChanged(last.values, values, policy.deadband);
+};
@@ -0,0 +1,134 @@
+// Output-stage mapping applied when a track is sent; the timeline keeps editing the unmapped values.
+export const OUTPUT_MAP_TRACK_KINDS = new Set([
+  'osc',
+  'osc-array',
+  'osc-3d',
+  'osc-color',
+  'osc-flag',
+  'dmx',
+  'dmx-color',
+  'midi',
+  'midi-note',
+  'midi-pc',
+]);
+// Flag, note and program change tracks map each event once as it fires, so slew does not apply to them.
+export const OUTPUT_MAP_SLEW_TRACK_KINDS = new Set(['osc', 'osc-array', 'osc-3d', 'osc-color', 'dmx', 'dmx-color', 'midi']);
+export const OUTPUT_MAP_CURVE_LIMIT = 16;
+// Slew state older than this is dropped, so a pause or locate jumps straight to the new value.
+export const OUTPUT_MAP_SLEW_RESET_MS = 250;
+
+const GAMMA_MIN = 0.1;
+const GAMMA_MAX = 10;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const toFiniteOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const next = Number(value);
+  return Number.isFinite(next) ? next : null;
+};
+
+export const createDefaultOutputMap = () => ({
+  enabled: false,
+  outMin: null,
+  outMax: null,
+  invert: false,
+  gamma: 1,
+  curve: [],
+  quantize: 0,
+  slew: 0,
+});
+
+// Transfer curve points are { x, y } ratios; the curve is only used with at least two points.
+const normalizeOutputMapCurve = (curve) => (
+  (Array.isArray(curve) ? curve : [])
+    .map((point) => ({ x: Number(point?.x), y: Number(point?.y) }))
+    .filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y))
+    .map((point) => ({ x: clamp(point.x, 0, 1), y: clamp(point.y, 0, 1) }))
+    .sort((a, b) => a.x - b.x)
+    .slice(0, OUTPUT_MAP_CURVE_LIMIT)
+);
+
+export const normalizeOutputMap = (map) => {
+  const source = map && typeof map === 'object' ? map : {};
+  const gamma = Number(source.gamma);
+  return {
+    enabled: Boolean(source.enabled),
+    outMin: toFiniteOrNull(source.outMin),
+    outMax: toFiniteOrNull(source.outMax),
+    invert: Boolean(source.invert),
+    gamma: Number.isFinite(gamma) && gamma > 0 ? clamp(gamma, GAMMA_MIN, GAMMA_MAX) : 1,
+    curve: normalizeOutputMapCurve(source.curve),
+    quantize: Math.max(Number(source.quantize) || 0, 0),
+    slew: Math.max(Number(source.slew) || 0, 0),
+  };
+};
+
+export const isOutputMapActive = (track) => (
+  Boolean(track?.outputMap?.enabled) && OUTPUT_MAP_TRACK_KINDS.has(track.kind)
+);
+
+// The range of the value being mapped: color tracks map each channel as sent, note tracks map velocity.
+export const getOutputMapInputRange = (track) => {
+  if (track?.kind === 'dmx-color') return { min: 0, max: 255 };
+  if (track?.kind === 'osc-color') return track.oscColor?.outputRange === 'unit' ? { min: 0, max: 1 } : { min: 0, max: 255 };
+  if (track?.kind === 'midi-note') return { min: 0, max: 127 };
+  return {
+    min: Number.isFinite(track?.min) ? track.min : 0,
+    max: Number.isFinite(track?.max) ? track.max : 1,
+  };
+};
+
+export const sampleOutputMapCurve = (curve, ratio) => {
+  if (!Array.isArray(curve) || curve.length < 2) return ratio;
+  if (ratio <= curve[0].x) return curve[0].y;
+  const last = curve[curve.length - 1];
+  if (ratio >= last.x) return last.y;
+  for (let index = 0; index < curve.length - 1; index += 1) {
+    const a = curve[index];
+    const b = curve[index + 1];
+    if (ratio > b.x) continue;
+    if (b.x - a.x < 1e-9) return b.y;
+    return a.y + ((ratio - a.x) / (b.x - a.x)) * (b.y - a.y);
+  }
+  return last.y;
+};
+
+// Invert, gamma and the transfer curve shape the value as a ratio of the track range.
+export const shapeOutputMapRatio = (map, ratio) => {
+  let next = clamp(ratio, 0, 1);
+  if (map.invert) next = 1 - next;
+  if (map.gamma !== 1) next = next ** map.gamma;
+  return sampleOutputMapCurve(map.curve, next);
+};
+
+export const getOutputMapRange = (map, min, max) => ({
+  min: map.outMin ?? min,
+  max: map.outMax ?? max,
+});
+
+// `min`/`max` are the editing range; 3D tracks pass each axis's bounds and ignore the output range.
+export const mapOutputValue = (map, value, min, max, { keepRange = false } = {}) => {
+  const span = max - min;
+  const ratio = shapeOutputMapRatio(map, span === 0 ? 0 : (value - min) / span);
+  const range = keepRange ? { min, max } : getOutputMapRange(map, min, max);
+  return range.min + ratio * (range.max - range.min);
+};
+
+export const limitOutputSlew = (map, previous, value, elapsedMs) => {
+  if (!map.slew || !Number.isFinite(previous)) return value;
+  const step = map.slew * (Math.max(elapsedMs, 0) / 1000);
+  return previous + clamp(value - previous, -step, step);
+};
+
+export const quantizeOutputValue = (map, value) => {
+  if (!map.quantize) return value;
+  return Number((Math.round(value / map.quantize) * map.quantize).toFixed(10));
+};
+
+// Maps one event value (a flag argument, a note velocity, a program number) without slew.
+export const mapTrackEventValue = (track, value) => {
+  if (!isOutputMapActive(track)) return value;
+  const range = getOutputMapInputRange(track);
+  return quantizeOutputValue(track.outputMap, mapOutputValue(track.outputMap, value, range.min, range.max));
+};
@@ -0,0 +1,428 @@
+import { getCurveValueRatioByFps } from './easingCurves.mjs';
+import {
+  getOscArgumentDefaultValue,
+  isNumericOscArgumentType,
+  normalizeOscArgumentType,
+  normalizeOscArgumentValue,
+  normalizeOscArguments,
+} from './oscArguments.mjs';
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const toMidiCcValue = (value, fallback = 0) => {
+  const numeric = Number(value);
+  const safe = Number.isFinite(numeric) ? numeric : fallback;
+  return clamp(Math.round(safe), 0, 127);
+};
+
+export const normalizeOscAddressPath = (value, fallback = '/osc/value') => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) return fallback;
+  if (raw.startsWith('/')) return raw;
+  return `/${raw}`;
+};
+
+export const HEX_COLOR_RE = /^#([0-9a-f]{6})$/i;
+
+const clampByte = (value) => clamp(Math.round(Number(value) || 0), 0, 255);
+
+export const parseHexColor = (value, fallback = '#000000') => {
+  const input = typeof value === 'string' && HEX_COLOR_RE.test(value) ? value : fallback;
+  const match = HEX_COLOR_RE.exec(input);
+  const hex = match ? match[1] : '000000';
+  return {
+    r: Number.parseInt(hex.slice(0, 2), 16),
+    g: Number.parseInt(hex.slice(2, 4), 16),
+    b: Number.parseInt(hex.slice(4, 6), 16),
+  };
+};
+
+const rgbToHex = (rgb) => (
+  `#${[rgb.r, rgb.g, rgb.b].map((value) => clampByte(value).toString(16).padStart(2, '0')).join('')}`
+);
+
+const lerpColor = (from, to, t) => {
+  const ratio = clamp(Number(t) || 0, 0, 1);
+  return {
+    r: clampByte(from.r + (to.r - from.r) * ratio),
+    g: clampByte(from.g + (to.g - from.g) * ratio),
+    b: clampByte(from.b + (to.b - from.b) * ratio),
+  };
+};
+
+const rgbToRgbw = (rgb) => {
+  const white = Math.min(rgb.r, rgb.g, rgb.b);
+  return {
+    r: clampByte(rgb.r - white),
+    g: clampByte(rgb.g - white),
+    b: clampByte(rgb.b - white),
+    w: clampByte(white),
+  };
+};
+
+export const getColorTrackConfig = (track) => {
+  if (!track) return null;
+  if (track.kind === 'dmx-color') return track.dmxColor || {};
+  if (track.kind === 'osc-color') return track.oscColor || {};
+  return null;
+};
+
+const colorTrackNodeHex = (track, node) => {
+  if (!track || (track.kind !== 'dmx-color' && track.kind !== 'osc-color')) return '#000000';
+  if (node && typeof node.c === 'string' && HEX_COLOR_RE.test(node.c)) return node.c.toLowerCase();
+  return colorTrackValueToHex(track, node?.v ?? track.default);
+};
+
+const sampleColorTrackHexAtTime = (track, time) => {
+  if (!track || (track.kind !== 'dmx-color' && track.kind !== 'osc-color')) return '#000000';
+  const nodes = Array.isArray(track.nodes) ? track.nodes : [];
+  if (!nodes.length) return colorTrackValueToHex(track, track.default);
+  const sorted = [...nodes].sort((a, b) => a.t - b.t);
+  if (time <= sorted[0].t) return colorTrackNodeHex(track, sorted[0]);
+  if (time >= sorted[sorted.length - 1].t) return colorTrackNodeHex(track, sorted[sorted.length - 1]);
+  for (let i = 0; i < sorted.length - 1; i += 1) {
+    const a = sorted[i];
+    const b = sorted[i + 1];
+    if (time < a.t || time > b.t) continue;
+    if (Math.abs(b.t - a.t) < 1e-9) return colorTrackNodeHex(track, b);
+    const ratio = clamp((time - a.t) / (b.t - a.t), 0, 1);
+    const aRgb = parseHexColor(colorTrackNodeHex(track, a), '#000000');
+    const bRgb = parseHexColor(colorTrackNodeHex(track, b), '#000000');
+    return rgbToHex(lerpColor(aRgb, bRgb, ratio));
+  }
+  return colorTrackNodeHex(track, sorted[sorted.length - 1]);
+};
+
+export const resolveDmxColorWrites = (track, time) => {
+  if (track.kind !== 'dmx-color') return [];
+  const cfg = track.dmxColor || {};
+  const fixtureType = cfg.fixtureType === 'rgbw' || cfg.fixtureType === 'mapping' ? cfg.fixtureType : 'rgb';
+  const mappingChannels = Number(cfg.mappingChannels) === 3 ? 3 : 4;
+  const start = clamp(Math.round(Number(cfg.channelStart) || 1), 1, 512);
+  const hexColor = sampleColorTrackHexAtTime(track, time);
+  const rgb = parseHexColor(hexColor, '#000000');
+  const rgbw = rgbToRgbw(rgb);
+  const writes = [];
+  if (fixtureType === 'rgb') {
+    writes.push([start, rgb.r], [start + 1, rgb.g], [start + 2, rgb.b]);
+    return writes;
+  }
+  if (fixtureType === 'rgbw') {
+    writes.push([start, rgbw.r], [start + 1, rgbw.g], [start + 2, rgbw.b], [start + 3, rgbw.w]);
+    return writes;
+  }
+  const mapping = cfg.mapping || {};
+  writes.push(
+    [start + (clamp(Math.round(Number(mapping.r) || 1), 1, 512) - 1), mappingChannels === 3 ? rgb.r : rgbw.r],
+    [start + (clamp(Math.round(Number(mapping.g) || 2), 1, 512) - 1), mappingChannels === 3 ? rgb.g : rgbw.g],
+    [start + (clamp(Math.round(Number(mapping.b) || 3), 1, 512) - 1), mappingChannels === 3 ? rgb.b : rgbw.b],
+  );
+  if (mappingChannels === 4) {
+    writes.push([start + (clamp(Math.round(Number(mapping.w) || 4), 1, 512) - 1), rgbw.w]);
+  }
+  return writes;
+};
+
+export const resolveOscColorWrites = (track, time) => {
+  if (!track || track.kind !== 'osc-color') return [];
+  const cfg = track.oscColor || {};
+  const fixtureType = cfg.fixtureType === 'rgbw' ? 'rgbw' : 'rgb';
+  const outputRange = cfg.outputRange === 'unit' ? 'unit' : 'byte';
+  const baseAddressRaw = typeof track.oscAddress === 'string' && track.oscAddress.trim()
+    ? track.oscAddress.trim()
+    : '/osc/color';
+  const baseAddress = baseAddressRaw.replace(/\/+$/, '') || '/osc/color';
+  const hexColor = sampleColorTrackHexAtTime(track, time);
+  const rgb = parseHexColor(hexColor, '#000000');
+  const rgbw = rgbToRgbw(rgb);
+  const rawValues = fixtureType === 'rgbw'
+    ? [rgbw.r, rgbw.g, rgbw.b, rgbw.w]
+    : [rgb.r, rgb.g, rgb.b];
+  const values = outputRange === 'unit'
+    ? rawValues.map((value) => Math.round((clamp(Number(value) || 0, 0, 255) / 255) * 100) / 100)
+    : rawValues.map((value) => clamp(Math.round(Number(value) || 0), 0, 255));
+  return [{ address: baseAddress, values }];
+};
+
+export const colorTrackValueToHex = (track, value) => {
+  const cfg = getColorTrackConfig(track);
+  if (!cfg) return '#000000';
+  const min = Number.isFinite(track.min) ? track.min : 0;
+  const max = Number.isFinite(track.max) ? track.max : 255;
+  const ratio = clamp((Number(value) - min) / Math.max(max - min, 0.000001), 0, 1);
+  const from = parseHexColor(cfg.gradientFrom, '#000000');
+  const to = parseHexColor(cfg.gradientTo, '#000000');
+  return rgbToHex(lerpColor(from, to, ratio));
+};
+
+export const getOscArrayValueCount = (track) => (
+  clamp(Math.round(Number(track?.oscArray?.valueCount) || 5), 1, 20)
+);
+
+export const normalizeOscArrayNodeValues = (track, node) => {
+  const count = getOscArrayValueCount(track);
+  const min = Number.isFinite(track?.min) ? Number(track.min) : 0;
+  const max = Number.isFinite(track?.max) ? Number(track.max) : 1;
+  const fallback = clamp(Number(node?.v ?? track?.default ?? 0) || 0, min, max);
+  const raw = Array.isArray(node?.arr) ? node.arr : [];
+  return Array.from({ length: count }, (_, index) => (
+    clamp(Number(raw[index] ?? fallback) || 0, min, max)
+  ));
+};
+
+export const getOscSendValueType = (track) => (track?.oscValueType === 'int' ? 'int' : 'float');
+
+export const formatOscOutputScalar = (value, valueType) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return 0;
+  if (valueType === 'int') return Math.round(numeric);
+  return Math.round(numeric * 100) / 100;
+};
+
+export const formatOscOutputArray = (values, valueType) => {
+  const raw = Array.isArray(values) ? values : [];
+  return raw.map((value) => formatOscOutputScalar(value, valueType));
+};
+
+export const sampleOscArrayTrackValues = (track, time, curveFps = 30) => {
+  const count = getOscArrayValueCount(track);
+  const min = Number.isFinite(track?.min) ? Number(track.min) : 0;
+  const max = Number.isFinite(track?.max) ? Number(track.max) : 1;
+  const defaultValue = clamp(Number(track?.default ?? 0) || 0, min, max);
+  const fallback = Array.from({ length: count }, () => defaultValue);
+  if (!track || track.kind !== 'osc-array') return fallback;
+  const nodes = Array.isArray(track.nodes) ? track.nodes : [];
+  if (!nodes.length) return fallback;
+  const sorted = [...nodes].sort((a, b) => a.t - b.t);
+  if (time <= sorted[0].t) return normalizeOscArrayNodeValues(track, sorted[0]);
+  if (time >= sorted[sorted.length - 1].t) return normalizeOscArrayNodeValues(track, sorted[sorted.length - 1]);
+  for (let i = 0; i < sorted.length - 1; i += 1) {
+    const a = sorted[i];
+    const b = sorted[i + 1];
+    if (time < a.t || time > b.t) continue;
+    const aValues = normalizeOscArrayNodeValues(track, a);
+    const bValues = normalizeOscArrayNodeValues(track, b);
+    if (Math.abs(b.t - a.t) < 1e-9) return bValues;
+    const ratio = getCurveValueRatioByFps((time - a.t) / (b.t - a.t), a.curve, curveFps);
+    return aValues.map((value, index) => clamp(value + (bValues[index] - value) * ratio, min, max));
+  }
+  return normalizeOscArrayNodeValues(track, sorted[sorted.length - 1]);
+};
+
+export const getOscArraySlotTypes = (track) => {
+  const count = getOscArrayValueCount(track);
+  const fallback = getOscSendValueType(track);
+  const raw = Array.isArray(track?.oscArray?.types) ? track.oscArray.types : [];
+  return Array.from({ length: count }, (_, index) => normalizeOscArgumentType(raw[index], fallback));
+};
+
+export const hasNonNumericOscArraySlots = (track) => (
+  getOscArraySlotTypes(track).some((type) => !isNumericOscArgumentType(type))
+);
+
+// Non-numeric slots (strings, booleans, blobs, ...) keep their values in node.arrArgs,
+// aligned with node.arr; numeric slots hold null there.
+export const normalizeOscArrayNodeArgs = (track, node) => {
+  const raw = Array.isArray(node?.arrArgs) ? node.arrArgs : [];
+  return getOscArraySlotTypes(track).map((type, index) => {
+    if (isNumericOscArgumentType(type)) return null;
+    const value = raw[index];
+    return value === undefined || value === null
+      ? getOscArgumentDefaultValue(type)
+      : normalizeOscArgumentValue(type, value);
+  });
+};
+
+const formatOscArraySlotNumber = (value, type) => {
+  if (type === 'int' || type === 'int64') return formatOscOutputScalar(value, 'int');
+  if (type === 'double') return Number.isFinite(Number(value)) ? Number(value) : 0;
+  return formatOscOutputScalar(value, 'float');
+};
+
+// `mapValue(value, slot)` lets the sender reshape numeric slots before they are rounded to their type.
+export const sampleOscArrayTrackArgs = (track, time, curveFps = 30, mapValue = null) => {
+  const types = getOscArraySlotTypes(track);
+  const values = sampleOscArrayTrackValues(track, time, curveFps);
+  const nodes = Array.isArray(track?.nodes) ? [...track.nodes].sort((a, b) => a.t - b.t) : [];
+  // Non-numeric slots cannot be interpolated, so they hold the last node's value.
+  let holdNode = nodes[0] || null;
+  nodes.forEach((node) => {
+    if (node.t <= time) holdNode = node;
+  });
+  const held = normalizeOscArrayNodeArgs(track, holdNode);
+  return types.map((type, index) => ({
+    type,
+    value: isNumericOscArgumentType(type)
+      ? formatOscArraySlotNumber(mapValue ? mapValue(values[index], index) : values[index], type)
+      : held[index],
+  }));
+};
+
+// Flag nodes without an args list use the legacy "/address/value value" message.
+export const getOscFlagNodeArgs = (node) => (
+  Array.isArray(node?.args) ? normalizeOscArguments(node.args) : null
+);
+
+const DEFAULT_OSC_3D_BOUNDS = Object.freeze({
+  xMin: -1,
+  xMax: 1,
+  yMin: -1,
+  yMax: 1,
+  zMin: -1,
+  zMax: 1,
+});
+
+export const normalizeOsc3dBounds = (trackOrSettings) => {
+  const raw =
+    trackOrSettings?.osc3d?.bounds
+    || trackOrSettings?.bounds
+    || trackOrSettings
+    || {};
+  const normalizeAxis = (minValue, maxValue, fallbackMin, fallbackMax) => {
+    const min = Number.isFinite(Number(minValue)) ? Number(minValue) : fallbackMin;
+    const max = Number.isFinite(Number(maxValue)) ? Number(maxValue) : fallbackMax;
+    if (min <= max) return { min, max };
+    return { min: max, max: min };
+  };
+  const x = normalizeAxis(raw.xMin, raw.xMax, DEFAULT_OSC_3D_BOUNDS.xMin, DEFAULT_OSC_3D_BOUNDS.xMax);
+  const y = normalizeAxis(raw.yMin, raw.yMax, DEFAULT_OSC_3D_BOUNDS.yMin, DEFAULT_OSC_3D_BOUNDS.yMax);
+  const z = normalizeAxis(raw.zMin, raw.zMax, DEFAULT_OSC_3D_BOUNDS.zMin, DEFAULT_OSC_3D_BOUNDS.zMax);
+  return {
+    xMin: x.min,
+    xMax: x.max,
+    yMin: y.min,
+    yMax: y.max,
+    zMin: z.min,
+    zMax: z.max,
+  };
+};
+
+const getOsc3dDefaultValues = (bounds) => ([
+  (bounds.xMin + bounds.xMax) * 0.5,
+  (bounds.yMin + bounds.yMax) * 0.5,
+  (bounds.zMin + bounds.zMax) * 0.5,
+]);
+
+export const normalizeOsc3dNodeValues = (track, node) => {
+  const bounds = normalizeOsc3dBounds(track);
+  const fallback = getOsc3dDefaultValues(bounds);
+  const raw = Array.isArray(node?.arr) ? node.arr : [];
+  const yFromValue = Number.isFinite(Number(node?.v)) ? Number(node.v) : fallback[1];
+  return [
+    clamp(Number.isFinite(Number(raw[0])) ? Number(raw[0]) : fallback[0], bounds.xMin, bounds.xMax),
+    clamp(Number.isFinite(Number(raw[1])) ? Number(raw[1]) : yFromValue, bounds.yMin, bounds.yMax),
+    clamp(Number.isFinite(Number(raw[2])) ? Number(raw[2]) : fallback[2], bounds.zMin, bounds.zMax),
+  ];
+};
+
+export const sampleOsc3dTrackValues = (track, time, curveFps = 30) => {
+  const bounds = normalizeOsc3dBounds(track);
+  const fallback = getOsc3dDefaultValues(bounds);
+  if (!track || track.kind !== 'osc-3d') return fallback;
+  const nodes = Array.isArray(track.nodes) ? track.nodes : [];
+  if (!nodes.length) return fallback;
+  const sorted = [...nodes].sort((a, b) => a.t - b.t);
+  if (time <= sorted[0].t) return normalizeOsc3dNodeValues(track, sorted[0]);
+  if (time >= sorted[sorted.length - 1].t) return normalizeOsc3dNodeValues(track, sorted[sorted.length - 1]);
+  for (let i = 0; i < sorted.length - 1; i += 1) {
+    const a = sorted[i];
+    const b = sorted[i + 1];
+    if (time < a.t || time > b.t) continue;
+    const aValues = normalizeOsc3dNodeValues(track, a);
+    const bValues = normalizeOsc3dNodeValues(track, b);
+    if (Math.abs(b.t - a.t) < 1e-9) return bValues;
+    const ratio = getCurveValueRatioByFps((time - a.t) / (b.t - a.t), a.curve, curveFps);
+    return [
+      clamp(aValues[0] + (bValues[0] - aValues[0]) * ratio, bounds.xMin, bounds.xMax),
+      clamp(aValues[1] + (bValues[1] - aValues[1]) * ratio, bounds.yMin, bounds.yMax),
+      clamp(aValues[2] + (bValues[2] - aValues[2]) * ratio, bounds.zMin, bounds.zMax),
+    ];
+  }
+  return normalizeOsc3dNodeValues(track, sorted[sorted.length - 1]);
+};
+
+export const sampleTrackValue = (track, time, curveFps = 30) => {
+  const nodes = track.nodes || [];
+  if (nodes.length === 0) return clamp(track.default, track.min, track.max);
+  if (time <= nodes[0].t) return clamp(nodes[0].v, track.min, track.max);
+  if (time >= nodes[nodes.length - 1].t) return clamp(nodes[nodes.length - 1].v, track.min, track.max);
+  for (let i = 0; i < nodes.length - 1; i += 1) {
+    const a = nodes[i];
+    const b = nodes[i + 1];
+    if (time >= a.t && time <= b.t) {
+      if (a.t === b.t) return clamp(b.v, track.min, track.max);
+      const ratio = getCurveValueRatioByFps((time - a.t) / (b.t - a.t), a.curve, curveFps);
+      const value = a.v + ratio * (b.v - a.v);
+      return clamp(value, track.min, track.max);
+    }
+  }
+  return clamp(nodes[nodes.length - 1].v, track.min, track.max);
+};
+
+export const hasSoloTracks = (tracks) => (
+  Array.isArray(tracks) && tracks.some((item) => Boolean(item?.solo) && !Boolean(item?.mute))
+);
+
+export const isTrackEnabled = (track, kind, hasSolo = false) => {
+  if (!track || track.kind !== kind) return false;
+  // Mute must always win.
+  if (track.mute) return false;
+  // Solo works globally across all tracks.
+  if (!hasSolo) return true;
+  return Boolean(track.solo);
+};
+
+export const OVERRIDABLE_TRACK_KINDS = new Set([
+  'osc',
+  'osc-array',
+  'osc-3d',
+  'osc-color',
+  'dmx',
+  'dmx-color',
+  'midi',
+]);
+
+// Reads r g b [w] in the track's output range, folding white back into the RGB channels.
+export const colorTrackValuesToHex = (track, values) => {
+  const numbers = (Array.isArray(values) ? values : []).map(Number);
+  if (numbers.length < 3 || !numbers.slice(0, 3).every(Number.isFinite)) return null;
+  const scale = track?.kind === 'osc-color' && track.oscColor?.outputRange === 'unit' ? 255 : 1;
+  const white = getColorTrackConfig(track)?.fixtureType === 'rgbw' && Number.isFinite(numbers[3]) ? numbers[3] : 0;
+  return rgbToHex({
+    r: (numbers[0] + white) * scale,
+    g: (numbers[1] + white) * scale,
+    b: (numbers[2] + white) * scale,
+  });
+};
+
+const buildColorOverrideNode = (track, raw, numbers) => {
+  if (typeof raw[0] === 'string' && HEX_COLOR_RE.test(raw[0].trim())) {
+    return { c: raw[0].trim().toLowerCase() };
+  }
+  const hex = colorTrackValuesToHex(track, numbers);
+  if (hex) return { c: hex };
+  return { v: Number.isFinite(numbers[0]) ? numbers[0] : (track.default ?? 0) };
+};
+
+// A live override replaces the track's curve with one held node built from the override values.
+export const applyTrackOverride = (track, values) => {
+  const raw = Array.isArray(values) ? values : [values];
+  if (!track || !raw.length || !OVERRIDABLE_TRACK_KINDS.has(track.kind)) return track;
+  const numbers = raw.map((value) => (typeof value === 'string' && !value.trim() ? NaN : Number(value)));
+  let node;
+  if (track.kind === 'osc-color' || track.kind === 'dmx-color') {
+    node = buildColorOverrideNode(track, raw, numbers);
+  } else if (track.kind === 'osc-3d') {
+    node = { arr: numbers.slice(0, 3) };
+  } else if (track.kind === 'osc-array') {
+    node = {
+      arr: numbers.map((value) => (Number.isFinite(value) ? value : null)),
+      arrArgs: getOscArraySlotTypes(track).map((type, index) => (
+        isNumericOscArgumentType(type) || raw[index] === undefined ? null : raw[index]
+      )),
+    };
+  } else {
+    node = { v: Number.isFinite(numbers[0]) ? numbers[0] : (track.default ?? 0) };
+  }
+  return { ...track, nodes: [{ id: 'override', t: 0, ...node }] };
+};